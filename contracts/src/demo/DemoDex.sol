@@ -17,6 +17,8 @@ contract DemoDEX {
     address public token;
     uint256 public constant PRICE = 1e15; // 0.001 ETH per token
     
+    mapping(address => uint256) public liquidityOf;
+    
     event Swap(
         address indexed buyer,
         uint256 ethAmount,
@@ -25,11 +27,24 @@ contract DemoDEX {
         uint256 timestamp
     );
     
+    event Sell(
+        address indexed seller,
+        uint256 tokenAmount,
+        uint256 ethAmount,
+        uint256 gasPrice,
+        uint256 timestamp
+    );
+    
     event LiquidityAdded(
         address indexed provider,
         uint256 amount
     );
     
+    event LiquidityRemoved(
+        address indexed provider,
+        uint256 amount
+    );
+    
     constructor(address _token) {
         require(_token != address(0), "Invalid token address");
         token = _token;
@@ -67,6 +82,33 @@ contract DemoDEX {
         return tokenAmount;
     }
     
+    /**
+     * @notice Swap tokens back for ETH at the same fixed price
+     * @dev Needs an allowance; pays out of the ETH collected by swap()
+     */
+    function sell(uint256 tokenAmount) external returns (uint256) {
+        require(tokenAmount > 0, "Must sell tokens");
+        
+        uint256 ethAmount = (tokenAmount * PRICE) / 1e18;
+        require(address(this).balance >= ethAmount, "Insufficient ETH");
+        
+        require(
+            IDemoToken(token).transferFrom(msg.sender, address(this), tokenAmount),
+            "Token transfer failed"
+        );
+        payable(msg.sender).transfer(ethAmount);
+        
+        emit Sell(
+            msg.sender,
+            tokenAmount,
+            ethAmount,
+            tx.gasprice,
+            block.timestamp
+        );
+        
+        return ethAmount;
+    }
+    
     /**
      * @notice Add liquidity to the DEX
      */
@@ -75,10 +117,26 @@ contract DemoDEX {
             IDemoToken(token).transferFrom(msg.sender, address(this), amount),
             "Transfer failed"
         );
+        liquidityOf[msg.sender] += amount;
         
         emit LiquidityAdded(msg.sender, amount);
     }
     
+    /**
+     * @notice Withdraw liquidity previously added by the caller
+     */
+    function removeLiquidity(uint256 amount) external {
+        require(liquidityOf[msg.sender] >= amount, "Insufficient liquidity");
+        liquidityOf[msg.sender] -= amount;
+        
+        require(
+            IDemoToken(token).transfer(msg.sender, amount),
+            "Transfer failed"
+        );
+        
+        emit LiquidityRemoved(msg.sender, amount);
+    }
+    
     /**
      * @notice Get current liquidity reserve
      */
@@ -140,4 +140,14 @@ contract DemoToken {
         balanceOf[to] += amount;
         emit Transfer(address(0), to, amount);
     }
+    
+    /**
+     * @notice Burn tokens from the caller's balance (for testing)
+     */
+    function burn(uint256 amount) external {
+        require(balanceOf[msg.sender] >= amount, "Insufficient balance");
+        balanceOf[msg.sender] -= amount;
+        totalSupply -= amount;
+        emit Transfer(msg.sender, address(0), amount);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,217 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "forge-std/Test.sol";
+import "../../src/v2/FairLaunchGuardianTrapAdvanced.sol";
+import "../../src/v2/EventLogHelper.sol";
+
+/**
+ * @title AdvancedDetectorParityTest
+ * @notice Compares FairLaunchGuardianTrapAdvanced.shouldRespond() with the
+ *         JavaScript port in operator/utils/advanced-detector.js
+ * @dev Requires ffi (FOUNDRY_PROFILE=parity) and node with operator deps installed
+ */
+contract AdvancedDetectorParityTest is Test {
+    FairLaunchGuardianTrapAdvanced private trap;
+
+    string private constant DETECTOR_SCRIPT = "../operator/utils/advanced-detector.js";
+
+    function setUp() public {
+        trap = new FairLaunchGuardianTrapAdvanced();
+    }
+
+    function testParityLiquidityDrain() public {
+        bytes[] memory window = new bytes[](2);
+        window[0] = _snapshot(101, 1_000_000 ether, 300_000 ether, _noSwaps());
+        window[1] = _snapshot(100, 1_000_000 ether, 400_000 ether, _noSwaps());
+
+        _assertParity(window, true);
+    }
+
+    function testParitySupplyManipulation() public {
+        bytes[] memory window = new bytes[](2);
+        window[0] = _snapshot(101, 1_100_000 ether, 400_000 ether, _noSwaps());
+        window[1] = _snapshot(100, 1_000_000 ether, 400_000 ether, _noSwaps());
+
+        _assertParity(window, true);
+    }
+
+    function testParityGasManipulation() public {
+        address[] memory wallets = new address[](2);
+        wallets[0] = address(0xB220);
+        wallets[1] = address(0xB221);
+
+        uint256[] memory gasPrices = new uint256[](2);
+        gasPrices[0] = 30 gwei;
+        gasPrices[1] = 120 gwei;
+
+        bool[] memory isBuy = _allBuys(2);
+
+        bytes[] memory window = new bytes[](2);
+        window[0] = _snapshot(230, 1_000_000 ether, 480_000 ether, _swaps(wallets, isBuy, gasPrices, 220));
+        window[1] = _snapshot(229, 1_000_000 ether, 480_000 ether, _noSwaps());
+
+        _assertParity(window, true);
+    }
+
+    function testParityCoordinatedCluster() public {
+        address[] memory wallets = new address[](6);
+        uint256[] memory gasPrices = new uint256[](6);
+        for (uint256 i = 0; i < 3; i++) {
+            wallets[i] = address(uint160(0xA110 + i));
+            wallets[i + 3] = wallets[i];
+            gasPrices[i] = 40 gwei + i * 1 gwei;
+            gasPrices[i + 3] = 40 gwei;
+        }
+
+        bytes[] memory window = new bytes[](2);
+        window[0] = _snapshot(130, 1_000_000 ether, 450_000 ether, _swaps(wallets, _allBuys(6), gasPrices, 120));
+        window[1] = _snapshot(129, 1_000_000 ether, 460_000 ether, _noSwaps());
+
+        _assertParity(window, true);
+    }
+
+    function testParityMultiBlockDrain() public {
+        bytes[] memory window = new bytes[](5);
+        window[0] = _snapshot(104, 1_000_000 ether, 460_000 ether, _noSwaps());
+        window[1] = _snapshot(103, 1_000_000 ether, 470_000 ether, _noSwaps());
+        window[2] = _snapshot(102, 1_000_000 ether, 480_000 ether, _noSwaps());
+        window[3] = _snapshot(101, 1_000_000 ether, 490_000 ether, _noSwaps());
+        window[4] = _snapshot(100, 1_000_000 ether, 500_000 ether, _noSwaps());
+
+        _assertParity(window, true);
+    }
+
+    function testParityWashTrading() public {
+        address[] memory wallets = new address[](2);
+        wallets[0] = address(0xC330);
+        wallets[1] = address(0xC330);
+
+        bool[] memory isBuy = new bool[](2);
+        isBuy[0] = true;
+        isBuy[1] = false;
+
+        bytes[] memory window = new bytes[](2);
+        window[0] = _snapshot(310, 1_000_000 ether, 400_000 ether, _swaps(wallets, isBuy, new uint256[](0), 305));
+        window[1] = _snapshot(309, 1_000_000 ether, 400_000 ether, _noSwaps());
+
+        _assertParity(window, true);
+    }
+
+    function testParityQuietWindow() public {
+        address[] memory wallets = new address[](2);
+        wallets[0] = address(0xD440);
+        wallets[1] = address(0xD441);
+
+        uint256[] memory gasPrices = new uint256[](2);
+        gasPrices[0] = 20 gwei;
+        gasPrices[1] = 21 gwei;
+
+        bytes[] memory window = new bytes[](3);
+        window[0] = _snapshot(402, 1_000_000 ether, 399_000 ether, _swaps(wallets, _allBuys(2), gasPrices, 401));
+        window[1] = _snapshot(401, 1_000_000 ether, 400_000 ether, _noSwaps());
+        window[2] = _snapshot(400, 1_000_000 ether, 400_000 ether, _noSwaps());
+
+        _assertParity(window, false);
+    }
+
+    function testParitySingleSnapshot() public {
+        bytes[] memory window = new bytes[](1);
+        window[0] = _snapshot(500, 1_000_000 ether, 400_000 ether, _noSwaps());
+
+        _assertParity(window, false);
+    }
+
+    // ==================== HELPERS ====================
+
+    function _assertParity(bytes[] memory window, bool expectTrigger) internal {
+        (bool solTriggered, bytes memory solPayload) = trap.shouldRespond(window);
+        (bool jsTriggered, bytes memory jsPayload) = _runDetector(window);
+
+        assertEq(solTriggered, expectTrigger, "Unexpected Solidity verdict");
+        assertEq(jsTriggered, solTriggered, "Verdict mismatch between JS and Solidity");
+        assertEq(jsPayload, solPayload, "ResponseData mismatch between JS and Solidity");
+    }
+
+    function _runDetector(bytes[] memory window) internal returns (bool, bytes memory) {
+        string[] memory cmd = new string[](3);
+        cmd[0] = "node";
+        cmd[1] = DETECTOR_SCRIPT;
+        cmd[2] = vm.toString(abi.encode(window));
+
+        bytes memory output = vm.ffi(cmd);
+        return abi.decode(output, (bool, bytes));
+    }
+
+    function _snapshot(
+        uint256 blockNumber,
+        uint256 totalSupply,
+        uint256 poolBalance,
+        SwapBundle memory bundle
+    ) internal view returns (bytes memory) {
+        return trap.buildCollectPayloadFromEvents(
+            blockNumber,
+            blockNumber * 12,
+            totalSupply,
+            poolBalance,
+            poolBalance,
+            200 ether,
+            bundle.topics,
+            bundle.dataArray,
+            bundle.blockNumbers,
+            bundle.timestamps,
+            bundle.gasPrices
+        );
+    }
+
+    struct SwapBundle {
+        bytes32[][] topics;
+        bytes[] dataArray;
+        uint256[] blockNumbers;
+        uint256[] timestamps;
+        uint256[] gasPrices;
+    }
+
+    function _noSwaps() internal pure returns (SwapBundle memory bundle) {
+        bundle.topics = new bytes32[][](0);
+        bundle.dataArray = new bytes[](0);
+        bundle.blockNumbers = new uint256[](0);
+        bundle.timestamps = new uint256[](0);
+        bundle.gasPrices = new uint256[](0);
+    }
+
+    function _allBuys(uint256 count) internal pure returns (bool[] memory isBuy) {
+        isBuy = new bool[](count);
+        for (uint256 i = 0; i < count; i++) {
+            isBuy[i] = true;
+        }
+    }
+
+    function _swaps(
+        address[] memory wallets,
+        bool[] memory isBuy,
+        uint256[] memory gasPrices,
+        uint256 baseBlock
+    ) internal pure returns (SwapBundle memory bundle) {
+        uint256 length = wallets.length;
+        bundle.topics = new bytes32[][](length);
+        bundle.dataArray = new bytes[](length);
+        bundle.blockNumbers = new uint256[](length);
+        bundle.timestamps = new uint256[](length);
+        bundle.gasPrices = gasPrices;
+
+        for (uint256 i = 0; i < length; i++) {
+            bundle.topics[i] = new bytes32[](3);
+            bundle.topics[i][0] = EventLogHelper.SWAP_EVENT_SIGNATURE;
+            bundle.topics[i][1] = bytes32(uint256(uint160(wallets[i])));
+            bundle.topics[i][2] = bytes32(uint256(uint160(wallets[i])));
+
+            // Token is token0: buys take token0 out, sells put token0 in
+            bundle.dataArray[i] = isBuy[i]
+                ? abi.encode(uint256(0), 10 ether, 30_000 ether, uint256(0))
+                : abi.encode(30_000 ether, uint256(0), uint256(0), 10 ether);
+            bundle.blockNumbers[i] = baseBlock + (i % 3);
+            bundle.timestamps[i] = (baseBlock + (i % 3)) * 12;
+        }
+    }
+}
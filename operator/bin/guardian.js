@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+/**
+ * guardian - Fair Launch Guardian operator CLI
+ *
+ * Single entry point for the operator scripts. Global flags override .env so
+ * the same command can be pointed at different deployments.
+ *
+ * Usage: guardian <command> [args] [--network name] [--trap 0x..] [--json]
+ */
+
+// Load .env first so flags applied below take precedence over it
+require('dotenv').config();
+
+const {
+  EXIT_CODES,
+  GLOBAL_FLAGS,
+  BOOLEAN_FLAGS,
+  CliError,
+  parseArgs,
+  applyGlobalFlags,
+  exitCodeFor,
+  writesToStdout,
+  printJson
+} = require('../utils/cli');
+const logger = require('../utils/logger');
+
+// Commands are required lazily so config modules read the overridden environment.
+// `flags` / `booleanFlags` list options only that command accepts; `manifest: false`
+// skips loading contract addresses from deployments/<network>.json.
+const COMMANDS = {
+  status: {
+    usage: 'status',
+    description: 'Show trap configuration and monitoring status',
+    run: () => require('../scripts/check-trap-status')()
+  },
+  collect: {
+    usage: 'collect [events [fromBlock] [toBlock]]',
+    description: 'Call collect()/shouldRespond(), or build the payload from Swap logs',
+    run: args => args[0] === 'events'
+      ? require('../scripts/collect-events')(args[1], args[2])
+      : require('../scripts/test-collect')()
+  },
+  monitor: {
+    usage: 'monitor [--from-block <n> | --from-launch]',
+    description: 'Watch swaps and collect() output block by block (--metrics-port serves Prometheus metrics)',
+    flags: ['from-block', 'metrics-port'],
+    booleanFlags: ['from-launch'],
+    run: (args, flags) => require('../scripts/monitor-launch')({
+      fromBlock: flags['from-block'],
+      fromLaunch: flags['from-launch'],
+      metricsPort: flags['metrics-port']
+    })
+  },
+  attack: {
+    usage: 'attack <scenario|file.yaml>',
+    description: 'Run a bot attack scenario (operator/scenarios/ or a JSON/YAML file) against the demo DEX (--timeout for the responder)',
+    flags: ['timeout'],
+    run: (args, flags) => require('../scripts/simulate-attack')(args[0], { timeout: flags.timeout })
+  },
+  suite: {
+    usage: 'suite [scenario|file.yaml ...]',
+    description: 'Run attack scenarios as an acceptance test; --report writes JSON, --junit JUnit XML (--timeout)',
+    flags: ['timeout', 'report', 'junit'],
+    run: (args, flags) => require('../scripts/attack-suite')(args, { timeout: flags.timeout, report: flags.report, junit: flags.junit })
+  },
+  sweep: {
+    usage: 'sweep [scenario|file.yaml ...]',
+    description: 'Return leftover ETH and tokens on scenario bot wallets to the deployer (--dry-run lists them)',
+    booleanFlags: ['dry-run'],
+    run: (args, flags) => require('../scripts/sweep-bots')(args, { dryRun: flags['dry-run'] })
+  },
+  demo: {
+    usage: 'demo [simple|step|full]',
+    description: 'Run an interactive demo (default: simple)',
+    run: args => runDemo(args[0] || 'simple')
+  },
+  responder: {
+    usage: 'responder [status] [address] | <action> [args]',
+    description: 'Show responder status, or run an owner action (--dry-run, --yes); see `responder help`',
+    booleanFlags: ['dry-run', 'yes'],
+    run: (args, flags) => runResponder(args, flags)
+  },
+  incidents: {
+    usage: 'incidents [--type <t>] [--address 0x..]',
+    description: 'List responder incidents joined with their events (--min-severity, --min-confidence, --format table|json|csv)',
+    flags: ['type', 'min-severity', 'min-confidence', 'address', 'from-block', 'format', 'output'],
+    run: (args, flags) => require('../scripts/incident-explorer')({
+      type: flags.type,
+      minSeverity: flags['min-severity'],
+      minConfidence: flags['min-confidence'],
+      address: flags.address,
+      fromBlock: flags['from-block'],
+      format: flags.format,
+      output: flags.output
+    })
+  },
+  'threat-intel': {
+    usage: 'threat-intel [pattern] | resolve <pattern>',
+    description: 'Report Advanced responder threat patterns (--unresolved, --type, --format), or resolve one (--dry-run, --yes)',
+    flags: ['type', 'from-block', 'format', 'output'],
+    booleanFlags: ['unresolved', 'dry-run', 'yes'],
+    run: (args, flags) => args[0] === 'resolve'
+      ? require('../scripts/threat-intel').resolvePattern(args[1], { dryRun: flags['dry-run'], yes: flags.yes })
+      : require('../scripts/threat-intel')({
+        pattern: args[0],
+        unresolved: flags.unresolved,
+        type: flags.type,
+        fromBlock: flags['from-block'],
+        format: flags.format,
+        output: flags.output
+      })
+  },
+  blacklist: {
+    usage: 'blacklist | blacklist diff <responderA> <responderB>',
+    description: 'Rebuild the live blacklist from events (--include-removed, --format), or diff two responders (--all)',
+    flags: ['from-block', 'format', 'output'],
+    booleanFlags: ['include-removed', 'all'],
+    run: (args, flags) => {
+      const options = { fromBlock: flags['from-block'], format: flags.format, output: flags.output };
+      return args[0] === 'diff'
+        ? require('../scripts/blacklist').blacklistDiff(args[1], args[2], { ...options, all: flags.all })
+        : require('../scripts/blacklist')({ ...options, includeRemoved: flags['include-removed'] });
+    }
+  },
+  deploy: {
+    usage: 'deploy [all|responder|trap]',
+    description: 'Deploy the responder (ADVANCED_RESPONDER) and STRATEGY trap from forge artifacts into deployments/<network>.json (--dry-run, --yes)',
+    booleanFlags: ['dry-run', 'yes'],
+    // Deploys from .env / flags; the existing manifest must not override them
+    manifest: false,
+    run: (args, flags) => require('../scripts/deploy')(args[0], { dryRun: flags['dry-run'], yes: flags.yes })
+  },
+  toml: {
+    usage: 'toml validate | toml generate',
+    description: 'Check drosera.toml against artifacts and the chain (--offline), or write the trap section from deployments/<network>.json (--write)',
+    flags: ['file', 'rpc', 'manifest'],
+    booleanFlags: ['offline', 'write'],
+    run: (args, flags) => {
+      if (args[0] === 'generate' && !flags.write && !flags.json) {
+        // The generated file goes to stdout
+        logger.configure({ stream: 'stderr' });
+      }
+      return require('../scripts/drosera-toml')(args[0], {
+        file: flags.file,
+        rpc: flags.rpc,
+        offline: flags.offline,
+        manifest: flags.manifest,
+        write: flags.write,
+        print: !flags.json
+      });
+    }
+  },
+  'launch-config': {
+    usage: 'launch-config [token] [pair] | launch-config verify [token] [pair]',
+    description: 'Render token, pair, TOKEN_IS_TOKEN0 and the first-Mint LAUNCH_BLOCK into FairLaunchConfig.sol and the traps (--write builds and verifies), or check the compiled traps',
+    flags: ['launch-block', 'from-block'],
+    booleanFlags: ['write', 'skip-build'],
+    run: (args, flags) => {
+      const options = {
+        launchBlock: flags['launch-block'],
+        fromBlock: flags['from-block'],
+        write: flags.write,
+        skipBuild: flags['skip-build']
+      };
+      return args[0] === 'verify'
+        ? require('../scripts/launch-config').verifyLaunchConfig(args[1], args[2], options)
+        : require('../scripts/launch-config')(args[0], args[1], options);
+    }
+  },
+  'rpc-check': {
+    usage: 'rpc-check [samples]',
+    description: 'Report latency, head skew and errors per RPC endpoint',
+    run: args => require('../scripts/rpc-check')(args[0])
+  },
+  'alert-test': {
+    usage: 'alert-test [type]',
+    description: 'Send a sample detection/blacklist/coordinated-attack/emergency-pause/reorg alert to the configured sinks',
+    run: args => require('../scripts/test-alerts')(args[0])
+  },
+  'alert-receiver': {
+    usage: 'alert-receiver [port]',
+    description: 'Run a local HTTP receiver that prints alert payloads',
+    run: args => require('../scripts/mock-alert-receiver')(args[0])
+  },
+  'abi-doctor': {
+    usage: 'abi-doctor',
+    description: 'Compare operator ABIs with compiled contracts',
+    run: () => require('../scripts/abi-doctor')()
+  }
+};
+
+const DEMOS = {
+  simple: () => require('../demo/simple-demo').runDemo(),
+  step: () => {
+    const { StepByStepDemo } = require('../demo/demo-step-by-step');
+    return new StepByStepDemo().run();
+  },
+  full: () => require('../demo/demo-full-launch').main()
+};
+
+function runDemo(name) {
+  const demo = DEMOS[name];
+  if (!demo) {
+    throw new CliError(`Unknown demo '${name}'. Available: ${Object.keys(DEMOS).join(', ')}`, EXIT_CODES.USAGE);
+  }
+  return demo();
+}
+
+function runResponder([subcommand, ...args], flags) {
+  // `responder`, `responder 0x..` and `responder status [0x..]` show status
+  if (!subcommand || subcommand === 'status' || subcommand.startsWith('0x')) {
+    return require('../scripts/check-responder')(subcommand === 'status' ? args[0] : subcommand);
+  }
+
+  const responderAdmin = require('../scripts/responder-admin');
+  if (subcommand === 'help') {
+    printResponderUsage(responderAdmin.ACTIONS);
+    return undefined;
+  }
+
+  return responderAdmin(subcommand, args, { dryRun: flags['dry-run'], yes: flags.yes });
+}
+
+function printResponderUsage(actions) {
+  const lines = ['Usage: guardian responder <action> [args] [--dry-run] [--yes]', '', 'Actions:'];
+
+  for (const [name, action] of Object.entries(actions)) {
+    const suffix = action.advanced ? ' (advanced responder)' : '';
+    lines.push(`  ${[name, ...action.args.map(([arg]) => `<${arg}>`)].join(' ')}`);
+    lines.push(`      ${action.description}${suffix}`);
+  }
+
+  lines.push('', 'Each action is dry-run with callStatic first and asks before broadcasting.');
+  console.log(lines.join('\n'));
+}
+
+function printUsage() {
+  const lines = [
+    'Usage: guardian <command> [args] [flags]',
+    '',
+    'Commands:'
+  ];
+
+  for (const command of Object.values(COMMANDS)) {
+    lines.push(`  ${command.usage.padEnd(44)} ${command.description}`);
+  }
+
+  lines.push('', 'Global flags (override .env):');
+  for (const [name, flag] of Object.entries(GLOBAL_FLAGS)) {
+    lines.push(`  --${name.padEnd(12)} ${flag.description} [${flag.env.join(', ')}]`);
+  }
+  lines.push(`  --${'json'.padEnd(12)} Print the command result as JSON on stdout`);
+  lines.push(`  --${'debug'.padEnd(12)} Show debug output and stack traces`);
+  lines.push(`  --${'help'.padEnd(12)} Show this help`);
+
+  lines.push('', 'Exit codes:');
+  for (const [name, code] of Object.entries(EXIT_CODES)) {
+    lines.push(`  ${code}  ${name}`);
+  }
+
+  console.log(lines.join('\n'));
+}
+
+async function main(argv) {
+  const commandBooleans = Object.values(COMMANDS).flatMap(command => command.booleanFlags || []);
+  const { positional, flags } = parseArgs(argv, [...BOOLEAN_FLAGS, ...commandBooleans]);
+  const [commandName, ...args] = positional;
+  const command = COMMANDS[commandName];
+
+  const knownFlags = [
+    ...Object.keys(GLOBAL_FLAGS),
+    ...BOOLEAN_FLAGS,
+    ...(command ? [...(command.flags || []), ...(command.booleanFlags || [])] : [])
+  ];
+  const unknownFlag = Object.keys(flags).find(name => !knownFlags.includes(name));
+  if (unknownFlag) {
+    throw new CliError(`Unknown flag --${unknownFlag}`, EXIT_CODES.USAGE);
+  }
+
+  if (flags.help || commandName === 'help') {
+    printUsage();
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (!command) {
+    printUsage();
+    throw new CliError(commandName ? `Unknown command '${commandName}'` : 'No command given', EXIT_CODES.USAGE);
+  }
+
+  applyGlobalFlags(flags);
+
+  // Keep stdout for the JSON result or exported report; human-readable output moves to stderr
+  if (flags.json || writesToStdout(flags.format, flags.output)) {
+    logger.configure({ stream: 'stderr' });
+  }
+
+  if (command.manifest !== false) {
+    require('../utils/deployments').applyManifest();
+  }
+
+  const result = await command.run(args, flags);
+
+  if (flags.json) {
+    printJson(result === undefined ? { ok: true } : result);
+  }
+
+  return process.exitCode || EXIT_CODES.SUCCESS;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(`✗ ${error.message}`);
+      if (process.env.DEBUG === 'true') {
+        console.error(error);
+      }
+      process.exit(exitCodeFor(error));
+    });
+}
+
+module.exports = { main, COMMANDS };
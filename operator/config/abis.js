@@ -1,26 +1,106 @@
 /**
  * Contract ABIs for Fair Launch Guardian
  * All ABIs needed for interacting with contracts
+ *
+ * Compiled forge artifacts (contracts/out/<Name>.sol/<Name>.json) take precedence
+ * when available; the handwritten ABIs below are fallbacks. Run `npm run abi-doctor`
+ * to list drift between the two.
  */
 
-// Fair Launch Guardian Trap ABI
-const trapAbi = [
-  // View functions
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const ARTIFACTS_DIR = path.join(__dirname, '..', '..', 'contracts', 'out');
+
+// FairLaunchGuardianTrapSimple ABI (v2 Simple strategy)
+const simpleTrapAbi = [
   'function collect() external view returns (bytes memory)',
-  'function getConfig() external view returns (tuple(address tokenAddress, address liquidityPool, uint256 launchBlock, uint256 monitoringDuration, uint256 maxWalletBasisPoints, uint256 maxGasPremiumBasisPoints, bool isActive))',
-  'function isMonitoringActive() external view returns (bool)',
-  'function walletAccumulation(address) external view returns (uint256)',
-  'function buyCountPerAddress(address) external view returns (uint256)',
-  
-  // State-changing functions
-  'function shouldRespond(bytes[] calldata data) external returns (bool, bytes memory)',
-  'function deactivate() external',
-  
-  // Events
-  'event SuspiciousActivityDetected(bytes32 indexed launchId, address indexed suspiciousAddress, uint8 detectionType, uint256 amount, uint256 blockNumber)',
-  'event AddressBlacklisted(bytes32 indexed launchId, address indexed blacklistedAddress, uint8 reason)',
-  'event TradingPaused(bytes32 indexed launchId, uint256 blockNumber, string reason)',
-  'event ResponseExecuted(bytes32 indexed launchId, uint8 action, address targetAddress)'
+  'function shouldRespond(bytes[] calldata data) external pure returns (bool, bytes memory)',
+  'function getConfig() external pure returns (address token, address pool)'
+];
+
+// FairLaunchGuardianTrapEventLog ABI (v2 EventLog strategy)
+const eventLogTrapAbi = [
+  'function collect() external view returns (bytes memory)',
+  'function shouldRespond(bytes[] calldata data) external pure returns (bool, bytes memory)',
+  'function getConfig() external view returns (address, address, bool)',
+  'function buildCollectPayloadFromEvents(uint256 blockNumber, uint256 timestamp, uint256 totalSupply, uint256 poolBalance, uint256 reserve0, uint256 reserve1, bytes32[][] topics, bytes[] dataArray, uint256[] logBlockNumbers, uint256[] logTimestamps) external pure returns (bytes memory)',
+  'function MAX_EVENTS_ANALYZED() external view returns (uint256)'
+];
+
+// FairLaunchGuardianTrapAdvanced ABI (v2 Advanced strategy)
+const advancedTrapAbi = [
+  'function collect() external view returns (bytes memory)',
+  'function shouldRespond(bytes[] calldata data) external pure returns (bool, bytes memory)',
+  'function getTokenAddress() external view returns (address)',
+  'function getLiquidityPool() external view returns (address)',
+  'function getLaunchBlock() external view returns (uint256)',
+  'function TOKEN_IS_TOKEN0() external view returns (bool)',
+  'function buildCollectPayloadFromEvents(uint256 blockNumber, uint256 timestamp, uint256 totalSupply, uint256 poolBalance, uint256 reserveToken, uint256 reserveETH, bytes32[][] topics, bytes[] dataArray, uint256[] logBlockNumbers, uint256[] logTimestamps, uint256[] gasPrices) external pure returns (bytes memory)',
+  'function MAX_SWAPS_PER_BLOCK() external view returns (uint256)'
+];
+
+// FairLaunchResponder ABI
+const responderAbi = [
+  'function owner() external view returns (address)',
+  'function droseraAddress() external view returns (address)',
+  'function guardedToken() external view returns (address)',
+  'function guardedPool() external view returns (address)',
+  'function isPaused() external view returns (bool)',
+  'function totalIncidents() external view returns (uint256)',
+  'function isBlacklisted(address account) external view returns (bool)',
+  'function getIncident(uint256 index) external view returns (tuple(address violatorAddress, uint256 accumulatedPercentBP, uint8 detectionType, uint256 blockNumber, uint256 severity))',
+  'function getPauseStatus() external view returns (bool paused, uint256 timestamp)',
+
+  'function handle(bytes calldata payload) external',
+  'function unpause() external',
+  'function removeFromBlacklist(address account) external',
+  'function updateDroseraAddress(address newDroseraAddress) external',
+  'function updateProtectedContracts(address newToken, address newPool) external',
+  'function transferOwnership(address newOwner) external',
+
+  'event LaunchGuardianIncident(address indexed violator, uint8 indexed detectionType, uint256 severity, uint256 blockNumber, uint256 accumulatedPercentBP, uint256 timestamp)',
+  'event EmergencyPauseTriggered(address indexed target, uint256 blockNumber, uint256 timestamp)',
+  'event AddressBlacklisted(address indexed violator, uint8 reason, uint256 timestamp)',
+  'event ResponderCalled(uint256 timestamp, bytes payload)'
+];
+
+// FairLaunchResponderAdvanced ABI
+const responderAdvancedAbi = [
+  'function owner() external view returns (address)',
+  'function droseraAddress() external view returns (address)',
+  'function guardedToken() external view returns (address)',
+  'function guardedPool() external view returns (address)',
+  'function isPaused() external view returns (bool)',
+  'function totalIncidents() external view returns (uint256)',
+  'function knownPatterns(uint256 index) external view returns (bytes32)',
+  'function lastResponseBlock() external view returns (uint256)',
+  'function minBlocksBetweenResponses() external view returns (uint256)',
+  'function isBlacklisted(address account) external view returns (bool)',
+  'function getBlacklistInfo(address account) external view returns (bool blacklistedStatus, uint256 timestamp, uint8 reason, uint256 confidence)',
+  'function getIncident(uint256 index) external view returns (tuple(address violatorAddress, address[] relatedAddresses, uint256 accumulatedPercentBP, uint8 detectionType, uint256 blockNumber, uint256 severity, uint256 confidence, bytes32 patternSignature))',
+  'function getThreatIntel(bytes32 patternSignature) external view returns (tuple(bytes32 patternSignature, uint256 firstSeen, uint256 lastSeen, uint256 occurrences, uint8 detectionType, bool resolved))',
+  'function getKnownPatternsCount() external view returns (uint256)',
+  'function getPauseStatus() external view returns (bool paused, uint256 timestamp, uint8 reason)',
+  'function getConfidenceThresholds() external view returns (uint256 pause, uint256 blacklist, uint256 alert)',
+
+  'function handle(bytes calldata payload) external',
+  'function setConfidenceThresholds(uint256 _pauseThreshold, uint256 _blacklistThreshold, uint256 _alertThreshold) external',
+  'function setMinBlocksBetweenResponses(uint256 _blocks) external',
+  'function unpause() external',
+  'function removeFromBlacklist(address account) external',
+  'function resolveThreatPattern(bytes32 patternSignature) external',
+  'function updateDroseraAddress(address newDroseraAddress) external',
+  'function updateProtectedContracts(address newToken, address newPool) external',
+  'function transferOwnership(address newOwner) external',
+
+  'event LaunchGuardianIncident(address indexed violator, uint8 indexed detectionType, uint256 severity, uint256 confidence, uint256 blockNumber, bytes32 patternSignature, uint256 timestamp)',
+  'event CoordinatedAttackDetected(address indexed primaryViolator, address[] relatedAddresses, uint256 severity, uint256 timestamp)',
+  'event EmergencyPauseTriggered(address indexed target, uint8 reason, uint256 blockNumber, uint256 timestamp)',
+  'event AddressBlacklisted(address indexed violator, uint8 reason, uint256 confidence, uint256 timestamp)',
+  'event ThreatIntelUpdated(bytes32 indexed patternSignature, uint8 detectionType, uint256 occurrences)',
+  'event ResponderCalled(uint256 timestamp, uint256 severity, uint256 confidence, bytes payload)'
 ];
 
 // ERC20 Token ABI (standard functions)
@@ -34,6 +114,8 @@ const tokenAbi = [
   'function allowance(address owner, address spender) external view returns (uint256)',
   'function approve(address spender, uint256 amount) external returns (bool)',
   'function transferFrom(address from, address to, uint256 amount) external returns (bool)',
+  'function mint(address to, uint256 amount) external',
+  'function burn(uint256 amount) external',
   
   'event Transfer(address indexed from, address indexed to, uint256 value)',
   'event Approval(address indexed owner, address indexed spender, uint256 value)'
@@ -41,12 +123,18 @@ const tokenAbi = [
 
 // Mock DEX ABI (for testing)
 const dexAbi = [
-  'function swap() external payable',
+  'function swap() external payable returns (uint256)',
   'function getReserve() external view returns (uint256)',
   'function getPrice() external pure returns (uint256)',
+  'function sell(uint256 tokenAmount) external returns (uint256)',
   'function addLiquidity(uint256 amount) external',
+  'function removeLiquidity(uint256 amount) external',
+  'function liquidityOf(address provider) external view returns (uint256)',
   
-  'event Swap(address indexed buyer, uint256 ethAmount, uint256 tokenAmount, uint256 gasPrice)'
+  'event Swap(address indexed buyer, uint256 ethAmount, uint256 tokenAmount, uint256 gasPrice, uint256 timestamp)',
+  'event Sell(address indexed seller, uint256 tokenAmount, uint256 ethAmount, uint256 gasPrice, uint256 timestamp)',
+  'event LiquidityAdded(address indexed provider, uint256 amount)',
+  'event LiquidityRemoved(address indexed provider, uint256 amount)'
 ];
 
 // Uniswap V2 Pair ABI (for production DEX monitoring)
@@ -81,11 +169,151 @@ const droseraCallbackAbi = [
   'event TrapResponseReceived(address indexed trapAddress, bytes responseData, uint256 timestamp)'
 ];
 
+// Handwritten fallback for each compiled contract
+const fallbackAbis = {
+  FairLaunchGuardianTrapSimple: simpleTrapAbi,
+  FairLaunchGuardianTrapEventLog: eventLogTrapAbi,
+  FairLaunchGuardianTrapAdvanced: advancedTrapAbi,
+  FairLaunchResponder: responderAbi,
+  FairLaunchResponderAdvanced: responderAdvancedAbi,
+  DemoToken: tokenAbi,
+  DemoDEX: dexAbi
+};
+
+// Contracts whose source file name differs from the contract name
+const artifactSources = {
+  DemoDEX: 'DemoDex'
+};
+
+// Trap contract compiled for each STRATEGY value
+const strategyContracts = {
+  simple: 'FairLaunchGuardianTrapSimple',
+  eventlog: 'FairLaunchGuardianTrapEventLog',
+  advanced: 'FairLaunchGuardianTrapAdvanced'
+};
+
+const artifactCache = {};
+
+/**
+ * Get path of the forge artifact for a contract
+ */
+function getArtifactPath(contractName) {
+  const sourceName = artifactSources[contractName] || contractName;
+  return path.join(ARTIFACTS_DIR, `${sourceName}.sol`, `${contractName}.json`);
+}
+
+/**
+ * Load a compiled forge artifact, or null if it has not been built
+ */
+function loadArtifact(contractName) {
+  if (!(contractName in artifactCache)) {
+    const artifactPath = getArtifactPath(contractName);
+    artifactCache[contractName] = fs.existsSync(artifactPath)
+      ? JSON.parse(fs.readFileSync(artifactPath, 'utf8'))
+      : null;
+  }
+  return artifactCache[contractName];
+}
+
+/**
+ * Get ABI for a contract - compiled artifact when available, handwritten fallback otherwise
+ */
+function getContractAbi(contractName) {
+  const artifact = loadArtifact(contractName);
+  if (artifact) {
+    return artifact.abi;
+  }
+
+  const fallback = fallbackAbis[contractName];
+  if (!fallback) {
+    throw new Error(`No ABI for '${contractName}'. Run 'forge build' in contracts/`);
+  }
+  return fallback;
+}
+
+/**
+ * Get trap ABI for a STRATEGY value (simple/eventlog/advanced)
+ * 'auto' depends on the deployed code: resolve it with resolveTrapStrategy() first
+ */
+function getTrapAbi(strategy) {
+  if (!strategy || strategy.toLowerCase() === 'auto') {
+    throw new Error('STRATEGY is unset or auto; resolve it from the deployed trap with resolveTrapStrategy()');
+  }
+
+  const contractName = strategyContracts[strategy.toLowerCase()];
+  if (!contractName) {
+    throw new Error(`Unknown strategy '${strategy}'. Available: ${Object.keys(strategyContracts).join(', ')}`);
+  }
+  return getContractAbi(contractName);
+}
+
+/**
+ * Find which v2 trap is deployed at an address: the first strategy whose ABI
+ * selectors all appear in the runtime code (Advanced and EventLog only add
+ * functions to Simple's, so they are tried first)
+ * @returns {Promise<string|null>} STRATEGY value, or null when no trap ABI matches
+ */
+async function detectTrapStrategy(provider, address) {
+  const code = (await provider.getCode(address)).toLowerCase();
+  if (code === '0x') {
+    return null;
+  }
+
+  for (const strategy of ['advanced', 'eventlog', 'simple']) {
+    const iface = new ethers.utils.Interface(getContractAbi(strategyContracts[strategy]));
+    const selectors = Object.keys(iface.functions).map(signature => iface.getSighash(signature).slice(2));
+    if (selectors.every(selector => code.includes(selector))) {
+      return strategy;
+    }
+  }
+  return null;
+}
+
+/**
+ * STRATEGY to use for the trap at `address`: the one given, or the detected one when unset / 'auto'
+ */
+async function resolveTrapStrategy(provider, address, strategy = process.env.STRATEGY) {
+  const requested = (strategy || '').toLowerCase();
+  if (requested && requested !== 'auto') {
+    if (!strategyContracts[requested]) {
+      throw new Error(`Unknown strategy '${strategy}'. Available: ${Object.keys(strategyContracts).join(', ')}`);
+    }
+    return requested;
+  }
+
+  const detected = await detectTrapStrategy(provider, address);
+  if (!detected) {
+    throw new Error(`${address} is not a known v2 trap; set STRATEGY to ${Object.keys(strategyContracts).join(', ')}`);
+  }
+  return detected;
+}
+
+/**
+ * Get responder ABI (advanced when ADVANCED_RESPONDER=true)
+ */
+function getResponderAbi(isAdvanced = process.env.ADVANCED_RESPONDER === 'true') {
+  return getContractAbi(isAdvanced ? 'FairLaunchResponderAdvanced' : 'FairLaunchResponder');
+}
+
 module.exports = {
-  trapAbi,
+  simpleTrapAbi,
+  eventLogTrapAbi,
+  advancedTrapAbi,
+  responderAbi,
+  responderAdvancedAbi,
   tokenAbi,
   dexAbi,
   uniswapV2PairAbi,
   uniswapV2RouterAbi,
-  droseraCallbackAbi
+  droseraCallbackAbi,
+  fallbackAbis,
+  strategyContracts,
+  ARTIFACTS_DIR,
+  getArtifactPath,
+  loadArtifact,
+  getContractAbi,
+  getTrapAbi,
+  detectTrapStrategy,
+  resolveTrapStrategy,
+  getResponderAbi
 };
\ No newline at end of file
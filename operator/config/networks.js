@@ -11,6 +11,7 @@ const networks = {
     chainId: 1,
     rpcUrl: process.env.MAINNET_RPC || 'https://eth-mainnet.g.alchemy.com/v2/YOUR_KEY',
     blockTime: 12, // seconds
+    confirmations: 12, // Blocks behind head before the monitor treats a block as final
     gasLimit: 500000,
     explorer: 'https://etherscan.io',
     currency: {
@@ -26,6 +27,7 @@ const networks = {
     chainId: 11155111,
     rpcUrl: process.env.SEPOLIA_RPC || 'https://ethereum-sepolia.publicnode.com',
     blockTime: 12,
+    confirmations: 3,
     gasLimit: 500000,
     explorer: 'https://sepolia.etherscan.io',
     currency: {
@@ -38,9 +40,10 @@ const networks = {
   
   hoodi: {
     name: 'Ethereum Hoodi',
-    chainId: 17000,
+    chainId: 560048,
     rpcUrl: process.env.HOODI_RPC || 'https://0xrpc.io/hoodi',
     blockTime: 12,
+    confirmations: 3,
     gasLimit: 500000,
     explorer: 'https://hoodi.etherscan.io',
     currency: {
@@ -58,6 +61,7 @@ const networks = {
     chainId: 8453,
     rpcUrl: process.env.BASE_RPC || 'https://mainnet.base.org',
     blockTime: 2,
+    confirmations: 10,
     gasLimit: 300000,
     explorer: 'https://basescan.org',
     currency: {
@@ -73,6 +77,7 @@ const networks = {
     chainId: 84532,
     rpcUrl: process.env.BASE_SEPOLIA_RPC || 'https://sepolia.base.org',
     blockTime: 2,
+    confirmations: 10,
     gasLimit: 300000,
     explorer: 'https://sepolia.basescan.org',
     currency: {
@@ -90,6 +95,7 @@ const networks = {
     chainId: 42161,
     rpcUrl: process.env.ARBITRUM_RPC || 'https://arb1.arbitrum.io/rpc',
     blockTime: 0.25,
+    confirmations: 20,
     gasLimit: 300000,
     explorer: 'https://arbiscan.io',
     currency: {
@@ -105,6 +111,7 @@ const networks = {
     chainId: 421614,
     rpcUrl: process.env.ARBITRUM_SEPOLIA_RPC || 'https://sepolia-rollup.arbitrum.io/rpc',
     blockTime: 0.25,
+    confirmations: 20,
     gasLimit: 300000,
     explorer: 'https://sepolia.arbiscan.io',
     currency: {
@@ -122,6 +129,7 @@ const networks = {
     chainId: 137,
     rpcUrl: process.env.POLYGON_RPC || 'https://polygon-rpc.com',
     blockTime: 2,
+    confirmations: 64,
     gasLimit: 300000,
     explorer: 'https://polygonscan.com',
     currency: {
@@ -137,6 +145,7 @@ const networks = {
     chainId: 80001,
     rpcUrl: process.env.POLYGON_MUMBAI_RPC || 'https://rpc-mumbai.maticvigil.com',
     blockTime: 2,
+    confirmations: 32,
     gasLimit: 300000,
     explorer: 'https://mumbai.polygonscan.com',
     currency: {
@@ -154,6 +163,7 @@ const networks = {
     chainId: 56,
     rpcUrl: process.env.BSC_RPC || 'https://bsc-dataseed1.binance.org',
     blockTime: 3,
+    confirmations: 15,
     gasLimit: 300000,
     explorer: 'https://bscscan.com',
     currency: {
@@ -169,6 +179,7 @@ const networks = {
     chainId: 97,
     rpcUrl: process.env.BSC_TESTNET_RPC || 'https://data-seed-prebsc-1-s1.binance.org:8545',
     blockTime: 3,
+    confirmations: 15,
     gasLimit: 300000,
     explorer: 'https://testnet.bscscan.com',
     currency: {
@@ -177,6 +188,24 @@ const networks = {
       decimals: 18
     },
     faucet: 'https://testnet.binance.org/faucet-smart'
+  },
+  
+  // ==================== LOCAL ====================
+  
+  localhost: {
+    name: 'Local (anvil)',
+    chainId: 31337,
+    rpcUrl: process.env.LOCALHOST_RPC || 'http://127.0.0.1:8545',
+    blockTime: 1,
+    confirmations: 0, // Instant finality, blocks are mined on demand
+    gasLimit: 500000,
+    explorer: null,
+    currency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    faucet: null
   }
 };
 
@@ -191,6 +220,41 @@ function getNetwork(networkName) {
   return network;
 }
 
+/**
+ * Split a comma-separated list of URLs
+ */
+function parseUrlList(value) {
+  return (value || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+/**
+ * Get RPC URLs for a network, primary first
+ * RPC_URL (or the network's rpcUrl) is the primary; further URLs in it and the
+ * opt-in RPC_FALLBACK_URLS (both comma-separated) are read-only fallbacks
+ */
+function getRpcUrls(networkName) {
+  const primary = parseUrlList(process.env.RPC_URL);
+  const urls = primary.length > 0 ? primary : parseUrlList(getNetwork(networkName).rpcUrl);
+  return [...new Set([...urls, ...parseUrlList(process.env.RPC_FALLBACK_URLS)])];
+}
+
+/**
+ * Get the confirmation depth for a network
+ * MONITOR_CONFIRMATIONS overrides the per-network default
+ */
+function getConfirmations(networkName) {
+  if (process.env.MONITOR_CONFIRMATIONS !== undefined && process.env.MONITOR_CONFIRMATIONS !== '') {
+    const confirmations = parseInt(process.env.MONITOR_CONFIRMATIONS, 10);
+    if (Number.isNaN(confirmations) || confirmations < 0) {
+      throw new Error(`Invalid MONITOR_CONFIRMATIONS: ${process.env.MONITOR_CONFIRMATIONS}`);
+    }
+    return confirmations;
+  }
+
+  const network = getNetwork(networkName);
+  return network.confirmations || 0;
+}
+
 /**
  * Get network configuration by chain ID
  */
@@ -202,6 +266,19 @@ function getNetworkByChainId(chainId) {
   return network;
 }
 
+/**
+ * Get a block explorer link for a transaction, address or block
+ * @param {string} kind - 'tx', 'address' or 'block'
+ * @returns {string|null} null when the network has no explorer
+ */
+function getExplorerLink(networkName, kind, value) {
+  const network = getNetwork(networkName);
+  if (!network.explorer || value === undefined || value === null) {
+    return null;
+  }
+  return `${network.explorer}/${kind}/${value}`;
+}
+
 /**
  * Check if network is a testnet
  */
@@ -221,6 +298,9 @@ module.exports = {
   networks,
   getNetwork,
   getNetworkByChainId,
+  getRpcUrls,
+  getConfirmations,
+  getExplorerLink,
   isTestnet,
   getAvailableNetworks
 };
\ No newline at end of file
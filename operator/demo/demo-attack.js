@@ -3,279 +3,532 @@
 // ============================================
 
 /**
- * Run specific attack scenarios for testing
- * Usage: node operator/demo/demo-attack.js <scenario>
- * 
- * Scenarios:
+ * Run attack scenarios for testing
+ * Usage: node operator/demo/demo-attack.js <scenario|file.yaml|file.json>
+ *
+ * Scenarios are JSON/YAML files (format in utils/scenarios.js). Built-in ones
+ * live in operator/scenarios/:
  * - sniper: Buy 10% of supply at once
  * - rapid: Multiple quick buys
  * - coordinated: Multiple wallets attacking
  * - frontrun: High gas price attack
+ * - wash-trade: Buy/sell round trips from one wallet
+ * - sybil: Many small buys from wallets funded by one parent
+ * - liquidity-drain: The liquidity provider pulls 30% of the pool
+ * - supply-manipulation: Mint and burn 10% of the supply
+ *
+ * Sells, withdrawals and burns need the DemoDEX / DemoToken from contracts/src/demo.
+ * Expectations on the responder (paused, blacklisted, incidents) are polled
+ * after the attack for up to --timeout seconds.
  */
 
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
-const { getSigner, parseEther, formatEther, waitForTx } = require('../utils/web3-helper');
-const { dexAbi, tokenAbi, trapAbi } = require('../config/abis');
+const { applyManifest } = require('../utils/deployments');
+const { getSigner, formatEther, signTransactions, broadcastBurst } = require('../utils/web3-helper');
+const { dexAbi, tokenAbi, getResponderAbi, getTrapAbi, strategyContracts } = require('../config/abis');
+const { getDecoder } = require('../utils/collect-decoders');
+const { getSampleSize, replayTrap } = require('../utils/trap-replay');
+const { isAdvancedResponder, getIncidentTypeName } = require('../utils/responder-history');
+const {
+    ACTIONS,
+    listScenarios,
+    loadScenario,
+    buildRounds,
+    resolveAmount,
+    formatAction,
+    requiredMethods,
+    scaleGasPrice,
+    hasResponderExpectations,
+    checkResponderExpectations,
+    checkExpectations
+} = require('../utils/scenarios');
+const { TRANSFER_GAS, deriveScenarioWallets, planTopUps, sendTransfers } = require('../utils/bot-wallets');
+const { EXIT_CODES, CliError, exitCodeFor } = require('../utils/cli');
 require('dotenv').config();
 
-async function runAttack(scenario) {
-    logger.header(`Attack Scenario: ${scenario.toUpperCase()}`);
-    
+const SCENARIOS = listScenarios();
+
+const STEP_GAS_BUDGET = 200000; // Gas funded per action on top of the buy amounts
+const DEFAULT_RESPONDER_TIMEOUT = 120; // Seconds to wait for Drosera to respond
+const RESPONDER_POLL_MS = 2000;
+
+/**
+ * Validate a --timeout value in seconds
+ * @returns {number} Milliseconds
+ */
+function parseResponderTimeout(value = DEFAULT_RESPONDER_TIMEOUT) {
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        throw new CliError(`--timeout must be a number of seconds, got '${value}'`, EXIT_CODES.USAGE);
+    }
+    return seconds * 1000;
+}
+
+/**
+ * @param {string|Object} scenarioRef - Scenario name, file path or loaded scenario
+ * @param {Object} options
+ * @param {number|string} options.timeout - Seconds to wait for the responder expectations (default 120)
+ */
+async function runAttack(scenarioRef, { timeout } = {}) {
+    const scenario = typeof scenarioRef === 'string' ? loadScenario(scenarioRef) : scenarioRef;
+    const timeoutMs = parseResponderTimeout(timeout);
+    logger.header(`Attack Scenario: ${scenario.name.toUpperCase()}`);
+
     const DEX_ADDRESS = process.env.DEX_ADDRESS || process.env.LIQUIDITY_POOL;
     const TOKEN_ADDRESS = process.env.TOKEN_ADDRESS;
     const TRAP_ADDRESS = process.env.TRAP_ADDRESS;
-    
+
     if (!DEX_ADDRESS || !TOKEN_ADDRESS || !TRAP_ADDRESS) {
-        logger.error('Missing contract addresses in .env!');
-        process.exit(1);
+        throw new CliError('Missing contract addresses: set DEX_ADDRESS (or LIQUIDITY_POOL), TOKEN_ADDRESS and TRAP_ADDRESS', EXIT_CODES.CONFIG);
     }
-    
+
+    const network = process.env.NETWORK || 'hoodi';
     const signer = getSigner();
     const dex = new ethers.Contract(DEX_ADDRESS, dexAbi, signer);
     const token = new ethers.Contract(TOKEN_ADDRESS, tokenAbi, signer);
-    const trap = new ethers.Contract(TRAP_ADDRESS, trapAbi, signer);
-    
+    // v2 traps are stateless: the responder keeps the blacklist, so without one it is not checked
+    const RESPONDER_ADDRESS = process.env.RESPONDER_ADDRESS;
+    const watchResponder = hasResponderExpectations(scenario.expect);
+    if (watchResponder && !RESPONDER_ADDRESS) {
+        throw new CliError(`${scenario.name} has expectations on the responder; set RESPONDER_ADDRESS`, EXIT_CODES.CONFIG);
+    }
+
+    logger.info('Scenario:', scenario.file);
+    if (scenario.description) {
+        logger.info('Description:', scenario.description);
+    }
     logger.info('DEX:', DEX_ADDRESS);
     logger.info('Token:', TOKEN_ADDRESS);
     logger.info('Trap:', TRAP_ADDRESS);
+    if (RESPONDER_ADDRESS) {
+        logger.info('Responder:', RESPONDER_ADDRESS);
+    }
     logger.separator();
-    
-    switch (scenario) {
-        case 'sniper':
-            await sniperAttack(dex, token, trap, signer);
-            break;
-        case 'rapid':
-            await rapidAttack(dex, token, trap, signer);
-            break;
-        case 'coordinated':
-            await coordinatedAttack(dex, token, trap, signer);
-            break;
-        case 'frontrun':
-            await frontrunAttack(dex, token, trap, signer);
-            break;
-        default:
-            logger.error('Unknown scenario:', scenario);
-            logger.info('Available: sniper, rapid, coordinated, frontrun');
-            process.exit(1);
+
+    const provider = signer.provider;
+    const responderContract = RESPONDER_ADDRESS
+        ? new ethers.Contract(RESPONDER_ADDRESS, getResponderAbi(await isAdvancedResponder(provider, RESPONDER_ADDRESS)), signer)
+        : null;
+    await checkSupport(provider, scenario, { dex, token });
+
+    const gasPrice = await provider.getGasPrice();
+    const state = { reserve: await dex.getReserve(), price: await dex.getPrice(), supply: await token.totalSupply() };
+    const symbol = await token.symbol().catch(() => 'tokens');
+
+    logger.info('Pool reserve:', formatEther(state.reserve), symbol);
+    logger.info('Wallets:', scenario.wallets.length, `(${scenario.ordering}, ${scenario.blockSpacing} block(s) apart, ${scenario.funding} funding)`);
+    logger.table(scenario.wallets.map(wallet => ({
+        wallet: wallet.deployer ? `${wallet.index} (deployer)` : wallet.index,
+        actions: wallet.actions.map(({ type, amount }) => formatAction(type, amount)).join(', '),
+        'gas x': wallet.gasMultiplier
+    })));
+
+    // Derive and fund bot wallets; a deployer wallet acts with the operator's key
+    const derived = deriveScenarioWallets(scenario, provider);
+    const bots = scenario.wallets.map(wallet => wallet.deployer ? signer : derived.bots.find(bot => bot.index === wallet.index).wallet);
+    const parent = scenario.funding === 'parent' ? derived.parent : null;
+    logger.info('Bot wallets:', `m/44'/60'/${derived.account}'/0/0..${scenario.wallets.length - 1}`);
+    await fundBots(signer, scenario, bots, parent && parent.wallet, state, gasPrice, dex, token);
+
+    // Incidents recorded from here on belong to this run
+    const incidentsBefore = watchResponder ? (await responderContract.totalIncidents()).toNumber() : 0;
+
+    // Attack
+    logger.info(`Executing ${scenario.name} attack...`);
+    const fromBlock = await provider.getBlockNumber() + 1;
+    const { steps, blocked } = await executeRounds(scenario, bots, { dex, token }, state, gasPrice, network);
+    const toBlock = await provider.getBlockNumber();
+    logger.blank();
+
+    // Check which bots are blacklisted
+    const blacklisted = [];
+    if (responderContract) {
+        for (const bot of derived.bots) {
+            if (await responderContract.isBlacklisted(bot.wallet.address)) {
+                blacklisted.push(bot.index);
+            }
+        }
+    } else {
+        logger.info('RESPONDER_ADDRESS not set; skipping the blacklist check');
+    }
+
+    if (blacklisted.length > 0) {
+        logger.error(`🚨 ${blacklisted.length}/${derived.bots.length} BOTS BLACKLISTED! (wallet ${blacklisted.join(', ')})`);
+        logger.success('✓ Attack detected');
+    } else if (!blocked && responderContract) {
+        logger.warning('Bot not blacklisted yet');
     }
+
+    // Which blocks the trap would respond to, without waiting for Drosera
+    const strategy = (process.env.STRATEGY || '').toLowerCase();
+    const detections = await replayDetections(strategy, TRAP_ADDRESS, provider, fromBlock, toBlock);
+    const detected = blacklisted.length > 0 || blocked || (detections !== null && detections.length > 0);
+
+    let responder = null;
+    if (watchResponder) {
+        const targets = {
+            ...Object.fromEntries(scenario.wallets.map(wallet => [wallet.index, bots[wallet.index].address])),
+            pool: DEX_ADDRESS,
+            token: TOKEN_ADDRESS,
+            deployer: await signer.getAddress(),
+            ...(parent ? { parent: parent.wallet.address } : {})
+        };
+        responder = await awaitResponder(scenario.expect, strategy, timeoutMs,
+            () => readResponder(responderContract, strategy, incidentsBefore, targets, scenario.expect.blacklisted || []));
+    }
+
+    const expectations = checkExpectations(scenario.expect, { detected, blocked, strategy, detections, responder });
+    printExpectations(expectations);
+
+    return {
+        scenario: scenario.name,
+        file: scenario.file,
+        bots: scenario.wallets.map(wallet => ({
+            wallet: wallet.index,
+            address: bots[wallet.index].address,
+            path: wallet.deployer ? 'deployer' : derived.bots.find(bot => bot.index === wallet.index).path
+        })),
+        parent: parent && { address: parent.wallet.address, path: parent.path },
+        blacklisted,
+        blocked,
+        detected,
+        fromBlock,
+        toBlock,
+        steps,
+        detections: detections && detections.map(({ block, name, response }) => ({ block, name, ...response })),
+        responder: responder && {
+            paused: responder.paused,
+            incidents: responder.incidents,
+            incidentTypes: responder.incidentTypes,
+            blacklisted: responder.blacklisted
+        },
+        expectations,
+        passed: expectations.every(result => result.passed)
+    };
 }
 
-async function sniperAttack(dex, token, trap, signer) {
-    logger.info('🎯 SNIPER ATTACK: Buying 10% of supply');
-    logger.blank();
-    
-    const bot = ethers.Wallet.createRandom().connect(signer.provider);
-    const buyAmount = parseEther('10'); // 10 ETH = ~10% of 1M supply
-    
-    logger.info('Bot address:', bot.address);
-    logger.info('Buy amount:', formatEther(buyAmount), 'ETH');
-    logger.blank();
-    
-    // Fund bot
-    let tx = await signer.sendTransaction({
-        to: bot.address,
-        value: buyAmount.add(parseEther('0.01'))
-    });
-    await tx.wait();
-    logger.success('Bot funded ✓');
-    
-    // Attack
-    logger.info('Executing sniper attack...');
-    try {
-        const dexWithBot = dex.connect(bot);
-        tx = await dexWithBot.swap({ value: buyAmount });
-        await waitForTx(tx);
-        
-        // Check detection
-        await sleep(2000);
-        const isBlacklisted = await trap.isBlacklisted(bot.address);
-        
-        if (isBlacklisted) {
-            logger.error('🚨 BOT BLACKLISTED!');
-            logger.success('✓ Attack detected and blocked');
-        } else {
-            logger.warning('Bot not blacklisted yet');
+/**
+ * Fail before funding anything when the DEX / token lack a function the scenario calls
+ * (a DemoDEX deployed before sell() and removeLiquidity() existed, or a real token)
+ */
+async function checkSupport(provider, scenario, contracts) {
+    const required = requiredMethods(scenario);
+
+    for (const [name, methods] of Object.entries(required)) {
+        if (methods.length === 0) {
+            continue;
+        }
+        const contract = contracts[name];
+        const code = (await provider.getCode(contract.address)).toLowerCase();
+        const missing = methods.filter(method => !code.includes(contract.interface.getSighash(method).slice(2)));
+
+        if (missing.length > 0) {
+            throw new CliError(
+                `${name === 'dex' ? 'DEX' : 'Token'} ${contract.address} has no ${missing.join('(), ')}() - ` +
+                `redeploy the demo contracts to run ${scenario.name}`,
+                EXIT_CODES.CONFIG
+            );
         }
-        
-    } catch (error) {
-        logger.error('Attack blocked:', error.message.split('\n')[0]);
     }
 }
 
-async function rapidAttack(dex, token, trap, signer) {
-    logger.info('🎯 RAPID ATTACK: Multiple quick buys');
-    logger.blank();
-    
-    const bot = ethers.Wallet.createRandom().connect(signer.provider);
-    const buyAmount = parseEther('1'); // 1 ETH each
-    const numBuys = 5;
-    
-    logger.info('Bot address:', bot.address);
-    logger.info('Buys:', numBuys, 'x', formatEther(buyAmount), 'ETH');
-    logger.blank();
-    
-    // Fund bot
-    let tx = await signer.sendTransaction({
-        to: bot.address,
-        value: buyAmount.mul(numBuys).add(parseEther('0.1'))
+/**
+ * Top each bot up to its buys plus gas at its gas price, directly or through the parent wallet,
+ * in one batch; bots that sell approve the DEX up front so the attack rounds hold only the scenario's actions
+ */
+async function fundBots(signer, scenario, bots, parent, state, gasPrice, dex, token) {
+    logger.info('Funding bots...');
+
+    const funded = scenario.wallets.filter(wallet => !wallet.deployer).map(wallet => {
+        const sells = wallet.actions.some(({ type }) => type === 'sell');
+        const buys = wallet.actions
+            .filter(({ type }) => type === 'buy')
+            .reduce((sum, { type, amount }) => sum.add(resolveAmount(type, amount, state)), ethers.BigNumber.from(0));
+        const gas = scaleGasPrice(gasPrice, wallet.gasMultiplier).mul(STEP_GAS_BUDGET * (wallet.actions.length + (sells ? 1 : 0)));
+        return { wallet, address: bots[wallet.index].address, value: buys.add(gas), sells };
     });
-    await tx.wait();
-    
-    // Multiple rapid buys
-    const dexWithBot = dex.connect(bot);
-    
-    for (let i = 0; i < numBuys; i++) {
-        logger.info(`Buy ${i + 1}/${numBuys}...`);
-        try {
-            tx = await dexWithBot.swap({ value: buyAmount });
-            await tx.wait();
-            logger.success('  ✓ Success');
-        } catch (error) {
-            logger.error('  ✗ Blocked:', error.message.split('\n')[0]);
-            break;
-        }
-        
-        if (i < numBuys - 1) {
-            await sleep(1000); // 1 second between buys
+
+    const provider = signer.provider;
+    const topUps = await planTopUps(provider, funded);
+    let funder = signer;
+
+    if (parent) {
+        const total = topUps.reduce((sum, { value }) => sum.add(value), gasPrice.mul(TRANSFER_GAS * topUps.length));
+        await sendTransfers(signer, await planTopUps(provider, [{ address: parent.address, value: total }]), gasPrice);
+        logger.info('Parent wallet:', parent.address);
+        funder = parent;
+    }
+
+    await sendTransfers(funder, topUps, gasPrice);
+    logger.debug(`  Topped up ${topUps.length}/${funded.length} bot(s) with ${formatEther(topUps.reduce((sum, { value }) => sum.add(value), ethers.BigNumber.from(0)))} ETH`);
+
+    // Every bot approves from its own account, so the approvals can all be in flight at once
+    await Promise.all(funded.filter(({ sells }) => sells).map(async ({ wallet }) => {
+        const bot = bots[wallet.index];
+        if ((await token.allowance(bot.address, dex.address)).lt(ethers.constants.MaxUint256.div(2))) {
+            await (await token.connect(bot).approve(dex.address, ethers.constants.MaxUint256, {
+                gasPrice: scaleGasPrice(gasPrice, wallet.gasMultiplier)
+            })).wait();
         }
+    }));
+    if (scenario.wallets.some(wallet => wallet.deployer && wallet.actions.some(({ type }) => type === 'sell'))) {
+        await (await token.approve(dex.address, ethers.constants.MaxUint256)).wait();
     }
-    
-    const isBlacklisted = await trap.isBlacklisted(bot.address);
+
+    logger.success('All bots funded ✓');
     logger.blank();
-    if (isBlacklisted) {
-        logger.error('🚨 BOT BLACKLISTED!');
-        logger.success('✓ Rapid buying detected');
+}
+
+/**
+ * Unsigned transaction for one scenario action from a bot
+ * @returns {Promise<Object>} { value, request } - value is ETH for buys, tokens otherwise
+ */
+async function buildStep(step, bot, { dex, token }, state, gasPrice) {
+    const overrides = { gasPrice };
+    const balance = step.action === 'sell' ? await token.balanceOf(bot.address) : undefined;
+    const value = resolveAmount(step.action, step.amount, { ...state, balance });
+
+    switch (step.action) {
+        case 'buy':
+            return { value, request: await dex.connect(bot).populateTransaction.swap({ ...overrides, value }) };
+        case 'sell':
+            return { value, request: await dex.connect(bot).populateTransaction.sell(value, overrides) };
+        case 'withdraw':
+            return { value, request: await dex.connect(bot).populateTransaction.removeLiquidity(value, overrides) };
+        case 'mint':
+            return { value, request: await token.connect(bot).populateTransaction.mint(bot.address, value, overrides) };
+        default:
+            return { value, request: await token.connect(bot).populateTransaction.burn(value, overrides) };
     }
 }
 
-async function coordinatedAttack(dex, token, trap, signer) {
-    logger.info('🎯 COORDINATED ATTACK: 5 bots buying together');
-    logger.blank();
-    
-    const numBots = 5;
-    const buyAmount = parseEther('2'); // 2 ETH each = 10% total
-    
-    // Create bot wallets
-    const bots = [];
-    for (let i = 0; i < numBots; i++) {
-        bots.push(ethers.Wallet.createRandom().connect(signer.provider));
+/**
+ * Pre-sign a round's actions and broadcast them in one burst, so they can share a block;
+ * a local node stops automining meanwhile so the whole round is mined as one block
+ * @returns {Promise<Object[]>} { wallet, step, action, unit, gasPrice, amount, tx | error } per action
+ */
+async function sendRound(round, bots, contracts, state, gasPrice, network) {
+    const results = round.map(step => ({
+        wallet: step.wallet,
+        step: step.step,
+        action: step.action,
+        unit: ACTIONS[step.action].unit,
+        gasPrice: scaleGasPrice(gasPrice, step.gasMultiplier)
+    }));
+
+    const built = await Promise.all(round.map((step, index) =>
+        buildStep(step, bots[step.wallet], contracts, state, results[index].gasPrice).catch(error => ({ error }))
+    ));
+    const signed = await signTransactions(built.map(({ request }, index) => request ? { signer: bots[round[index].wallet], request } : null).filter(Boolean));
+
+    const pending = [];
+    let next = 0;
+    for (const [index, result] of results.entries()) {
+        const entry = built[index].error ? built[index] : signed[next++];
+        if (entry.error) {
+            result.error = errorMessage(entry.error);
+            continue;
+        }
+        result.amount = formatEther(built[index].value);
+        pending.push({ result, signed: entry.signed });
     }
-    
-    logger.info('Created', numBots, 'bot wallets');
-    logger.info('Each buying:', formatEther(buyAmount), 'ETH');
-    logger.blank();
-    
-    // Fund all bots
-    logger.info('Funding bots...');
-    for (let i = 0; i < bots.length; i++) {
-        const tx = await signer.sendTransaction({
-            to: bots[i].address,
-            value: buyAmount.add(parseEther('0.01'))
-        });
-        await tx.wait();
-        logger.debug(`  Bot ${i + 1} funded`);
+
+    const sameBlock = network === 'localhost' && pending.length > 1;
+    const sent = await broadcastBurst(contracts.dex.provider, pending.map(({ signed: raw }) => raw), { sameBlock });
+    for (const [index, { tx, error }] of sent.entries()) {
+        if (error) {
+            pending[index].result.error = errorMessage(error);
+        } else {
+            pending[index].result.tx = tx;
+        }
     }
-    logger.success('All bots funded ✓');
-    logger.blank();
-    
-    // Simultaneous attack
-    logger.info('Executing coordinated attack...');
-    const promises = bots.map(async (bot, i) => {
-        const dexWithBot = dex.connect(bot);
-        try {
-            const tx = await dexWithBot.swap({ value: buyAmount });
-            logger.debug(`  Bot ${i + 1} transaction sent`);
-            return tx;
-        } catch (error) {
-            logger.error(`  Bot ${i + 1} failed`);
-            return null;
+
+    return results;
+}
+
+/**
+ * Send the scenario's rounds; stops after a round in which an action was rejected
+ * @returns {Promise<Object>} { steps: [{ wallet, step, action, amount, unit, gasPrice, block, transactionHash, error }], blocked }
+ */
+async function executeRounds(scenario, bots, contracts, state, gasPrice, network) {
+    const rounds = buildRounds(scenario);
+    const steps = [];
+    let blocked = false;
+
+    for (let i = 0; i < rounds.length && !blocked; i++) {
+        if (i > 0) {
+            await waitBlocks(contracts.dex.provider, network, scenario.blockSpacing);
+        }
+
+        // Send the whole round before waiting so parallel actions can share a block
+        const sent = await sendRound(rounds[i], bots, contracts, state, gasPrice, network);
+
+        for (const [index, result] of sent.entries()) {
+            if (result.tx) {
+                try {
+                    const receipt = await result.tx.wait();
+                    result.block = receipt.blockNumber;
+                    result.transactionHash = receipt.transactionHash;
+                } catch (error) {
+                    result.error = errorMessage(error);
+                }
+                delete result.tx;
+            }
+
+            const who = rounds[i][index].deployer ? `Deployer (wallet ${result.wallet})` : `Bot ${result.wallet}`;
+            const label = `${who} ${result.action} ${result.step + 1}: ${result.amount || '?'} ${result.unit}`;
+            if (result.error) {
+                logger.error(`  ✗ ${label} blocked:`, result.error);
+                blocked = true;
+            } else {
+                logger.success(`  ✓ ${label} (block ${result.block})`);
+            }
+            steps.push(result);
         }
-    });
-    
-    const txs = await Promise.all(promises);
-    logger.info('Waiting for confirmations...');
-    
-    for (let tx of txs) {
-        if (tx) await tx.wait();
     }
-    
-    logger.success('All transactions processed ✓');
-    logger.blank();
-    
-    // Check how many are blacklisted
-    let blacklistedCount = 0;
-    for (let bot of bots) {
-        if (await trap.isBlacklisted(bot.address)) {
-            blacklistedCount++;
+
+    return { steps, blocked };
+}
+
+/**
+ * Let `count` blocks pass; a local node mines them on demand
+ */
+async function waitBlocks(provider, network, count) {
+    if (count === 0) {
+        return;
+    }
+    if (network === 'localhost') {
+        for (let i = 0; i < count; i++) {
+            await provider.send('evm_mine', []);
         }
+        return;
     }
-    
-    if (blacklistedCount > 0) {
-        logger.error(`🚨 ${blacklistedCount}/${numBots} BOTS BLACKLISTED!`);
-        logger.success('✓ Coordinated attack detected');
+
+    const target = await provider.getBlockNumber() + count;
+    while (await provider.getBlockNumber() < target) {
+        await sleep(1000);
     }
 }
 
-async function frontrunAttack(dex, token, trap, signer) {
-    logger.info('🎯 FRONTRUN ATTACK: Using 5x gas price');
-    logger.blank();
-    
-    const bot = ethers.Wallet.createRandom().connect(signer.provider);
-    const buyAmount = parseEther('5'); // 5 ETH
-    
-    logger.info('Bot address:', bot.address);
-    logger.info('Buy amount:', formatEther(buyAmount), 'ETH');
-    logger.blank();
-    
-    // Fund bot
-    let tx = await signer.sendTransaction({
-        to: bot.address,
-        value: buyAmount.add(parseEther('0.1'))
-    });
-    await tx.wait();
-    
-    // Get normal gas price
-    const normalGas = await signer.provider.getGasPrice();
-    const highGas = normalGas.mul(5); // 5x normal
-    
-    logger.info('Normal gas:', ethers.utils.formatUnits(normalGas, 'gwei'), 'gwei');
-    logger.warning('Using gas:', ethers.utils.formatUnits(highGas, 'gwei'), 'gwei (5x!)');
-    logger.blank();
-    
-    // Attack with high gas
-    logger.info('Executing frontrun attack...');
-    try {
-        const dexWithBot = dex.connect(bot);
-        tx = await dexWithBot.swap({ value: buyAmount, gasPrice: highGas });
-        await waitForTx(tx);
-        
-        await sleep(2000);
-        const isBlacklisted = await trap.isBlacklisted(bot.address);
-        
-        if (isBlacklisted) {
-            logger.error('🚨 BOT BLACKLISTED!');
-            logger.success('✓ High gas detected');
+/**
+ * Replay the v2 trap over the attack blocks
+ * @returns {Promise<Object[]|null>} null when STRATEGY does not name a v2 trap
+ */
+async function replayDetections(strategy, trapAddress, provider, fromBlock, toBlock) {
+    if (!strategyContracts[strategy]) {
+        logger.debug('STRATEGY is not a v2 trap; skipping shouldRespond() replay');
+        return null;
+    }
+
+    const trap = new ethers.Contract(trapAddress, getTrapAbi(strategy), provider);
+    const detections = await replayTrap(trap, getDecoder(strategy), fromBlock, toBlock, { sampleSize: getSampleSize(strategy) });
+
+    if (detections.length > 0) {
+        logger.warning(`${strategy} trap would respond:`);
+        logger.table(detections.map(({ block, name, response }) => ({
+            block,
+            detection: name,
+            severity: response.severity.toString(),
+            'drain/change BP': response.accumulatedPercentBP.toString()
+        })));
+    } else {
+        logger.info(`${strategy} trap would not respond to blocks ${fromBlock}-${toBlock}`);
+    }
+    return detections;
+}
+
+/**
+ * Responder state for the scenario's expectations
+ * @param {number} incidentsBefore - totalIncidents() when the run started
+ * @param {Object} targets - { label: address } of the scenario's wallets, pool, token, deployer and parent
+ * @param {Array} expected - expect.blacklisted; addresses listed there are checked too
+ * @returns {Promise<Object>} { paused, incidents, incidentTypes, blacklisted: [address], targets }
+ */
+async function readResponder(responder, strategy, incidentsBefore, targets, expected) {
+    const total = (await responder.totalIncidents()).toNumber();
+    const incidents = await Promise.all(
+        Array.from({ length: Math.max(total - incidentsBefore, 0) }, (unused, offset) => responder.getIncident(incidentsBefore + offset))
+    );
+
+    const candidates = [...new Set([...Object.values(targets), ...expected.filter(target => String(target).startsWith('0x'))])];
+    const listed = await Promise.all(candidates.map(address => responder.isBlacklisted(address)));
+
+    return {
+        paused: await responder.isPaused(),
+        incidents: incidents.length,
+        incidentTypes: incidents.map(incident => getIncidentTypeName(incident.detectionType, strategy)),
+        blacklisted: candidates.filter((address, index) => listed[index]),
+        targets
+    };
+}
+
+/**
+ * Poll the responder until its expectations hold or timeoutMs passes
+ * (Drosera operators respond some blocks after the attack)
+ */
+async function awaitResponder(expect, strategy, timeoutMs, read) {
+    const deadline = Date.now() + timeoutMs;
+    const met = state => checkResponderExpectations(expect, state, strategy).every(result => result.passed);
+
+    let state = await read();
+    if (!met(state) && timeoutMs > 0) {
+        logger.info(`Waiting up to ${timeoutMs / 1000}s for the responder...`);
+        while (!met(state) && Date.now() < deadline) {
+            await sleep(Math.min(RESPONDER_POLL_MS, Math.max(deadline - Date.now(), 0)));
+            state = await read();
         }
-        
-    } catch (error) {
-        logger.error('Attack blocked:', error.message.split('\n')[0]);
+    }
+    return state;
+}
+
+function printExpectations(expectations) {
+    if (expectations.length === 0) {
+        return;
+    }
+
+    logger.separator();
+    logger.table(expectations.map(result => ({
+        check: result.check,
+        expected: formatExpectation(result.expected),
+        actual: formatExpectation(result.actual),
+        result: result.passed ? '✓' : '✗'
+    })));
+
+    const failed = expectations.filter(result => !result.passed).length;
+    if (failed > 0) {
+        logger.error(`${failed} expectation(s) not met`);
+    } else {
+        logger.success('All expectations met');
     }
 }
 
+function errorMessage(error) {
+    return error.reason || error.message.split('\n')[0];
+}
+
+function formatExpectation(value) {
+    return Array.isArray(value) ? value.join(', ') || 'none' : String(value);
+}
+
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 // Main
-const scenario = process.argv[2] || 'sniper';
+if (require.main === module) {
+    applyManifest();
+    const scenario = process.argv[2] || 'sniper';
 
-runAttack(scenario).then(() => {
-    logger.blank();
-    logger.success('Attack scenario complete!');
-    logger.info('Check trap status with: npm run check-status');
-    process.exit(0);
-}).catch(error => {
-    logger.error('Error:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+    runAttack(scenario).then(outcome => {
+        logger.blank();
+        logger.success('Attack scenario complete!');
+        logger.info('Check trap status with: npm run check-status');
+        process.exit(outcome.passed ? 0 : EXIT_CODES.ERROR);
+    }).catch(error => {
+        logger.error('Error:', error.message);
+        process.exit(exitCodeFor(error));
+    });
+}
+
+module.exports = { runAttack, parseResponderTimeout, DEFAULT_RESPONDER_TIMEOUT, SCENARIOS };
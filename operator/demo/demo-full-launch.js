@@ -6,13 +6,17 @@
  * Complete Fair Launch Guardian Demonstration
  * 
  * This script runs the entire demo from start to finish:
- * 1. Deploy token + DEX + trap
+ * 1. Deploy token + DEX + responder
  * 2. Add liquidity
  * 3. Normal user buys (allowed)
  * 4. Bot attacks (detected and blocked)
  * 5. Show results
  * 
  * Perfect for recording videos or live demonstrations
+ *
+ * v2 traps are stateless and run by Drosera operators (drosera apply), so the
+ * demo deploys the FairLaunchResponder the token checks before every buy.
+ * Blacklisting happens once the operators deliver the trap's response.
  */
 
 const { ethers } = require('ethers');
@@ -22,6 +26,7 @@ require('dotenv').config();
 
 const logger = require('../utils/logger');
 const { getSigner, formatEther, parseEther, waitForTx, formatAddress } = require('../utils/web3-helper');
+const { readIncidents, getIncidentTypeName } = require('../utils/responder-history');
 
 // Demo configuration
 const DEMO_CONFIG = {
@@ -30,12 +35,7 @@ const DEMO_CONFIG = {
     totalSupply: parseEther('1000000'), // 1 million tokens
     liquidityAmount: parseEther('500000'), // 500k tokens to pool
     normalBuyAmount: parseEther('0.5'), // 0.5 ETH (0.5% of supply)
-    botBuyAmount: parseEther('10'), // 10 ETH (10% of supply - should be blocked!)
-    
-    // Trap configuration
-    maxWalletPercent: 500, // 5%
-    maxGasPremium: 200, // 2x
-    monitoringBlocks: 50
+    botBuyAmount: parseEther('10') // 10 ETH (10% of supply - should be blocked!)
 };
 
 class DemoOrchestrator {
@@ -44,7 +44,7 @@ class DemoOrchestrator {
         this.addresses = {
             token: null,
             dex: null,
-            trap: null,
+            responder: null,
             deployer: null,
             normalUser: null,
             bot: null
@@ -130,31 +130,23 @@ class DemoOrchestrator {
         
         await this._pause('DEX deployed. Press Enter to continue...', 3000);
         
-        // Deploy Fair Launch Guardian Trap
-        logger.info('Deploying Fair Launch Guardian Trap...');
-        const TrapFactory = new ethers.ContractFactory(
-            this._getABI('FairLaunchGuardianTrap'),
-            this._getBytecode('FairLaunchGuardianTrap'),
+        // Deploy Fair Launch Responder (the trap itself is run by Drosera)
+        logger.info('Deploying Fair Launch Responder...');
+        const ResponderFactory = new ethers.ContractFactory(
+            this._getABI('FairLaunchResponder'),
+            this._getBytecode('FairLaunchResponder'),
             this.signer
         );
         
-        const launchBlock = await this.signer.provider.getBlockNumber();
-        const trap = await TrapFactory.deploy(
-            token.address,
-            dex.address,
-            launchBlock,
-            DEMO_CONFIG.monitoringBlocks,
-            DEMO_CONFIG.maxWalletPercent,
-            DEMO_CONFIG.maxGasPremium
-        );
-        await trap.deployed();
-        this.addresses.trap = trap.address;
-        this.contracts.trap = trap;
-        
-        logger.success('✓ Trap deployed:', trap.address);
-        logger.info('  Launch Block:', launchBlock);
-        logger.info('  Monitoring Duration:', DEMO_CONFIG.monitoringBlocks, 'blocks');
-        logger.info('  Max Wallet:', DEMO_CONFIG.maxWalletPercent / 100, '%');
+        const droseraAddress = process.env.DROSERA_ADDRESS || this.addresses.deployer;
+        const responder = await ResponderFactory.deploy(droseraAddress, token.address, dex.address);
+        await responder.deployed();
+        this.addresses.responder = responder.address;
+        this.contracts.responder = responder;
+        
+        logger.success('✓ Responder deployed:', responder.address);
+        logger.info('  Drosera:', droseraAddress);
+        logger.info('  Point the trap at it with drosera apply (response_contract)');
         logger.blank();
         
         await this._pause('All contracts deployed! Press Enter to continue...', 5000);
@@ -164,17 +156,17 @@ class DemoOrchestrator {
     }
     
     async step2_setupIntegration() {
-        logger.header('STEP 2: Integrate Trap with Token');
+        logger.header('STEP 2: Integrate Responder with Token');
         
-        logger.info('Integrating trap with token...');
+        logger.info('Integrating responder with token...');
         const tx = await this.contracts.token.integrateTrap(
-            this.addresses.trap,
+            this.addresses.responder,
             this.addresses.dex
         );
         await waitForTx(tx);
         
-        logger.success('✓ Trap integrated!');
-        logger.info('  Token now checks trap before transfers');
+        logger.success('✓ Responder integrated!');
+        logger.info('  Token now checks the responder before buys');
         logger.info('  Blacklisted addresses will be blocked');
         logger.blank();
         
@@ -282,9 +274,9 @@ class DemoOrchestrator {
             await waitForTx(tx);
             
             // Check if detected
-            await this._sleep(2000); // Wait for trap to process
+            await this._sleep(2000); // Wait for Drosera to respond
             
-            const isBlacklisted = await this.contracts.trap.isBlacklisted(botWallet.address);
+            const isBlacklisted = await this.contracts.responder.isBlacklisted(botWallet.address);
             
             if (isBlacklisted) {
                 logger.error('🚨 BOT DETECTED AND BLACKLISTED!');
@@ -310,18 +302,17 @@ class DemoOrchestrator {
     async step6_showResults() {
         logger.header('STEP 6: Demonstration Results');
         
-        // Get trap status
-        const config = await this.contracts.trap.getConfig();
-        const isActive = await this.contracts.trap.isMonitoringActive();
-        const history = await this.contracts.trap.getDetectionHistory();
+        // Get responder status
+        const isPaused = await this.contracts.responder.isPaused();
+        const total = await this.contracts.responder.totalIncidents();
+        const history = await readIncidents(this.contracts.responder, total.toNumber());
         
         logger.success('📊 Fair Launch Guardian Statistics:');
         logger.blank();
         
-        logger.info('Configuration:');
-        logger.info('  Max Wallet:', config.maxWalletBasisPoints.toNumber() / 100, '%');
-        logger.info('  Max Gas Premium:', config.maxGasPremiumBasisPoints.toNumber() / 100, 'x');
-        logger.info('  Monitoring Active:', isActive ? '✓ YES' : '✗ NO');
+        logger.info('Responder:');
+        logger.info('  Trading Paused:', isPaused ? '✗ YES' : '✓ NO');
+        logger.info('  Incidents:', total.toString());
         logger.blank();
         
         logger.info('Detection History:');
@@ -330,9 +321,9 @@ class DemoOrchestrator {
                 const detection = history[i];
                 logger.warning(`  Detection ${i + 1}:`);
                 logger.info('    Address:', formatAddress(detection.violatorAddress));
-                logger.info('    Type:', this._getDetectionTypeName(detection.detectionType));
+                logger.info('    Type:', getIncidentTypeName(detection.detectionType, 'simple'));
                 logger.info('    Severity:', detection.severity.toString());
-                logger.info('    Accumulated:', detection.accumulatedPercent.toNumber() / 100, '%');
+                logger.info('    Drain/Change:', detection.accumulatedPercentBP.toNumber() / 100, '%');
             }
         } else {
             logger.info('  No detections yet (check after next block)');
@@ -349,13 +340,13 @@ class DemoOrchestrator {
         logger.header('Demo Summary');
         
         console.log('📋 Deployed Contracts:');
-        console.log(`   Token:  ${this.addresses.token}`);
-        console.log(`   DEX:    ${this.addresses.dex}`);
-        console.log(`   Trap:   ${this.addresses.trap}`);
+        console.log(`   Token:     ${this.addresses.token}`);
+        console.log(`   DEX:       ${this.addresses.dex}`);
+        console.log(`   Responder: ${this.addresses.responder}`);
         console.log('');
         console.log('🔍 Verify on Block Explorer:');
         console.log(`   https://hoodi.etherscan.io/address/${this.addresses.token}`);
-        console.log(`   https://hoodi.etherscan.io/address/${this.addresses.trap}`);
+        console.log(`   https://hoodi.etherscan.io/address/${this.addresses.responder}`);
         console.log('');
         console.log('📹 For Your Video:');
         console.log('   1. Show contract deployment ✓');
@@ -380,11 +371,6 @@ class DemoOrchestrator {
         );
     }
     
-    _getDetectionTypeName(type) {
-        const types = ['EXCESSIVE_ACCUMULATION', 'FRONT_RUNNING_GAS', 'RAPID_BUYING', 'COORDINATED_ATTACK', 'LIQUIDITY_MANIPULATION'];
-        return types[type] || 'UNKNOWN';
-    }
-    
     async _pause(message, autoMs = 0) {
         if (process.env.AUTO_DEMO === 'true' && autoMs > 0) {
             logger.info(message.replace('Press Enter', 'Auto-continuing'));
@@ -449,4 +435,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { DemoOrchestrator };
\ No newline at end of file
+module.exports = { DemoOrchestrator, main };
\ No newline at end of file
@@ -12,8 +12,11 @@
 const { ethers } = require('ethers');
 const readline = require('readline');
 const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
 const { getSigner, formatEther, parseEther } = require('../utils/web3-helper');
-const { trapAbi, tokenAbi, dexAbi } = require('../config/abis');
+const { tokenAbi, dexAbi, getTrapAbi, resolveTrapStrategy, getResponderAbi } = require('../config/abis');
+const { readTrapConfig } = require('../utils/launch-config');
+const { isAdvancedResponder, readIncidents, getIncidentTypeName } = require('../utils/responder-history');
 require('dotenv').config();
 
 class StepByStepDemo {
@@ -37,8 +40,9 @@ class StepByStepDemo {
         this.addresses.token = process.env.TOKEN_ADDRESS;
         this.addresses.dex = process.env.DEX_ADDRESS || process.env.LIQUIDITY_POOL;
         this.addresses.trap = process.env.TRAP_ADDRESS;
+        this.addresses.responder = process.env.RESPONDER_ADDRESS;
         
-        if (!this.addresses.token || !this.addresses.dex || !this.addresses.trap) {
+        if (!this.addresses.token || !this.addresses.dex || !this.addresses.trap || !this.addresses.responder) {
             logger.error('Missing contract addresses in .env');
             logger.info('Deploy first with: forge script script/DeployDemo.s.sol --broadcast');
             process.exit(1);
@@ -58,12 +62,17 @@ class StepByStepDemo {
         logger.info('  Token:', this.addresses.token);
         logger.info('  DEX:', this.addresses.dex);
         logger.info('  Trap:', this.addresses.trap);
+        logger.info('  Responder:', this.addresses.responder);
         logger.separator();
         
         // Initialize contracts
         this.contracts.token = new ethers.Contract(this.addresses.token, tokenAbi, this.signer);
         this.contracts.dex = new ethers.Contract(this.addresses.dex, dexAbi, this.signer);
-        this.contracts.trap = new ethers.Contract(this.addresses.trap, trapAbi, this.signer);
+        // v2 traps are stateless: the responder keeps the blacklist and incidents
+        this.strategy = await resolveTrapStrategy(this.signer.provider, this.addresses.trap);
+        this.contracts.trap = new ethers.Contract(this.addresses.trap, getTrapAbi(this.strategy), this.signer);
+        const responderAbi = getResponderAbi(await isAdvancedResponder(this.signer.provider, this.addresses.responder));
+        this.contracts.responder = new ethers.Contract(this.addresses.responder, responderAbi, this.signer);
     }
     
     async showMenu() {
@@ -146,13 +155,18 @@ class StepByStepDemo {
             logger.blank();
             
             // Trap info
-            const config = await this.contracts.trap.getConfig();
-            const isActive = await this.contracts.trap.isMonitoringActive();
+            const config = await readTrapConfig(this.contracts.trap, this.strategy);
+            const isPaused = await this.contracts.responder.isPaused();
+            const incidents = await this.contracts.responder.totalIncidents();
             
-            logger.info('Trap:');
-            logger.info('  Monitoring Active:', isActive ? '✓ YES' : '✗ NO');
-            logger.info('  Max Wallet:', config.maxWalletBasisPoints.toNumber() / 100, '%');
-            logger.info('  Launch Block:', config.launchBlock.toString());
+            logger.info('Trap:', this.strategy);
+            logger.info('  Token:', config.token);
+            logger.info('  Pool:', config.pool);
+            logger.blank();
+            
+            logger.info('Responder:');
+            logger.info('  Paused:', isPaused ? '✗ YES' : '✓ NO');
+            logger.info('  Incidents:', incidents.toString());
             
         } catch (error) {
             logger.error('Error:', error.message);
@@ -192,7 +206,7 @@ class StepByStepDemo {
             logger.info('Tokens received:', formatEther(balance));
             
             // Check blacklist
-            const isBlacklisted = await this.contracts.trap.isBlacklisted(user.address);
+            const isBlacklisted = await this.contracts.responder.isBlacklisted(user.address);
             logger.info('Blacklisted:', isBlacklisted ? 'YES ❌' : 'NO ✓');
             
         } catch (error) {
@@ -239,7 +253,7 @@ class StepByStepDemo {
             await this.sleep(2000);
             
             // Check blacklist
-            const isBlacklisted = await this.contracts.trap.isBlacklisted(bot.address);
+            const isBlacklisted = await this.contracts.responder.isBlacklisted(bot.address);
             
             if (isBlacklisted) {
                 logger.error('🚨 BOT BLACKLISTED!');
@@ -296,7 +310,7 @@ class StepByStepDemo {
             }
             
             // Check result
-            const isBlacklisted = await this.contracts.trap.isBlacklisted(bot.address);
+            const isBlacklisted = await this.contracts.responder.isBlacklisted(bot.address);
             logger.blank();
             
             if (isBlacklisted) {
@@ -323,7 +337,7 @@ class StepByStepDemo {
         }
         
         try {
-            const isBlacklisted = await this.contracts.trap.isBlacklisted(checkAddress);
+            const isBlacklisted = await this.contracts.responder.isBlacklisted(checkAddress);
             
             logger.info('Address:', checkAddress);
             logger.info('Blacklisted:', isBlacklisted ? 'YES ❌' : 'NO ✓');
@@ -339,7 +353,8 @@ class StepByStepDemo {
         logger.header('Detection History');
         
         try {
-            const history = await this.contracts.trap.getDetectionHistory();
+            const total = await this.contracts.responder.totalIncidents();
+            const history = await readIncidents(this.contracts.responder, total.toNumber());
             
             if (history.length === 0) {
                 logger.info('No detections recorded yet');
@@ -348,9 +363,9 @@ class StepByStepDemo {
                     const det = history[i];
                     logger.warning(`Detection ${i + 1}:`);
                     logger.info('  Address:', det.violatorAddress);
-                    logger.info('  Type:', this.getDetectionType(det.detectionType));
+                    logger.info('  Type:', getIncidentTypeName(det.detectionType, this.strategy));
                     logger.info('  Severity:', det.severity.toString());
-                    logger.info('  Percentage:', det.accumulatedPercent.toNumber() / 100, '%');
+                    logger.info('  Drain/Change:', det.accumulatedPercentBP.toNumber() / 100, '%');
                     logger.blank();
                 }
             }
@@ -375,7 +390,7 @@ class StepByStepDemo {
         logger.blank();
         
         // Check if blacklisted
-        const isBlacklisted = await this.contracts.trap.isBlacklisted(this.lastBotAddress);
+        const isBlacklisted = await this.contracts.responder.isBlacklisted(this.lastBotAddress);
         
         if (!isBlacklisted) {
             logger.warning('Address is not blacklisted');
@@ -403,11 +418,6 @@ class StepByStepDemo {
         await this.pause();
     }
     
-    getDetectionType(type) {
-        const types = ['EXCESSIVE_ACCUMULATION', 'FRONT_RUNNING', 'RAPID_BUYING', 'COORDINATED', 'LIQUIDITY_MANIPULATION'];
-        return types[type] || 'UNKNOWN';
-    }
-    
     prompt(question) {
         return new Promise((resolve) => {
             this.rl.question(question, resolve);
@@ -424,8 +434,13 @@ class StepByStepDemo {
 }
 
 // Run
-const demo = new StepByStepDemo();
-demo.run().catch(error => {
-    logger.error('Demo error:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+if (require.main === module) {
+    applyManifest();
+    const demo = new StepByStepDemo();
+    demo.run().catch(error => {
+        logger.error('Demo error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { StepByStepDemo };
@@ -10,8 +10,11 @@
 
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
 const { getSigner, formatEther, parseEther, waitForTx } = require('../utils/web3-helper');
-const { trapAbi, tokenAbi, dexAbi } = require('../config/abis');
+const { tokenAbi, dexAbi, getTrapAbi, resolveTrapStrategy, getResponderAbi } = require('../config/abis');
+const { readTrapConfig } = require('../utils/launch-config');
+const { isAdvancedResponder, readIncidents, getIncidentTypeName } = require('../utils/responder-history');
 require('dotenv').config();
 
 async function runDemo() {
@@ -22,13 +25,15 @@ async function runDemo() {
         const TOKEN_ADDRESS = process.env.TOKEN_ADDRESS;
         const DEX_ADDRESS = process.env.DEX_ADDRESS || process.env.LIQUIDITY_POOL;
         const TRAP_ADDRESS = process.env.TRAP_ADDRESS;
+        const RESPONDER_ADDRESS = process.env.RESPONDER_ADDRESS;
         
-        if (!TOKEN_ADDRESS || !DEX_ADDRESS || !TRAP_ADDRESS) {
+        if (!TOKEN_ADDRESS || !DEX_ADDRESS || !TRAP_ADDRESS || !RESPONDER_ADDRESS) {
             logger.error('Missing contract addresses!');
             logger.info('Please set in .env:');
             logger.info('  TOKEN_ADDRESS=0x...');
             logger.info('  DEX_ADDRESS=0x...');
             logger.info('  TRAP_ADDRESS=0x...');
+            logger.info('  RESPONDER_ADDRESS=0x...');
             logger.info('');
             logger.info('Deploy first with:');
             logger.info('  cd contracts');
@@ -41,6 +46,7 @@ async function runDemo() {
         logger.info('Token:', TOKEN_ADDRESS);
         logger.info('DEX:', DEX_ADDRESS);
         logger.info('Trap:', TRAP_ADDRESS);
+        logger.info('Responder:', RESPONDER_ADDRESS);
         logger.separator();
         
         // Connect to contracts
@@ -48,23 +54,27 @@ async function runDemo() {
         const deployer = await signer.getAddress();
         logger.info('Deployer:', deployer);
         
+        // v2 traps are stateless: the responder keeps the blacklist and incidents
+        const strategy = await resolveTrapStrategy(signer.provider, TRAP_ADDRESS);
         const token = new ethers.Contract(TOKEN_ADDRESS, tokenAbi, signer);
         const dex = new ethers.Contract(DEX_ADDRESS, dexAbi, signer);
-        const trap = new ethers.Contract(TRAP_ADDRESS, trapAbi, signer);
+        const trap = new ethers.Contract(TRAP_ADDRESS, getTrapAbi(strategy), signer);
+        const responderAbi = getResponderAbi(await isAdvancedResponder(signer.provider, RESPONDER_ADDRESS));
+        const responder = new ethers.Contract(RESPONDER_ADDRESS, responderAbi, signer);
         
         logger.blank();
         
         // STEP 1: Check setup
-        await checkSetup(token, dex, trap);
+        await checkSetup(token, dex, trap, responder, strategy);
         
         // STEP 2: Normal user buy
-        await normalUserBuy(dex, token, trap, signer);
+        await normalUserBuy(dex, token, responder, signer);
         
         // STEP 3: Bot attack
-        await botAttack(dex, token, trap, signer);
+        await botAttack(dex, token, responder, signer);
         
         // STEP 4: Show results
-        await showResults(trap);
+        await showResults(trap, responder, strategy);
         
         logger.success('🎉 Demo complete!');
         
@@ -77,13 +87,14 @@ async function runDemo() {
     }
 }
 
-async function checkSetup(token, dex, trap) {
+async function checkSetup(token, dex, trap, responder, strategy) {
     logger.header('STEP 1: Verify Setup');
     
     const tokenName = await token.name();
     const totalSupply = await token.totalSupply();
     const reserve = await dex.getReserve();
-    const isActive = await trap.isMonitoringActive();
+    const config = await readTrapConfig(trap, strategy);
+    const isPaused = await responder.isPaused();
     
     logger.info('Token:', tokenName);
     logger.info('  Total Supply:', formatEther(totalSupply));
@@ -91,18 +102,22 @@ async function checkSetup(token, dex, trap) {
     logger.info('DEX:');
     logger.info('  Reserve:', formatEther(reserve), 'tokens');
     logger.info('');
-    logger.info('Trap:');
-    logger.info('  Monitoring Active:', isActive ? '✓ YES' : '✗ NO');
+    logger.info('Trap:', strategy);
+    logger.info('  Guards Token:', config.token.toLowerCase() === token.address.toLowerCase() ? '✓ YES' : '✗ NO');
+    logger.info('  Guards Pool:', config.pool.toLowerCase() === dex.address.toLowerCase() ? '✓ YES' : '✗ NO');
+    logger.info('');
+    logger.info('Responder:');
+    logger.info('  Paused:', isPaused ? '✗ YES' : '✓ NO');
     
-    if (!isActive) {
-        logger.warning('⚠️  Monitoring not active! Check configuration');
+    if (config.token.toLowerCase() !== token.address.toLowerCase() || config.pool.toLowerCase() !== dex.address.toLowerCase()) {
+        logger.warning('⚠️  Trap was compiled for another token / pool! Check configuration');
     }
     
     logger.blank();
     await pause('Setup verified. Press Enter to continue...');
 }
 
-async function normalUserBuy(dex, token, trap, signer) {
+async function normalUserBuy(dex, token, responder, signer) {
     logger.header('STEP 2: Normal User Buy');
     
     const buyAmount = parseEther('0.5'); // 0.5 ETH
@@ -139,7 +154,7 @@ async function normalUserBuy(dex, token, trap, signer) {
     logger.info('  Transaction:', receipt.transactionHash);
     
     // Check if blacklisted
-    const isBlacklisted = await trap.isBlacklisted(normalUser.address);
+    const isBlacklisted = await responder.isBlacklisted(normalUser.address);
     logger.info('  Blacklisted:', isBlacklisted ? '✗ YES' : '✓ NO');
     
     if (!isBlacklisted) {
@@ -150,7 +165,7 @@ async function normalUserBuy(dex, token, trap, signer) {
     await pause('Normal buy complete. Press Enter for bot attack...');
 }
 
-async function botAttack(dex, token, trap, signer) {
+async function botAttack(dex, token, responder, signer) {
     logger.header('STEP 3: Bot Attack');
     
     const botAmount = parseEther('10'); // 10 ETH = ~10% of supply
@@ -187,7 +202,7 @@ async function botAttack(dex, token, trap, signer) {
         await sleep(3000);
         
         // Check if blacklisted
-        const isBlacklisted = await trap.isBlacklisted(bot.address);
+        const isBlacklisted = await responder.isBlacklisted(bot.address);
         
         if (isBlacklisted) {
             logger.error('🚨 BOT DETECTED AND BLACKLISTED!');
@@ -214,7 +229,7 @@ async function botAttack(dex, token, trap, signer) {
             
         } else {
             logger.warning('⚠️  Bot not blacklisted yet');
-            logger.info('Trap may detect on next shouldRespond call');
+            logger.info('The responder acts once Drosera operators deliver the trap response');
         }
         
     } catch (error) {
@@ -230,27 +245,26 @@ async function botAttack(dex, token, trap, signer) {
     await pause('Bot attack handled! Press Enter for results...');
 }
 
-async function showResults(trap) {
+async function showResults(trap, responder, strategy) {
     logger.header('STEP 4: Results');
     
     try {
-        const config = await trap.getConfig();
-        const isActive = await trap.isMonitoringActive();
+        const config = await readTrapConfig(trap, strategy);
+        const isPaused = await responder.isPaused();
         
         logger.info('📊 Fair Launch Guardian Status:');
         logger.blank();
         
         logger.info('Configuration:');
-        logger.info('  Max Wallet:', config.maxWalletBasisPoints.toNumber() / 100, '%');
-        logger.info('  Max Gas Premium:', config.maxGasPremiumBasisPoints.toNumber() / 100, 'x');
-        logger.info('  Launch Block:', config.launchBlock.toString());
-        logger.info('  Monitoring Duration:', config.monitoringDuration.toString(), 'blocks');
-        logger.info('  Active:', isActive ? '✓ YES' : '✗ NO');
+        logger.info('  Strategy:', strategy);
+        logger.info('  Token:', config.token);
+        logger.info('  Pool:', config.pool);
+        logger.info('  Trading Paused:', isPaused ? '✗ YES' : '✓ NO');
         logger.blank();
         
-        // Try to get detection history
+        // Incidents recorded by the responder
         try {
-            const history = await trap.getDetectionHistory();
+            const history = await readIncidents(responder, (await responder.totalIncidents()).toNumber());
             
             logger.info('Detection History:');
             if (history.length > 0) {
@@ -258,9 +272,9 @@ async function showResults(trap) {
                     const detection = history[i];
                     logger.warning(`  Detection ${i + 1}:`);
                     logger.info('    Violator:', detection.violatorAddress);
-                    logger.info('    Type:', getDetectionTypeName(detection.detectionType));
+                    logger.info('    Type:', getIncidentTypeName(detection.detectionType, strategy));
                     logger.info('    Severity:', detection.severity.toString());
-                    logger.info('    Accumulated:', detection.accumulatedPercent.toNumber() / 100, '%');
+                    logger.info('    Drain/Change:', detection.accumulatedPercentBP.toNumber() / 100, '%');
                 }
             } else {
                 logger.info('  No detections recorded yet');
@@ -282,17 +296,6 @@ async function showResults(trap) {
     }
 }
 
-function getDetectionTypeName(type) {
-    const types = [
-        'EXCESSIVE_ACCUMULATION',
-        'FRONT_RUNNING_GAS',
-        'RAPID_BUYING_PATTERN',
-        'COORDINATED_ATTACK',
-        'LIQUIDITY_MANIPULATION'
-    ];
-    return types[type] || 'UNKNOWN';
-}
-
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -317,6 +320,7 @@ function pause(message) {
 }
 
 if (require.main === module) {
+    applyManifest();
     runDemo();
 }
 
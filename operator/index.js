@@ -0,0 +1,48 @@
+/**
+ * Fair Launch Guardian operator toolkit
+ *
+ * Programmatic access to the commands behind the `guardian` CLI and the
+ * shared helpers they are built on.
+ */
+
+module.exports = {
+  // Commands
+  checkTrapStatus: require('./scripts/check-trap-status'),
+  checkResponder: require('./scripts/check-responder'),
+  responderAdmin: require('./scripts/responder-admin'),
+  incidentExplorer: require('./scripts/incident-explorer'),
+  threatIntel: require('./scripts/threat-intel'),
+  blacklist: require('./scripts/blacklist'),
+  droseraToml: require('./scripts/drosera-toml'),
+  deploy: require('./scripts/deploy'),
+  launchConfig: require('./scripts/launch-config'),
+  testCollect: require('./scripts/test-collect'),
+  collectEvents: require('./scripts/collect-events'),
+  monitorLaunch: require('./scripts/monitor-launch'),
+  simulateAttack: require('./scripts/simulate-attack'),
+  attackSuite: require('./scripts/attack-suite'),
+  sweepBots: require('./scripts/sweep-bots'),
+  abiDoctor: require('./scripts/abi-doctor'),
+  rpcCheck: require('./scripts/rpc-check'),
+  testAlerts: require('./scripts/test-alerts'),
+  mockAlertReceiver: require('./scripts/mock-alert-receiver'),
+
+  // Helpers
+  abis: require('./config/abis'),
+  networks: require('./config/networks'),
+  cli: require('./utils/cli'),
+  decoders: require('./utils/collect-decoders'),
+  advancedDetector: require('./utils/advanced-detector'),
+  web3: require('./utils/web3-helper'),
+  rpc: require('./utils/rpc-provider'),
+  eventStore: require('./utils/event-store'),
+  alerts: require('./utils/alerts'),
+  metrics: require('./utils/metrics'),
+  report: require('./utils/report'),
+  responderHistory: require('./utils/responder-history'),
+  deployments: require('./utils/deployments'),
+  scenarios: require('./utils/scenarios'),
+  trapReplay: require('./utils/trap-replay'),
+  botWallets: require('./utils/bot-wallets'),
+  logger: require('./utils/logger')
+};
@@ -0,0 +1,251 @@
+/**
+ * ABI doctor - find drift between operator ABIs and compiled contracts
+ *
+ * Checks every handwritten ABI in config/abis.js and every contract call made by
+ * operator scripts against the forge artifacts in contracts/out.
+ *
+ * Usage: npm run abi-doctor
+ * Requires: forge build (in contracts/)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const abis = require('../config/abis');
+const { EXIT_CODES, exitCodeFor } = require('../utils/cli');
+require('dotenv').config();
+
+const OPERATOR_DIR = path.join(__dirname, '..');
+const SCANNED_DIRS = ['config', 'demo', 'scripts', 'utils'];
+
+// Trap contract(s) to check against - the STRATEGY one if set, otherwise all of them
+const strategy = (process.env.STRATEGY || '').toLowerCase();
+const TRAP_CONTRACTS = abis.strategyContracts[strategy]
+  ? [abis.strategyContracts[strategy]]
+  : Object.values(abis.strategyContracts);
+
+// Handwritten ABI -> compiled contract(s) it is used against
+const ABI_TARGETS = [
+  { abiName: 'simpleTrapAbi', contracts: ['FairLaunchGuardianTrapSimple'] },
+  { abiName: 'eventLogTrapAbi', contracts: ['FairLaunchGuardianTrapEventLog'] },
+  { abiName: 'advancedTrapAbi', contracts: ['FairLaunchGuardianTrapAdvanced'] },
+  { abiName: 'responderAbi', contracts: ['FairLaunchResponder'] },
+  { abiName: 'responderAdvancedAbi', contracts: ['FairLaunchResponderAdvanced'] },
+  { abiName: 'tokenAbi', contracts: ['DemoToken'] },
+  { abiName: 'dexAbi', contracts: ['DemoDEX'] }
+];
+
+// Contract variable names in scripts -> compiled contract(s) they point at
+const RECEIVER_TARGETS = [
+  { pattern: /^trap$/, contracts: TRAP_CONTRACTS },
+  { pattern: /^responder\w*$/, contracts: ['FairLaunchResponder', 'FairLaunchResponderAdvanced'] },
+  { pattern: /^token$/, contracts: ['DemoToken'] },
+  { pattern: /^dex\w*$/, contracts: ['DemoDEX'] }
+];
+
+// ethers.Contract members that are not contract functions
+const CONTRACT_BUILTINS = new Set([
+  'connect', 'attach', 'deployed', 'on', 'once', 'off', 'emit', 'listeners', 'listenerCount',
+  'removeAllListeners', 'removeListener', 'queryFilter', 'filters', 'estimateGas',
+  'callStatic', 'populateTransaction', 'functions', 'interface', 'address', 'provider', 'signer'
+]);
+
+const CALL_SITE_PATTERN = /\b(?:this\.contracts\.)?(\w+)\.(?:callStatic\.|estimateGas\.|populateTransaction\.)?(\w+)\s*\(/g;
+
+/**
+ * Canonical function signature including outputs, e.g. getConfig(): (address,address,bool)
+ */
+function describeFunction(fragment) {
+  const outputs = (fragment.outputs || []).map(output => output.format('sighash')).join(',');
+  return `${fragment.format('sighash')}: (${outputs})`;
+}
+
+/**
+ * Canonical event signature including indexed flags
+ */
+function describeEvent(fragment) {
+  const inputs = fragment.inputs.map(input => input.format('sighash') + (input.indexed ? ' indexed' : ''));
+  return `${fragment.name}(${inputs.join(',')})`;
+}
+
+/**
+ * Compare a handwritten ABI fragment with the compiled interface
+ * @returns {object|null} Issue description, or null if the fragment matches
+ */
+function checkFragment(fragment, compiled) {
+  const isEvent = fragment.type === 'event';
+  const candidates = Object.values(isEvent ? compiled.events : compiled.functions)
+    .filter(candidate => candidate.name === fragment.name);
+  const describe = isEvent ? describeEvent : describeFunction;
+
+  if (candidates.length === 0) {
+    return { issue: 'MISSING', expected: describe(fragment), actual: '-' };
+  }
+
+  const expected = describe(fragment);
+  if (candidates.some(candidate => describe(candidate) === expected)) {
+    return null;
+  }
+
+  return {
+    issue: 'SIGNATURE MISMATCH',
+    expected,
+    actual: candidates.map(describe).join(' | ')
+  };
+}
+
+/**
+ * Check handwritten ABIs against compiled artifacts
+ */
+function checkHandwrittenAbis(compiledInterfaces) {
+  const issues = [];
+
+  for (const target of ABI_TARGETS) {
+    const iface = new ethers.utils.Interface(abis[target.abiName]);
+    const fragments = [...Object.values(iface.functions), ...Object.values(iface.events)];
+
+    for (const contractName of target.contracts) {
+      const compiled = compiledInterfaces[contractName];
+      if (!compiled) continue;
+
+      for (const fragment of fragments) {
+        const result = checkFragment(fragment, compiled);
+        if (result) {
+          issues.push({ source: `abis.${target.abiName}`, contract: contractName, ...result });
+        }
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * List operator source files to scan for contract calls
+ */
+function listSourceFiles() {
+  const files = [];
+  for (const dir of SCANNED_DIRS) {
+    const fullDir = path.join(OPERATOR_DIR, dir);
+    if (!fs.existsSync(fullDir)) continue;
+
+    for (const entry of fs.readdirSync(fullDir)) {
+      if (entry.endsWith('.js')) {
+        files.push(path.join(fullDir, entry));
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Find contract calls in scripts that the compiled contracts do not have (e.g. isBlacklisted on v2 traps)
+ */
+function checkCallSites(compiledInterfaces) {
+  const issues = [];
+
+  for (const file of listSourceFiles()) {
+    const relativePath = path.relative(OPERATOR_DIR, file);
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      for (const match of line.matchAll(CALL_SITE_PATTERN)) {
+        const [, receiver, method] = match;
+        if (CONTRACT_BUILTINS.has(method)) continue;
+
+        const target = RECEIVER_TARGETS.find(t => t.pattern.test(receiver));
+        if (!target) continue;
+
+        const compiled = target.contracts.filter(name => compiledInterfaces[name]);
+        if (compiled.length === 0) continue;
+
+        const found = compiled.some(name =>
+          Object.values(compiledInterfaces[name].functions).some(fragment => fragment.name === method)
+        );
+
+        if (!found) {
+          issues.push({
+            source: `${relativePath}:${index + 1}`,
+            contract: compiled.join(' / '),
+            issue: 'MISSING',
+            expected: `${receiver}.${method}()`,
+            actual: '-'
+          });
+        }
+      }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Load interfaces for every compiled contract the operator knows about
+ */
+function loadCompiledInterfaces() {
+  const interfaces = {};
+  for (const contractName of Object.keys(abis.fallbackAbis)) {
+    const artifact = abis.loadArtifact(contractName);
+    if (artifact) {
+      interfaces[contractName] = new ethers.utils.Interface(artifact.abi);
+    }
+  }
+  return interfaces;
+}
+
+async function abiDoctor() {
+  try {
+    logger.header('ABI Doctor');
+
+    const compiledInterfaces = loadCompiledInterfaces();
+    const compiledNames = Object.keys(compiledInterfaces);
+    const missingArtifacts = Object.keys(abis.fallbackAbis).filter(name => !compiledInterfaces[name]);
+
+    logger.info('Artifacts:', abis.ARTIFACTS_DIR);
+
+    if (compiledNames.length === 0) {
+      logger.error('No compiled artifacts found');
+      logger.info('Build first with: cd contracts && forge build');
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    logger.info('Compiled:', compiledNames.join(', '));
+    if (missingArtifacts.length > 0) {
+      logger.warning('Not compiled (skipped):', missingArtifacts.join(', '));
+    }
+    logger.separator();
+
+    const issues = [
+      ...checkHandwrittenAbis(compiledInterfaces),
+      ...checkCallSites(compiledInterfaces)
+    ];
+
+    if (issues.length === 0) {
+      logger.success('No ABI drift found');
+      return issues;
+    }
+
+    logger.warning(`Found ${issues.length} ABI issue(s):`);
+    logger.table(issues);
+    process.exitCode = EXIT_CODES.ERROR;
+
+    return issues;
+
+  } catch (error) {
+    logger.error('Error running ABI doctor:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  abiDoctor();
+}
+
+module.exports = abiDoctor;
+module.exports.checkHandwrittenAbis = checkHandwrittenAbis;
+module.exports.checkCallSites = checkCallSites;
@@ -0,0 +1,160 @@
+/**
+ * Run attack scenarios as an acceptance test
+ *
+ * Each scenario runs through demo/demo-attack.js in turn and every expectation
+ * it declares becomes a test case: detections from replaying the trap, and the
+ * responder's pause state, blacklist and incidents, polled for up to --timeout
+ * seconds per scenario while Drosera responds. The pass/fail matrix is printed
+ * and can be written as JSON (--report) and JUnit XML (--junit) for CI.
+ *
+ * Scenarios run back to back on the same launch, so one that pauses trading
+ * makes the next one's buys fail: order them accordingly, or run the suite on
+ * a fresh local chain.
+ *
+ * Usage: node scripts/attack-suite.js [scenario|file.yaml ...] [--timeout <seconds>] [--report <file.json>] [--junit <file.xml>]
+ * Without scenarios every built-in one runs.
+ */
+
+const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
+const { runAttack, parseResponderTimeout } = require('../demo/demo-attack');
+const { listScenarios, loadScenario } = require('../utils/scenarios');
+const { toJSON, EXIT_CODES, parseArgs, exitCodeFor } = require('../utils/cli');
+const { toJUnit, writeFile } = require('../utils/report');
+require('dotenv').config();
+
+const SUITE_NAME = 'fair-launch-guardian attacks';
+
+/**
+ * @param {string[]} scenarioRefs - Scenario names or files (default: all built-in scenarios)
+ * @param {Object} options
+ * @param {number|string} options.timeout - Seconds to wait for each scenario's responder expectations
+ * @param {string} options.report - JSON report file
+ * @param {string} options.junit - JUnit XML file
+ * @returns {Promise<Object>} { network, strategy, trap, responder, startedAt, time, passed, totals, scenarios }
+ */
+async function attackSuite(scenarioRefs = [], { timeout, report, junit } = {}) {
+  try {
+    parseResponderTimeout(timeout);
+    // Validate every file before anything is funded
+    const scenarios = (scenarioRefs.length > 0 ? scenarioRefs : listScenarios()).map(ref => loadScenario(ref));
+
+    logger.header('Attack Suite');
+    logger.info('Scenarios:', scenarios.map(scenario => scenario.name).join(', '));
+    logger.separator();
+
+    const startedAt = new Date();
+    const results = [];
+
+    for (const scenario of scenarios) {
+      const started = Date.now();
+      const result = { scenario: scenario.name, file: scenario.file };
+
+      try {
+        const outcome = await runAttack(scenario, { timeout });
+        Object.assign(result, {
+          status: outcome.passed ? 'passed' : 'failed',
+          fromBlock: outcome.fromBlock,
+          toBlock: outcome.toBlock,
+          expectations: outcome.expectations
+        });
+      } catch (error) {
+        logger.error(`${scenario.name} failed to run:`, error.message);
+        Object.assign(result, { status: 'error', error: error.message, expectations: [] });
+      }
+
+      result.time = (Date.now() - started) / 1000;
+      result.checks = Object.fromEntries(result.expectations.map(({ check, passed }) => [check, passed ? 'pass' : 'fail']));
+      results.push(result);
+      logger.blank();
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    const suite = {
+      network: process.env.NETWORK || 'hoodi',
+      strategy: (process.env.STRATEGY || '').toLowerCase() || null,
+      trap: process.env.TRAP_ADDRESS || null,
+      responder: process.env.RESPONDER_ADDRESS || null,
+      startedAt: startedAt.toISOString(),
+      time: (Date.now() - startedAt.getTime()) / 1000,
+      passed: results.every(result => result.status === 'passed'),
+      totals: { scenarios: results.length, passed: count('passed'), failed: count('failed'), errors: count('error') },
+      scenarios: results
+    };
+
+    printMatrix(results);
+
+    if (report) {
+      writeFile(report, JSON.stringify(toJSON(suite), null, 2) + '\n');
+      logger.success(`Wrote JSON report to ${report}`);
+    }
+    if (junit) {
+      writeFile(junit, toJUnit(SUITE_NAME, results.map(junitSuite)));
+      logger.success(`Wrote JUnit report to ${junit}`);
+    }
+
+    const { totals } = suite;
+    if (suite.passed) {
+      logger.success(`All ${totals.scenarios} scenario(s) passed`);
+    } else {
+      logger.error(`${totals.failed} failed, ${totals.errors} error(s), ${totals.passed}/${totals.scenarios} passed`);
+      process.exitCode = EXIT_CODES.ERROR;
+    }
+
+    return suite;
+
+  } catch (error) {
+    logger.error('Attack suite failed:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+/**
+ * One row per scenario, one column per check (✓ / ✗, - when the scenario has no such check)
+ */
+function printMatrix(results) {
+  const checks = [...new Set(results.flatMap(result => Object.keys(result.checks)))];
+
+  logger.separator();
+  logger.table(results.map(result => ({
+    scenario: result.scenario,
+    ...Object.fromEntries(checks.map(check => [check, { pass: '✓', fail: '✗' }[result.checks[check]] || '-'])),
+    result: result.status
+  })));
+}
+
+/**
+ * A scenario as a JUnit test suite: a `run` case (an error when the scenario
+ * could not run), then one case per expectation
+ */
+function junitSuite(result) {
+  const classname = `attack.${result.scenario}`;
+  return {
+    name: result.scenario,
+    time: result.time,
+    cases: [
+      { name: 'run', classname, time: result.time, error: result.error },
+      ...result.expectations.map(({ check, expected, actual, passed }) => ({
+        name: check,
+        classname,
+        failure: passed ? null : `expected ${formatValue(expected)}, got ${formatValue(actual)}`
+      }))
+    ]
+  };
+}
+
+function formatValue(value) {
+  return Array.isArray(value) ? `[${value.join(', ')}]` : String(value);
+}
+
+// Run if called directly
+if (require.main === module) {
+  applyManifest();
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  attackSuite(positional, { timeout: flags.timeout, report: flags.report, junit: flags.junit });
+}
+
+module.exports = attackSuite;
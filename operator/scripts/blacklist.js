@@ -0,0 +1,286 @@
+/**
+ * Rebuild a responder's live blacklist
+ *
+ * The responders have no way to enumerate blacklisted addresses and
+ * removeFromBlacklist() emits no event. Candidates therefore come from
+ * AddressBlacklisted events, and every candidate is checked with
+ * isBlacklisted() (and getBlacklistInfo() on the Advanced responder): an
+ * address that was blacklisted but no longer is has been removed by the owner.
+ *
+ * `diff` compares the blacklists of two responders, e.g. simple vs advanced
+ * or an old vs a new deployment.
+ *
+ * Usage: npm run blacklist -- [--include-removed] [--from-block n] [--format table|json|csv] [--output file]
+ *        npm run blacklist -- diff <responderA> <responderB> [--all]
+ */
+
+const { ethers } = require('ethers');
+const { getProvider } = require('../utils/web3-helper');
+const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
+const { getResponderAbi } = require('../config/abis');
+const {
+  resolveHistoryStart,
+  isAdvancedResponder,
+  scanResponderEvents,
+  getDetectionTypeName
+} = require('../utils/responder-history');
+const { getReportFormat, writeReport } = require('../utils/report');
+const { EXIT_CODES, BOOLEAN_FLAGS, CliError, parseArgs, exitCodeFor, writesToStdout } = require('../utils/cli');
+require('dotenv').config();
+
+const CSV_COLUMNS = [
+  'address',
+  'status',
+  'reason',
+  'reasonName',
+  'confidence',
+  'blacklistedAt',
+  'blockNumber',
+  'transactionHash',
+  'timesBlacklisted',
+  'verified'
+];
+
+const DIFF_CSV_COLUMNS = [
+  'address',
+  'status',
+  'reasonA',
+  'reasonB',
+  'confidenceA',
+  'confidenceB',
+  'blacklistedAtA',
+  'blacklistedAtB'
+];
+
+/**
+ * Rebuild the blacklist of one responder
+ * @returns {Promise<Object>} { address, advanced, fromBlock, toBlock, entries }
+ */
+async function readBlacklist(provider, responderAddress, { fromBlock, toBlock } = {}) {
+  const advanced = await isAdvancedResponder(provider, responderAddress);
+  const responder = new ethers.Contract(responderAddress, getResponderAbi(advanced), provider);
+
+  const end = toBlock !== undefined ? toBlock : await provider.getBlockNumber();
+  const start = await resolveHistoryStart(provider, responderAddress, fromBlock);
+  const { AddressBlacklisted: events } = await scanResponderEvents(responder, ['AddressBlacklisted'], start, end);
+
+  // Latest AddressBlacklisted event per address
+  const candidates = new Map();
+  for (const event of events) {
+    const key = event.args.violator.toLowerCase();
+    const previous = candidates.get(key);
+    candidates.set(key, { event, times: previous ? previous.times + 1 : 1 });
+  }
+
+  const entries = [];
+  for (const { event, times } of candidates.values()) {
+    const address = event.args.violator;
+    const eventTime = event.args.timestamp.toNumber();
+    let blacklisted;
+    let verified;
+
+    if (advanced) {
+      const info = await responder.getBlacklistInfo(address);
+      blacklisted = info.blacklistedStatus;
+      // A live entry must still carry the metadata of its latest event
+      verified = !blacklisted || (
+        info.timestamp.toNumber() === eventTime &&
+        info.reason === event.args.reason &&
+        info.confidence.eq(event.args.confidence)
+      );
+    } else {
+      blacklisted = await responder.isBlacklisted(address);
+      verified = true;
+    }
+
+    entries.push({
+      address,
+      status: blacklisted ? 'active' : 'removed',
+      reason: event.args.reason,
+      reasonName: getDetectionTypeName(event.args.reason),
+      confidence: advanced ? event.args.confidence.toNumber() : null,
+      blacklistedAt: new Date(eventTime * 1000).toISOString(),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      timesBlacklisted: times,
+      verified
+    });
+  }
+
+  return { address: responderAddress, advanced, fromBlock: start, toBlock: end, entries };
+}
+
+/**
+ * Compare the active entries of two blacklists
+ * @param {boolean} all - Also list addresses blacklisted on both
+ */
+function diffBlacklists(a, b, all = false) {
+  const active = list => new Map(list.entries.filter(entry => entry.status === 'active').map(entry => [entry.address.toLowerCase(), entry]));
+  const entriesA = active(a);
+  const entriesB = active(b);
+  const addresses = [...new Set([...entriesA.keys(), ...entriesB.keys()])];
+
+  return addresses
+    .map(key => {
+      const entryA = entriesA.get(key);
+      const entryB = entriesB.get(key);
+      return {
+        address: (entryA || entryB).address,
+        status: entryA && entryB ? 'both' : (entryA ? 'only-a' : 'only-b'),
+        reasonA: entryA ? entryA.reasonName : null,
+        reasonB: entryB ? entryB.reasonName : null,
+        confidenceA: entryA ? entryA.confidence : null,
+        confidenceB: entryB ? entryB.confidence : null,
+        blacklistedAtA: entryA ? entryA.blacklistedAt : null,
+        blacklistedAtB: entryB ? entryB.blacklistedAt : null
+      };
+    })
+    .filter(row => all || row.status !== 'both');
+}
+
+function responderLabel(list) {
+  return `${list.address} (${list.advanced ? 'FairLaunchResponderAdvanced' : 'FairLaunchResponder'})`;
+}
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.includeRemoved - Also list addresses the owner removed
+ * @param {string} options.fromBlock - Start of the event scan (default: deployment block)
+ * @param {string} options.format - table, json or csv
+ * @param {string} options.output - File for json / csv output
+ */
+async function blacklist(options = {}) {
+  try {
+    logger.header('Responder Blacklist');
+
+    const network = process.env.NETWORK || 'hoodi';
+    const responderAddress = process.env.RESPONDER_ADDRESS;
+    const format = getReportFormat(options.format);
+
+    if (!responderAddress) {
+      logger.error('RESPONDER_ADDRESS not set (no deployments/<network>.json entry, .env value or flag)');
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    const provider = getProvider(network);
+    const list = await readBlacklist(provider, responderAddress, { fromBlock: options.fromBlock });
+
+    logger.info('Network:', network);
+    logger.info('Responder:', responderLabel(list));
+    logger.info('Scanned events:', `${list.fromBlock} → ${list.toBlock}`);
+    logger.separator();
+
+    const active = list.entries.filter(entry => entry.status === 'active');
+    const unverified = list.entries.filter(entry => !entry.verified);
+    const rows = options.includeRemoved ? list.entries : active;
+
+    logger.info(`Blacklisted: ${active.length} active, ${list.entries.length - active.length} removed by owner`);
+    if (unverified.length > 0) {
+      logger.warning(`${unverified.length} entry(ies) differ from getBlacklistInfo(); the responder state may have changed during the scan`);
+    }
+
+    writeReport(rows, {
+      format,
+      output: options.output,
+      columns: CSV_COLUMNS,
+      tableRow: entry => ({
+        address: entry.address,
+        ...(options.includeRemoved ? { status: entry.status } : {}),
+        reason: `${entry.reasonName} (${entry.reason})`,
+        ...(list.advanced ? { confidence: entry.confidence } : {}),
+        'blacklisted at': entry.blacklistedAt,
+        block: entry.blockNumber
+      })
+    });
+
+    return { network, ...list, entries: rows };
+
+  } catch (error) {
+    logger.error('Error rebuilding blacklist:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+/**
+ * @param {string} addressA
+ * @param {string} addressB
+ * @param {Object} options - { all, fromBlock, format, output }
+ */
+async function blacklistDiff(addressA, addressB, options = {}) {
+  try {
+    logger.header('Responder Blacklist Diff');
+
+    const network = process.env.NETWORK || 'hoodi';
+    const format = getReportFormat(options.format);
+
+    for (const address of [addressA, addressB]) {
+      if (!address || !ethers.utils.isAddress(address)) {
+        throw new CliError(`Usage: blacklist diff <responderA> <responderB> (got ${address || 'nothing'})`, EXIT_CODES.USAGE);
+      }
+    }
+
+    const provider = getProvider(network);
+    const a = await readBlacklist(provider, addressA, { fromBlock: options.fromBlock });
+    const b = await readBlacklist(provider, addressB, { fromBlock: options.fromBlock });
+    const rows = diffBlacklists(a, b, options.all);
+
+    logger.info('Network:', network);
+    logger.info('A:', responderLabel(a));
+    logger.info('B:', responderLabel(b));
+    logger.separator();
+
+    const count = status => rows.filter(row => row.status === status).length;
+    logger.info(`Only in A: ${count('only-a')}, only in B: ${count('only-b')}${options.all ? `, in both: ${count('both')}` : ''}`);
+
+    if (rows.every(row => row.status === 'both')) {
+      logger.success('Blacklists match');
+    }
+
+    writeReport(rows, {
+      format,
+      output: options.output,
+      columns: DIFF_CSV_COLUMNS,
+      tableRow: row => ({
+        address: row.address,
+        status: row.status,
+        'reason A': row.reasonA || '-',
+        'reason B': row.reasonB || '-'
+      })
+    });
+
+    return { network, a: { address: a.address, advanced: a.advanced }, b: { address: b.address, advanced: b.advanced }, diff: rows };
+
+  } catch (error) {
+    logger.error('Error comparing blacklists:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  applyManifest();
+  const { positional, flags } = parseArgs(process.argv.slice(2), [...BOOLEAN_FLAGS, 'include-removed', 'all']);
+  const reportOptions = { fromBlock: flags['from-block'], format: flags.format, output: flags.output };
+
+  if (writesToStdout(flags.format, flags.output)) {
+    logger.configure({ stream: 'stderr' });
+  }
+
+  if (positional[0] === 'diff') {
+    blacklistDiff(positional[1], positional[2], { ...reportOptions, all: flags.all });
+  } else {
+    blacklist({ ...reportOptions, includeRemoved: flags['include-removed'] });
+  }
+}
+
+module.exports = blacklist;
+module.exports.blacklistDiff = blacklistDiff;
+module.exports.readBlacklist = readBlacklist;
+module.exports.diffBlacklists = diffBlacklists;
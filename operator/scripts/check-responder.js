@@ -0,0 +1,182 @@
+/**
+ * Check the status of your deployed Fair Launch Responder
+ *
+ * Shows ownership, protected contracts, pause state and recorded incidents.
+ * Pass an address to also check whether it is blacklisted.
+ *
+ * Usage: npm run check-responder -- [address]
+ */
+
+const { ethers } = require('ethers');
+const { getProvider, formatNumber } = require('../utils/web3-helper');
+const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
+const { getResponderAbi } = require('../config/abis');
+const { getDecoder } = require('../utils/collect-decoders');
+const { EXIT_CODES, exitCodeFor } = require('../utils/cli');
+require('dotenv').config();
+
+const RECENT_INCIDENTS = 5;
+
+async function checkResponder(accountToCheck) {
+  try {
+    logger.header('Fair Launch Responder - Status Check');
+
+    const network = process.env.NETWORK || 'hoodi';
+    const responderAddress = process.env.RESPONDER_ADDRESS;
+    const isAdvanced = process.env.ADVANCED_RESPONDER === 'true';
+
+    if (!responderAddress) {
+      logger.error('RESPONDER_ADDRESS not set (no deployments/<network>.json entry, .env value or flag)');
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    if (accountToCheck && !ethers.utils.isAddress(accountToCheck)) {
+      logger.error('Invalid address:', accountToCheck);
+      process.exit(EXIT_CODES.USAGE);
+    }
+
+    logger.info('Network:', network);
+    logger.info('Responder:', responderAddress);
+    logger.info('Type:', isAdvanced ? 'FairLaunchResponderAdvanced' : 'FairLaunchResponder');
+    logger.separator();
+
+    const provider = getProvider(network);
+    const responder = new ethers.Contract(responderAddress, getResponderAbi(isAdvanced), provider);
+
+    const [owner, droseraAddress, guardedToken, guardedPool, pauseStatus, totalIncidents] = await Promise.all([
+      responder.owner(),
+      responder.droseraAddress(),
+      responder.guardedToken(),
+      responder.guardedPool(),
+      responder.getPauseStatus(),
+      responder.totalIncidents()
+    ]);
+
+    logger.table({
+      'Owner': owner,
+      'Drosera Address': droseraAddress,
+      'Guarded Token': guardedToken,
+      'Guarded Pool': guardedPool,
+      'Paused': pauseStatus.paused ? '⛔ YES' : '✓ No',
+      'Total Incidents': formatNumber(totalIncidents.toString())
+    });
+
+    const status = {
+      network,
+      responderAddress,
+      advanced: isAdvanced,
+      owner,
+      droseraAddress,
+      guardedToken,
+      guardedPool,
+      paused: pauseStatus.paused,
+      pausedAt: pauseStatus.timestamp,
+      totalIncidents,
+      incidents: [],
+      account: null
+    };
+
+    if (isAdvanced) {
+      const [thresholds, cooldown, lastResponseBlock, knownPatterns] = await Promise.all([
+        responder.getConfidenceThresholds(),
+        responder.minBlocksBetweenResponses(),
+        responder.lastResponseBlock(),
+        responder.getKnownPatternsCount()
+      ]);
+
+      logger.separator();
+      logger.info('Advanced settings:');
+      logger.table({
+        'Pause Threshold': thresholds.pause.toString(),
+        'Blacklist Threshold': thresholds.blacklist.toString(),
+        'Alert Threshold': thresholds.alert.toString(),
+        'Cooldown': cooldown.toString() + ' blocks',
+        'Last Response Block': formatNumber(lastResponseBlock.toString()),
+        'Known Patterns': knownPatterns.toString()
+      });
+
+      status.thresholds = { pause: thresholds.pause, blacklist: thresholds.blacklist, alert: thresholds.alert };
+      status.minBlocksBetweenResponses = cooldown;
+      status.lastResponseBlock = lastResponseBlock;
+      status.knownPatterns = knownPatterns;
+    }
+
+    // Most recent incidents first
+    if (totalIncidents.gt(0)) {
+      // Detection numbering comes from the trap feeding this responder
+      const detectionTypes = getDecoder(process.env.STRATEGY || (isAdvanced ? 'advanced' : 'eventlog')).detectionTypes;
+      const count = Math.min(RECENT_INCIDENTS, totalIncidents.toNumber());
+
+      for (let i = 0; i < count; i++) {
+        const index = totalIncidents.toNumber() - 1 - i;
+        const incident = await responder.getIncident(index);
+        status.incidents.push({
+          index,
+          violator: incident.violatorAddress,
+          detectionType: incident.detectionType,
+          detection: detectionTypes[incident.detectionType] || 'UNKNOWN',
+          severity: incident.severity,
+          blockNumber: incident.blockNumber
+        });
+      }
+
+      logger.separator();
+      logger.info(`Latest ${count} incident(s):`);
+      logger.table(status.incidents.map(incident => ({
+        index: incident.index,
+        violator: incident.violator,
+        detection: `${incident.detection} (${incident.detectionType})`,
+        severity: incident.severity.toString(),
+        block: incident.blockNumber.toString()
+      })));
+    }
+
+    if (accountToCheck) {
+      logger.separator();
+      logger.info('Checking', accountToCheck);
+
+      if (isAdvanced) {
+        const info = await responder.getBlacklistInfo(accountToCheck);
+        status.account = {
+          address: accountToCheck,
+          blacklisted: info.blacklistedStatus,
+          timestamp: info.timestamp,
+          reason: info.reason,
+          confidence: info.confidence
+        };
+      } else {
+        status.account = {
+          address: accountToCheck,
+          blacklisted: await responder.isBlacklisted(accountToCheck)
+        };
+      }
+
+      if (status.account.blacklisted) {
+        logger.error('🚨 Address is BLACKLISTED');
+      } else {
+        logger.success('Address is not blacklisted');
+      }
+    }
+
+    logger.separator();
+    logger.success('Responder check complete!');
+
+    return status;
+
+  } catch (error) {
+    logger.error('Error checking responder:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  applyManifest();
+  checkResponder(process.argv[2]);
+}
+
+module.exports = checkResponder;
@@ -10,7 +10,10 @@
 const { ethers } = require('ethers');
 const { getProvider, formatAddress, formatNumber } = require('../utils/web3-helper');
 const logger = require('../utils/logger');
-const { trapAbi, tokenAbi } = require('../config/abis');
+const { applyManifest } = require('../utils/deployments');
+const { tokenAbi, getTrapAbi, resolveTrapStrategy } = require('../config/abis');
+const { readTrapConfig } = require('../utils/launch-config');
+const { EXIT_CODES, exitCodeFor } = require('../utils/cli');
 require('dotenv').config();
 
 async function checkTrapStatus() {
@@ -22,18 +25,20 @@ async function checkTrapStatus() {
     const trapAddress = process.env.TRAP_ADDRESS;
 
     if (!trapAddress) {
-      logger.error('TRAP_ADDRESS not set in .env file');
-      process.exit(1);
+      logger.error('TRAP_ADDRESS not set (no deployments/<network>.json entry, .env value or flag)');
+      process.exit(EXIT_CODES.CONFIG);
     }
 
+    // Connect to provider; without STRATEGY the trap is identified from its code
+    const provider = getProvider(network);
+    const strategy = await resolveTrapStrategy(provider, trapAddress);
+    const trap = new ethers.Contract(trapAddress, getTrapAbi(strategy), provider);
+
     logger.info('Network:', network);
     logger.info('Trap Address:', trapAddress);
+    logger.info('Strategy:', strategy);
     logger.separator();
 
-    // Connect to provider
-    const provider = getProvider(network);
-    const trap = new ethers.Contract(trapAddress, trapAbi, provider);
-
     // Get current block
     const currentBlock = await provider.getBlockNumber();
     logger.info('Current Block:', formatNumber(currentBlock));
@@ -41,25 +46,21 @@ async function checkTrapStatus() {
 
     // Get trap configuration
     logger.info('Fetching configuration...');
-    const config = await trap.getConfig();
-    
-    const configData = {
-      'Token Address': config[0],
-      'Liquidity Pool': config[1],
-      'Launch Block': formatNumber(config[2].toString()),
-      'Monitoring Duration': config[3].toString() + ' blocks',
-      'Max Wallet %': (config[4].toNumber() / 100).toFixed(2) + '%',
-      'Max Gas Premium': (config[5].toNumber() / 100) + 'x',
-      'Is Active': config[6] ? '✓ Yes' : '✗ No'
+    const status = {
+      network,
+      trapAddress,
+      strategy,
+      currentBlock,
+      config: await readV2Config(trap, strategy),
+      token: null,
+      collect: null
     };
 
-    logger.table(configData);
-
     // Get token info
     logger.separator();
     logger.info('Fetching token information...');
     try {
-      const token = new ethers.Contract(config[0], tokenAbi, provider);
+      const token = new ethers.Contract(status.config.tokenAddress, tokenAbi, provider);
       const tokenName = await token.name();
       const tokenSymbol = await token.symbol();
       const totalSupply = await token.totalSupply();
@@ -71,40 +72,14 @@ async function checkTrapStatus() {
       };
 
       logger.table(tokenData);
+      status.token = { name: tokenName, symbol: tokenSymbol, totalSupply };
     } catch (error) {
       logger.warning('Could not fetch token info:', error.message);
     }
 
-    // Check monitoring status
+    // v2 traps are stateless: no monitoring window, only their compiled-in token / pool
     logger.separator();
-    logger.info('Checking monitoring status...');
-    
-    const isMonitoring = await trap.isMonitoringActive();
-    const launchBlock = config[2].toNumber();
-    const monitoringDuration = config[3].toNumber();
-    const blocksSinceLaunch = currentBlock - launchBlock;
-    const blocksRemaining = Math.max(0, monitoringDuration - blocksSinceLaunch);
-    
-    const statusData = {
-      'Monitoring Active': isMonitoring ? '✓ YES' : '✗ NO',
-      'Launch Block': formatNumber(launchBlock),
-      'Current Block': formatNumber(currentBlock),
-      'Blocks Since Launch': formatNumber(blocksSinceLaunch),
-      'Blocks Remaining': formatNumber(blocksRemaining)
-    };
-
-    logger.table(statusData);
-
-    if (blocksSinceLaunch < 0) {
-      logger.info('Launch has not started yet');
-      logger.info('Launch will begin in', formatNumber(-blocksSinceLaunch), 'blocks');
-    } else if (blocksRemaining > 0) {
-      logger.success('Monitoring is active!');
-      const estimatedMinutes = blocksRemaining * 12 / 60; // Assuming 12 sec blocks
-      logger.info(`Approximately ${estimatedMinutes.toFixed(1)} minutes remaining`);
-    } else {
-      logger.warning('Monitoring period has ended');
-    }
+    logger.info('v2 traps have no monitoring window: Drosera calls collect() every block');
 
     // Test collect() function
     logger.separator();
@@ -114,6 +89,7 @@ async function checkTrapStatus() {
       const collectData = await trap.collect();
       logger.success('collect() working correctly');
       logger.info('Returned', collectData.length, 'bytes of data');
+      status.collect = { ok: true, data: collectData };
       
       // Try to decode (this will work if there's actual data)
       if (collectData.length > 2) {
@@ -121,6 +97,7 @@ async function checkTrapStatus() {
       }
     } catch (error) {
       logger.error('collect() failed:', error.message);
+      status.collect = { ok: false, error: error.message };
     }
 
     logger.separator();
@@ -131,17 +108,35 @@ async function checkTrapStatus() {
     logger.info('2. Test with simulation: npm run simulate-sniper');
     logger.info('3. Monitor launch: npm run monitor');
 
+    return status;
+
   } catch (error) {
     logger.error('Error checking trap status:', error.message);
     if (process.env.DEBUG === 'true') {
       console.error(error);
     }
-    process.exit(1);
+    process.exit(exitCodeFor(error));
   }
 }
 
+/**
+ * Token / pool compiled into a v2 trap
+ */
+async function readV2Config(trap, strategy) {
+  const { token, pool, tokenIsToken0 } = await readTrapConfig(trap, strategy);
+
+  logger.table({
+    'Token Address': token,
+    'Liquidity Pool': pool,
+    ...(tokenIsToken0 !== undefined ? { 'Token Is Token0': tokenIsToken0 ? 'Yes' : 'No' } : {})
+  });
+
+  return { tokenAddress: token, liquidityPool: pool, ...(tokenIsToken0 !== undefined ? { tokenIsToken0 } : {}) };
+}
+
 // Run if called directly
 if (require.main === module) {
+  applyManifest();
   checkTrapStatus();
 }
 
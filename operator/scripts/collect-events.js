@@ -0,0 +1,295 @@
+/**
+ * Build the collect() payload the EventLog/Advanced traps would receive from Drosera
+ *
+ * Pulls Uniswap V2 Swap logs for the trap's pool, assembles the event arrays,
+ * adds supply/reserve state and calls buildCollectPayloadFromEvents() via eth_call.
+ *
+ * Usage: npm run collect-events -- [fromBlock] [toBlock]
+ */
+
+const { ethers } = require('ethers');
+const { getProvider, formatAddress, formatNumber } = require('../utils/web3-helper');
+const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
+const { getTrapAbi, tokenAbi, uniswapV2PairAbi } = require('../config/abis');
+const { createScanner } = require('../utils/log-scanner');
+const { EXIT_CODES, CliError, exitCodeFor } = require('../utils/cli');
+require('dotenv').config();
+
+const SWAP_TOPIC = ethers.utils.id('Swap(address,uint256,uint256,uint256,uint256,address)');
+const DEFAULT_BLOCK_RANGE = 5;
+
+/**
+ * Fetch Swap logs for a pool with block timestamps and per-tx gas prices
+ * The range is fetched in chunks (MONITOR_LOG_CHUNK_SIZE) that shrink when the RPC refuses one
+ */
+async function fetchSwapLogs(provider, poolAddress, fromBlock, toBlock, scanner = createScanner()) {
+  const logs = await scanner.scan((from, to) => provider.getLogs({
+    address: poolAddress,
+    topics: [SWAP_TOPIC],
+    fromBlock: from,
+    toBlock: to
+  }), fromBlock, toBlock);
+
+  const timestamps = new Map();
+  const gasPrices = new Map();
+
+  for (const log of logs) {
+    if (!timestamps.has(log.blockNumber)) {
+      const block = await provider.getBlock(log.blockNumber);
+      timestamps.set(log.blockNumber, block.timestamp);
+    }
+
+    if (!gasPrices.has(log.transactionHash)) {
+      const tx = await provider.getTransaction(log.transactionHash);
+      let gasPrice = tx && tx.gasPrice;
+      if (!gasPrice) {
+        const receipt = await provider.getTransactionReceipt(log.transactionHash);
+        gasPrice = receipt.effectiveGasPrice || ethers.constants.Zero;
+      }
+      gasPrices.set(log.transactionHash, gasPrice);
+    }
+  }
+
+  return logs.map(log => ({
+    topics: log.topics,
+    data: log.data,
+    blockNumber: log.blockNumber,
+    timestamp: timestamps.get(log.blockNumber),
+    gasPrice: gasPrices.get(log.transactionHash),
+    transactionHash: log.transactionHash
+  }));
+}
+
+/**
+ * Split swap logs into the parallel arrays expected by buildCollectPayloadFromEvents()
+ */
+function buildEventArrays(swapLogs) {
+  return {
+    topics: swapLogs.map(log => log.topics),
+    dataArray: swapLogs.map(log => log.data),
+    logBlockNumbers: swapLogs.map(log => log.blockNumber),
+    logTimestamps: swapLogs.map(log => log.timestamp),
+    gasPrices: swapLogs.map(log => log.gasPrice)
+  };
+}
+
+/**
+ * Read the token/pool addresses the trap was compiled with
+ */
+async function getTrapTargets(trap, strategy) {
+  if (strategy === 'advanced') {
+    const [tokenAddress, poolAddress, tokenIsToken0] = await Promise.all([
+      trap.getTokenAddress(),
+      trap.getLiquidityPool(),
+      trap.TOKEN_IS_TOKEN0()
+    ]);
+    return { tokenAddress, poolAddress, tokenIsToken0 };
+  }
+
+  const [tokenAddress, poolAddress, tokenIsToken0] = await trap.getConfig();
+  return { tokenAddress, poolAddress, tokenIsToken0 };
+}
+
+/**
+ * Number of logs the trap parses before it stops (MAX_EVENTS_ANALYZED / MAX_SWAPS_PER_BLOCK)
+ */
+async function getEventLimit(trap, strategy) {
+  const limit = strategy === 'advanced' ? await trap.MAX_SWAPS_PER_BLOCK() : await trap.MAX_EVENTS_ANALYZED();
+  return limit.toNumber();
+}
+
+/**
+ * Read supply, pool balance and reserves the same way the traps' collect() does
+ */
+async function readPoolState(provider, targets, blockTag) {
+  const token = new ethers.Contract(targets.tokenAddress, tokenAbi, provider);
+  const pair = new ethers.Contract(targets.poolAddress, uniswapV2PairAbi, provider);
+
+  const state = {
+    totalSupply: ethers.constants.Zero,
+    poolBalance: ethers.constants.Zero,
+    reserve0: ethers.constants.Zero,
+    reserve1: ethers.constants.Zero,
+    tokenIsToken0: targets.tokenIsToken0
+  };
+
+  try {
+    state.totalSupply = await token.totalSupply({ blockTag });
+  } catch (error) {
+    logger.debug('totalSupply() failed:', error.message);
+  }
+
+  try {
+    state.poolBalance = await token.balanceOf(targets.poolAddress, { blockTag });
+  } catch (error) {
+    logger.debug('balanceOf(pool) failed:', error.message);
+  }
+
+  try {
+    const reserves = await pair.getReserves({ blockTag });
+    state.reserve0 = reserves.reserve0;
+    state.reserve1 = reserves.reserve1;
+  } catch (error) {
+    logger.debug('getReserves() failed (pool may not be a Uniswap V2 pair):', error.message);
+  }
+
+  try {
+    const token0 = await pair.token0({ blockTag });
+    if (token0 !== ethers.constants.AddressZero) {
+      state.tokenIsToken0 = token0.toLowerCase() === targets.tokenAddress.toLowerCase();
+    }
+  } catch (error) {
+    logger.debug('token0() failed, using trap TOKEN_IS_TOKEN0:', error.message);
+  }
+
+  return state;
+}
+
+/**
+ * Build the encoded CollectOutput for a block range by calling the trap's helper
+ */
+async function buildCollectPayload(provider, trapAddress, strategy, fromBlock, toBlock) {
+  const trap = new ethers.Contract(trapAddress, getTrapAbi(strategy), provider);
+
+  const targets = await getTrapTargets(trap, strategy);
+  const eventLimit = await getEventLimit(trap, strategy);
+  const block = await provider.getBlock(toBlock);
+  const state = await readPoolState(provider, targets, block.number);
+  const swapLogs = await fetchSwapLogs(provider, targets.poolAddress, fromBlock, block.number);
+  const events = buildEventArrays(swapLogs);
+
+  let payload;
+  if (strategy === 'advanced') {
+    const reserveToken = state.tokenIsToken0 ? state.reserve0 : state.reserve1;
+    const reserveETH = state.tokenIsToken0 ? state.reserve1 : state.reserve0;
+
+    payload = await trap.buildCollectPayloadFromEvents(
+      block.number,
+      block.timestamp,
+      state.totalSupply,
+      state.poolBalance,
+      reserveToken,
+      reserveETH,
+      events.topics,
+      events.dataArray,
+      events.logBlockNumbers,
+      events.logTimestamps,
+      events.gasPrices
+    );
+  } else {
+    payload = await trap.buildCollectPayloadFromEvents(
+      block.number,
+      block.timestamp,
+      state.totalSupply,
+      state.poolBalance,
+      state.reserve0,
+      state.reserve1,
+      events.topics,
+      events.dataArray,
+      events.logBlockNumbers,
+      events.logTimestamps
+    );
+  }
+
+  return { payload, swapLogs, state, targets, block, eventLimit };
+}
+
+async function collectEvents(fromArg, toArg) {
+  try {
+    logger.header('Event-Log Collect Payload Builder');
+
+    const network = process.env.NETWORK || 'hoodi';
+    const trapAddress = process.env.TRAP_ADDRESS;
+    const strategy = (process.env.STRATEGY || 'eventlog').toLowerCase();
+
+    if (!trapAddress) {
+      throw new CliError('TRAP_ADDRESS not set (no deployments/<network>.json entry, .env value or flag)', EXIT_CODES.CONFIG);
+    }
+
+    if (strategy !== 'eventlog' && strategy !== 'advanced') {
+      throw new CliError(`STRATEGY '${strategy}' does not consume event logs; use STRATEGY=eventlog or STRATEGY=advanced`, EXIT_CODES.USAGE);
+    }
+
+    const provider = getProvider(network);
+    const latestBlock = await provider.getBlockNumber();
+    const toBlock = toArg !== undefined ? parseInt(toArg, 10) : latestBlock;
+    const fromBlock = fromArg !== undefined
+      ? parseInt(fromArg, 10)
+      : Math.max(0, toBlock - DEFAULT_BLOCK_RANGE + 1);
+
+    if (Number.isNaN(fromBlock) || Number.isNaN(toBlock) || fromBlock > toBlock) {
+      throw new CliError(`Invalid block range: ${fromArg} ${toArg}`, EXIT_CODES.USAGE);
+    }
+
+    logger.info('Network:', network);
+    logger.info('Trap:', trapAddress);
+    logger.info('Strategy:', strategy);
+    logger.info('Block Range:', `${formatNumber(fromBlock)} → ${formatNumber(toBlock)}`);
+    logger.separator();
+
+    logger.info('Fetching Swap logs...');
+    const { payload, swapLogs, state, targets, block, eventLimit } = await buildCollectPayload(
+      provider,
+      trapAddress,
+      strategy,
+      fromBlock,
+      toBlock
+    );
+
+    logger.table({
+      'Token': targets.tokenAddress,
+      'Pool': targets.poolAddress,
+      'Token Is Token0': state.tokenIsToken0 ? 'Yes' : 'No',
+      'Snapshot Block': formatNumber(block.number),
+      'Total Supply': ethers.utils.formatEther(state.totalSupply),
+      'Pool Balance': ethers.utils.formatEther(state.poolBalance),
+      'Reserve0': ethers.utils.formatEther(state.reserve0),
+      'Reserve1': ethers.utils.formatEther(state.reserve1),
+      'Swap Logs': swapLogs.length
+    });
+
+    if (swapLogs.length > 0) {
+      logger.separator();
+      logger.info('Swap logs:');
+      logger.table(swapLogs.map(log => ({
+        block: log.blockNumber,
+        sender: formatAddress(ethers.utils.hexDataSlice(log.topics[1], 12)),
+        to: formatAddress(ethers.utils.hexDataSlice(log.topics[2], 12)),
+        gasPrice: ethers.utils.formatUnits(log.gasPrice, 'gwei') + ' gwei',
+        tx: formatAddress(log.transactionHash)
+      })));
+    } else {
+      logger.info('No Swap events in range');
+    }
+
+    if (swapLogs.length > eventLimit) {
+      logger.warning(`Trap only analyzes the first ${eventLimit} of ${swapLogs.length} logs`);
+    }
+
+    logger.separator();
+    logger.success('buildCollectPayloadFromEvents() returned', ethers.utils.hexDataLength(payload), 'bytes');
+    logger.info('Payload:', payload);
+
+    return { strategy, fromBlock, toBlock, swapLogs: swapLogs.length, payload };
+
+  } catch (error) {
+    logger.error('Error building collect payload:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  applyManifest();
+  collectEvents(process.argv[2], process.argv[3]);
+}
+
+module.exports = collectEvents;
+module.exports.fetchSwapLogs = fetchSwapLogs;
+module.exports.buildEventArrays = buildEventArrays;
+module.exports.buildCollectPayload = buildCollectPayload;
+module.exports.SWAP_TOPIC = SWAP_TOPIC;
@@ -0,0 +1,221 @@
+/**
+ * Deploy the responder and trap from forge artifacts
+ *
+ * JS counterpart of contracts/script/Deploy.s.sol: deploys FairLaunchResponder
+ * (FairLaunchResponderAdvanced with ADVANCED_RESPONDER=true) and the trap for
+ * STRATEGY, then records addresses, transactions, blocks and constructor args
+ * in deployments/<network>.json. The other commands read their addresses from
+ * that manifest.
+ *
+ * Traps take no constructor args: their token / pool are compiled in from
+ * FairLaunchConfig.sol, so they are compared with TOKEN_ADDRESS / LIQUIDITY_POOL
+ * after deployment.
+ *
+ * Usage: npm run deploy -- [all|responder|trap] [--dry-run] [--yes]
+ */
+
+const { ethers } = require('ethers');
+const { getSigner, waitForTx, formatNumber, formatEther } = require('../utils/web3-helper');
+const logger = require('../utils/logger');
+const { loadArtifact, strategyContracts, uniswapV2PairAbi } = require('../config/abis');
+const { loadManifest, recordDeployment } = require('../utils/deployments');
+const { readTrapConfig } = require('../utils/launch-config');
+const { EXIT_CODES, BOOLEAN_FLAGS, CliError, parseArgs, exitCodeFor, confirm } = require('../utils/cli');
+require('dotenv').config();
+
+const DEFAULT_DROSERA_ADDRESS = '0x91cB447BaFc6e0EA0F4Fe056F5a9b1F14bb06e5D'; // Hoodi
+const TARGETS = ['all', 'responder', 'trap'];
+
+/**
+ * Contract factory from a forge artifact
+ */
+function getFactory(contractName, signer) {
+  const artifact = loadArtifact(contractName);
+  const bytecode = artifact && artifact.bytecode && (artifact.bytecode.object || artifact.bytecode);
+
+  if (typeof bytecode !== 'string' || bytecode.replace(/^0x/, '') === '') {
+    throw new CliError(`No bytecode for ${contractName}. Run 'forge build' in contracts/`, EXIT_CODES.CONFIG);
+  }
+  return new ethers.ContractFactory(artifact.abi, bytecode, signer);
+}
+
+/**
+ * Warn when the trap constants do not describe the launch being deployed for
+ */
+async function checkTrapConfig(trap, strategy, token, pool) {
+  const config = await readTrapConfig(trap, strategy);
+  let matches = true;
+
+  for (const [label, actual, expected] of [['Token', config.token, token], ['Pool', config.pool, pool]]) {
+    if (expected && actual.toLowerCase() !== expected.toLowerCase()) {
+      logger.warning(`${label} compiled into the trap (${actual}) differs from ${expected}`);
+      matches = false;
+    }
+  }
+
+  if (config.tokenIsToken0 !== undefined && pool) {
+    try {
+      const token0 = await new ethers.Contract(pool, uniswapV2PairAbi, trap.provider).token0();
+      const expected = token0.toLowerCase() === token.toLowerCase();
+      if (config.tokenIsToken0 !== expected) {
+        logger.warning(`TOKEN_IS_TOKEN0 is ${config.tokenIsToken0} but the pair's token0 is ${token0}`);
+        matches = false;
+      }
+    } catch (error) {
+      logger.debug('Could not read token0() from the pool:', error.message);
+    }
+  }
+
+  if (!matches) {
+    logger.warning('Run `guardian launch-config --write` and redeploy the trap before registering it with Drosera');
+  }
+  return { ...config, matches };
+}
+
+/**
+ * @param {string} target - all, responder or trap
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Estimate gas and stop before deploying
+ * @param {boolean} options.yes - Skip the confirmation prompt
+ */
+async function deploy(target = 'all', { dryRun = false, yes = false } = {}) {
+  try {
+    logger.header('Fair Launch Guardian - Deploy');
+
+    if (!TARGETS.includes(target)) {
+      throw new CliError(`Unknown deploy target '${target}'. Available: ${TARGETS.join(', ')}`, EXIT_CODES.USAGE);
+    }
+
+    const network = process.env.NETWORK || 'hoodi';
+    const previous = loadManifest(network);
+    const previousContracts = previous ? previous.contracts : {};
+    const strategy = (process.env.STRATEGY || 'simple').toLowerCase();
+    const advanced = process.env.ADVANCED_RESPONDER === 'true';
+    const droseraAddress = process.env.DROSERA_ADDRESS || DEFAULT_DROSERA_ADDRESS;
+    const token = process.env.TOKEN_ADDRESS || (previousContracts.token && previousContracts.token.address);
+    const pool = process.env.LIQUIDITY_POOL || (previousContracts.pool && previousContracts.pool.address);
+
+    if (!strategyContracts[strategy]) {
+      throw new CliError(`Unknown strategy '${strategy}'. Available: ${Object.keys(strategyContracts).join(', ')}`, EXIT_CODES.USAGE);
+    }
+    for (const [name, value] of [['TOKEN_ADDRESS', token], ['LIQUIDITY_POOL', pool], ['DROSERA_ADDRESS', droseraAddress]]) {
+      if (!value || !ethers.utils.isAddress(value)) {
+        throw new CliError(`${name} not set or invalid (${value || 'empty'}); set it in .env or pass it as a flag`, EXIT_CODES.CONFIG);
+      }
+    }
+
+    const signer = getSigner(network);
+    const deployer = await signer.getAddress();
+    const { chainId } = await signer.provider.getNetwork();
+
+    // What to deploy, in order
+    const plan = [];
+    if (target !== 'trap') {
+      const contract = advanced ? 'FairLaunchResponderAdvanced' : 'FairLaunchResponder';
+      plan.push({ key: 'responder', contract, args: [droseraAddress, token, pool] });
+    }
+    if (target !== 'responder') {
+      plan.push({ key: 'trap', contract: strategyContracts[strategy], args: [] });
+    }
+
+    for (const step of plan) {
+      step.factory = getFactory(step.contract, signer);
+      step.gas = await signer.estimateGas(step.factory.getDeployTransaction(...step.args));
+    }
+
+    const gasPrice = await signer.provider.getGasPrice();
+    const totalGas = plan.reduce((sum, step) => sum.add(step.gas), ethers.BigNumber.from(0));
+    const balance = await signer.getBalance();
+
+    logger.info('Network:', `${network} (chain ${chainId})`);
+    logger.info('Deployer:', deployer);
+    logger.info('Drosera:', droseraAddress);
+    logger.info('Token:', token);
+    logger.info('Pool:', pool);
+    logger.separator();
+    logger.table(plan.map(step => ({
+      contract: step.contract,
+      'constructor args': step.args.join(', ') || '-',
+      'estimated gas': formatNumber(step.gas.toString())
+    })));
+    logger.info('Estimated cost:', `${formatEther(totalGas.mul(gasPrice))} ETH (balance ${formatEther(balance)} ETH)`);
+
+    if (balance.lt(totalGas.mul(gasPrice))) {
+      logger.warning('Deployer balance is below the estimated cost');
+    }
+
+    if (dryRun) {
+      logger.info('Dry run only, nothing deployed');
+      return { network, chainId, status: 'dry-run', plan: plan.map(({ contract, args, gas }) => ({ contract, args, gas })) };
+    }
+
+    if (!yes) {
+      if (!process.stdin.isTTY) {
+        throw new CliError('Refusing to deploy without confirmation; pass --yes to skip the prompt', EXIT_CODES.USAGE);
+      }
+      if (!await confirm(`Deploy ${plan.map(step => step.contract).join(' and ')} on ${network}?`)) {
+        logger.info('Aborted, nothing deployed');
+        return { network, chainId, status: 'aborted' };
+      }
+    }
+
+    let manifestPath;
+    const deployed = {};
+
+    for (const step of plan) {
+      logger.blank();
+      logger.info(`Deploying ${step.contract}...`);
+
+      const contract = await step.factory.deploy(...step.args);
+      const receipt = await waitForTx(contract.deployTransaction);
+
+      deployed[step.key] = {
+        contract: step.contract,
+        ...(step.key === 'trap' ? { strategy } : {}),
+        address: contract.address,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        deployer,
+        constructorArgs: step.args
+      };
+
+      // Record after every contract so a failure later keeps what was deployed
+      ({ path: manifestPath } = recordDeployment(network, chainId, {
+        token: { address: ethers.utils.getAddress(token) },
+        pool: { address: ethers.utils.getAddress(pool) },
+        [step.key]: deployed[step.key]
+      }));
+      logger.success(`${step.contract}: ${contract.address}`);
+
+      if (step.key === 'trap') {
+        await checkTrapConfig(contract, strategy, token, pool);
+      }
+    }
+
+    logger.separator();
+    logger.success(`Deployment recorded in ${manifestPath}`);
+    logger.info('Next steps:');
+    logger.info('  guardian toml generate --write   # point drosera.toml at the new contracts');
+    logger.info('  guardian toml validate');
+    logger.info('  drosera apply');
+
+    return { network, chainId, status: 'deployed', manifest: manifestPath, contracts: deployed };
+
+  } catch (error) {
+    logger.error('Deployment failed:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const { positional, flags } = parseArgs(process.argv.slice(2), [...BOOLEAN_FLAGS, 'dry-run', 'yes']);
+  deploy(positional[0], { dryRun: flags['dry-run'], yes: flags.yes });
+}
+
+module.exports = deploy;
+module.exports.checkTrapConfig = checkTrapConfig;
+module.exports.getFactory = getFactory;
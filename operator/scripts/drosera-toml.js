@@ -0,0 +1,187 @@
+/**
+ * Validate drosera.toml and generate trap sections from deployments
+ *
+ * validate: trap artifacts exist under contracts/out, block_sample_size fits
+ * each trap's history window, the RPC is on eth_chain_id and every
+ * response_contract has code exposing response_function.
+ *
+ * generate: writes the [traps.fair_launch_<strategy>] section for the trap and
+ * responder recorded in deployments/<network>.json. Prints the result unless
+ * --write is given.
+ *
+ * Usage: npm run toml -- validate [--file drosera.toml] [--rpc url] [--offline]
+ *        npm run toml -- generate [--manifest deployments/hoodi.json] [--file drosera.toml] [--write]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { getProvider } = require('../utils/web3-helper');
+const logger = require('../utils/logger');
+const { getNetwork } = require('../config/networks');
+const { loadManifest, getManifestPath } = require('../utils/deployments');
+const {
+  loadDroseraToml,
+  validateStatic,
+  validateOnChain,
+  trapSectionFromManifest,
+  upsertTrapSection,
+  setChainId
+} = require('../utils/drosera-toml');
+const { EXIT_CODES, BOOLEAN_FLAGS, CliError, parseArgs, exitCodeFor } = require('../utils/cli');
+require('dotenv').config();
+
+const STATUS_ICONS = { ok: '✓', warn: '⚠', error: '✗' };
+
+/**
+ * @param {Object} options
+ * @param {string} options.file - drosera.toml path (default: DROSERA_TOML or repo root)
+ * @param {string} options.rpc - RPC to check against (default: the network's RPC)
+ * @param {boolean} options.offline - Skip the chain ID and response contract checks
+ */
+async function validateToml(options = {}) {
+  try {
+    logger.header('drosera.toml Validation');
+
+    const network = process.env.NETWORK || 'hoodi';
+    const { path: tomlPath, config } = loadDroseraToml(options.file);
+
+    logger.info('File:', path.relative(process.cwd(), tomlPath) || tomlPath);
+    logger.info('Traps:', Object.keys(config.traps || {}).join(', ') || 'none');
+
+    const results = validateStatic(config);
+
+    if (options.offline) {
+      logger.warning('Offline: chain ID and response contracts not checked');
+    } else {
+      const provider = options.rpc ? new ethers.providers.StaticJsonRpcProvider(options.rpc) : getProvider(network);
+      logger.info('RPC:', options.rpc || `${network} (config/networks.js)`);
+      const expectedChainId = options.rpc ? undefined : getNetwork(network).chainId;
+      results.push(...await validateOnChain(config, provider, expectedChainId));
+    }
+
+    logger.separator();
+    logger.table(results.map(item => ({
+      section: item.section,
+      check: item.check,
+      status: STATUS_ICONS[item.status],
+      message: item.message
+    })));
+
+    const errors = results.filter(item => item.status === 'error').length;
+    const warnings = results.filter(item => item.status === 'warn').length;
+
+    if (errors > 0) {
+      logger.error(`${errors} error(s), ${warnings} warning(s)`);
+      process.exitCode = EXIT_CODES.ERROR;
+    } else if (warnings > 0) {
+      logger.warning(`Valid with ${warnings} warning(s)`);
+    } else {
+      logger.success('drosera.toml is valid');
+    }
+
+    return { file: tomlPath, valid: errors === 0, errors, warnings, results };
+
+  } catch (error) {
+    logger.error('Error validating drosera.toml:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.manifest - Manifest path (default: deployments/<network>.json)
+ * @param {string} options.file - drosera.toml to update
+ * @param {boolean} options.write - Write the file instead of printing it
+ * @param {boolean} options.print - Print the generated file when not writing (default true)
+ */
+async function generateToml(options = {}) {
+  try {
+    logger.header('drosera.toml Generator');
+
+    const network = process.env.NETWORK || 'hoodi';
+    const manifestPath = options.manifest || getManifestPath(network);
+    const manifest = loadManifest(manifestPath);
+
+    if (!manifest) {
+      throw new CliError(`No deployment manifest at ${manifestPath} (deploy first or pass --manifest)`, EXIT_CODES.CONFIG);
+    }
+
+    const { path: tomlPath, text } = loadDroseraToml(options.file);
+    const section = trapSectionFromManifest(manifest);
+    const { text: updated, created } = upsertTrapSection(
+      manifest.chainId !== undefined ? setChainId(text, manifest.chainId) : text,
+      section.name,
+      section.values
+    );
+
+    logger.info('Manifest:', manifestPath);
+    logger.info('Trap:', `${section.contract} → [traps.${section.name}] (${created ? 'new section' : 'updated'})`);
+    logger.info('Responder:', section.values.response_contract);
+
+    if (options.write) {
+      fs.writeFileSync(tomlPath, updated);
+      logger.success(`Updated ${tomlPath}`);
+    } else {
+      if (options.print !== false) {
+        logger.separator();
+        process.stdout.write(updated);
+      }
+      logger.info('Dry run: pass --write to update', tomlPath);
+    }
+
+    return {
+      file: tomlPath,
+      section: section.name,
+      created,
+      written: Boolean(options.write),
+      ...(options.write ? {} : { toml: updated })
+    };
+
+  } catch (error) {
+    logger.error('Error generating drosera.toml:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+/**
+ * Dispatch `validate` / `generate`
+ */
+function droseraToml(subcommand = 'validate', options = {}) {
+  if (subcommand === 'validate') {
+    return validateToml(options);
+  }
+  if (subcommand === 'generate') {
+    return generateToml(options);
+  }
+  logger.error(`Unknown subcommand '${subcommand}'. Available: validate, generate`);
+  process.exit(EXIT_CODES.USAGE);
+}
+
+// Run if called directly
+if (require.main === module) {
+  const { positional, flags } = parseArgs(process.argv.slice(2), [...BOOLEAN_FLAGS, 'offline', 'write']);
+
+  if (positional[0] === 'generate' && !flags.write) {
+    // The generated file goes to stdout
+    logger.configure({ stream: 'stderr' });
+  }
+
+  droseraToml(positional[0], {
+    file: flags.file,
+    rpc: flags.rpc,
+    offline: flags.offline,
+    manifest: flags.manifest,
+    write: flags.write
+  });
+}
+
+module.exports = droseraToml;
+module.exports.validateToml = validateToml;
+module.exports.generateToml = generateToml;
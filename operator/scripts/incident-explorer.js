@@ -0,0 +1,254 @@
+/**
+ * Explore the incidents a responder has handled
+ *
+ * Reads every stored incident with getIncident(index) and joins it with the
+ * LaunchGuardianIncident event of the handle() call that recorded it (and with
+ * CoordinatedAttackDetected on the Advanced responder). Each row shows the
+ * block the trap detected the activity in, and the block and transaction of
+ * the response.
+ *
+ * Usage: npm run incidents -- [--type WASH_TRADING] [--min-severity 75] [--min-confidence 80]
+ *                             [--address 0x..] [--from-block n] [--format table|json|csv] [--output file]
+ */
+
+const { ethers } = require('ethers');
+const { getProvider } = require('../utils/web3-helper');
+const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
+const { getResponderAbi } = require('../config/abis');
+const {
+  isAdvancedResponder,
+  resolveHistoryStart,
+  scanResponderEvents,
+  readIncidents,
+  parseDetectionType,
+  getDetectionTypeName
+} = require('../utils/responder-history');
+const { getReportFormat, writeReport } = require('../utils/report');
+const { EXIT_CODES, CliError, parseArgs, exitCodeFor, writesToStdout } = require('../utils/cli');
+require('dotenv').config();
+
+const CSV_COLUMNS = [
+  'index',
+  'violator',
+  'detectionType',
+  'detection',
+  'severity',
+  'confidence',
+  'accumulatedPercentBP',
+  'patternSignature',
+  'coordinated',
+  'relatedAddresses',
+  'triggerBlock',
+  'triggerTime',
+  'responseBlock',
+  'responseTime',
+  'responseTx',
+  'responseDelayBlocks'
+];
+
+function incidentKey(violator, detectionType, severity, blockNumber) {
+  return [violator.toLowerCase(), Number(detectionType), severity.toString(), blockNumber.toString()].join(':');
+}
+
+/**
+ * Join stored incidents with the events emitted when they were handled
+ * Incidents are matched to events by (violator, type, severity, block) in order,
+ * so repeated identical reports pair up with their own transactions.
+ */
+function joinIncidents(incidents, incidentEvents, coordinatedEvents) {
+  const eventsByKey = new Map();
+  for (const event of incidentEvents) {
+    const { violator, detectionType, severity, blockNumber } = event.args;
+    const key = incidentKey(violator, detectionType, severity, blockNumber);
+    if (!eventsByKey.has(key)) {
+      eventsByKey.set(key, []);
+    }
+    eventsByKey.get(key).push(event);
+  }
+
+  const coordinatedByTx = new Map(coordinatedEvents.map(event => [event.transactionHash, event]));
+
+  return incidents.map((incident, index) => {
+    const key = incidentKey(incident.violatorAddress, incident.detectionType, incident.severity, incident.blockNumber);
+    const event = (eventsByKey.get(key) || []).shift() || null;
+    const coordinated = event ? coordinatedByTx.get(event.transactionHash) : null;
+    const relatedAddresses = incident.relatedAddresses
+      ? [...incident.relatedAddresses]
+      : (coordinated ? [...coordinated.args.relatedAddresses] : []);
+
+    return {
+      index,
+      violator: incident.violatorAddress,
+      detectionType: incident.detectionType,
+      detection: getDetectionTypeName(incident.detectionType),
+      severity: incident.severity.toNumber(),
+      confidence: incident.confidence !== undefined ? incident.confidence.toNumber() : null,
+      accumulatedPercentBP: incident.accumulatedPercentBP.toString(),
+      patternSignature: incident.patternSignature || null,
+      coordinated: Boolean(coordinated) || relatedAddresses.length > 0,
+      relatedAddresses,
+      triggerBlock: incident.blockNumber.toNumber(),
+      triggerTime: null,
+      responseBlock: event ? event.blockNumber : null,
+      responseTime: event ? new Date(event.args.timestamp.toNumber() * 1000).toISOString() : null,
+      responseTx: event ? event.transactionHash : null,
+      responseDelayBlocks: event ? event.blockNumber - incident.blockNumber.toNumber() : null
+    };
+  });
+}
+
+/**
+ * Build the incident filter from command options
+ */
+function createFilter({ type, minSeverity, minConfidence, address }) {
+  const types = type !== undefined ? String(type).split(',').map(parseDetectionType) : null;
+  const severity = parseThreshold('min-severity', minSeverity);
+  const confidence = parseThreshold('min-confidence', minConfidence);
+
+  if (address !== undefined && !ethers.utils.isAddress(address)) {
+    throw new CliError(`--address is not a valid address: ${address}`, EXIT_CODES.USAGE);
+  }
+  const account = address !== undefined ? address.toLowerCase() : null;
+
+  return row => (
+    (!types || types.includes(row.detectionType)) &&
+    (severity === null || row.severity >= severity) &&
+    // Basic responder incidents carry no confidence; a confidence filter excludes them
+    (confidence === null || (row.confidence !== null && row.confidence >= confidence)) &&
+    (!account || row.violator.toLowerCase() === account ||
+      row.relatedAddresses.some(related => related.toLowerCase() === account))
+  );
+}
+
+function parseThreshold(name, value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (!/^\d+$/.test(String(value)) || Number(value) > 100) {
+    throw new CliError(`--${name} must be between 0 and 100: ${value}`, EXIT_CODES.USAGE);
+  }
+  return Number(value);
+}
+
+/**
+ * Fill in the timestamp of each trigger block (one request per distinct block)
+ */
+async function addTriggerTimes(provider, rows) {
+  const blocks = new Map();
+
+  for (const row of rows) {
+    if (!blocks.has(row.triggerBlock)) {
+      const block = await provider.getBlock(row.triggerBlock).catch(() => null);
+      blocks.set(row.triggerBlock, block);
+    }
+    const block = blocks.get(row.triggerBlock);
+    row.triggerTime = block ? new Date(block.timestamp * 1000).toISOString() : null;
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.type - Detection type name or number, comma separated
+ * @param {string} options.minSeverity
+ * @param {string} options.minConfidence - Advanced responder only
+ * @param {string} options.address - Violator or related address
+ * @param {string} options.fromBlock - Start of the event scan (default: deployment block)
+ * @param {string} options.format - table, json or csv
+ * @param {string} options.output - File for json / csv output
+ */
+async function incidentExplorer(options = {}) {
+  try {
+    logger.header('Responder Incident Explorer');
+
+    const network = process.env.NETWORK || 'hoodi';
+    const responderAddress = process.env.RESPONDER_ADDRESS;
+    const format = getReportFormat(options.format);
+    const filter = createFilter(options);
+
+    if (!responderAddress) {
+      logger.error('RESPONDER_ADDRESS not set (no deployments/<network>.json entry, .env value or flag)');
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    const provider = getProvider(network);
+    // Probe the deployed code: a stale ADVANCED_RESPONDER would pick the wrong event layout
+    const isAdvanced = await isAdvancedResponder(provider, responderAddress);
+    const responder = new ethers.Contract(responderAddress, getResponderAbi(isAdvanced), provider);
+
+    logger.info('Network:', network);
+    logger.info('Responder:', responderAddress);
+    logger.info('Type:', isAdvanced ? 'FairLaunchResponderAdvanced' : 'FairLaunchResponder');
+
+    const total = (await responder.totalIncidents()).toNumber();
+    logger.info('Stored incidents:', total);
+
+    let rows = [];
+    if (total > 0) {
+      const toBlock = await provider.getBlockNumber();
+      const fromBlock = await resolveHistoryStart(provider, responderAddress, options.fromBlock);
+      logger.info('Scanning events:', `${fromBlock} → ${toBlock}`);
+      logger.separator();
+
+      const [incidents, events] = await Promise.all([
+        readIncidents(responder, total),
+        scanResponderEvents(responder, ['LaunchGuardianIncident', 'CoordinatedAttackDetected'], fromBlock, toBlock)
+      ]);
+
+      rows = joinIncidents(incidents, events.LaunchGuardianIncident, events.CoordinatedAttackDetected).filter(filter);
+      await addTriggerTimes(provider, rows);
+
+      const unmatched = rows.filter(row => row.responseTx === null).length;
+      if (unmatched > 0) {
+        logger.warning(`${unmatched} incident(s) have no LaunchGuardianIncident event after block ${fromBlock}`);
+      }
+    }
+
+    logger.info(`Matching incidents: ${rows.length}/${total}`);
+
+    writeReport(rows, {
+      format,
+      output: options.output,
+      columns: CSV_COLUMNS,
+      tableRow: row => ({
+        '#': row.index,
+        violator: row.violator,
+        detection: `${row.detection} (${row.detectionType})`,
+        severity: row.severity,
+        ...(isAdvanced ? { confidence: row.confidence, related: row.relatedAddresses.length } : {}),
+        trigger: row.triggerBlock,
+        response: row.responseBlock === null ? '-' : `${row.responseBlock} (+${row.responseDelayBlocks})`
+      })
+    });
+
+    return { network, responderAddress, advanced: isAdvanced, total, incidents: rows };
+
+  } catch (error) {
+    logger.error('Error exploring incidents:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  applyManifest();
+  const { flags } = parseArgs(process.argv.slice(2));
+  if (writesToStdout(flags.format, flags.output)) {
+    logger.configure({ stream: 'stderr' });
+  }
+  incidentExplorer({
+    type: flags.type,
+    minSeverity: flags['min-severity'],
+    minConfidence: flags['min-confidence'],
+    address: flags.address,
+    fromBlock: flags['from-block'],
+    format: flags.format,
+    output: flags.output
+  });
+}
+
+module.exports = incidentExplorer;
+module.exports.joinIncidents = joinIncidents;
@@ -0,0 +1,263 @@
+/**
+ * Generate the launch constants compiled into the traps
+ *
+ * Takes the token and its Uniswap V2 pair, reads token0() for TOKEN_IS_TOKEN0
+ * and the pair's first Mint for LAUNCH_BLOCK, and renders TOKEN_ADDRESS,
+ * LIQUIDITY_POOL, TOKEN_IS_TOKEN0 and LAUNCH_BLOCK into FairLaunchConfig.sol
+ * and each trap that declares them. With --write the sources are updated,
+ * `forge build` is run and the constants are read back from the artifacts.
+ *
+ * Usage: npm run launch-config -- [token] [pair] [--launch-block n] [--from-block n] [--write] [--skip-build]
+ *        npm run launch-config -- verify [token] [pair] [--launch-block n]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ethers } = require('ethers');
+const { getProvider } = require('../utils/web3-helper');
+const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
+const { tokenAbi } = require('../config/abis');
+const { getNetwork } = require('../config/networks');
+const {
+  CONTRACTS_DIR,
+  CONSTANT_SOURCES,
+  readPair,
+  findLaunchBlock,
+  formatConstant,
+  readSourceConstants,
+  renderConstants,
+  getSourcePath,
+  readCompiledConstants,
+  sameConstant
+} = require('../utils/launch-config');
+const { EXIT_CODES, BOOLEAN_FLAGS, CliError, parseArgs, exitCodeFor } = require('../utils/cli');
+require('dotenv').config();
+
+async function readSymbol(provider, address) {
+  try {
+    return await new ethers.Contract(address, tokenAbi, provider).symbol();
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseBlock(value, name) {
+  const block = parseInt(value, 10);
+  if (Number.isNaN(block) || block < 0 || String(block) !== String(value).trim()) {
+    throw new CliError(`Invalid ${name}: ${value}`, EXIT_CODES.USAGE);
+  }
+  return block;
+}
+
+/**
+ * Work out the constant values for a token / pair
+ * @returns {Promise<Object>} { values, comments, pair, launch }
+ */
+async function resolveLaunchValues(provider, network, tokenAddress, pairAddress, options) {
+  for (const [name, value] of [['token', tokenAddress], ['pair', pairAddress]]) {
+    if (!value || !ethers.utils.isAddress(value)) {
+      throw new CliError(`Usage: launch-config <token> <pair> (${name} ${value ? `is not an address: ${value}` : 'missing; pass it or set TOKEN_ADDRESS / LIQUIDITY_POOL'})`, EXIT_CODES.USAGE);
+    }
+  }
+
+  const pair = await readPair(provider, tokenAddress, pairAddress);
+
+  let launch;
+  if (options.launchBlock !== undefined) {
+    launch = { blockNumber: parseBlock(options.launchBlock, '--launch-block') };
+  } else {
+    const fromBlock = options.fromBlock !== undefined ? parseBlock(options.fromBlock, '--from-block') : undefined;
+    launch = await findLaunchBlock(provider, pairAddress, { fromBlock });
+    if (!launch) {
+      throw new CliError(`No Mint event on ${pairAddress}: liquidity has not been added yet (pass --launch-block)`, EXIT_CODES.CONFIG);
+    }
+  }
+
+  const [symbol, quoteSymbol] = await Promise.all([readSymbol(provider, tokenAddress), readSymbol(provider, pair.quoteToken)]);
+  const tokenLabel = symbol || 'Token';
+  const networkLabel = getNetwork(network).name;
+
+  return {
+    pair,
+    launch,
+    values: {
+      TOKEN_ADDRESS: ethers.utils.getAddress(tokenAddress),
+      LIQUIDITY_POOL: ethers.utils.getAddress(pairAddress),
+      TOKEN_IS_TOKEN0: pair.tokenIsToken0,
+      LAUNCH_BLOCK: launch.blockNumber
+    },
+    // Replace trailing comments that described the previous values
+    comments: {
+      TOKEN_ADDRESS: `${tokenLabel} on ${networkLabel}`,
+      LIQUIDITY_POOL: `${tokenLabel}/${quoteSymbol || 'quote'} pair on ${networkLabel}`,
+      TOKEN_IS_TOKEN0: `Pair token0() is ${pair.token0}`,
+      LAUNCH_BLOCK: launch.transactionHash ? 'First Mint on the pair' : 'Launch block'
+    }
+  };
+}
+
+/**
+ * Compare compiled trap constants with the expected values
+ * @returns {Promise<Object[]>} { contract, constant, expected, compiled, match }
+ */
+async function verifyCompiled(provider, values) {
+  const rows = [];
+
+  for (const entry of CONSTANT_SOURCES.filter(source => source.compiled)) {
+    const compiled = await readCompiledConstants(provider, entry.contract, entry.constants);
+    for (const name of entry.constants) {
+      rows.push({
+        contract: entry.contract,
+        constant: name,
+        expected: formatConstant(name, values[name]),
+        compiled: formatConstant(name, compiled[name]),
+        match: sameConstant(name, compiled[name], values[name])
+      });
+    }
+  }
+
+  return rows;
+}
+
+function printVerification(rows) {
+  logger.table(rows.map(row => ({ ...row, match: row.match ? '✓' : '✗' })));
+
+  const mismatches = rows.filter(row => !row.match);
+  if (mismatches.length > 0) {
+    logger.error(`${mismatches.length} compiled constant(s) differ; rebuild with 'forge build' in contracts/`);
+    process.exitCode = EXIT_CODES.ERROR;
+  } else {
+    logger.success('Compiled trap constants match');
+  }
+}
+
+function forgeBuild() {
+  logger.info('Running forge build...');
+  const result = spawnSync('forge', ['build'], { cwd: CONTRACTS_DIR, stdio: ['ignore', process.stderr, process.stderr] });
+
+  if (result.error && result.error.code === 'ENOENT') {
+    throw new CliError('forge not found. Install Foundry, or build yourself and run `launch-config verify`', EXIT_CODES.CONFIG);
+  }
+  if (result.status !== 0) {
+    throw new CliError(`forge build failed (exit ${result.status})`, EXIT_CODES.ERROR);
+  }
+}
+
+/**
+ * @param {string} tokenAddress - Default: TOKEN_ADDRESS
+ * @param {string} pairAddress - Default: LIQUIDITY_POOL
+ * @param {Object} options
+ * @param {string} options.launchBlock - Use this block instead of the first Mint
+ * @param {string} options.fromBlock - Start of the Mint scan (default: the pair's deployment block)
+ * @param {boolean} options.write - Update the sources, build and verify
+ * @param {boolean} options.skipBuild - With --write: do not run forge build / verify
+ */
+async function launchConfig(tokenAddress = process.env.TOKEN_ADDRESS, pairAddress = process.env.LIQUIDITY_POOL, options = {}) {
+  try {
+    logger.header('Launch Constants');
+
+    const network = process.env.NETWORK || 'hoodi';
+    const provider = getProvider(network);
+    const { values, comments, pair, launch } = await resolveLaunchValues(provider, network, tokenAddress, pairAddress, options);
+
+    logger.info('Network:', network);
+    logger.info('Pair:', `${pair.token0} / ${pair.token1}`);
+    logger.info('Launch block:', launch.transactionHash ? `${launch.blockNumber} (first Mint, ${launch.transactionHash})` : launch.blockNumber);
+    logger.separator();
+
+    const files = [];
+    const rows = [];
+    for (const entry of CONSTANT_SOURCES) {
+      const sourcePath = getSourcePath(entry);
+      const source = fs.readFileSync(sourcePath, 'utf8');
+      const current = readSourceConstants(source, entry.constants);
+      const entryValues = Object.fromEntries(entry.constants.map(name => [name, values[name]]));
+      const rendered = renderConstants(source, entryValues, comments);
+
+      files.push({ path: sourcePath, changed: rendered !== source, rendered });
+      for (const name of entry.constants) {
+        const next = formatConstant(name, values[name]);
+        rows.push({ contract: entry.contract, constant: name, current: current[name], new: next, changed: current[name] !== next ? '●' : '' });
+      }
+    }
+
+    logger.table(rows);
+
+    const changed = files.filter(file => file.changed);
+    if (!options.write) {
+      logger.info(changed.length > 0 ? `Dry run: pass --write to update ${changed.length} file(s)` : 'Sources already up to date');
+      return { network, values, files: files.map(file => ({ path: file.path, changed: file.changed })) };
+    }
+
+    for (const file of changed) {
+      fs.writeFileSync(file.path, file.rendered);
+      logger.success(`Updated ${path.relative(process.cwd(), file.path)}`);
+    }
+
+    if (options.skipBuild) {
+      logger.info('Build skipped; run `forge build` then `launch-config verify`');
+      return { network, values, files: changed.map(file => file.path), verified: false };
+    }
+
+    forgeBuild();
+    const verification = await verifyCompiled(provider, values);
+    printVerification(verification);
+
+    return { network, values, files: changed.map(file => file.path), verified: verification.every(row => row.match), verification };
+
+  } catch (error) {
+    logger.error('Error generating launch constants:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+/**
+ * Check the compiled traps against the values for a token / pair
+ */
+async function verifyLaunchConfig(tokenAddress = process.env.TOKEN_ADDRESS, pairAddress = process.env.LIQUIDITY_POOL, options = {}) {
+  try {
+    logger.header('Launch Constants - Verify');
+
+    const network = process.env.NETWORK || 'hoodi';
+    const provider = getProvider(network);
+    const { values } = await resolveLaunchValues(provider, network, tokenAddress, pairAddress, options);
+
+    const verification = await verifyCompiled(provider, values);
+    printVerification(verification);
+
+    return { network, values, verified: verification.every(row => row.match), verification };
+
+  } catch (error) {
+    logger.error('Error verifying launch constants:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  applyManifest();
+  const { positional, flags } = parseArgs(process.argv.slice(2), [...BOOLEAN_FLAGS, 'write', 'skip-build']);
+  const options = {
+    launchBlock: flags['launch-block'],
+    fromBlock: flags['from-block'],
+    write: flags.write,
+    skipBuild: flags['skip-build']
+  };
+
+  if (positional[0] === 'verify') {
+    verifyLaunchConfig(positional[1], positional[2], options);
+  } else {
+    launchConfig(positional[0], positional[1], options);
+  }
+}
+
+module.exports = launchConfig;
+module.exports.verifyLaunchConfig = verifyLaunchConfig;
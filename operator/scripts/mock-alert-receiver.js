@@ -0,0 +1,129 @@
+/**
+ * Local HTTP receiver for testing alert sinks
+ *
+ * Accepts any POST, prints the JSON body and answers the way the real services
+ * do, so the sinks can be exercised without Slack or Telegram accounts:
+ *   ALERT_WEBHOOK_URL=http://127.0.0.1:8787/webhook
+ *   ALERT_SLACK_WEBHOOK_URL=http://127.0.0.1:8787/slack
+ *   ALERT_TELEGRAM_API_URL=http://127.0.0.1:8787/telegram
+ *
+ * Usage: npm run alert-receiver -- [port]
+ */
+
+const http = require('http');
+const logger = require('../utils/logger');
+const { EXIT_CODES, exitCodeFor } = require('../utils/cli');
+
+const DEFAULT_PORT = 8787;
+
+/**
+ * Start the receiver
+ * @param {Object} options
+ * @param {number} options.port - 0 picks a free port
+ * @param {string[]} options.failPaths - Paths answered with HTTP 500, to test delivery failures
+ * @returns {Promise<Object>} { url, port, requests, close() }
+ */
+function startMockReceiver({ port = DEFAULT_PORT, host = '127.0.0.1', failPaths = [], onRequest } = {}) {
+  const requests = [];
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      let json = null;
+      try {
+        json = body ? JSON.parse(body) : null;
+      } catch (error) {
+        // Keep the raw body
+      }
+
+      const received = { method: request.method, path: request.url, headers: request.headers, body: json, raw: body };
+      requests.push(received);
+      if (onRequest) {
+        onRequest(received);
+      }
+
+      if (failPaths.some(path => request.url.startsWith(path))) {
+        response.writeHead(500, { 'Content-Type': 'text/plain' });
+        response.end('mock failure');
+        return;
+      }
+
+      // Slack answers "ok", Telegram {"ok":true,...}, everything else gets JSON
+      if (request.url.startsWith('/slack')) {
+        response.writeHead(200, { 'Content-Type': 'text/plain' });
+        response.end('ok');
+      } else {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ ok: true, result: { message_id: requests.length } }));
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${host}:${address.port}`,
+        port: address.port,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+async function mockAlertReceiver(portArg) {
+  try {
+    const port = portArg !== undefined ? parseInt(portArg, 10) : DEFAULT_PORT;
+    if (Number.isNaN(port) || port < 0) {
+      logger.error('Invalid port:', portArg);
+      process.exit(EXIT_CODES.USAGE);
+    }
+
+    const receiver = await startMockReceiver({
+      port,
+      onRequest: ({ method, path, body, raw }) => {
+        logger.info(`${method} ${path}`);
+        if (body) {
+          logger.json(body);
+        } else {
+          logger.info(raw);
+        }
+      }
+    });
+
+    logger.header('Mock Alert Receiver');
+    logger.info('Listening on', receiver.url);
+    logger.info(`ALERT_WEBHOOK_URL=${receiver.url}/webhook`);
+    logger.info(`ALERT_SLACK_WEBHOOK_URL=${receiver.url}/slack`);
+    logger.info(`ALERT_TELEGRAM_API_URL=${receiver.url}/telegram`);
+    logger.info('Press Ctrl+C to stop');
+    logger.separator();
+
+    process.on('SIGINT', async () => {
+      await receiver.close();
+      logger.info(`\nReceived ${receiver.requests.length} request(s)`);
+      process.exit(EXIT_CODES.SUCCESS);
+    });
+
+    // Keep process alive
+    await new Promise(() => {});
+
+  } catch (error) {
+    logger.error('Receiver error:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  mockAlertReceiver(process.argv[2]);
+}
+
+module.exports = mockAlertReceiver;
+module.exports.startMockReceiver = startMockReceiver;
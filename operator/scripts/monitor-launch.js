@@ -1,21 +1,62 @@
 /**
  * Monitor a token launch in real-time (for testing only!)
- * 
+ *
  * Note: In production, Drosera operators do this automatically.
  * This is just for local testing and understanding how monitoring works.
- * 
- * Usage: npm run monitor
+ *
+ * Swaps, sells, liquidity removals, collect() snapshots and responder events are persisted to a JSONL store
+ * (see utils/event-store.js). A restart resumes from the last processed block.
+ *
+ * Blocks are only processed once they are `confirmations` deep (per network,
+ * see config/networks.js). Block hashes are recorded so a deeper reorg is still
+ * detected: records from orphaned blocks are rolled back and a reorg record is
+ * stored before the canonical blocks are processed again.
+ *
+ * --from-block <n> / --from-launch backfill history first: the range up to the
+ * head is scanned with chunked getLogs (see utils/log-scanner.js) through the
+ * same pipeline, then the monitor carries on tailing new blocks.
+ *
+ * The traps are stateless, so detections come from the responder
+ * (RESPONDER_ADDRESS): its LaunchGuardianIncident, AddressBlacklisted,
+ * CoordinatedAttackDetected and EmergencyPauseTriggered events are stored and
+ * sent to the alert sinks configured in .env (see utils/alerts.js), as are reorgs.
+ *
+ * With METRICS_PORT (or --metrics-port) set, Prometheus metrics are served on
+ * http://<host>:<port>/metrics (see utils/metrics.js).
+ *
+ * Usage: npm run monitor -- [--from-block <n> | --from-launch] [--metrics-port <port>]
  */
 
 const { ethers } = require('ethers');
-const { getProvider } = require('../utils/web3-helper');
+const { getProvider, sleep } = require('../utils/web3-helper');
+const { isEndpointFailure } = require('../utils/rpc-provider');
+const { getConfirmations } = require('../config/networks');
 const logger = require('../utils/logger');
-const { trapAbi, tokenAbi, dexAbi } = require('../config/abis');
+const { applyManifest } = require('../utils/deployments');
+const { tokenAbi, dexAbi, getTrapAbi, resolveTrapStrategy, getResponderAbi } = require('../config/abis');
+const { resolveDecoder } = require('../utils/collect-decoders');
+const { openEventStore } = require('../utils/event-store');
+const { createScanner } = require('../utils/log-scanner');
+const { isAdvancedResponder, scanResponderEvents, getIncidentTypeName } = require('../utils/responder-history');
+const { createAlertManager, createAlert } = require('../utils/alerts');
+const { MonitorMetrics, startMetricsServer, getMetricsPort } = require('../utils/metrics');
+const { EXIT_CODES, BOOLEAN_FLAGS, CliError, parseArgs, exitCodeFor } = require('../utils/cli');
 require('dotenv').config();
 
+const MAX_BLOCKS_PER_BATCH = 100; // Live blocks are processed in ranges of this size
+const BACKFILL_BLOCKS_PER_BATCH = 5000; // Ranges further behind the head advance the cursor in larger steps
+// CoordinatedAttackDetected is only emitted by FairLaunchResponderAdvanced
+const RESPONDER_EVENTS = ['LaunchGuardianIncident', 'AddressBlacklisted', 'CoordinatedAttackDetected', 'EmergencyPauseTriggered'];
+
 let isMonitoring = true;
 
-async function monitorLaunch() {
+/**
+ * @param {Object} options
+ * @param {number|string} options.fromBlock - Backfill from this block
+ * @param {boolean} options.fromLaunch - Backfill from the trap's launch block
+ * @param {number|string} options.metricsPort - Serve /metrics on this port (overrides METRICS_PORT)
+ */
+async function monitorLaunch({ fromBlock, fromLaunch = false, metricsPort } = {}) {
   try {
     logger.header('Fair Launch Monitor (Testing Mode)');
     logger.warning('⚠️  This is for testing only!');
@@ -26,122 +67,162 @@ async function monitorLaunch() {
     const trapAddress = process.env.TRAP_ADDRESS;
     const tokenAddress = process.env.TOKEN_ADDRESS;
     const dexAddress = process.env.LIQUIDITY_POOL;
+    const responderAddress = process.env.RESPONDER_ADDRESS; // Optional: watch incidents, blacklistings and pauses
 
     if (!trapAddress || !tokenAddress || !dexAddress) {
       logger.error('Missing environment variables');
-      logger.info('Required: TRAP_ADDRESS, TOKEN_ADDRESS, LIQUIDITY_POOL');
-      process.exit(1);
+      logger.info('Required: TRAP_ADDRESS, TOKEN_ADDRESS, LIQUIDITY_POOL (from deployments/<network>.json or .env)');
+      process.exit(EXIT_CODES.CONFIG);
     }
 
-    logger.info('Network:', network);
-    logger.info('Trap:', trapAddress);
-    logger.info('Token:', tokenAddress);
-    logger.info('DEX:', dexAddress);
-    logger.separator();
+    // Every record from here on carries the deployment it belongs to
+    const log = logger.child({ network, trap: trapAddress, token: tokenAddress });
+
+    log.info('Network:', network);
+    log.info('Trap:', trapAddress);
+    log.info('Token:', tokenAddress);
+    log.info('DEX:', dexAddress);
+    if (responderAddress) {
+      log.info('Responder:', responderAddress);
+    } else {
+      log.warning('RESPONDER_ADDRESS not set: only swaps and collect() snapshots are recorded');
+    }
+
+    const confirmations = getConfirmations(network);
+    log.info('Confirmations:', confirmations);
+    log.separator();
 
     // Connect to contracts
     const provider = getProvider(network);
-    const trap = new ethers.Contract(trapAddress, trapAbi, provider);
+    const strategy = await resolveTrapStrategy(provider, trapAddress);
+    const trap = new ethers.Contract(trapAddress, getTrapAbi(strategy), provider);
     const token = new ethers.Contract(tokenAddress, tokenAbi, provider);
     const dex = new ethers.Contract(dexAddress, dexAbi, provider);
+    const responder = responderAddress
+      ? new ethers.Contract(responderAddress, getResponderAbi(await isAdvancedResponder(provider, responderAddress)), provider)
+      : null;
+
+    const alerts = createAlertManager(log);
+    log.info('Alert sinks:', alerts.isEnabled() ? alerts.sinks.map(sink => sink.name).join(', ') : 'none');
 
     // Get token info
     const tokenName = await token.name();
     const tokenSymbol = await token.symbol();
-    
-    logger.success('Connected to', tokenName, `(${tokenSymbol})`);
-    logger.separator();
 
-    // Check if monitoring is active
-    const isActive = await trap.isMonitoringActive();
-    if (!isActive) {
-      logger.error('Trap monitoring is not active!');
-      logger.info('Check launch configuration with: npm run check-status');
-      process.exit(1);
-    }
+    log.success('Connected to', tokenName, `(${tokenSymbol})`);
+    log.separator();
 
-    logger.success('Monitoring is active!');
-    logger.info('Press Ctrl+C to stop monitoring');
-    logger.separator();
+    log.info('Strategy:', strategy);
+    log.info('Press Ctrl+C to stop monitoring');
+    log.separator();
+
+    const backfillFrom = await resolveBackfillBlock(trap, strategy, { fromBlock, fromLaunch });
 
-    // Listen for DEX swap events
-    logger.info('Listening for swap events...\n');
-    
-    dex.on('Swap', async (buyer, ethAmount, tokenAmount, gasPrice, event) => {
-      const block = event.blockNumber;
-      const percent = tokenAmount.mul(10000).div(await token.totalSupply()).toNumber() / 100;
-      
-      logger.info(`\n🔔 Swap Detected (Block ${block})`);
-      logger.info(`  Buyer: ${buyer}`);
-      logger.info(`  Amount: ${ethers.utils.formatEther(tokenAmount)} tokens (${percent.toFixed(2)}%)`);
-      logger.info(`  Gas: ${ethers.utils.formatUnits(gasPrice, 'gwei')} gwei`);
-      
-      // Check if suspicious
-      if (percent > 5) {
-        logger.warning(`  ⚠️  SUSPICIOUS: > 5% of supply!`);
+    // Resume from the stored cursor, or start at the current head
+    const store = openEventStore(network, trapAddress);
+    const cursor = store.getCursor();
+    let nextBlock = cursor !== null
+      ? cursor + 1
+      : Math.max(0, await provider.getBlockNumber() - confirmations);
+
+    const scanner = createScanner();
+
+    const metrics = new MonitorMetrics({ network, trap: trapAddress, pool: dexAddress });
+    metrics.seed(store.query(), await token.totalSupply());
+
+    const port = getMetricsPort(metricsPort !== undefined ? metricsPort : process.env.METRICS_PORT);
+    const metricsServer = port !== null
+      ? await startMetricsServer(metrics, port, process.env.METRICS_HOST)
+      : null;
+
+    const context = { network, provider, strategy, trap, token, dex, responder, store, log, scanner, alerts, metrics, decoder: null };
+
+    log.info('Store:', store.dir);
+    if (metricsServer) {
+      log.info('Metrics:', `http://${process.env.METRICS_HOST || '127.0.0.1'}:${metricsServer.address().port}/metrics`);
+    }
+
+    // Handle Ctrl+C: stop after the range in progress so its records and cursor are written together
+    let processing = false;
+    process.on('SIGINT', async () => {
+      if (!isMonitoring) {
+        // Second Ctrl+C: don't wait for a slow RPC
+        process.exit(EXIT_CODES.SUCCESS);
+      }
+      log.info('\n\nStopping monitor...');
+      isMonitoring = false;
+      provider.removeAllListeners('block');
+      while (processing) {
+        await sleep(100);
       }
-      
-      if (gasPrice.gt(ethers.utils.parseUnits('100', 'gwei'))) {
-        logger.warning(`  ⚠️  SUSPICIOUS: High gas price!`);
+      store.close();
+      if (metricsServer) {
+        metricsServer.close();
       }
+      process.exit(EXIT_CODES.SUCCESS);
     });
 
-    // Listen for trap events
-    trap.on('SuspiciousActivityDetected', (launchId, address, detectionType, amount, block) => {
-      logger.warning(`\n🚨 DETECTION at block ${block}`);
-      logger.warning(`  Type: ${getDetectionTypeName(detectionType)}`);
-      logger.warning(`  Address: ${address}`);
-      logger.warning(`  Amount: ${ethers.utils.formatEther(amount)}`);
-    });
+    if (backfillFrom !== null && cursor !== null && backfillFrom <= cursor) {
+      // Fill gaps below the cursor; records already stored are skipped by key
+      log.info(`Backfilling blocks ${backfillFrom}-${cursor} below the stored cursor`);
+      processing = true;
+      try {
+        await backfillStored(context, backfillFrom, cursor);
+      } finally {
+        processing = false;
+      }
+      log.info(`Resuming from block ${nextBlock} (last processed ${cursor})`);
+    } else if (backfillFrom !== null) {
+      nextBlock = backfillFrom;
+      log.info(`Backfilling from block ${nextBlock}`);
+    } else if (cursor !== null) {
+      log.info(`Resuming from block ${nextBlock} (last processed ${cursor})`);
+    } else {
+      log.info(`Starting at block ${nextBlock}`);
+    }
 
-    trap.on('AddressBlacklisted', (launchId, address, reason) => {
-      logger.error(`\n❌ ADDRESS BLACKLISTED`);
-      logger.error(`  Address: ${address}`);
-      logger.error(`  Reason: ${getDetectionTypeName(reason)}`);
-    });
+    log.info('Listening for swap events...\n');
+    const startBlock = nextBlock;
 
-    trap.on('TradingPaused', (launchId, block, reason) => {
-      logger.error(`\n⛔ TRADING PAUSED at block ${block}`);
-      logger.error(`  Reason: ${reason}`);
-    });
+    // Process every confirmed block exactly once, advancing the cursor per range
+    const processUpTo = async (headBlock) => {
+      if (processing || !isMonitoring) return;
+      processing = true;
 
-    // Monitor new blocks
-    provider.on('block', async (blockNumber) => {
-      if (!isMonitoring) return;
-      
       try {
-        // Call collect() each block
-        const data = await trap.collect();
-        
-        if (data.length > 2) {
-          // Try to decode
-          const collectOutputType = ethers.utils.ParamType.from(
-            'tuple(uint256 blockNumber, address[] recentBuyers, uint256[] buyAmounts, uint256[] gasPrices, uint256 totalSupply, uint256 liquidityPoolBalance, uint256 averageGasPrice)'
-          );
-          
-          const decoded = ethers.utils.defaultAbiCoder.decode([collectOutputType], data);
-          const output = decoded[0];
-          
-          if (output.recentBuyers.length > 0) {
-            logger.info(`\n📊 Block ${blockNumber}: ${output.recentBuyers.length} buyers`);
-          } else {
-            logger.debug(`Block ${blockNumber}: No activity`);
+        const confirmedBlock = headBlock - confirmations;
+        metrics.setProgress(headBlock, nextBlock - 1);
+
+        while (nextBlock <= confirmedBlock && isMonitoring) {
+          const forkBlock = await detectReorg(context);
+          if (forkBlock !== null) {
+            nextBlock = forkBlock;
+          }
+
+          // Far behind the head: scan logs in large steps and only touch blocks that have events
+          const backfill = confirmedBlock - nextBlock >= MAX_BLOCKS_PER_BATCH;
+          const batchSize = backfill ? BACKFILL_BLOCKS_PER_BATCH : MAX_BLOCKS_PER_BATCH;
+          const toBlock = Math.min(confirmedBlock, nextBlock + batchSize - 1);
+
+          const blockHashes = await processRange(context, nextBlock, toBlock, { backfill });
+          store.setCursor(toBlock, blockHashes);
+          metrics.setProgress(headBlock, toBlock);
+          nextBlock = toBlock + 1;
+
+          if (backfill) {
+            log.progress(`Backfilled to block ${toBlock}`, toBlock - startBlock + 1, confirmedBlock - startBlock + 1);
           }
         }
-        
       } catch (error) {
-        if (!error.message.includes('monitoring')) {
-          logger.debug('Block', blockNumber, 'error:', error.message);
-        }
+        // Cursor was not advanced, so the range is retried on the next block
+        log.warning(`Processing from block ${nextBlock} failed, will retry:`, error.message);
+      } finally {
+        processing = false;
       }
-    });
+    };
 
-    // Handle Ctrl+C
-    process.on('SIGINT', () => {
-      logger.info('\n\nStopping monitor...');
-      isMonitoring = false;
-      process.exit(0);
-    });
+    provider.on('block', processUpTo);
+    await processUpTo(await provider.getBlockNumber());
 
     // Keep process alive
     await new Promise(() => {});
@@ -151,24 +232,496 @@ async function monitorLaunch() {
     if (process.env.DEBUG === 'true') {
       console.error(error);
     }
-    process.exit(1);
+    process.exit(exitCodeFor(error));
+  }
+}
+
+/**
+ * Compare recorded block hashes with the chain and roll back orphaned blocks
+ * @returns {number|null} First block to re-process, or null if there was no reorg
+ */
+async function detectReorg(context) {
+  const { provider, store, log } = context;
+  const recordedBlocks = store.getRecordedBlocks();
+
+  if (recordedBlocks.length === 0) {
+    return null;
+  }
+
+  const latest = await provider.getBlock(recordedBlocks[0]);
+  if (latest && latest.hash === store.getBlockHash(recordedBlocks[0])) {
+    return null;
+  }
+
+  // Walk back to the newest block both forks agree on
+  const orphaned = [];
+  let forkBlock = recordedBlocks[recordedBlocks.length - 1];
+  for (const blockNumber of recordedBlocks) {
+    const block = await provider.getBlock(blockNumber);
+    if (block && block.hash === store.getBlockHash(blockNumber)) {
+      forkBlock = blockNumber + 1;
+      break;
+    }
+    orphaned.push({ blockNumber, hash: store.getBlockHash(blockNumber) });
+  }
+
+  if (orphaned.length === recordedBlocks.length) {
+    log.warning(`Reorg is deeper than the ${recordedBlocks.length} recorded blocks, rolling back all of them`);
+  }
+
+  const removed = store.rollback(forkBlock);
+  if (context.metrics) {
+    context.metrics.seed(store.query(), await context.token.totalSupply());
+  }
+  const reorgLog = log.child({ forkBlock, depth: orphaned.length });
+
+  reorgLog.warning(`\n🔀 REORG detected: ${orphaned.length} block(s) from ${forkBlock} orphaned`);
+  reorgLog.warning(`  Rolled back: ${countByType(removed)}`);
+
+  const removedKeys = removed.filter(record => !record.type.startsWith('snapshot')).map(record => record.key);
+  await recordAndAlert(context, {
+    type: 'reorg',
+    key: `reorg:${forkBlock}:${orphaned[orphaned.length - 1].hash}`,
+    forkBlock,
+    depth: orphaned.length,
+    orphanedBlocks: orphaned,
+    removed: removedKeys
+  }, { removedKeys: removedKeys.join(', ') || 'no records' });
+
+  return forkBlock;
+}
+
+function countByType(records) {
+  const counts = {};
+  for (const record of records) {
+    counts[record.type] = (counts[record.type] || 0) + 1;
+  }
+  const summary = Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ');
+  return summary || 'nothing';
+}
+
+/**
+ * Fetch, print and store everything that happened in [fromBlock, toBlock]
+ * With backfill, only blocks that have events (and toBlock, for the cursor)
+ * are fetched and snapshotted instead of every block in the range.
+ * @returns {Object} { blockNumber: hash } for the processed blocks
+ */
+async function processRange(context, fromBlock, toBlock, { backfill = false } = {}) {
+  const { provider, dex, responder } = context;
+  const scanner = context.scanner || createScanner();
+
+  const swaps = await scanner.scan((from, to) => dex.queryFilter(dex.filters.Swap(), from, to), fromBlock, toBlock);
+  const sells = await scanner.scan((from, to) => dex.queryFilter(dex.filters.Sell(), from, to), fromBlock, toBlock);
+  const removals = await scanner.scan((from, to) => dex.queryFilter(dex.filters.LiquidityRemoved(), from, to), fromBlock, toBlock);
+  const responderEvents = responder
+    ? Object.values(await scanResponderEvents(responder, RESPONDER_EVENTS, fromBlock, toBlock, scanner))
+      .flat()
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    : [];
+  const events = [...swaps, ...sells, ...removals, ...responderEvents];
+
+  const blockNumbers = backfill
+    ? [...new Set(events.map(event => event.blockNumber).concat(toBlock))].sort((a, b) => a - b)
+    : Array.from({ length: toBlock - fromBlock + 1 }, (_, i) => fromBlock + i);
+
+  const blockHashes = {};
+  for (const blockNumber of blockNumbers) {
+    const block = await provider.getBlock(blockNumber);
+    if (!block) {
+      throw new Error(`Block ${blockNumber} not available yet`);
+    }
+    blockHashes[blockNumber] = block.hash;
+  }
+
+  // Logs and block hashes must come from the same fork, otherwise retry the range
+  for (const event of events) {
+    if (event.blockHash !== blockHashes[event.blockNumber]) {
+      throw new Error(`Chain reorganized while fetching blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+
+  await processSwaps(context, swaps);
+  await processSells(context, sells);
+  await processLiquidityRemovals(context, removals);
+  await processResponderEvents(context, responderEvents);
+
+  if (context.metrics) {
+    const swapsPerBlock = {};
+    for (const event of swaps) {
+      swapsPerBlock[event.blockNumber] = (swapsPerBlock[event.blockNumber] || 0) + 1;
+    }
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+      context.metrics.observeBlock(swapsPerBlock[blockNumber] || 0);
+    }
+  }
+
+  for (const blockNumber of blockNumbers) {
+    await processSnapshot(context, blockNumber);
+  }
+
+  return blockHashes;
+}
+
+/**
+ * DEX Swap events
+ */
+async function processSwaps({ token, store, log, metrics }, events) {
+  for (const event of events) {
+    const key = `${event.transactionHash}:${event.logIndex}`;
+    if (store.has(key)) continue;
+
+    const { buyer, ethAmount, tokenAmount, gasPrice, timestamp } = event.args;
+    const block = event.blockNumber;
+    const swapLog = log.child({ block, buyer, txHash: event.transactionHash });
+    const totalSupply = await token.totalSupply({ blockTag: block });
+    const percent = totalSupply.isZero() ? 0 : tokenAmount.mul(10000).div(totalSupply).toNumber() / 100;
+
+    swapLog.info(`\n🔔 Swap Detected (Block ${block})`);
+    swapLog.info(`  Buyer: ${buyer}`);
+    swapLog.info(`  Amount: ${ethers.utils.formatEther(tokenAmount)} tokens (${percent.toFixed(2)}%)`);
+    swapLog.info(`  Gas: ${ethers.utils.formatUnits(gasPrice, 'gwei')} gwei`);
+
+    // Check if suspicious
+    if (percent > 5) {
+      swapLog.warning(`  ⚠️  SUSPICIOUS: > 5% of supply!`);
+    }
+
+    if (gasPrice.gt(ethers.utils.parseUnits('100', 'gwei'))) {
+      swapLog.warning(`  ⚠️  SUSPICIOUS: High gas price!`);
+    }
+
+    store.append({
+      type: 'swap',
+      key,
+      blockNumber: block,
+      blockHash: event.blockHash,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      buyer,
+      ethAmount,
+      tokenAmount,
+      gasPrice,
+      timestamp,
+      percentOfSupply: percent
+    });
+
+    if (metrics) {
+      metrics.recordBuy(event.args, totalSupply);
+    }
   }
 }
 
-function getDetectionTypeName(type) {
-  const types = {
-    0: 'EXCESSIVE_ACCUMULATION',
-    1: 'FRONT_RUNNING_GAS',
-    2: 'RAPID_BUYING_PATTERN',
-    3: 'COORDINATED_ATTACK',
-    4: 'WHALE_DUMP'
-  };
-  return types[type] || 'UNKNOWN';
+/**
+ * DEX Sell events
+ */
+async function processSells({ token, store, log, metrics }, events) {
+  for (const event of events) {
+    const key = `${event.transactionHash}:${event.logIndex}`;
+    if (store.has(key)) continue;
+
+    const { seller, tokenAmount, ethAmount, gasPrice, timestamp } = event.args;
+    const block = event.blockNumber;
+    const sellLog = log.child({ block, seller, txHash: event.transactionHash });
+    const totalSupply = await token.totalSupply({ blockTag: block });
+
+    sellLog.info(`\n💸 Sell Detected (Block ${block})`);
+    sellLog.info(`  Seller: ${seller}`);
+    sellLog.info(`  Amount: ${ethers.utils.formatEther(tokenAmount)} tokens for ${ethers.utils.formatEther(ethAmount)} ETH`);
+
+    store.append({
+      type: 'sell',
+      key,
+      blockNumber: block,
+      blockHash: event.blockHash,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      seller,
+      tokenAmount,
+      ethAmount,
+      gasPrice,
+      timestamp
+    });
+
+    if (metrics) {
+      metrics.recordSell(event.args, totalSupply);
+    }
+  }
+}
+
+/**
+ * DEX LiquidityRemoved events
+ */
+async function processLiquidityRemovals(context, events) {
+  const { store, log } = context;
+
+  for (const event of events) {
+    const key = `${event.transactionHash}:${event.logIndex}`;
+    if (store.has(key)) continue;
+
+    const { provider, amount } = event.args;
+    const block = event.blockNumber;
+    const removalLog = log.child({ block, provider, txHash: event.transactionHash });
+    // The removal's own token transfer is logged just before its event
+    const reserveBefore = (await reserveBeforeLog(context, event)).add(amount);
+    const percent = reserveBefore.isZero() ? 0 : amount.mul(10000).div(reserveBefore).toNumber() / 100;
+
+    removalLog.warning(`\n💧 Liquidity Removed (Block ${block})`);
+    removalLog.warning(`  Provider: ${provider}`);
+    removalLog.warning(`  Amount: ${ethers.utils.formatEther(amount)} tokens (${percent.toFixed(2)}% of the pool)`);
+
+    store.append({
+      type: 'liquidity-removal',
+      key,
+      blockNumber: block,
+      blockHash: event.blockHash,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      provider,
+      tokenAmount: amount,
+      percentOfPool: percent
+    });
+  }
+}
+
+/**
+ * DEX token reserve just before a log: the reserve at the end of the previous block,
+ * plus the token transfers into and out of the DEX that come earlier in the same block
+ */
+async function reserveBeforeLog({ dex, token }, event) {
+  const block = event.blockNumber;
+  const [incoming, outgoing] = await Promise.all([
+    token.queryFilter(token.filters.Transfer(null, dex.address), block, block),
+    token.queryFilter(token.filters.Transfer(dex.address, null), block, block)
+  ]);
+
+  let reserve = await dex.getReserve({ blockTag: block - 1 });
+  for (const transfer of incoming) {
+    if (transfer.logIndex < event.logIndex) reserve = reserve.add(transfer.args.value);
+  }
+  for (const transfer of outgoing) {
+    if (transfer.logIndex < event.logIndex) reserve = reserve.sub(transfer.args.value);
+  }
+  return reserve;
+}
+
+/**
+ * Responder events (only when RESPONDER_ADDRESS is set)
+ */
+async function processResponderEvents(context, events) {
+  const { store, log, responder, metrics, strategy } = context;
+
+  for (const event of events) {
+    const key = `${event.transactionHash}:${event.logIndex}`;
+    if (store.has(key)) continue;
+
+    const record = {
+      key,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      responder: responder.address
+    };
+
+    if (event.event === 'LaunchGuardianIncident') {
+      const { violator: address, detectionType, severity, accumulatedPercentBP, blockNumber: block } = event.args;
+      const detectionTypeName = getIncidentTypeName(detectionType, strategy);
+      const detectionLog = log.child({ block: block.toNumber(), address });
+      detectionLog.warning(`\n🚨 DETECTION at block ${block}`);
+      detectionLog.warning(`  Type: ${detectionTypeName}`);
+      detectionLog.warning(`  Violator: ${address}`);
+      detectionLog.warning(`  Severity: ${severity}`);
+      detectionLog.warning(`  Drain/change: ${accumulatedPercentBP.toNumber() / 100}%`);
+      if (metrics) {
+        metrics.recordDetection(detectionTypeName);
+      }
+      await recordAndAlert(context, {
+        ...record,
+        type: 'detection',
+        address,
+        detectionType,
+        detectionTypeName,
+        severity,
+        accumulatedPercentBP,
+        confidence: event.args.confidence, // Advanced responder only
+        patternSignature: event.args.patternSignature, // Advanced responder only
+        detectedAtBlock: block
+      }, { detectionTypeName, accumulatedPercent: accumulatedPercentBP.toNumber() / 100 });
+    } else if (event.event === 'AddressBlacklisted') {
+      const { violator: address, reason } = event.args;
+      const blacklistLog = log.child({ address });
+      blacklistLog.error(`\n❌ ADDRESS BLACKLISTED`);
+      blacklistLog.error(`  Address: ${address}`);
+      blacklistLog.error(`  Reason: ${getIncidentTypeName(reason, strategy)}`);
+      await recordAndAlert(context, {
+        ...record,
+        type: 'blacklist',
+        address,
+        reason,
+        confidence: event.args.confidence // Advanced responder only
+      }, { reasonName: getIncidentTypeName(reason, strategy) });
+    } else if (event.event === 'CoordinatedAttackDetected') {
+      const { primaryViolator: address, relatedAddresses, severity } = event.args;
+      const attackLog = log.child({ address });
+      attackLog.error(`\n👥 COORDINATED ATTACK`);
+      attackLog.error(`  Primary: ${address}`);
+      attackLog.error(`  Related: ${relatedAddresses.length} address(es)`);
+      await recordAndAlert(context, { ...record, type: 'coordinated-attack', address, relatedAddresses, severity }, {
+        relatedCount: relatedAddresses.length
+      });
+    } else if (event.event === 'EmergencyPauseTriggered') {
+      const { target, blockNumber: block } = event.args;
+      const pauseLog = log.child({ block: block.toNumber(), target });
+      pauseLog.error(`\n🛑 EMERGENCY PAUSE at block ${block}`);
+      pauseLog.error(`  Target: ${target}`);
+      await recordAndAlert(context, {
+        ...record,
+        type: 'emergency-pause',
+        target,
+        reason: event.args.reason, // Advanced responder only
+        pausedAtBlock: block
+      });
+    }
+  }
+}
+
+/**
+ * Store a record and, if it is new, send it to the alert sinks
+ */
+async function recordAndAlert(context, record, fields = {}) {
+  const { store, alerts, network } = context;
+
+  if (!store.append(record) || !alerts || !alerts.isEnabled()) {
+    return;
+  }
+
+  await alerts.notify(createAlert(record, { network, fields }));
+}
+
+/**
+ * collect() output at a block
+ */
+async function processSnapshot(context, blockNumber) {
+  const { trap, store, log, metrics } = context;
+  const key = `snapshot:${blockNumber}`;
+  if (store.has(key)) return;
+
+  const blockLog = log.child({ block: blockNumber });
+  const startedAt = Date.now();
+
+  try {
+    const data = await trap.collect({ blockTag: blockNumber });
+    if (metrics) {
+      metrics.recordCollect((Date.now() - startedAt) / 1000, true);
+    }
+
+    if (data.length > 2) {
+      // Resolve the layout once, then reuse it for every block
+      if (!context.decoder) {
+        context.decoder = resolveDecoder(data, context.strategy);
+        blockLog.info(`Decoding collect() as ${context.decoder.name}`);
+      }
+
+      const decoder = context.decoder;
+      const output = decoder.decodeCollectOutput(data);
+      const swapCount = (output.recentSwaps || output.swaps || []).length;
+
+      if (swapCount > 0) {
+        blockLog.info(`\n📊 Block ${blockNumber}: ${decoder.summarize(output)}`);
+      } else {
+        blockLog.debug(`Block ${blockNumber}: ${decoder.summarize(output)}`);
+      }
+
+      store.append({ type: 'snapshot', key, blockNumber, strategy: decoder.strategy, data, output });
+    }
+
+  } catch (error) {
+    if (metrics) {
+      metrics.recordCollect((Date.now() - startedAt) / 1000, false);
+    }
+
+    // The RPC could not answer: leave the cursor where it is so the range is retried
+    if (isTransientRpcError(error)) {
+      throw error;
+    }
+
+    // Historical state may be pruned on non-archive RPCs; record the gap rather than stall
+    blockLog.warning(`collect() failed at block ${blockNumber}, snapshot skipped:`, error.message);
+    store.append({ type: 'snapshot-error', key: `snapshot-error:${blockNumber}`, blockNumber, error: error.message });
+  }
+}
+
+/**
+ * Whether an error means the RPC was unreachable, timed out or refused the request,
+ * as opposed to an answer such as a reverted call or pruned state
+ */
+function isTransientRpcError(error) {
+  return ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'].includes(error.code) && isEndpointFailure(error);
+}
+
+/**
+ * Re-scan blocks at or below the cursor without moving it
+ */
+async function backfillStored(context, fromBlock, toBlock) {
+  for (let start = fromBlock; start <= toBlock && isMonitoring; start += BACKFILL_BLOCKS_PER_BATCH) {
+    const end = Math.min(toBlock, start + BACKFILL_BLOCKS_PER_BATCH - 1);
+    await processRange(context, start, end, { backfill: true });
+    context.log.progress(`Backfilled to block ${end}`, end - fromBlock + 1, toBlock - fromBlock + 1);
+  }
+}
+
+/**
+ * Block to backfill from: --from-block, or the launch block for --from-launch
+ * @returns {number|null} null when no backfill was requested
+ */
+async function resolveBackfillBlock(trap, strategy, { fromBlock, fromLaunch }) {
+  if (fromBlock !== undefined && fromLaunch) {
+    throw new CliError('Use either --from-block or --from-launch, not both', EXIT_CODES.USAGE);
+  }
+
+  if (fromBlock !== undefined) {
+    const block = Number(fromBlock);
+    if (!Number.isInteger(block) || block < 0) {
+      throw new CliError(`Invalid --from-block: ${fromBlock}`, EXIT_CODES.USAGE);
+    }
+    return block;
+  }
+
+  if (!fromLaunch) {
+    return null;
+  }
+
+  const launchBlock = await getLaunchBlock(trap, strategy);
+  if (!launchBlock) {
+    throw new CliError(
+      'Launch block unknown: the trap does not report one (LAUNCH_BLOCK = 0). Set LAUNCH_BLOCK in .env or use --from-block',
+      EXIT_CODES.CONFIG
+    );
+  }
+  return launchBlock;
+}
+
+/**
+ * Launch block from the Advanced trap's getLaunchBlock(), else LAUNCH_BLOCK from .env
+ * (Simple / EventLog traps do not compile one in)
+ */
+async function getLaunchBlock(trap, strategy) {
+  if (strategy === 'advanced') {
+    const launchBlock = await trap.getLaunchBlock();
+    if (launchBlock.gt(0)) return launchBlock.toNumber();
+  }
+
+  const envBlock = parseInt(process.env.LAUNCH_BLOCK, 10);
+  return Number.isNaN(envBlock) ? null : envBlock;
 }
 
 // Run if called directly
 if (require.main === module) {
-  monitorLaunch();
+  applyManifest();
+  const { flags } = parseArgs(process.argv.slice(2), [...BOOLEAN_FLAGS, 'from-launch']);
+  monitorLaunch({ fromBlock: flags['from-block'], fromLaunch: flags['from-launch'], metricsPort: flags['metrics-port'] });
 }
 
-module.exports = monitorLaunch;
\ No newline at end of file
+module.exports = monitorLaunch;
+module.exports.processRange = processRange;
+module.exports.detectReorg = detectReorg;
@@ -0,0 +1,300 @@
+/**
+ * Owner-only responder administration
+ *
+ * Every action is first run as a callStatic dry-run from the owner key. A
+ * revert is decoded and nothing is sent. Otherwise the expected before/after
+ * state diff is shown and the transaction is only broadcast after confirmation
+ * (or --yes). Once mined, the state is read again and compared with the diff.
+ *
+ * Usage: npm run responder-admin -- <action> [args] [--dry-run] [--yes]
+ */
+
+const { ethers } = require('ethers');
+const { getSigner, waitForTx, formatNumber, decodeRevertReason } = require('../utils/web3-helper');
+const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
+const { getResponderAbi } = require('../config/abis');
+const { EXIT_CODES, BOOLEAN_FLAGS, CliError, parseArgs, exitCodeFor, toJSON, confirm } = require('../utils/cli');
+require('dotenv').config();
+
+/**
+ * Admin actions
+ * - fn: responder function
+ * - args: [name, type] pairs parsed from the command line
+ * - advanced: only on FairLaunchResponderAdvanced
+ * - watch: extra state to read for these args ({ label: contract => Promise })
+ * - expect: state fields the call should change, given the parsed args
+ */
+const ACTIONS = {
+  unpause: {
+    fn: 'unpause',
+    args: [],
+    description: 'Lift an emergency pause (false positive)',
+    expect: (args, isAdvanced) => isAdvanced
+      ? { isPaused: false, pauseTimestamp: '0', pauseReason: 0 }
+      : { isPaused: false, pauseTimestamp: '0' }
+  },
+  'remove-from-blacklist': {
+    fn: 'removeFromBlacklist',
+    args: [['account', 'address']],
+    description: 'Remove an address from the blacklist',
+    watch: ([account]) => ({ [`blacklisted[${account}]`]: responder => responder.isBlacklisted(account) }),
+    expect: ([account]) => ({ [`blacklisted[${account}]`]: false })
+  },
+  'update-drosera-address': {
+    fn: 'updateDroseraAddress',
+    args: [['newDroseraAddress', 'address']],
+    description: 'Point the responder at a new Drosera address',
+    expect: ([droseraAddress]) => ({ droseraAddress })
+  },
+  'update-protected-contracts': {
+    fn: 'updateProtectedContracts',
+    args: [['newToken', 'address'], ['newPool', 'address']],
+    description: 'Change the guarded token and pool',
+    expect: ([guardedToken, guardedPool]) => ({ guardedToken, guardedPool })
+  },
+  'transfer-ownership': {
+    fn: 'transferOwnership',
+    args: [['newOwner', 'address']],
+    description: 'Hand the responder to a new owner',
+    expect: ([owner]) => ({ owner })
+  },
+  'set-confidence-thresholds': {
+    fn: 'setConfidenceThresholds',
+    args: [['pauseThreshold', 'uint256'], ['blacklistThreshold', 'uint256'], ['alertThreshold', 'uint256']],
+    advanced: true,
+    description: 'Set pause / blacklist / alert confidence thresholds (0-100)',
+    expect: ([pause, blacklist, alert]) => ({
+      pauseThreshold: pause.toString(),
+      blacklistThreshold: blacklist.toString(),
+      alertThreshold: alert.toString()
+    })
+  },
+  'set-min-blocks-between-responses': {
+    fn: 'setMinBlocksBetweenResponses',
+    args: [['blocks', 'uint256']],
+    advanced: true,
+    description: 'Set the response cooldown in blocks',
+    expect: ([blocks]) => ({ minBlocksBetweenResponses: blocks.toString() })
+  },
+  'resolve-threat-pattern': {
+    fn: 'resolveThreatPattern',
+    args: [['patternSignature', 'bytes32']],
+    advanced: true,
+    description: 'Mark a threat intel pattern as resolved',
+    watch: ([pattern]) => ({ [`threatIntel[${pattern}].resolved`]: async responder => (await responder.getThreatIntel(pattern)).resolved }),
+    expect: ([pattern]) => ({ [`threatIntel[${pattern}].resolved`]: true })
+  }
+};
+
+/**
+ * Parse command-line values for an action's arguments
+ */
+function parseActionArgs(actionName, values) {
+  const action = ACTIONS[actionName];
+
+  if (values.length !== action.args.length) {
+    const usage = action.args.map(([name]) => `<${name}>`).join(' ');
+    throw new CliError(`Usage: responder ${actionName} ${usage}`.trim(), EXIT_CODES.USAGE);
+  }
+
+  return action.args.map(([name, type], index) => {
+    const value = values[index];
+
+    if (type === 'address') {
+      if (!ethers.utils.isAddress(value)) {
+        throw new CliError(`${name} is not a valid address: ${value}`, EXIT_CODES.USAGE);
+      }
+      return ethers.utils.getAddress(value);
+    }
+    if (type === 'bytes32') {
+      if (!ethers.utils.isHexString(value, 32)) {
+        throw new CliError(`${name} must be a 32-byte hex value: ${value}`, EXIT_CODES.USAGE);
+      }
+      return value.toLowerCase();
+    }
+    if (!/^\d+$/.test(value)) {
+      throw new CliError(`${name} must be a non-negative integer: ${value}`, EXIT_CODES.USAGE);
+    }
+    return ethers.BigNumber.from(value);
+  });
+}
+
+/**
+ * Read the responder state an admin action can touch
+ */
+async function readState(responder, isAdvanced, watch = {}) {
+  const [owner, droseraAddress, guardedToken, guardedPool, pauseStatus] = await Promise.all([
+    responder.owner(),
+    responder.droseraAddress(),
+    responder.guardedToken(),
+    responder.guardedPool(),
+    responder.getPauseStatus()
+  ]);
+
+  const state = {
+    owner,
+    droseraAddress,
+    guardedToken,
+    guardedPool,
+    isPaused: pauseStatus.paused,
+    pauseTimestamp: pauseStatus.timestamp.toString()
+  };
+
+  if (isAdvanced) {
+    const [thresholds, minBlocks] = await Promise.all([
+      responder.getConfidenceThresholds(),
+      responder.minBlocksBetweenResponses()
+    ]);
+    state.pauseReason = pauseStatus.reason;
+    state.pauseThreshold = thresholds.pause.toString();
+    state.blacklistThreshold = thresholds.blacklist.toString();
+    state.alertThreshold = thresholds.alert.toString();
+    state.minBlocksBetweenResponses = minBlocks.toString();
+  }
+
+  for (const [label, read] of Object.entries(watch)) {
+    state[label] = await read(responder);
+  }
+
+  return state;
+}
+
+/**
+ * Fields whose value differs between two states
+ */
+function diffState(before, after) {
+  return Object.keys(after)
+    .filter(field => String(before[field]) !== String(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * @param {string} actionName - Key of ACTIONS
+ * @param {string[]} values - Action arguments
+ * @param {Object} options - { dryRun, yes }
+ */
+async function responderAdmin(actionName, values = [], { dryRun = false, yes = false } = {}) {
+  try {
+    const action = ACTIONS[actionName];
+    if (!action) {
+      const problem = actionName ? `Unknown responder action '${actionName}'` : 'No responder action given';
+      throw new CliError(`${problem}. Available: ${Object.keys(ACTIONS).join(', ')}`, EXIT_CODES.USAGE);
+    }
+
+    logger.header(`Responder Admin - ${action.fn}`);
+
+    const network = process.env.NETWORK || 'hoodi';
+    const responderAddress = process.env.RESPONDER_ADDRESS;
+    const isAdvanced = process.env.ADVANCED_RESPONDER === 'true';
+    const args = parseActionArgs(actionName, values);
+
+    if (!responderAddress) {
+      logger.error('RESPONDER_ADDRESS not set (no deployments/<network>.json entry, .env value or flag)');
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    if (action.advanced && !isAdvanced) {
+      throw new CliError(`${action.fn} only exists on FairLaunchResponderAdvanced (set ADVANCED_RESPONDER=true)`, EXIT_CODES.CONFIG);
+    }
+
+    const signer = getSigner(network);
+    const sender = await signer.getAddress();
+    const responder = new ethers.Contract(responderAddress, getResponderAbi(isAdvanced), signer);
+    const watch = action.watch ? action.watch(args) : {};
+
+    logger.info('Network:', network);
+    logger.info('Responder:', responderAddress);
+    logger.info('Sender:', sender);
+    logger.info('Call:', `${action.fn}(${args.map(String).join(', ')})`);
+    logger.separator();
+
+    const before = await readState(responder, isAdvanced, watch);
+    if (before.owner.toLowerCase() !== sender.toLowerCase()) {
+      logger.warning(`Sender is not the owner (${before.owner}); the call will revert`);
+    }
+
+    // Dry-run: nothing is sent if this reverts
+    try {
+      await responder.callStatic[action.fn](...args);
+    } catch (error) {
+      const reason = decodeRevertReason(error, responder.interface);
+      logger.error('Dry-run reverted:', reason);
+      process.exitCode = EXIT_CODES.ERROR;
+      return { action: actionName, status: 'reverted', reason, before };
+    }
+
+    const gasEstimate = await responder.estimateGas[action.fn](...args);
+    logger.success('Dry-run succeeded', `(estimated gas ${formatNumber(gasEstimate.toString())})`);
+
+    const expected = { ...before, ...toJSON(action.expect(args, isAdvanced)) };
+    const changes = diffState(before, expected);
+
+    logger.blank();
+    if (changes.length === 0) {
+      logger.warning('No state change expected - the responder is already in that state');
+    } else {
+      logger.info('State diff:');
+      logger.table(changes);
+    }
+
+    if (dryRun) {
+      logger.info('Dry run only, nothing broadcast');
+      return { action: actionName, status: 'dry-run', gasEstimate, before, expected, changes };
+    }
+
+    if (!yes) {
+      if (!process.stdin.isTTY) {
+        throw new CliError('Refusing to broadcast without confirmation; pass --yes to skip the prompt', EXIT_CODES.USAGE);
+      }
+      if (!await confirm(`Broadcast ${action.fn} to ${responderAddress} on ${network}?`)) {
+        logger.info('Aborted, nothing broadcast');
+        return { action: actionName, status: 'aborted', before, expected, changes };
+      }
+    }
+
+    const tx = await responder[action.fn](...args);
+    const receipt = await waitForTx(tx);
+
+    const after = await readState(responder, isAdvanced, watch);
+    const mismatches = diffState(expected, after);
+
+    if (mismatches.length > 0) {
+      logger.warning('State after the transaction differs from the expected diff:');
+      logger.table(mismatches.map(({ field, before: expectedValue, after: actual }) => ({ field, expected: expectedValue, actual })));
+    } else {
+      logger.success(`${action.fn} applied`);
+    }
+
+    return {
+      action: actionName,
+      status: 'sent',
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      before,
+      after,
+      changes: diffState(before, after),
+      mismatches
+    };
+
+  } catch (error) {
+    logger.error('Responder admin error:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  applyManifest();
+  const { positional, flags } = parseArgs(process.argv.slice(2), [...BOOLEAN_FLAGS, 'dry-run', 'yes']);
+  const [actionName, ...values] = positional;
+  responderAdmin(actionName, values, { dryRun: flags['dry-run'], yes: flags.yes });
+}
+
+module.exports = responderAdmin;
+module.exports.ACTIONS = ACTIONS;
+module.exports.parseActionArgs = parseActionArgs;
+module.exports.diffState = diffState;
@@ -0,0 +1,168 @@
+/**
+ * Check every configured RPC endpoint for a network
+ *
+ * Reports latency, head block skew against the best endpoint, error rate and
+ * the health score used to order endpoints in getProvider().
+ *
+ * Usage: npm run rpc-check -- [samples]
+ */
+
+const { ethers } = require('ethers');
+const { formatNumber } = require('../utils/web3-helper');
+const logger = require('../utils/logger');
+const { getNetwork, getRpcUrls } = require('../config/networks');
+const { getEndpoint, getRpcOptions, TrackedJsonRpcProvider } = require('../utils/rpc-provider');
+const { EXIT_CODES, exitCodeFor } = require('../utils/cli');
+require('dotenv').config();
+
+const DEFAULT_SAMPLES = 3;
+const MAX_HEAD_SKEW = 3; // Blocks behind the best endpoint before it counts as lagging
+
+/**
+ * Query one endpoint: chain ID once, then head block `samples` times
+ */
+async function probeEndpoint(url, samples, options, chainId) {
+  const endpoint = getEndpoint(url, options);
+  const provider = new TrackedJsonRpcProvider(endpoint, chainId);
+
+  const result = {
+    url,
+    chainId: null,
+    head: null,
+    samples,
+    errors: 0,
+    latencies: [],
+    lastError: null
+  };
+
+  try {
+    result.chainId = ethers.BigNumber.from(await provider.send('eth_chainId', [])).toNumber();
+  } catch (error) {
+    result.errors++;
+    result.lastError = error.reason || error.message;
+  }
+
+  for (let i = 0; i < samples; i++) {
+    const startedAt = Date.now();
+    try {
+      const head = ethers.BigNumber.from(await provider.send('eth_blockNumber', [])).toNumber();
+      result.latencies.push(Date.now() - startedAt);
+      result.head = Math.max(result.head || 0, head);
+    } catch (error) {
+      result.errors++;
+      result.lastError = error.reason || error.message;
+    }
+  }
+
+  result.score = endpoint.score();
+  return result;
+}
+
+async function rpcCheck(samplesArg) {
+  try {
+    logger.header('RPC Endpoint Check');
+
+    const network = process.env.NETWORK || 'hoodi';
+    const samples = samplesArg !== undefined ? parseInt(samplesArg, 10) : DEFAULT_SAMPLES;
+
+    if (Number.isNaN(samples) || samples < 1) {
+      logger.error('Invalid sample count:', samplesArg);
+      process.exit(EXIT_CODES.USAGE);
+    }
+
+    const networkConfig = getNetwork(network);
+    const urls = getRpcUrls(network);
+
+    if (urls.length === 0) {
+      logger.error(`No RPC URLs configured for network: ${network}`);
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    logger.info('Network:', `${networkConfig.name} (configured chainId ${networkConfig.chainId})`);
+    logger.info('Endpoints:', urls.length);
+    logger.info('Samples per endpoint:', samples);
+    logger.separator();
+
+    // Probe in parallel so head blocks are compared at roughly the same moment
+    const options = getRpcOptions();
+    const results = await Promise.all(urls.map(url => probeEndpoint(url, samples, options, networkConfig.chainId)));
+
+    const bestHead = Math.max(...results.map(result => result.head || 0));
+    const report = results.map(result => {
+      const avgLatencyMs = result.latencies.length > 0
+        ? Math.round(result.latencies.reduce((sum, latency) => sum + latency, 0) / result.latencies.length)
+        : null;
+      const headSkew = result.head === null ? null : bestHead - result.head;
+
+      return {
+        url: result.url,
+        chainId: result.chainId,
+        head: result.head,
+        headSkew,
+        avgLatencyMs,
+        maxLatencyMs: result.latencies.length > 0 ? Math.max(...result.latencies) : null,
+        errors: result.errors,
+        errorRate: result.errors / (result.samples + 1),
+        score: Number(result.score.toFixed(3)),
+        healthy: result.head !== null && headSkew <= MAX_HEAD_SKEW && result.chainId !== null,
+        lastError: result.lastError
+      };
+    });
+
+    logger.table(report.map(entry => ({
+      endpoint: entry.url,
+      chainId: entry.chainId === null ? '-' : entry.chainId,
+      head: entry.head === null ? '-' : formatNumber(entry.head),
+      skew: entry.headSkew === null ? '-' : entry.headSkew,
+      latency: entry.avgLatencyMs === null ? '-' : `${entry.avgLatencyMs} ms`,
+      errors: `${(entry.errorRate * 100).toFixed(0)}%`,
+      score: entry.score,
+      status: entry.healthy ? '✓' : '✗'
+    })));
+
+    for (const entry of report) {
+      if (entry.lastError) {
+        logger.warning(`${entry.url}: ${entry.lastError}`);
+      }
+      if (entry.headSkew !== null && entry.headSkew > MAX_HEAD_SKEW) {
+        logger.warning(`${entry.url} is ${entry.headSkew} blocks behind the best endpoint`);
+      }
+      if (entry.chainId !== null && entry.chainId !== networkConfig.chainId) {
+        logger.warning(`${entry.url} reports chainId ${entry.chainId}, config/networks.js says ${networkConfig.chainId}`);
+      }
+    }
+
+    const chainIds = [...new Set(report.filter(entry => entry.chainId !== null).map(entry => entry.chainId))];
+    if (chainIds.length > 1) {
+      logger.error('Endpoints are on different chains:', chainIds.join(', '));
+    }
+
+    const healthy = report.filter(entry => entry.healthy).length;
+    logger.separator();
+
+    if (healthy === 0) {
+      logger.error('No healthy RPC endpoint');
+      process.exitCode = EXIT_CODES.NETWORK;
+    } else if (healthy < report.length) {
+      logger.warning(`${healthy}/${report.length} endpoints healthy`);
+    } else {
+      logger.success(`All ${report.length} endpoints healthy`);
+    }
+
+    return { network, configuredChainId: networkConfig.chainId, bestHead, endpoints: report };
+
+  } catch (error) {
+    logger.error('Error checking RPC endpoints:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  rpcCheck(process.argv[2]);
+}
+
+module.exports = rpcCheck;
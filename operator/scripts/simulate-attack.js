@@ -0,0 +1,80 @@
+/**
+ * Simulate a bot attack against the demo DEX and report whether it was caught
+ *
+ * Runs a scenario file (a built-in name from operator/scenarios/ or a path to
+ * any JSON/YAML scenario) through demo/demo-attack.js and summarizes how many
+ * bot wallets ended up blacklisted, had their actions rejected or tripped the
+ * trap. Exits non-zero when the scenario's expectations are not met.
+ * Expectations on the responder are polled for up to --timeout seconds
+ * (default 120); `guardian suite` runs several scenarios as an acceptance test.
+ *
+ * Usage: node scripts/simulate-attack.js <scenario|file.yaml|file.json> [--timeout <seconds>]
+ */
+
+const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
+const { runAttack, SCENARIOS } = require('../demo/demo-attack');
+const { loadScenario } = require('../utils/scenarios');
+const { EXIT_CODES, parseArgs, exitCodeFor } = require('../utils/cli');
+require('dotenv').config();
+
+/**
+ * @param {string} scenarioRef - Scenario name or file
+ * @param {Object} options
+ * @param {number|string} options.timeout - Seconds to wait for the responder expectations
+ */
+async function simulateAttack(scenarioRef, { timeout } = {}) {
+  try {
+    if (!scenarioRef) {
+      logger.error('Unknown scenario: (none)');
+      logger.info('Available:', SCENARIOS.join(', '), '(or a path to a scenario file)');
+      process.exit(EXIT_CODES.USAGE);
+    }
+
+    // Validate the file before anything is funded
+    const scenario = loadScenario(scenarioRef);
+    const outcome = await runAttack(scenario, { timeout });
+
+    logger.blank();
+    logger.separator();
+    logger.table({
+      'Scenario': scenario.name,
+      'Bot Wallets': outcome.bots.length,
+      'Actions': `${outcome.steps.filter(step => !step.error).length}/${outcome.steps.length}`,
+      'Blacklisted': outcome.blacklisted.length,
+      'Actions Rejected': outcome.blocked ? 'Yes' : 'No',
+      'Trap Detections': outcome.detections ? outcome.detections.length : 'n/a (set STRATEGY)',
+      ...(outcome.responder ? { 'Responder Incidents': outcome.responder.incidents, 'Responder Paused': outcome.responder.paused ? 'Yes' : 'No' } : {}),
+      'Expectations': outcome.expectations.length > 0 ? (outcome.passed ? 'Met' : 'NOT MET') : 'none declared'
+    });
+
+    if (outcome.detected) {
+      logger.success('Attack scenario complete - bot activity was detected');
+    } else {
+      logger.warning('Attack scenario complete - no bot was blacklisted yet');
+      logger.info('Drosera operators respond asynchronously; re-check with: npm run check-responder');
+    }
+
+    if (!outcome.passed) {
+      process.exitCode = EXIT_CODES.ERROR;
+    }
+
+    return outcome;
+
+  } catch (error) {
+    logger.error('Error simulating attack:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  applyManifest();
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  simulateAttack(positional[0], { timeout: flags.timeout });
+}
+
+module.exports = simulateAttack;
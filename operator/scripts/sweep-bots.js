@@ -0,0 +1,141 @@
+/**
+ * Return what attack scenarios left on their bot wallets to the deployer
+ *
+ * Bot wallets are derived per scenario (utils/bot-wallets.js), so they can be
+ * found again after a run. Tokens are sent back first, then all ETH but the
+ * transfer's own gas. Wallets without the gas for a token transfer keep their
+ * tokens and are reported.
+ *
+ * Usage: node scripts/sweep-bots.js [scenario|file.yaml ...] [--dry-run]
+ * Without scenarios every built-in one is swept.
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
+const { tokenAbi } = require('../config/abis');
+const { getSigner, formatEther } = require('../utils/web3-helper');
+const { listScenarios, loadScenario } = require('../utils/scenarios');
+const { TRANSFER_GAS, deriveScenarioWallets } = require('../utils/bot-wallets');
+const { EXIT_CODES, BOOLEAN_FLAGS, parseArgs, exitCodeFor } = require('../utils/cli');
+require('dotenv').config();
+
+/**
+ * @param {string[]} scenarioRefs - Scenario names or files (default: all built-in scenarios)
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report balances
+ */
+async function sweepBots(scenarioRefs = [], { dryRun = false } = {}) {
+  try {
+    logger.header('Sweep Bot Wallets');
+
+    const scenarios = (scenarioRefs.length > 0 ? scenarioRefs : listScenarios()).map(ref => loadScenario(ref));
+    const signer = getSigner();
+    const provider = signer.provider;
+    const deployer = await signer.getAddress();
+    const token = process.env.TOKEN_ADDRESS ? new ethers.Contract(process.env.TOKEN_ADDRESS, tokenAbi, provider) : null;
+
+    logger.info('Deployer:', deployer);
+    if (!token) {
+      logger.warning('TOKEN_ADDRESS not set; sweeping ETH only');
+    }
+    logger.separator();
+
+    const gasPrice = await provider.getGasPrice();
+    const wallets = [];
+
+    for (const scenario of scenarios) {
+      const { bots, parent } = deriveScenarioWallets(scenario, provider);
+      const entries = [...bots, { index: 'parent', ...parent }];
+
+      for (const { index, path, wallet } of entries) {
+        const eth = await wallet.getBalance();
+        const tokens = token ? await token.balanceOf(wallet.address) : ethers.BigNumber.from(0);
+        if (eth.isZero() && tokens.isZero()) {
+          continue;
+        }
+
+        const entry = { scenario: scenario.name, wallet: index, path, address: wallet.address, eth, tokens, status: 'dry-run' };
+        wallets.push(entry);
+        if (!dryRun) {
+          Object.assign(entry, await sweepWallet(wallet, deployer, token, gasPrice, { eth, tokens }));
+        }
+      }
+    }
+
+    if (wallets.length === 0) {
+      logger.success('No bot wallet holds ETH or tokens');
+    } else {
+      logger.table(wallets.map(entry => ({
+        scenario: entry.scenario,
+        wallet: entry.wallet,
+        address: entry.address,
+        ETH: formatEther(entry.eth),
+        tokens: formatEther(entry.tokens),
+        status: entry.status
+      })));
+    }
+
+    const sum = key => wallets.reduce((total, entry) => total.add(entry[key] || 0), ethers.BigNumber.from(0));
+    const result = { deployer, dryRun, wallets, ethReturned: sum('ethReturned'), tokensReturned: sum('tokensReturned') };
+
+    if (dryRun) {
+      logger.info('Dry run only, nothing sent');
+    } else {
+      logger.success(`Returned ${formatEther(result.ethReturned)} ETH and ${formatEther(result.tokensReturned)} tokens to ${deployer}`);
+    }
+
+    const kept = wallets.filter(entry => entry.status !== 'swept' && entry.status !== 'dry-run');
+    if (kept.length > 0) {
+      logger.warning(`${kept.length} wallet(s) could not be swept completely`);
+      process.exitCode = EXIT_CODES.ERROR;
+    }
+
+    return result;
+
+  } catch (error) {
+    logger.error('Sweep failed:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+/**
+ * Send a wallet's tokens, then its ETH minus gas, to `to`
+ * @returns {Promise<Object>} { ethReturned, tokensReturned, status }
+ */
+async function sweepWallet(wallet, to, token, gasPrice, { eth, tokens }) {
+  let tokensReturned = ethers.BigNumber.from(0);
+  let status = 'swept';
+
+  if (!tokens.isZero()) {
+    const gasLimit = await token.connect(wallet).estimateGas.transfer(to, tokens).catch(() => null);
+    if (gasLimit && eth.gte(gasLimit.mul(gasPrice))) {
+      await (await token.connect(wallet).transfer(to, tokens, { gasLimit, gasPrice })).wait();
+      tokensReturned = tokens;
+    } else {
+      status = 'tokens kept (no gas)';
+    }
+  }
+
+  const balance = await wallet.getBalance();
+  const value = balance.sub(gasPrice.mul(TRANSFER_GAS));
+  let ethReturned = ethers.BigNumber.from(0);
+  if (value.gt(0)) {
+    await (await wallet.sendTransaction({ to, value, gasPrice, gasLimit: TRANSFER_GAS })).wait();
+    ethReturned = value;
+  }
+
+  return { ethReturned, tokensReturned, status };
+}
+
+// Run if called directly
+if (require.main === module) {
+  applyManifest();
+  const { positional, flags } = parseArgs(process.argv.slice(2), [...BOOLEAN_FLAGS, 'dry-run']);
+  sweepBots(positional, { dryRun: flags['dry-run'] });
+}
+
+module.exports = sweepBots;
@@ -0,0 +1,108 @@
+/**
+ * Send a sample alert through every configured sink
+ *
+ * Useful to check webhook URLs, bot tokens and SMTP settings before a launch.
+ * Pair with the mock receiver to test without real accounts.
+ *
+ * Usage: npm run test-alerts -- [detection|blacklist|coordinated-attack|emergency-pause|reorg]
+ */
+
+const logger = require('../utils/logger');
+const { ALERT_TYPES, createAlert, createAlertManager } = require('../utils/alerts');
+const { EXIT_CODES, exitCodeFor } = require('../utils/cli');
+require('dotenv').config();
+
+const SAMPLE_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+const SAMPLE_RESPONDER = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const SAMPLE_TX = '0x' + 'ab'.repeat(32);
+
+// Sample records shaped like the ones monitor-launch stores
+const SAMPLE_RECORDS = {
+  detection: {
+    record: { responder: SAMPLE_RESPONDER, address: SAMPLE_ADDRESS, detectionType: 4, severity: '95', accumulatedPercentBP: '2500' },
+    fields: { detectionTypeName: 'LIQUIDITY_MANIPULATION', accumulatedPercent: 25 }
+  },
+  blacklist: {
+    record: { responder: SAMPLE_RESPONDER, address: SAMPLE_ADDRESS, reason: 4 },
+    fields: { reasonName: 'LIQUIDITY_MANIPULATION' }
+  },
+  'coordinated-attack': {
+    record: { responder: SAMPLE_RESPONDER, address: SAMPLE_ADDRESS, relatedAddresses: [SAMPLE_ADDRESS], severity: '90' },
+    fields: { relatedCount: 1 }
+  },
+  'emergency-pause': {
+    record: { responder: SAMPLE_RESPONDER, target: SAMPLE_ADDRESS },
+    fields: {}
+  },
+  reorg: {
+    record: { forkBlock: 1, depth: 2, removed: [`${SAMPLE_TX}:0`] },
+    fields: { removedKeys: `${SAMPLE_TX}:0` }
+  }
+};
+
+async function testAlerts(type = 'detection') {
+  try {
+    logger.header('Alert Sink Test');
+
+    if (!ALERT_TYPES.includes(type)) {
+      logger.error(`Unknown alert type '${type}'. Available: ${ALERT_TYPES.join(', ')}`);
+      process.exit(EXIT_CODES.USAGE);
+    }
+
+    const network = process.env.NETWORK || 'hoodi';
+    const alerts = createAlertManager();
+
+    if (!alerts.isEnabled()) {
+      logger.error('No alert sinks configured');
+      logger.info('Set ALERT_WEBHOOK_URL, ALERT_SLACK_WEBHOOK_URL, ALERT_TELEGRAM_BOT_TOKEN + ALERT_TELEGRAM_CHAT_ID or ALERT_SMTP_HOST + ALERT_EMAIL_TO');
+      process.exit(EXIT_CODES.CONFIG);
+    }
+
+    const sample = SAMPLE_RECORDS[type];
+    const alert = createAlert({
+      type,
+      key: `sample:${type}`,
+      blockNumber: 1,
+      transactionHash: SAMPLE_TX,
+      ...sample.record
+    }, { network, fields: sample.fields });
+
+    logger.info('Network:', network);
+    logger.info('Sinks:', alerts.sinks.map(sink => sink.name).join(', '));
+    logger.info('Title:', alert.title);
+    logger.info('Text:', alert.text);
+    logger.separator();
+
+    const results = await alerts.notify(alert);
+
+    logger.table(results.map(result => ({
+      sink: result.sink,
+      status: result.ok ? '✓' : '✗',
+      error: result.error || ''
+    })));
+
+    const failed = results.filter(result => !result.ok).length;
+    if (failed > 0) {
+      logger.error(`${failed}/${results.length} sinks failed`);
+      process.exitCode = EXIT_CODES.ERROR;
+    } else {
+      logger.success(`Alert delivered to ${results.length} sink(s)`);
+    }
+
+    return { network, alert, results };
+
+  } catch (error) {
+    logger.error('Error sending test alert:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  testAlerts(process.argv[2]);
+}
+
+module.exports = testAlerts;
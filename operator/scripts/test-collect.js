@@ -7,7 +7,10 @@
 const { ethers } = require('ethers');
 const { getProvider } = require('../utils/web3-helper');
 const logger = require('../utils/logger');
-const { trapAbi } = require('../config/abis');
+const { applyManifest } = require('../utils/deployments');
+const { getTrapAbi, resolveTrapStrategy } = require('../config/abis');
+const { resolveDecoder } = require('../utils/collect-decoders');
+const { EXIT_CODES, exitCodeFor } = require('../utils/cli');
 require('dotenv').config();
 
 async function testCollect() {
@@ -18,18 +21,20 @@ async function testCollect() {
     const trapAddress = process.env.TRAP_ADDRESS;
 
     if (!trapAddress) {
-      logger.error('TRAP_ADDRESS not set in .env');
-      process.exit(1);
+      logger.error('TRAP_ADDRESS not set (no deployments/<network>.json entry, .env value or flag)');
+      process.exit(EXIT_CODES.CONFIG);
     }
 
+    // Connect to trap; without STRATEGY it is identified from its code
+    const provider = getProvider(network);
+    const strategy = await resolveTrapStrategy(provider, trapAddress);
+    const trap = new ethers.Contract(trapAddress, getTrapAbi(strategy), provider);
+
     logger.info('Network:', network);
     logger.info('Trap:', trapAddress);
+    logger.info('Strategy:', strategy);
     logger.separator();
 
-    // Connect to trap
-    const provider = getProvider(network);
-    const trap = new ethers.Contract(trapAddress, trapAbi, provider);
-
     // Get current block
     const currentBlock = await provider.getBlockNumber();
     logger.info('Current Block:', currentBlock);
@@ -37,54 +42,54 @@ async function testCollect() {
 
     // Call collect()
     logger.info('Calling collect()...');
+
+    const result = {
+      network,
+      trapAddress,
+      currentBlock,
+      strategy: null,
+      data: null,
+      output: null,
+      triggered: false,
+      response: null,
+      error: null
+    };
     
     try {
       const data = await trap.collect();
       
       logger.success('collect() executed successfully!');
       logger.info('Data length:', data.length, 'bytes');
+      result.data = data;
       
       if (data.length > 2) {
         logger.separator();
         logger.info('Attempting to decode data...');
         
         try {
-          // Define the CollectOutput struct
-          const collectOutputType = ethers.utils.ParamType.from(
-            'tuple(uint256 blockNumber, address[] recentBuyers, uint256[] buyAmounts, uint256[] gasPrices, uint256 totalSupply, uint256 liquidityPoolBalance, uint256 averageGasPrice)'
-          );
+          const decoder = resolveDecoder(data, strategy);
+          const output = decoder.decodeCollectOutput(data);
           
-          const decoded = ethers.utils.defaultAbiCoder.decode([collectOutputType], data);
-          const output = decoded[0];
-          
-          logger.success('Data decoded successfully!');
+          logger.success(`Data decoded as ${decoder.name} CollectOutput`);
+          result.strategy = decoder.strategy;
+          result.output = output;
           logger.separator();
+          decoder.printCollectOutput(output);
           
-          const decodedData = {
-            'Block Number': output.blockNumber.toString(),
-            'Recent Buyers': output.recentBuyers.length,
-            'Buy Amounts': output.buyAmounts.length,
-            'Gas Prices': output.gasPrices.length,
-            'Total Supply': ethers.utils.formatEther(output.totalSupply),
-            'Pool Balance': ethers.utils.formatEther(output.liquidityPoolBalance),
-            'Avg Gas Price': ethers.utils.formatUnits(output.averageGasPrice, 'gwei') + ' gwei'
-          };
+          // Evaluate shouldRespond() over [current, previous] like Drosera does
+          logger.separator();
+          logger.info('Calling shouldRespond() with previous block snapshot...');
           
-          logger.table(decodedData);
+          const previous = await trap.collect({ blockTag: currentBlock - 1 });
+          const [triggered, responseData] = await trap.callStatic.shouldRespond([data, previous]);
           
-          // Show buyers if any
-          if (output.recentBuyers.length > 0) {
-            logger.separator();
-            logger.info('Recent Buyers:');
-            output.recentBuyers.forEach((buyer, index) => {
-              const amount = ethers.utils.formatEther(output.buyAmounts[index]);
-              const gas = ethers.utils.formatUnits(output.gasPrices[index], 'gwei');
-              logger.info(`  ${index + 1}. ${buyer}`);
-              logger.info(`     Amount: ${amount} tokens`);
-              logger.info(`     Gas: ${gas} gwei`);
-            });
+          result.triggered = triggered;
+          if (triggered) {
+            logger.warning('shouldRespond() returned true');
+            result.response = decoder.decodeResponseData(responseData);
+            decoder.printResponseData(result.response);
           } else {
-            logger.info('No recent buyers in this block');
+            logger.success('shouldRespond() returned false - no violation');
           }
           
         } catch (decodeError) {
@@ -92,35 +97,32 @@ async function testCollect() {
           logger.debug('Raw data:', data);
         }
       } else {
-        logger.info('No data collected (monitoring may not be active)');
+        logger.info('No data collected');
       }
       
     } catch (error) {
       logger.error('collect() failed:', error.message);
-      
-      if (error.message.includes('monitoring')) {
-        logger.info('');
-        logger.info('Possible reasons:');
-        logger.info('• Monitoring period has not started yet');
-        logger.info('• Monitoring period has ended');
-        logger.info('• Trap has been deactivated');
-      }
+      result.error = error.message;
+      process.exitCode = exitCodeFor(error);
     }
 
     logger.separator();
     logger.success('Test complete!');
 
+    return result;
+
   } catch (error) {
     logger.error('Error testing collect():', error.message);
     if (process.env.DEBUG === 'true') {
       console.error(error);
     }
-    process.exit(1);
+    process.exit(exitCodeFor(error));
   }
 }
 
 // Run if called directly
 if (require.main === module) {
+  applyManifest();
   testCollect();
 }
 
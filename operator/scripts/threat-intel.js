@@ -0,0 +1,229 @@
+/**
+ * Browse the threat intelligence of a FairLaunchResponderAdvanced
+ *
+ * The responder only exposes getThreatIntel(signature) and a pattern count, so
+ * the pattern set is rebuilt from ThreatIntelUpdated events. Each pattern is
+ * then read back with getThreatIntel() (resolution is not evented) and linked
+ * to the stored incidents that carry its signature.
+ *
+ * Usage: npm run threat-intel -- [patternSignature] [--unresolved] [--type SYBIL_ATTACK]
+ *                                [--from-block n] [--format table|json|csv] [--output file]
+ *        npm run threat-intel -- resolve <patternSignature> [--dry-run] [--yes]
+ */
+
+const { ethers } = require('ethers');
+const { getProvider } = require('../utils/web3-helper');
+const logger = require('../utils/logger');
+const { applyManifest } = require('../utils/deployments');
+const { getResponderAbi } = require('../config/abis');
+const {
+  isAdvancedResponder,
+  resolveHistoryStart,
+  scanResponderEvents,
+  readIncidents,
+  parseDetectionType,
+  getDetectionTypeName
+} = require('../utils/responder-history');
+const { getReportFormat, writeReport } = require('../utils/report');
+const { EXIT_CODES, BOOLEAN_FLAGS, CliError, parseArgs, exitCodeFor, writesToStdout } = require('../utils/cli');
+require('dotenv').config();
+
+const CSV_COLUMNS = [
+  'patternSignature',
+  'detectionType',
+  'detection',
+  'occurrences',
+  'firstSeen',
+  'lastSeen',
+  'firstBlock',
+  'lastBlock',
+  'resolved',
+  'incidents',
+  'violators'
+];
+
+function toIsoTime(timestamp) {
+  return timestamp.isZero() ? null : new Date(timestamp.toNumber() * 1000).toISOString();
+}
+
+/**
+ * Group ThreatIntelUpdated events by pattern, in first-seen order
+ */
+function collectPatterns(events) {
+  const patterns = new Map();
+
+  for (const event of events) {
+    const signature = event.args.patternSignature.toLowerCase();
+    const pattern = patterns.get(signature) || { patternSignature: signature, firstBlock: event.blockNumber };
+    pattern.lastBlock = event.blockNumber;
+    patterns.set(signature, pattern);
+  }
+
+  return patterns;
+}
+
+/**
+ * Build report rows: event history + on-chain intel + linked incidents
+ */
+async function buildPatternRows(responder, patterns, incidents) {
+  const incidentsByPattern = new Map();
+  incidents.forEach((incident, index) => {
+    const signature = incident.patternSignature.toLowerCase();
+    if (!incidentsByPattern.has(signature)) {
+      incidentsByPattern.set(signature, []);
+    }
+    incidentsByPattern.get(signature).push({ index, violator: incident.violatorAddress });
+  });
+
+  const rows = [];
+  for (const pattern of patterns.values()) {
+    const intel = await responder.getThreatIntel(pattern.patternSignature);
+    const linked = incidentsByPattern.get(pattern.patternSignature) || [];
+
+    rows.push({
+      patternSignature: pattern.patternSignature,
+      detectionType: intel.detectionType,
+      detection: getDetectionTypeName(intel.detectionType),
+      occurrences: intel.occurrences.toNumber(),
+      firstSeen: toIsoTime(intel.firstSeen),
+      lastSeen: toIsoTime(intel.lastSeen),
+      firstBlock: pattern.firstBlock,
+      lastBlock: pattern.lastBlock,
+      resolved: intel.resolved,
+      incidents: linked.map(incident => incident.index),
+      violators: [...new Set(linked.map(incident => incident.violator))]
+    });
+  }
+
+  return rows;
+}
+
+async function getAdvancedResponder(network) {
+  const responderAddress = process.env.RESPONDER_ADDRESS;
+
+  if (!responderAddress) {
+    logger.error('RESPONDER_ADDRESS not set (no deployments/<network>.json entry, .env value or flag)');
+    process.exit(EXIT_CODES.CONFIG);
+  }
+
+  const provider = getProvider(network);
+  if (!await isAdvancedResponder(provider, responderAddress)) {
+    throw new CliError(`Threat intelligence only exists on FairLaunchResponderAdvanced; ${responderAddress} is a FairLaunchResponder`, EXIT_CODES.CONFIG);
+  }
+
+  return new ethers.Contract(responderAddress, getResponderAbi(true), provider);
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.pattern - Only show this pattern signature
+ * @param {boolean} options.unresolved - Hide resolved patterns
+ * @param {string} options.type - Detection type name or number, comma separated
+ * @param {string} options.fromBlock - Start of the event scan (default: deployment block)
+ * @param {string} options.format - table, json or csv
+ * @param {string} options.output - File for json / csv output
+ */
+async function threatIntel(options = {}) {
+  try {
+    logger.header('Threat Intelligence');
+
+    const network = process.env.NETWORK || 'hoodi';
+    const format = getReportFormat(options.format);
+    const types = options.type !== undefined ? String(options.type).split(',').map(parseDetectionType) : null;
+
+    if (options.pattern !== undefined && !ethers.utils.isHexString(options.pattern, 32)) {
+      throw new CliError(`Pattern signature must be a 32-byte hex value: ${options.pattern}`, EXIT_CODES.USAGE);
+    }
+
+    const responder = await getAdvancedResponder(network);
+    const provider = responder.provider;
+
+    logger.info('Network:', network);
+    logger.info('Responder:', responder.address);
+
+    const [knownPatterns, totalIncidents, toBlock] = await Promise.all([
+      responder.getKnownPatternsCount(),
+      responder.totalIncidents(),
+      provider.getBlockNumber()
+    ]);
+    const fromBlock = await resolveHistoryStart(provider, responder.address, options.fromBlock);
+
+    logger.info('Known patterns:', knownPatterns.toString());
+    logger.info('Scanning events:', `${fromBlock} → ${toBlock}`);
+    logger.separator();
+
+    const [events, incidents] = await Promise.all([
+      scanResponderEvents(responder, ['ThreatIntelUpdated'], fromBlock, toBlock),
+      readIncidents(responder, totalIncidents.toNumber())
+    ]);
+
+    const patterns = collectPatterns(events.ThreatIntelUpdated);
+    if (patterns.size !== knownPatterns.toNumber()) {
+      logger.warning(`Found ${patterns.size} pattern(s) in events but the responder knows ${knownPatterns}; scan from an earlier block`);
+    }
+
+    const rows = (await buildPatternRows(responder, patterns, incidents)).filter(row => (
+      (options.pattern === undefined || row.patternSignature === options.pattern.toLowerCase()) &&
+      (!options.unresolved || !row.resolved) &&
+      (!types || types.includes(row.detectionType))
+    ));
+
+    logger.info(`Patterns: ${rows.length} shown, ${rows.filter(row => !row.resolved).length} unresolved`);
+
+    writeReport(rows, {
+      format,
+      output: options.output,
+      columns: CSV_COLUMNS,
+      tableRow: row => ({
+        pattern: `${row.patternSignature.slice(0, 10)}…${row.patternSignature.slice(-6)}`,
+        detection: `${row.detection} (${row.detectionType})`,
+        occurrences: row.occurrences,
+        'first seen': row.firstSeen,
+        'last seen': row.lastSeen,
+        resolved: row.resolved ? '✓' : '✗',
+        incidents: row.incidents.join(' ')
+      })
+    });
+
+    return { network, responderAddress: responder.address, knownPatterns, patterns: rows };
+
+  } catch (error) {
+    logger.error('Error reading threat intelligence:', error.message);
+    if (process.env.DEBUG === 'true') {
+      console.error(error);
+    }
+    process.exit(exitCodeFor(error));
+  }
+}
+
+/**
+ * Mark a pattern resolved through the responder admin dry-run / confirm flow
+ */
+function resolvePattern(patternSignature, options) {
+  return require('./responder-admin')('resolve-threat-pattern', patternSignature === undefined ? [] : [patternSignature], options);
+}
+
+// Run if called directly
+if (require.main === module) {
+  applyManifest();
+  const { positional, flags } = parseArgs(process.argv.slice(2), [...BOOLEAN_FLAGS, 'unresolved', 'dry-run', 'yes']);
+
+  if (positional[0] === 'resolve') {
+    resolvePattern(positional[1], { dryRun: flags['dry-run'], yes: flags.yes });
+  } else {
+    if (writesToStdout(flags.format, flags.output)) {
+      logger.configure({ stream: 'stderr' });
+    }
+    threatIntel({
+      pattern: positional[0],
+      unresolved: flags.unresolved,
+      type: flags.type,
+      fromBlock: flags['from-block'],
+      format: flags.format,
+      output: flags.output
+    });
+  }
+}
+
+module.exports = threatIntel;
+module.exports.resolvePattern = resolvePattern;
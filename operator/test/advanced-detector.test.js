@@ -0,0 +1,248 @@
+/**
+ * JS port of FairLaunchGuardianTrapAdvanced.shouldRespond()
+ *
+ * Hand-built CollectOutput windows, newest first, for each detector and for the
+ * window-length edges. Parity with the Solidity trap itself is checked by
+ * `npm run test:parity`.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+  DETECTION_TYPES,
+  MAX_HISTORY_SNAPSHOTS,
+  encodeCollectOutput,
+  decodeResponseData,
+  shouldRespond
+} = require('../utils/advanced-detector');
+
+const TOKEN = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const POOL = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const CAROL = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+const SUPPLY = 1000000;
+const POOL_BALANCE = 1000;
+
+const tokens = amount => ethers.utils.parseEther(String(amount));
+const gwei = amount => ethers.utils.parseUnits(String(amount), 'gwei');
+
+function swap(wallet, { isBuy = true, amount = 5000, gas = 10, block = 100 } = {}) {
+  return {
+    wallet,
+    isBuy,
+    amountToken: tokens(amount),
+    amountETH: tokens(1),
+    gasPrice: gwei(gas),
+    blockNumber: block,
+    timestamp: 1000 + block
+  };
+}
+
+function snapshot({ block = 100, supply = SUPPLY, pool = POOL_BALANCE, swaps = [] } = {}) {
+  return encodeCollectOutput({
+    blockNumber: block,
+    timestamp: 1000 + block,
+    tokenAddress: TOKEN,
+    liquidityPool: POOL,
+    totalSupply: tokens(supply),
+    liquidityPoolBalance: tokens(pool),
+    poolReserveToken: tokens(pool),
+    poolReserveETH: tokens(10),
+    recentSwaps: swaps
+  });
+}
+
+/**
+ * Window of snapshots with these pool balances, newest first
+ */
+function poolWindow(balances) {
+  return balances.map((pool, index) => snapshot({ block: 100 - index, pool }));
+}
+
+function respond(data) {
+  const result = shouldRespond(data);
+  if (result.triggered) {
+    assert.deepEqual(decodeResponseData(result.payload), result.response, 'payload encodes the response');
+  }
+  return result;
+}
+
+describe('shouldRespond', () => {
+  describe('window edges', () => {
+    it('ignores an empty window and empty current data', () => {
+      assert.equal(respond([]).triggered, false);
+      assert.equal(respond(['0x', snapshot()]).triggered, false);
+    });
+
+    it('needs at least two snapshots', () => {
+      const current = snapshot({ swaps: [swap(ALICE), swap(ALICE, { isBuy: false })] });
+      assert.equal(respond([current]).triggered, false);
+    });
+
+    it('ignores a snapshot without supply', () => {
+      assert.equal(respond([snapshot({ supply: 0, pool: 1 }), snapshot()]).triggered, false);
+    });
+
+    it('stays quiet for an unchanged pool', () => {
+      const result = respond([snapshot(), snapshot({ block: 99 })]);
+
+      assert.deepEqual(result, { triggered: false, payload: '0x', response: null });
+    });
+  });
+
+  describe('liquidity drain', () => {
+    it('flags a drop of more than 10% of the pool', () => {
+      const { response } = respond(poolWindow([850, 1000]));
+
+      assert.equal(response.detectionType, DETECTION_TYPES.LIQUIDITY_MANIPULATION);
+      assert.equal(response.violatorAddress, POOL);
+      assert.equal(response.accumulatedPercentBP.toNumber(), 1500);
+      assert.equal(response.severity.toNumber(), 50);
+      assert.equal(response.confidence.toNumber(), 80);
+    });
+
+    it('does not flag a drop of exactly 10%', () => {
+      assert.equal(respond(poolWindow([900, 1000])).triggered, false);
+    });
+
+    it('takes precedence over a supply change in the same block', () => {
+      const { response } = respond([snapshot({ pool: 500, supply: 2000000 }), snapshot({ block: 99 })]);
+
+      assert.equal(response.detectionType, DETECTION_TYPES.LIQUIDITY_MANIPULATION);
+    });
+  });
+
+  describe('supply manipulation', () => {
+    it('flags a supply change of more than 5%', () => {
+      const { response } = respond([snapshot({ supply: 1060000 }), snapshot({ block: 99 })]);
+
+      assert.equal(response.detectionType, DETECTION_TYPES.SUPPLY_MANIPULATION);
+      assert.equal(response.violatorAddress, TOKEN);
+      assert.equal(response.accumulatedPercentBP.toNumber(), 600);
+      assert.equal(response.severity.toNumber(), 20);
+    });
+
+    it('flags burns as well as mints', () => {
+      const { response } = respond([snapshot({ supply: 900000 }), snapshot({ block: 99 })]);
+
+      assert.equal(response.detectionType, DETECTION_TYPES.SUPPLY_MANIPULATION);
+      assert.equal(response.accumulatedPercentBP.toNumber(), 1000);
+    });
+
+    it('does not flag a change of exactly 5%', () => {
+      assert.equal(respond([snapshot({ supply: 1050000 }), snapshot({ block: 99 })]).triggered, false);
+    });
+  });
+
+  describe('gas manipulation', () => {
+    it('flags a swap paying far more than the average gas price', () => {
+      const current = snapshot({
+        swaps: [swap(ALICE, { gas: 10 }), swap(BOB, { gas: 10 }), swap(CAROL, { gas: 100 })]
+      });
+      const { response } = respond([current, snapshot({ block: 99 })]);
+
+      assert.equal(response.detectionType, DETECTION_TYPES.FRONT_RUNNING_GAS);
+      assert.equal(response.violatorAddress, CAROL);
+      assert.equal(response.accumulatedPercentBP.toNumber(), 15000);
+      assert.equal(response.severity.toNumber(), 100, 'capped at 100');
+      assert.equal(response.patternSignature, ethers.utils.solidityKeccak256(['string', 'address'], ['GAS_MANIPULATION', CAROL]));
+    });
+
+    it('skips swaps without a gas price', () => {
+      const current = snapshot({ swaps: [swap(ALICE, { gas: 0 }), swap(BOB, { gas: 100 })] });
+
+      assert.equal(respond([current, snapshot({ block: 99 })]).triggered, false);
+    });
+  });
+
+  describe('coordinated attack', () => {
+    const clusterSwaps = [swap(ALICE), swap(ALICE), swap(BOB, { block: 101 }), swap(CAROL, { block: 102 })];
+
+    it('flags wallets buying together at the same gas price', () => {
+      const { response } = respond([snapshot({ swaps: clusterSwaps }), snapshot({ block: 99 })]);
+
+      assert.equal(response.detectionType, DETECTION_TYPES.COORDINATED_ATTACK);
+      assert.equal(response.violatorAddress, ALICE);
+      assert.deepEqual(response.relatedAddresses, [BOB, CAROL]);
+      assert.equal(response.accumulatedPercentBP.toNumber(), 200);
+      assert.equal(response.severity.toNumber(), 75);
+      assert.equal(response.confidence.toNumber(), 80);
+    });
+
+    it('leaves out wallets that bought more than two blocks later', () => {
+      const swaps = [swap(ALICE), swap(ALICE), swap(BOB), swap(CAROL, { block: 103 })];
+
+      assert.equal(respond([snapshot({ swaps }), snapshot({ block: 99 })]).triggered, false);
+    });
+
+    it('needs an anchor wallet with at least two buys', () => {
+      const swaps = [swap(ALICE), swap(BOB), swap(CAROL)];
+
+      assert.equal(respond([snapshot({ swaps }), snapshot({ block: 99 })]).triggered, false);
+    });
+
+    it(`only builds wallet profiles from the newest ${MAX_HISTORY_SNAPSHOTS} snapshots`, () => {
+      const current = snapshot({ swaps: [swap(ALICE), swap(BOB), swap(CAROL)] });
+      // Alice's second buy sits at data[position]; its swap block stays close to the others
+      const history = position => Array.from({ length: MAX_HISTORY_SNAPSHOTS + 1 }, (unused, index) =>
+        snapshot({ block: 99 - index, swaps: index + 1 === position ? [swap(ALICE)] : [] })
+      );
+
+      // ...it counts inside the window
+      const inside = respond([current, ...history(MAX_HISTORY_SNAPSHOTS - 1)]);
+      assert.equal(inside.response.detectionType, DETECTION_TYPES.COORDINATED_ATTACK);
+
+      // ...and is ignored just past it
+      assert.equal(respond([current, ...history(MAX_HISTORY_SNAPSHOTS)]).triggered, false);
+    });
+  });
+
+  describe('multi-block drain', () => {
+    it('flags three consecutive pool decreases of more than 1%', () => {
+      const { response } = respond(poolWindow([940, 960, 980, 1000]));
+
+      assert.equal(response.detectionType, DETECTION_TYPES.LIQUIDITY_MANIPULATION);
+      assert.equal(response.accumulatedPercentBP.toNumber(), 300);
+      assert.equal(response.severity.toNumber(), 80);
+      assert.equal(response.confidence.toNumber(), 90);
+    });
+
+    it('needs at least three snapshots', () => {
+      assert.equal(respond(poolWindow([980, 1000])).triggered, false);
+      assert.equal(respond(poolWindow([960, 980, 1000])).triggered, false, 'two decreases are not enough');
+    });
+
+    it('stops counting at the first increase', () => {
+      assert.equal(respond(poolWindow([940, 960, 1000, 980, 1000])).triggered, false);
+    });
+
+    it(`compares at most ${MAX_HISTORY_SNAPSHOTS} pairs of snapshots`, () => {
+      const balances = Array.from({ length: MAX_HISTORY_SNAPSHOTS + 3 }, (unused, index) => 900 + 15 * index);
+      const { response } = respond(poolWindow(balances));
+
+      assert.equal(response.accumulatedPercentBP.toNumber(), MAX_HISTORY_SNAPSHOTS * 100);
+      assert.equal(response.severity.toNumber(), 95);
+    });
+  });
+
+  describe('wash trading', () => {
+    it('flags a wallet buying and selling in the same block', () => {
+      const current = snapshot({ swaps: [swap(ALICE), swap(BOB), swap(ALICE, { isBuy: false })] });
+      const { response } = respond([current, snapshot({ block: 99 })]);
+
+      assert.equal(response.detectionType, DETECTION_TYPES.WASH_TRADING);
+      assert.equal(response.violatorAddress, ALICE);
+      assert.deepEqual(response.relatedAddresses, [ALICE]);
+      assert.equal(response.patternSignature, ethers.utils.solidityKeccak256(['string', 'address'], ['WASH_TRADE', ALICE]));
+    });
+
+    it('does not flag repeated buys', () => {
+      const current = snapshot({ swaps: [swap(ALICE), swap(ALICE)] });
+
+      assert.equal(respond([current, snapshot({ block: 99 })]).triggered, false);
+    });
+  });
+});
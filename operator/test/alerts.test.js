@@ -0,0 +1,221 @@
+/**
+ * Alert sinks against the mock receiver (scripts/mock-alert-receiver.js)
+ *
+ * Every HTTP sink posts to a local receiver, so the payloads Slack, Telegram
+ * and a generic webhook would get are checked without real accounts. Email
+ * has no HTTP transport and is checked through its formatted message.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockReceiver } = require('../scripts/mock-alert-receiver');
+const { getNetwork } = require('../config/networks');
+const {
+  ALERT_TYPES,
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  loadTemplates,
+  createAlert,
+  createAlertManager,
+  createSinks,
+  EmailSink
+} = require('../utils/alerts');
+
+const NETWORK = 'hoodi';
+const RESPONDER = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const VIOLATOR = '0x000000000000000000000000000000000000dEaD';
+const TX_HASH = '0x' + 'ab'.repeat(32);
+
+// Records shaped like the ones monitor-launch stores from responder events
+const RECORDS = {
+  detection: {
+    record: { address: VIOLATOR, detectionType: 4, severity: '95', accumulatedPercentBP: '2500' },
+    fields: { detectionTypeName: 'LIQUIDITY_MANIPULATION', accumulatedPercent: 25 },
+    text: `Responder ${RESPONDER} recorded LIQUIDITY_MANIPULATION by ${VIOLATOR} at block 42 on NETWORK (severity 95, 25% drain/change).`
+  },
+  blacklist: {
+    record: { address: VIOLATOR, reason: 4 },
+    fields: { reasonName: 'LIQUIDITY_MANIPULATION' },
+    text: `Address ${VIOLATOR} was blacklisted for LIQUIDITY_MANIPULATION at block 42 on NETWORK.`
+  },
+  'coordinated-attack': {
+    record: { address: VIOLATOR, relatedAddresses: [VIOLATOR, RESPONDER], severity: '90' },
+    fields: { relatedCount: 2 },
+    text: `Responder ${RESPONDER} linked ${VIOLATOR} to 2 related address(es) at block 42 on NETWORK (severity 90).`
+  },
+  'emergency-pause': {
+    record: { target: VIOLATOR },
+    fields: {},
+    text: `Responder ${RESPONDER} paused ${VIOLATOR} at block 42 on NETWORK.`
+  }
+};
+
+// Reorg records come from the monitor itself: no transaction, responder or block of their own
+const RESPONDER_ALERT_TYPES = ALERT_TYPES.filter(type => type !== 'reorg');
+const REORG_RECORD = {
+  type: 'reorg',
+  key: 'reorg:40:0x01',
+  forkBlock: 40,
+  depth: 3,
+  removed: [`${TX_HASH}:0`, `${TX_HASH}:1`]
+};
+
+function buildAlert(type, options = {}) {
+  const { record, fields } = RECORDS[type];
+  return createAlert({
+    type,
+    key: `${TX_HASH}:0`,
+    blockNumber: 42,
+    transactionHash: TX_HASH,
+    responder: RESPONDER,
+    ...record
+  }, { network: NETWORK, fields, ...options });
+}
+
+function expectedText(type) {
+  return RECORDS[type].text.replace('NETWORK', getNetwork(NETWORK).name);
+}
+
+describe('alert templates', () => {
+  it('has a template for every alert type', () => {
+    assert.deepEqual(Object.keys(DEFAULT_TEMPLATES).sort(), [...ALERT_TYPES].sort());
+  });
+
+  for (const type of RESPONDER_ALERT_TYPES) {
+    it(`renders ${type} alerts from responder records`, () => {
+      const alert = buildAlert(type);
+
+      assert.equal(alert.type, type);
+      assert.equal(alert.text, expectedText(type));
+      assert.equal(alert.address, VIOLATOR);
+      assert.equal(alert.links.transaction, `https://hoodi.etherscan.io/tx/${TX_HASH}`);
+      assert.equal(alert.links.address, `https://hoodi.etherscan.io/address/${VIOLATOR}`);
+      assert.doesNotMatch(alert.title + alert.text, /\{\{/);
+    });
+  }
+
+  it('renders reorg alerts with the rolled-back keys and the fork block', () => {
+    const alert = createAlert(REORG_RECORD, { network: NETWORK, fields: { removedKeys: REORG_RECORD.removed.join(', ') } });
+
+    assert.equal(alert.severity, 'warning');
+    assert.equal(alert.text, `3 block(s) from 40 were orphaned on ${getNetwork(NETWORK).name}. Rolled back: ${TX_HASH}:0, ${TX_HASH}:1.`);
+    assert.equal(alert.blockNumber, 40);
+    assert.deepEqual(alert.links, { transaction: null, address: null, block: 'https://hoodi.etherscan.io/block/40' });
+  });
+
+  it('marks detections as warnings and responder actions as critical', () => {
+    assert.equal(buildAlert('detection').severity, 'warning');
+    for (const type of ['blacklist', 'coordinated-attack', 'emergency-pause']) {
+      assert.equal(buildAlert(type).severity, 'critical');
+    }
+  });
+
+  it('renders missing fields empty', () => {
+    assert.equal(renderTemplate('{{ a }}-{{b}}-{{c}}', { a: 1, b: null }), '1--');
+  });
+
+  it('throws for a record type without a template', () => {
+    assert.throws(() => createAlert({ type: 'swap' }, { network: NETWORK }), /No alert template for record type 'swap'/);
+  });
+
+  it('merges ALERT_TEMPLATES overrides over the defaults', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-alerts-'));
+    const file = path.join(dir, 'templates.json');
+    fs.writeFileSync(file, JSON.stringify({ blacklist: { title: 'Blocked {{address}}' } }));
+
+    try {
+      const templates = loadTemplates(file);
+      const alert = buildAlert('blacklist', { templates });
+
+      assert.equal(alert.title, `Blocked ${VIOLATOR}`);
+      assert.equal(alert.text, expectedText('blacklist'));
+      assert.equal(templates.detection, DEFAULT_TEMPLATES.detection);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('alert sinks (mock receiver)', () => {
+  let receiver;
+  let env;
+
+  before(async () => {
+    receiver = await startMockReceiver({ port: 0, failPaths: ['/failing'] });
+    env = {
+      ALERT_WEBHOOK_URL: `${receiver.url}/webhook`,
+      ALERT_SLACK_WEBHOOK_URL: `${receiver.url}/slack`,
+      ALERT_TELEGRAM_BOT_TOKEN: '123:token',
+      ALERT_TELEGRAM_CHAT_ID: '-100',
+      ALERT_TELEGRAM_API_URL: `${receiver.url}/telegram`
+    };
+  });
+
+  after(async () => {
+    if (receiver) {
+      await receiver.close();
+    }
+  });
+
+  const quietLog = { warning() {}, debug() {} };
+  const received = prefix => receiver.requests.filter(request => request.path.startsWith(prefix));
+
+  it('builds the sinks configured in the environment', () => {
+    assert.deepEqual(createSinks(env).map(sink => sink.name), ['webhook', 'slack', 'telegram']);
+    assert.deepEqual(createSinks({ ALERT_TELEGRAM_BOT_TOKEN: '123:token' }), [], 'telegram needs a chat id');
+  });
+
+  for (const type of RESPONDER_ALERT_TYPES) {
+    it(`delivers ${type} alerts to every sink`, async () => {
+      receiver.requests.length = 0;
+      const alert = buildAlert(type);
+
+      const results = await createAlertManager(quietLog, env).notify(alert);
+      assert.deepEqual(results, [
+        { sink: 'webhook', ok: true },
+        { sink: 'slack', ok: true },
+        { sink: 'telegram', ok: true }
+      ]);
+
+      const [webhook] = received('/webhook');
+      assert.equal(webhook.method, 'POST');
+      assert.equal(webhook.headers['content-type'], 'application/json');
+      assert.equal(webhook.body.type, type);
+      assert.equal(webhook.body.text, expectedText(type));
+      assert.equal(webhook.body.details.responder, RESPONDER);
+
+      const [slack] = received('/slack');
+      assert.equal(slack.body.text, `${alert.title}\n${alert.text}`);
+      assert.deepEqual(slack.body.blocks[0], { type: 'header', text: { type: 'plain_text', text: alert.title } });
+      assert.ok(slack.body.blocks[2].elements[0].text.includes(`<${alert.links.transaction}|Transaction>`));
+
+      const [telegram] = received('/telegram');
+      assert.equal(telegram.path, '/telegram/bot123:token/sendMessage');
+      assert.equal(telegram.body.chat_id, '-100');
+      assert.equal(telegram.body.parse_mode, 'HTML');
+      assert.ok(telegram.body.text.startsWith(`<b>${alert.title}</b>\n\n${alert.text}`));
+    });
+  }
+
+  it('reports a failing sink without failing the others', async () => {
+    const results = await createAlertManager(quietLog, { ...env, ALERT_SLACK_WEBHOOK_URL: `${receiver.url}/failing` })
+      .notify(buildAlert('blacklist'));
+
+    assert.deepEqual(results.map(result => result.ok), [true, false, true]);
+    assert.match(results[1].error, /HTTP 500/);
+  });
+
+  it('formats email with the text and explorer links', () => {
+    const message = new EmailSink({ host: 'localhost' }, { from: 'guardian@example.com', to: 'ops@example.com' })
+      .format(buildAlert('emergency-pause'));
+
+    assert.equal(message.to, 'ops@example.com');
+    assert.equal(message.subject, '[Fair Launch Guardian] 🛑 Emergency pause triggered');
+    assert.ok(message.text.startsWith(expectedText('emergency-pause')));
+    assert.match(message.text, new RegExp(`Address: https://hoodi\\.etherscan\\.io/address/${VIOLATOR}`));
+    assert.match(message.html, /<h3>🛑 Emergency pause triggered<\/h3>/);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Comparing two responder blacklists
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffBlacklists } = require('../scripts/blacklist');
+
+const SHARED = '0x00000000000000000000000000000000000000A1';
+const ONLY_A = '0x00000000000000000000000000000000000000b2';
+const ONLY_B = '0x00000000000000000000000000000000000000c3';
+const REMOVED = '0x00000000000000000000000000000000000000d4';
+
+function entry(address, status = 'active', reasonName = 'WASH_TRADING') {
+  return { address, status, reasonName, confidence: 90, blacklistedAt: 100 };
+}
+
+const a = { entries: [entry(SHARED), entry(ONLY_A), entry(REMOVED)] };
+const b = { entries: [entry(SHARED.toLowerCase(), 'active', 'SYBIL_ATTACK'), entry(ONLY_B), entry(REMOVED, 'removed')] };
+
+describe('diffBlacklists', () => {
+  it('lists active addresses found on only one side', () => {
+    const rows = diffBlacklists(a, b);
+
+    assert.deepEqual(rows.map(row => [row.address, row.status]), [[ONLY_A, 'only-a'], [REMOVED, 'only-a'], [ONLY_B, 'only-b']]);
+    assert.equal(rows[2].reasonA, null);
+    assert.equal(rows[2].reasonB, 'WASH_TRADING');
+  });
+
+  it('matches addresses case-insensitively and lists shared ones with all', () => {
+    const [shared] = diffBlacklists(a, b, true).filter(row => row.status === 'both');
+
+    assert.equal(shared.address, SHARED);
+    assert.equal(shared.reasonA, 'WASH_TRADING');
+    assert.equal(shared.reasonB, 'SYBIL_ATTACK');
+  });
+
+  it('returns nothing for matching blacklists', () => {
+    assert.deepEqual(diffBlacklists(a, a), []);
+  });
+});
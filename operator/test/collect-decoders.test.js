@@ -0,0 +1,81 @@
+/**
+ * Strategy detection for encoded CollectOutput data
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { decoders, detectStrategy, resolveDecoder } = require('../utils/collect-decoders');
+const advanced = require('../utils/advanced-detector');
+
+const abiCoder = ethers.utils.defaultAbiCoder;
+const WALLET = '0x00000000000000000000000000000000000000a1';
+const TOKEN = '0x00000000000000000000000000000000000000b2';
+const POOL = '0x00000000000000000000000000000000000000c3';
+
+function encodeSimple() {
+  return abiCoder.encode([decoders.simple.collectOutputType], [{
+    blockNumber: 10,
+    timestamp: 1000,
+    totalSupply: ethers.utils.parseEther('1000000'),
+    poolBalance: ethers.utils.parseEther('50000')
+  }]);
+}
+
+function encodeEventLog() {
+  return abiCoder.encode([decoders.eventlog.collectOutputType], [{
+    blockNumber: 10,
+    timestamp: 1000,
+    totalSupply: ethers.utils.parseEther('1000000'),
+    poolBalance: ethers.utils.parseEther('50000'),
+    reserve0: ethers.utils.parseEther('50000'),
+    reserve1: ethers.utils.parseEther('10'),
+    swaps: [{ wallet: WALLET, isBuy: true, tokenAmount: 100, ethAmount: 1, blockNumber: 10, timestamp: 1000 }],
+    totalBuyVolume: 100,
+    totalSellVolume: 0
+  }]);
+}
+
+function encodeAdvanced() {
+  return advanced.encodeCollectOutput({
+    blockNumber: 10,
+    timestamp: 1000,
+    tokenAddress: TOKEN,
+    liquidityPool: POOL,
+    totalSupply: ethers.utils.parseEther('1000000'),
+    liquidityPoolBalance: ethers.utils.parseEther('50000'),
+    poolReserveToken: ethers.utils.parseEther('50000'),
+    poolReserveETH: ethers.utils.parseEther('10'),
+    recentSwaps: [{ wallet: WALLET, isBuy: true, amountToken: 100, amountETH: 1, gasPrice: 2, blockNumber: 10, timestamp: 1000 }]
+  });
+}
+
+describe('detectStrategy', () => {
+  it('finds the layout that round-trips each trap\'s encoding', () => {
+    assert.equal(detectStrategy(encodeSimple()), 'simple');
+    assert.equal(detectStrategy(encodeEventLog()), 'eventlog');
+    assert.equal(detectStrategy(encodeAdvanced()), 'advanced');
+  });
+
+  it('returns null for data no layout matches', () => {
+    assert.equal(detectStrategy('0x1234'), null);
+  });
+});
+
+describe('resolveDecoder', () => {
+  it('uses the requested strategy when its layout matches', () => {
+    const decoder = resolveDecoder(encodeEventLog(), 'eventlog');
+
+    assert.equal(decoder.strategy, 'eventlog');
+    assert.equal(decoder.decodeCollectOutput(encodeEventLog()).swaps[0].wallet, ethers.utils.getAddress(WALLET));
+  });
+
+  it('falls back to auto-detection when the requested strategy does not match', () => {
+    assert.equal(resolveDecoder(encodeAdvanced(), 'simple').strategy, 'advanced');
+    assert.equal(resolveDecoder(encodeSimple(), 'auto').strategy, 'simple');
+  });
+
+  it('throws when nothing matches', () => {
+    assert.throws(() => resolveDecoder('0x1234', 'auto'), /does not match any known CollectOutput layout/);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * drosera.toml validation and trap section generation
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TOML = require('@iarna/toml');
+const { validateStatic, trapSectionFromManifest, upsertTrapSection, setChainId } = require('../utils/drosera-toml');
+
+const RESPONDER = '0x00000000000000000000000000000000000000a1';
+
+function trapConfig(contract, overrides = {}) {
+  return {
+    ethereum_rpc: 'http://localhost:8545',
+    drosera_rpc: 'http://localhost:8080',
+    eth_chain_id: 31337,
+    drosera_address: RESPONDER,
+    traps: {
+      launch: {
+        path: `out/${contract}.sol/${contract}.json`,
+        response_contract: RESPONDER,
+        response_function: 'handle(bytes)',
+        block_sample_size: 3,
+        min_number_of_operators: 1,
+        max_number_of_operators: 3,
+        ...overrides
+      }
+    }
+  };
+}
+
+// The path check depends on whether contracts/ has been built, so look at one check at a time
+function check(results, name) {
+  return results.find(item => item.check === name);
+}
+
+describe('validateStatic', () => {
+  it('reports missing global keys and trap sections', () => {
+    const results = validateStatic({});
+
+    assert.deepEqual(
+      results.map(item => item.check),
+      ['ethereum_rpc', 'drosera_rpc', 'eth_chain_id', 'drosera_address', 'traps']
+    );
+    assert.ok(results.every(item => item.status === 'error'));
+  });
+
+  it('checks block_sample_size against the trap\'s history limits', () => {
+    const status = (contract, size) =>
+      check(validateStatic(trapConfig(contract, { block_sample_size: size })), 'block_sample_size').status;
+
+    assert.equal(status('FairLaunchGuardianTrapSimple', 1), 'error');
+    assert.equal(status('FairLaunchGuardianTrapSimple', 2), 'warn');
+    assert.equal(status('FairLaunchGuardianTrapSimple', 3), 'ok');
+    assert.equal(status('FairLaunchGuardianTrapEventLog', 3), 'warn', 'more samples than the trap reads');
+    assert.equal(status('FairLaunchGuardianTrapAdvanced', 6), 'ok');
+    assert.equal(status('SomeOtherTrap', 3), 'warn');
+    assert.equal(status('FairLaunchGuardianTrapSimple', 0), 'error');
+  });
+
+  it('rejects bad addresses, signatures and operator bounds', () => {
+    const results = validateStatic(trapConfig('FairLaunchGuardianTrapSimple', {
+      response_contract: '0x1234',
+      response_function: 'handle(',
+      min_number_of_operators: 4
+    }));
+
+    assert.equal(check(results, 'response_contract').status, 'error');
+    assert.equal(check(results, 'response_function').status, 'error');
+    assert.equal(check(results, 'operators').status, 'error');
+  });
+});
+
+describe('trapSectionFromManifest', () => {
+  it('fills the section from the manifest with the trap\'s defaults', () => {
+    const { name, values } = trapSectionFromManifest({
+      contracts: { trap: { contract: 'FairLaunchGuardianTrapAdvanced' }, responder: { address: RESPONDER } }
+    });
+
+    assert.equal(name, 'fair_launch_advanced');
+    assert.equal(values.path, 'out/FairLaunchGuardianTrapAdvanced.sol/FairLaunchGuardianTrapAdvanced.json');
+    assert.equal(values.block_sample_size, 6);
+  });
+
+  it('requires a trap and a responder', () => {
+    assert.throws(() => trapSectionFromManifest({ contracts: {} }), /no contracts.trap entry/);
+    assert.throws(
+      () => trapSectionFromManifest({ contracts: { trap: { contract: 'FairLaunchGuardianTrapSimple' } } }),
+      /no contracts.responder address/
+    );
+  });
+});
+
+describe('upsertTrapSection', () => {
+  const values = {
+    path: 'out/FairLaunchGuardianTrapSimple.sol/FairLaunchGuardianTrapSimple.json',
+    response_contract: RESPONDER,
+    response_function: 'handle(bytes)',
+    block_sample_size: 3
+  };
+
+  it('appends a new section after the last trap', () => {
+    const text = [
+      'eth_chain_id = 1',
+      '',
+      '[traps.first]',
+      'path = "out/A.sol/A.json"',
+      'block_sample_size = 2',
+      '',
+      '# trailing comment'
+    ].join('\n');
+
+    const { text: updated, created } = upsertTrapSection(text, 'second', values);
+
+    assert.equal(created, true);
+    assert.deepEqual(Object.keys(TOML.parse(updated).traps), ['first', 'second']);
+    assert.ok(updated.indexOf('[traps.second]') < updated.indexOf('# trailing comment'));
+  });
+
+  it('rewrites only the generated keys of an existing section', () => {
+    const text = [
+      '[traps.launch]',
+      '# tuned by hand',
+      'path = "out/Old.sol/Old.json"',
+      'block_sample_size = 5',
+      ''
+    ].join('\n');
+
+    const { text: updated, created } = upsertTrapSection(text, 'launch', values);
+    const trap = TOML.parse(updated).traps.launch;
+
+    assert.equal(created, false);
+    assert.match(updated, /# tuned by hand/);
+    assert.equal(trap.path, values.path);
+    assert.equal(trap.response_contract, RESPONDER);
+    assert.equal(trap.response_function, 'handle(bytes)');
+    assert.equal(trap.block_sample_size, 5, 'hand-tuned keys are kept');
+  });
+});
+
+describe('setChainId', () => {
+  it('replaces eth_chain_id or adds it at the top', () => {
+    assert.equal(setChainId('eth_chain_id = 1\n', 560048), 'eth_chain_id = 560048\n');
+    assert.equal(setChainId('drosera_rpc = "x"\n', 5), 'eth_chain_id = 5\ndrosera_rpc = "x"\n');
+  });
+});
@@ -0,0 +1,568 @@
+/**
+ * End-to-end tests against a local anvil node
+ *
+ * Deploys the demo launch, the v2 traps and responders from contracts/out (see
+ * helpers/fixture.js), then runs the guardian CLI the way an operator would:
+ * status, collect, the attack scenarios and the monitor. helpers/drosera.js
+ * stands in for the Drosera network and delivers trap responses.
+ *
+ * Each attack runs from an evm_snapshot and is reverted afterwards, so every
+ * scenario starts from the same freshly launched pool.
+ *
+ * Requires Foundry (anvil) and `forge build` in contracts/; skipped otherwise.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { ACCOUNTS, isAnvilInstalled, startAnvil } = require('./helpers/anvil');
+const { INITIAL_SUPPLY, missingArtifacts, deployFixture } = require('./helpers/fixture');
+const { getHead, createRelays, runRelays, followWhile } = require('./helpers/drosera');
+const { runGuardian, spawnGuardian, waitForExit } = require('./helpers/guardian');
+const { EventStore, getStoreDir } = require('../utils/event-store');
+
+const LIQUIDITY_MANIPULATION = 4;
+const MONITOR_TIMEOUT_MS = 60000;
+
+// Which traps catch each scenario with 40,000 DEMO in the pool, and what the basic responder does.
+// Simple / EventLog compare the last two blocks: sniper drains 25%, and so do coordinated's five
+// buys, which are mined as one block; frontrun drains 12.5%. Rapid drains ~2.5-5% per block,
+// which only Advanced's multi-block check sees.
+const SCENARIOS = {
+  sniper: { detectedBy: ['simple', 'eventlog', 'advanced'], paused: true, poolBlacklisted: true },
+  frontrun: { detectedBy: ['simple', 'eventlog', 'advanced'], paused: false, poolBlacklisted: true },
+  rapid: { detectedBy: ['advanced'], paused: false, poolBlacklisted: false },
+  coordinated: { detectedBy: ['simple', 'eventlog', 'advanced'], paused: true, poolBlacklisted: true }
+};
+
+function skipReason() {
+  if (!isAnvilInstalled()) {
+    return 'anvil not found (install Foundry: https://book.getfoundry.sh)';
+  }
+  const missing = missingArtifacts();
+  if (missing.length > 0) {
+    return `no compiled artifacts for ${missing.join(', ')} (run 'forge build' in contracts/)`;
+  }
+  return false;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('operator end-to-end (anvil)', { skip: skipReason() }, () => {
+  let node;
+  let fixture;
+  let workDir;
+  let env;
+
+  const guardian = (args, overrides = {}) => runGuardian(args, { env: { ...env, ...overrides }, cwd: workDir });
+  // Run a command with relays following the chain, for commands that wait for the responder
+  const guardianWithRelays = (args, relays) => runGuardian(args, { env, cwd: workDir, whileRunning: child => followWhile(relays, child) });
+
+  // Run the monitor from fromBlock until it reaches the head, then return what it stored
+  const monitorUntilHead = async (fromBlock, overrides = {}) => {
+    const monitorEnv = { ...env, ...overrides };
+    const head = await getHead(node.provider);
+    const storeDir = getStoreDir('localhost', monitorEnv.TRAP_ADDRESS, monitorEnv.MONITOR_DATA_DIR);
+    const cursorPath = path.join(storeDir, 'cursor.json');
+    const monitor = spawnGuardian(['monitor', '--from-block', String(fromBlock)], { env: monitorEnv, cwd: workDir });
+    const exited = waitForExit(monitor, MONITOR_TIMEOUT_MS);
+
+    const deadline = Date.now() + MONITOR_TIMEOUT_MS;
+    let cursor = null;
+    while (Date.now() < deadline && monitor.exitCode === null) {
+      if (fs.existsSync(cursorPath)) {
+        cursor = JSON.parse(fs.readFileSync(cursorPath, 'utf8')).lastProcessedBlock;
+        if (cursor >= head) break;
+      }
+      await sleep(250);
+    }
+    monitor.kill('SIGINT');
+    const { stderr } = await exited;
+
+    assert.ok(cursor >= head, `monitor stopped at block ${cursor}, head is ${head}\n${stderr}`);
+    return new EventStore(storeDir).query({ fromBlock });
+  };
+
+  const withSnapshot = async fn => {
+    const snapshot = await node.provider.send('evm_snapshot', []);
+    try {
+      return await fn();
+    } finally {
+      await node.provider.send('evm_revert', [snapshot]);
+    }
+  };
+
+  const assertRelays = (relays, expected) => {
+    for (const [strategy, relay] of Object.entries(relays)) {
+      assert.deepEqual(relay.errors, [], `${strategy} responder rejected a response`);
+
+      if (!expected.detectedBy.includes(strategy)) {
+        assert.equal(relay.responses.length, 0, `${strategy} trap should not trigger`);
+        continue;
+      }
+
+      assert.ok(relay.responses.length > 0, `${strategy} trap should trigger`);
+      for (const { data } of relay.responses) {
+        assert.equal(Number(data.detectionType), LIQUIDITY_MANIPULATION);
+        assert.equal(data.violatorAddress, fixture.dex.address);
+      }
+    }
+  };
+
+  const assertResponders = async (relays, expected) => {
+    const basic = fixture.traps.simple.responder;
+    assert.equal(await basic.isPaused(), expected.paused, 'basic responder pause state');
+    assert.equal(await basic.isBlacklisted(fixture.dex.address), expected.poolBlacklisted, 'pool blacklist state');
+
+    for (const [strategy, relay] of Object.entries(relays)) {
+      const incidents = await fixture.traps[strategy].responder.totalIncidents();
+      assert.equal(incidents.toNumber(), relay.responses.length, `${strategy} responder incidents`);
+    }
+  };
+
+  before(async () => {
+    node = await startAnvil();
+    fixture = await deployFixture(node.provider);
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-e2e-'));
+
+    env = {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      NETWORK: 'localhost',
+      RPC_URL: node.rpcUrl,
+      PRIVATE_KEY: ACCOUNTS.deployer,
+      TOKEN_ADDRESS: fixture.token.address,
+      LIQUIDITY_POOL: fixture.dex.address,
+      DEX_ADDRESS: fixture.dex.address,
+      TRAP_ADDRESS: fixture.traps.simple.trap.address,
+      RESPONDER_ADDRESS: fixture.traps.simple.responder.address,
+      STRATEGY: 'simple',
+      DEPLOYMENTS_DIR: workDir,
+      MONITOR_DATA_DIR: workDir
+    };
+  });
+
+  after(async () => {
+    if (node) {
+      await node.stop();
+    }
+    if (workDir) {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+
+  it('status reads the v2 trap and its token', async () => {
+    const { code, json, stderr } = await guardian(['status']);
+
+    assert.equal(code, 0, stderr);
+    assert.equal(json.strategy, 'simple');
+    assert.equal(json.config.tokenAddress, fixture.token.address);
+    assert.equal(json.config.liquidityPool, fixture.dex.address);
+    assert.equal(json.token.symbol, 'DEMO');
+    assert.equal(json.collect.ok, true);
+  });
+
+  it('status detects the strategy from the trap code without STRATEGY', async () => {
+    for (const strategy of ['simple', 'eventlog', 'advanced']) {
+      const { code, json, stderr } = await guardian(['status'], { STRATEGY: '', TRAP_ADDRESS: fixture.traps[strategy].trap.address });
+
+      assert.equal(code, 0, stderr);
+      assert.equal(json.strategy, strategy);
+    }
+  });
+
+  it('collect events builds the payload for log-based traps only', async () => {
+    const eventlog = await guardian(['collect', 'events'], { STRATEGY: 'eventlog', TRAP_ADDRESS: fixture.traps.eventlog.trap.address });
+    assert.equal(eventlog.code, 0, eventlog.stderr);
+    assert.match(eventlog.stderr, /buildCollectPayloadFromEvents\(\) returned \d+ bytes/);
+
+    const simple = await guardian(['collect', 'events']);
+    assert.equal(simple.code, 2);
+    assert.match(simple.stderr, /STRATEGY 'simple' does not consume event logs/);
+  });
+
+  it('incidents and threat-intel probe the responder type instead of ADVANCED_RESPONDER', async () => {
+    const incidents = await guardian(['incidents', '--format', 'json'], {
+      RESPONDER_ADDRESS: fixture.traps.advanced.responder.address,
+      ADVANCED_RESPONDER: 'false'
+    });
+    assert.equal(incidents.code, 0, incidents.stderr);
+    assert.match(incidents.stderr, /Type: FairLaunchResponderAdvanced/);
+
+    const threatIntel = await guardian(['threat-intel'], { ADVANCED_RESPONDER: 'true' });
+    assert.equal(threatIntel.code, 3);
+    assert.match(threatIntel.stderr, /is a FairLaunchResponder\b/);
+  });
+
+  it('collect does not trigger before any swap', async () => {
+    const { code, json, stderr } = await guardian(['collect']);
+
+    assert.equal(code, 0, stderr);
+    assert.equal(json.strategy, 'simple');
+    assert.equal(json.triggered, false);
+    assert.equal(json.output.poolBalance, ethers.utils.parseEther('40000').toString());
+  });
+
+  describe('sniper attack', () => {
+    let snapshot;
+    let startBlock;
+    let relays;
+
+    before(async () => {
+      snapshot = await node.provider.send('evm_snapshot', []);
+      startBlock = await getHead(node.provider) + 1;
+    });
+
+    after(async () => {
+      await node.provider.send('evm_revert', [snapshot]);
+    });
+
+    it('buys a quarter of the pool', async () => {
+      const { code, json, stderr } = await guardian(['attack', 'sniper']);
+
+      assert.equal(code, 0, stderr);
+      assert.equal(json.blocked, false);
+      assert.equal(json.bots.length, 1);
+      assert.equal((await fixture.token.balanceOf(fixture.dex.address)).toString(), ethers.utils.parseEther('30000').toString());
+    });
+
+    it('collect reports the liquidity drain', async () => {
+      const { code, json, stderr } = await guardian(['collect']);
+
+      assert.equal(code, 0, stderr);
+      assert.equal(json.triggered, true);
+      assert.equal(json.response.detectionType, LIQUIDITY_MANIPULATION);
+      assert.equal(json.response.accumulatedPercentBP, '2500');
+      assert.equal(json.response.severity, '95');
+    });
+
+    it('every trap responds; the basic responder pauses and blacklists the pool', async () => {
+      relays = await runRelays(createRelays(fixture, startBlock));
+
+      assertRelays(relays, SCENARIOS.sniper);
+      await assertResponders(relays, SCENARIOS.sniper);
+    });
+
+    it('the next buy is rejected', async () => {
+      const { code, json, stderr } = await guardian(['attack', 'sniper']);
+
+      assert.equal(code, 0, stderr);
+      assert.equal(json.blocked, true);
+      assert.equal(json.detected, true);
+    });
+
+    it('monitor records swaps, snapshots and the responder\'s incidents, blacklisting and pause', async () => {
+      const records = await monitorUntilHead(startBlock);
+      const swaps = records.filter(record => record.type === 'swap');
+      const detections = records.filter(record => record.type === 'detection');
+      const blacklistings = records.filter(record => record.type === 'blacklist');
+      const pauses = records.filter(record => record.type === 'emergency-pause');
+
+      assert.equal(swaps.length, 1, 'one successful sniper swap');
+      assert.ok(records.some(record => record.type === 'snapshot'), 'collect() snapshots');
+
+      assert.equal(detections.length, relays.simple.responses.length, 'one detection per basic responder incident');
+      for (const detection of detections) {
+        assert.equal(detection.responder, env.RESPONDER_ADDRESS);
+        assert.equal(detection.address, fixture.dex.address);
+        assert.equal(detection.detectionType, LIQUIDITY_MANIPULATION);
+        assert.equal(detection.detectionTypeName, 'LIQUIDITY_MANIPULATION');
+        assert.equal(detection.accumulatedPercentBP, '2500');
+      }
+
+      assert.deepEqual(blacklistings.map(record => record.address), [fixture.dex.address], 'the pool is blacklisted once');
+      assert.equal(blacklistings[0].reason, LIQUIDITY_MANIPULATION);
+
+      assert.equal(pauses.length, 1);
+      assert.equal(pauses[0].responder, env.RESPONDER_ADDRESS);
+      assert.equal(pauses[0].target, fixture.token.address);
+    });
+  });
+
+  for (const scenario of ['frontrun', 'rapid', 'coordinated']) {
+    const expected = SCENARIOS[scenario];
+
+    it(`${scenario} attack is caught by ${expected.detectedBy.join(', ')}`, () => withSnapshot(async () => {
+      const startBlock = await getHead(node.provider) + 1;
+      const { code, json, stderr } = await guardian(['attack', scenario]);
+
+      assert.equal(code, 0, stderr);
+      assert.equal(json.blocked, false);
+
+      const relays = await runRelays(createRelays(fixture, startBlock));
+      assertRelays(relays, expected);
+      await assertResponders(relays, expected);
+    }));
+  }
+
+  it('responder unpause previews the change, then lifts the pause', () => withSnapshot(async () => {
+    const startBlock = await getHead(node.provider) + 1;
+    assert.equal((await guardian(['attack', 'sniper'])).code, 0);
+    await runRelays(createRelays(fixture, startBlock));
+    const responder = fixture.traps.simple.responder;
+    assert.equal(await responder.isPaused(), true);
+
+    const preview = await guardian(['responder', 'unpause', '--dry-run']);
+
+    assert.equal(preview.code, 0, preview.stderr);
+    assert.equal(preview.json.status, 'dry-run');
+    assert.deepEqual(preview.json.changes.find(change => change.field === 'isPaused'), { field: 'isPaused', before: true, after: false });
+    assert.equal(await responder.isPaused(), true, 'a dry run sends nothing');
+
+    const sent = await guardian(['responder', 'unpause', '--yes']);
+
+    assert.equal(sent.code, 0, sent.stderr);
+    assert.equal(sent.json.status, 'sent');
+    assert.deepEqual(sent.json.mismatches, []);
+    assert.equal(await responder.isPaused(), false);
+  }));
+
+  it('monitor stops on Ctrl+C during its first pass', async () => {
+    const storeDir = fs.mkdtempSync(path.join(workDir, 'monitor-'));
+    const monitor = spawnGuardian(['monitor', '--from-block', '0'], { env: { ...env, MONITOR_DATA_DIR: storeDir, METRICS_PORT: '0' }, cwd: workDir });
+    const exited = waitForExit(monitor, MONITOR_TIMEOUT_MS);
+
+    while (monitor.exitCode === null && !/Backfilling from block 0/.test(monitor.output.stdout + monitor.output.stderr)) {
+      await sleep(50);
+    }
+    monitor.kill('SIGINT');
+    const { code, signal, stdout, stderr } = await exited;
+
+    assert.equal(signal, null, 'SIGINT is handled, not fatal');
+    assert.equal(code, 0, stderr);
+    assert.match(stdout + stderr, /Stopping monitor/);
+  });
+
+  describe('scenario files', () => {
+    const advancedTrap = () => ({ STRATEGY: 'advanced', TRAP_ADDRESS: fixture.traps.advanced.trap.address });
+
+    it('slow-drain meets its expectations for the simple trap', () => withSnapshot(async () => {
+      const { code, json, stderr } = await guardian(['attack', 'slow-drain']);
+
+      assert.equal(code, 0, stderr);
+      assert.equal(json.steps.length, 5);
+      assert.deepEqual(json.detections, []);
+      assert.equal(json.passed, true);
+    }));
+
+    it('skips the blacklist check without a responder', () => withSnapshot(async () => {
+      const { code, json, stderr } = await guardian(['attack', 'slow-drain'], { RESPONDER_ADDRESS: '' });
+
+      assert.equal(code, 0, stderr);
+      assert.match(stderr, /RESPONDER_ADDRESS not set; skipping the blacklist check/);
+      assert.deepEqual(json.blacklisted, []);
+      assert.equal(json.passed, true);
+    }));
+
+    it('slow-drain is caught by the advanced trap', () => withSnapshot(async () => {
+      const { code, json, stderr } = await guardian(['attack', 'slow-drain'], advancedTrap());
+
+      assert.equal(code, 0, stderr);
+      assert.ok(json.detections.length > 0);
+      assert.ok(json.detections.every(detection => detection.name === 'LIQUIDITY_MANIPULATION'));
+      assert.deepEqual(json.expectations.map(result => result.passed), [true]);
+    }));
+
+    it('runs a file by path and spaces interleaved rounds', () => withSnapshot(async () => {
+      const file = path.join(workDir, 'pair.json');
+      fs.writeFileSync(file, JSON.stringify({
+        wallets: [{ buys: ['1%', '1%'] }, { buys: ['1%'], gasMultiplier: 2 }],
+        ordering: 'interleaved',
+        blockSpacing: 2,
+        expect: { detected: true }
+      }));
+
+      const { code, json } = await guardian(['attack', file]);
+
+      assert.equal(code, 1, 'unmet expectation fails the run');
+      assert.equal(json.scenario, 'pair');
+      assert.deepEqual(json.steps.map(step => [step.wallet, step.step]), [[0, 0], [1, 0], [0, 1]]);
+      assert.deepEqual(json.steps.map(step => step.block - json.steps[0].block), [0, 3, 6]);
+      assert.equal(json.passed, false);
+    }));
+
+    it('wash-trade sells every buy back into the pool', () => withSnapshot(async () => {
+      const { code, json, stderr } = await guardian(['attack', 'wash-trade'], advancedTrap());
+
+      assert.equal(code, 0, stderr);
+      assert.deepEqual(json.steps.map(step => step.action), Array(5).fill(['buy', 'sell']).flat());
+      assert.ok(json.steps.every(step => !step.error));
+      assert.equal((await fixture.token.balanceOf(fixture.dex.address)).toString(), ethers.utils.parseEther('40000').toString());
+      assert.equal(json.passed, true);
+    }));
+
+    it('monitor records DemoDEX sells and liquidity removals', () => withSnapshot(async () => {
+      const startBlock = await getHead(node.provider) + 1;
+      const { code, stderr } = await guardian(['attack', 'wash-trade'], advancedTrap());
+      assert.equal(code, 0, stderr);
+      await (await fixture.dex.removeLiquidity(ethers.utils.parseEther('4000'))).wait();
+
+      // A store of its own: blocks reverted by other tests reuse these numbers
+      const records = await monitorUntilHead(startBlock, { MONITOR_DATA_DIR: fs.mkdtempSync(path.join(workDir, 'monitor-')) });
+      const sells = records.filter(record => record.type === 'sell');
+      const removals = records.filter(record => record.type === 'liquidity-removal');
+
+      assert.equal(records.filter(record => record.type === 'swap').length, 5);
+      assert.equal(sells.length, 5, 'one record per Sell event');
+      assert.ok(sells.every(sell => sell.seller === sells[0].seller && sell.ethAmount !== '0'));
+      assert.deepEqual(removals.map(record => [record.provider, record.tokenAmount, record.percentOfPool]), [
+        [fixture.deployer.address, ethers.utils.parseEther('4000').toString(), 10]
+      ]);
+    }));
+
+    it('sybil buys from twenty wallets funded through one parent', () => withSnapshot(async () => {
+      const startBlock = await getHead(node.provider) + 1;
+      const { code, json, stderr } = await guardian(['attack', 'sybil']);
+
+      assert.equal(code, 0, stderr);
+      assert.equal(new Set(json.steps.map(step => step.wallet)).size, 20);
+      assert.ok(json.steps.every(step => !step.error));
+      assert.equal(new Set(json.steps.map(step => step.block)).size, 1, 'the parallel round is mined as one block');
+      assert.equal(json.passed, true);
+
+      const funders = {};
+      for (let block = startBlock; block < json.fromBlock; block++) {
+        for (const tx of (await node.provider.getBlockWithTransactions(block)).transactions) {
+          funders[tx.to] = tx.from;
+        }
+      }
+      assert.equal(funders[json.parent.address], fixture.deployer.address);
+      assert.ok(json.bots.every(bot => funders[bot.address] === json.parent.address), 'every bot is funded by the parent');
+    }));
+
+    it('liquidity-drain is caught by every trap and pauses the launch', () => withSnapshot(async () => {
+      // Nothing is funded first, so the withdrawal is the next block: sample the current head as its baseline
+      const startBlock = await getHead(node.provider);
+      const relays = createRelays(fixture, startBlock);
+      const { code, json, stderr } = await guardianWithRelays(['attack', 'liquidity-drain', '--timeout', '30'], relays);
+
+      assert.equal(code, 0, stderr);
+      assert.deepEqual(json.bots, [{ wallet: 0, address: fixture.deployer.address, path: 'deployer' }]);
+      assert.deepEqual(json.detections.map(detection => detection.name), ['LIQUIDITY_MANIPULATION']);
+      assert.equal(json.responder.incidents, 1);
+      assert.deepEqual(json.responder.incidentTypes, ['LIQUIDITY_MANIPULATION']);
+      assert.equal(json.passed, true);
+      assert.equal((await fixture.dex.liquidityOf(fixture.deployer.address)).toString(), ethers.utils.parseEther('28000').toString());
+
+      const expected = { detectedBy: ['simple', 'eventlog', 'advanced'], paused: true, poolBlacklisted: true };
+      assertRelays(relays, expected);
+      await assertResponders(relays, expected);
+    }));
+
+    it('supply-manipulation mints and burns a tenth of the supply', () => withSnapshot(async () => {
+      const { code, json, stderr } = await guardian(['attack', 'supply-manipulation'], advancedTrap());
+
+      assert.equal(code, 0, stderr);
+      assert.equal(json.detections.length, 2);
+      assert.ok(json.detections.every(detection => detection.name === 'SUPPLY_MANIPULATION'));
+      assert.equal(json.passed, true);
+      assert.equal((await fixture.token.totalSupply()).toString(), INITIAL_SUPPLY.toString());
+    }));
+
+    it('reuses the derived bot wallets and sweeps them back to the deployer', () => withSnapshot(async () => {
+      const first = await guardian(['attack', 'pool-sniper']);
+      const second = await guardian(['attack', 'pool-sniper']);
+
+      assert.equal(first.code, 0, first.stderr);
+      assert.equal(second.code, 0, second.stderr);
+      assert.deepEqual(second.json.bots, first.json.bots);
+      assert.match(first.json.bots[0].path, /^m\/44'\/60'\/\d+'\/0\/0$/);
+
+      const bot = first.json.bots[0].address;
+      const listed = await guardian(['sweep', 'pool-sniper', '--dry-run']);
+      assert.equal(listed.code, 0, listed.stderr);
+      assert.deepEqual(listed.json.wallets.map(entry => [entry.wallet, entry.address, entry.status]), [[0, bot, 'dry-run']]);
+
+      const deployerTokens = await fixture.token.balanceOf(fixture.deployer.address);
+      const swept = await guardian(['sweep', 'pool-sniper']);
+
+      assert.equal(swept.code, 0, swept.stderr);
+      assert.equal((await node.provider.getBalance(bot)).toString(), '0');
+      assert.equal((await fixture.token.balanceOf(bot)).toString(), '0');
+      assert.equal(
+        (await fixture.token.balanceOf(fixture.deployer.address)).sub(deployerTokens).toString(),
+        swept.json.tokensReturned
+      );
+    }));
+
+    it('runs a suite against the live responder and writes JSON and JUnit reports', () => withSnapshot(async () => {
+      // The snipe pauses the launch, so the second scenario's buy and pause expectations fail
+      const snipe = path.join(workDir, 'snipe-accepted.yaml');
+      fs.writeFileSync(snipe, [
+        'wallets: 1',
+        'buys: ["25%"]',
+        'expect:',
+        '  detected: true',
+        '  detections: [LIQUIDITY_MANIPULATION]',
+        '  paused: true',
+        '  blacklisted: [pool]',
+        '  incidents: 1',
+        '  incidentTypes: [LIQUIDITY_MANIPULATION]'
+      ].join('\n'));
+      const late = path.join(workDir, 'late-buyer.yaml');
+      fs.writeFileSync(late, 'wallets: 1\nbuys: [1]\nexpect:\n  blocked: false\n  paused: false\n');
+      const report = path.join(workDir, 'reports', 'attacks.json');
+      const junit = path.join(workDir, 'reports', 'attacks.xml');
+
+      const relays = createRelays(fixture, await getHead(node.provider));
+      const { code, json, stderr } = await guardianWithRelays(
+        ['suite', snipe, late, '--timeout', '10', '--report', report, '--junit', junit],
+        relays
+      );
+
+      assert.equal(code, 1, stderr);
+      assert.deepEqual(json.totals, { scenarios: 2, passed: 1, failed: 1, errors: 0 });
+      assert.deepEqual(json.scenarios.map(result => result.status), ['passed', 'failed']);
+      assert.deepEqual(json.scenarios[0].checks, {
+        detected: 'pass',
+        'detections (simple)': 'pass',
+        paused: 'pass',
+        blacklisted: 'pass',
+        incidents: 'pass',
+        'incidentTypes (simple)': 'pass'
+      });
+      assert.deepEqual(json.scenarios[1].checks, { blocked: 'fail', paused: 'fail' });
+      assert.deepEqual(JSON.parse(fs.readFileSync(report, 'utf8')).totals, json.totals);
+
+      const xml = fs.readFileSync(junit, 'utf8');
+      assert.match(xml, /<testsuites name="fair-launch-guardian attacks" tests="10" failures="2" errors="0"/);
+      assert.match(xml, /<testsuite name="snipe-accepted" tests="7" failures="0" errors="0"/);
+      assert.match(xml, /<testcase name="paused" classname="attack.late-buyer" time="0.000">\s*<failure message="expected false, got true"\/>/);
+    }));
+
+    it('reports missing contract addresses per scenario and runs the rest of the suite', async () => {
+      const { code, json, stderr } = await guardian(['suite', 'sniper', 'slow-drain'], { TRAP_ADDRESS: '' });
+
+      assert.equal(code, 1, stderr);
+      assert.deepEqual(json.scenarios.map(result => result.status), ['error', 'error']);
+      assert.match(json.scenarios[0].error, /Missing contract addresses/);
+    });
+
+    it('rejects a blacklist expectation for a wallet the scenario does not have', async () => {
+      const file = path.join(workDir, 'no-wallet.yaml');
+      fs.writeFileSync(file, 'wallets: 2\nbuys: [1]\nexpect:\n  blacklisted: [2]\n');
+
+      const { code, stderr } = await guardian(['suite', file]);
+
+      assert.equal(code, 3);
+      assert.match(stderr, /expect.blacklisted\[0\]: no wallet 2/);
+    });
+
+    it('rejects an invalid file before funding any wallet', async () => {
+      const file = path.join(workDir, 'typo.yaml');
+      fs.writeFileSync(file, 'wallets: 2\nbuys: [1]\nodering: parallel\n');
+      const balance = await fixture.deployer.getBalance();
+
+      const { code, stderr } = await guardian(['attack', file]);
+
+      assert.equal(code, 3);
+      assert.match(stderr, /unknown key odering/);
+      assert.equal((await fixture.deployer.getBalance()).toString(), balance.toString());
+    });
+  });
+});
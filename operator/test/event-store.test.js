@@ -0,0 +1,110 @@
+/**
+ * EventStore dedupe, cursor, crash recovery and reorg rollback
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BLOCK_HASH_WINDOW, EventStore, getStoreDir } = require('../utils/event-store');
+
+describe('EventStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-store-'));
+    store = new EventStore(dir).open();
+  });
+
+  afterEach(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function reopen() {
+    store.close();
+    store = new EventStore(dir).open();
+  }
+
+  it('skips records whose key is already stored, across restarts', () => {
+    assert.equal(store.append({ type: 'swap', key: '0xa:0', blockNumber: 1 }), true);
+    assert.equal(store.append({ type: 'swap', key: '0xa:0', blockNumber: 1 }), false);
+
+    reopen();
+
+    assert.ok(store.has('0xa:0'));
+    assert.equal(store.append({ type: 'swap', key: '0xa:0', blockNumber: 1 }), false);
+    assert.equal(store.query().length, 1);
+  });
+
+  it('requires a type and a key', () => {
+    assert.throws(() => store.append({ key: 'k' }), /need a type and a key/);
+    assert.throws(() => store.append({ type: 'swap' }), /need a type and a key/);
+  });
+
+  it('starts without a cursor and keeps the one it was given', () => {
+    assert.equal(store.getCursor(), null);
+
+    store.setCursor(42);
+    reopen();
+
+    assert.equal(store.getCursor(), 42);
+  });
+
+  it('filters queries by type and block range', () => {
+    store.append({ type: 'swap', key: 's1', blockNumber: 1 });
+    store.append({ type: 'snapshot', key: 'snapshot:2', blockNumber: 2 });
+    store.append({ type: 'swap', key: 's3', blockNumber: 3 });
+
+    assert.deepEqual(store.query({ type: 'swap' }).map(record => record.key), ['s1', 's3']);
+    assert.deepEqual(store.query({ fromBlock: 2, toBlock: 3 }).map(record => record.key), ['snapshot:2', 's3']);
+  });
+
+  it('drops a partial last line left by a crash', () => {
+    store.append({ type: 'swap', key: 's1', blockNumber: 1 });
+    store.close();
+    fs.appendFileSync(path.join(dir, 'events.jsonl'), '{"type":"swap","key":"s2"');
+
+    store = new EventStore(dir).open();
+    store.append({ type: 'swap', key: 's2', blockNumber: 2 });
+
+    assert.deepEqual(store.query().map(record => record.key), ['s1', 's2']);
+  });
+
+  it('keeps block hashes for the last BLOCK_HASH_WINDOW blocks', () => {
+    const top = BLOCK_HASH_WINDOW + 10;
+    store.setCursor(10, { 9: '0x09', 10: '0x10' });
+    store.setCursor(top, { [top]: '0xtop' });
+    reopen();
+
+    assert.equal(store.getBlockHash(10), null, 'outside the window');
+    assert.equal(store.getBlockHash(top), '0xtop');
+    assert.deepEqual(store.getRecordedBlocks(), [top]);
+  });
+
+  it('rolls back records and hashes from a reorged block', () => {
+    store.append({ type: 'swap', key: 's1', blockNumber: 1 });
+    store.append({ type: 'swap', key: 's2', blockNumber: 2 });
+    store.append({ type: 'reorg', key: 'reorg:1' });
+    store.append({ type: 'swap', key: 's3', blockNumber: 3 });
+    store.setCursor(3, { 1: '0x01', 2: '0x02', 3: '0x03' });
+
+    const removed = store.rollback(2);
+
+    assert.deepEqual(removed.map(record => record.key), ['s2', 's3']);
+    assert.deepEqual(store.query().map(record => record.key), ['s1', 'reorg:1'], 'records without a block are kept');
+    assert.equal(store.getCursor(), 1);
+    assert.deepEqual(store.getRecordedBlocks(), [1]);
+
+    assert.equal(store.append({ type: 'swap', key: 's2', blockNumber: 2 }), true, 'removed keys can be stored again');
+    reopen();
+    assert.equal(store.getCursor(), 1);
+    assert.deepEqual(store.query().map(record => record.key), ['s1', 'reorg:1', 's2']);
+  });
+
+  it('names store directories by network and lowercased trap address', () => {
+    assert.equal(getStoreDir('hoodi', '0xAbC', '/data'), path.join('/data', 'hoodi-0xabc'));
+  });
+});
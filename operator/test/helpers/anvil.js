@@ -0,0 +1,91 @@
+/**
+ * Local anvil node for the end-to-end tests
+ *
+ * Starts `anvil` on a free port and stops it when the tests finish. Tests are
+ * skipped when Foundry is not installed.
+ */
+
+const net = require('net');
+const { spawn, spawnSync } = require('child_process');
+const { ethers } = require('ethers');
+
+const CHAIN_ID = 31337;
+const START_TIMEOUT_MS = 15000;
+
+// anvil's default dev accounts (mnemonic "test test ... junk")
+const ACCOUNTS = {
+  deployer: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  drosera: '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d'
+};
+
+/**
+ * Whether the anvil binary is on PATH
+ */
+function isAnvilInstalled() {
+  const result = spawnSync('anvil', ['--version'], { stdio: 'ignore' });
+  return !result.error;
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Start anvil and wait until it answers eth_chainId
+ * @returns {Promise<Object>} { rpcUrl, provider, stop() }
+ */
+async function startAnvil() {
+  const port = await getFreePort();
+  const rpcUrl = `http://127.0.0.1:${port}`;
+  const child = spawn('anvil', ['--port', String(port), '--chain-id', String(CHAIN_ID)], { stdio: 'ignore' });
+
+  let exited = null;
+  child.once('exit', code => { exited = code; });
+
+  const stop = () => new Promise(resolve => {
+    if (exited !== null || child.exitCode !== null) {
+      resolve();
+      return;
+    }
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+
+  const provider = new ethers.providers.StaticJsonRpcProvider(rpcUrl, CHAIN_ID);
+  // Blocks are mined per transaction; poll quickly so waits stay short
+  provider.pollingInterval = 100;
+
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (exited !== null) {
+      throw new Error(`anvil exited with code ${exited} before it was ready`);
+    }
+    try {
+      await provider.send('eth_chainId', []);
+      return { rpcUrl, provider, stop };
+    } catch (error) {
+      await sleep(200);
+    }
+  }
+
+  await stop();
+  throw new Error(`anvil did not answer on ${rpcUrl} within ${START_TIMEOUT_MS / 1000}s`);
+}
+
+module.exports = {
+  CHAIN_ID,
+  ACCOUNTS,
+  isAnvilInstalled,
+  startAnvil
+};
@@ -0,0 +1,130 @@
+/**
+ * Minimal Drosera operator for the end-to-end tests
+ *
+ * For every block, collects the trap's last block_sample_size snapshots
+ * (newest first), calls shouldRespond() and, when it triggers, sends
+ * handle(payload) to the responder from the Drosera account. Trap settings come
+ * from drosera.toml; after a response the trap rests for cooldown_period_blocks.
+ *
+ * Relays are run explicitly after each scenario instead of following the chain,
+ * or kept running alongside a command that waits for the responder.
+ */
+
+const { ethers } = require('ethers');
+const { loadDroseraToml } = require('../../utils/drosera-toml');
+const { getDecoder } = require('../../utils/collect-decoders');
+const { decodeRevertReason } = require('../../utils/web3-helper');
+const { collectSamples } = require('../../utils/trap-replay');
+
+/**
+ * Current block number straight from the node
+ * provider.getBlockNumber() never goes backwards, so it is stale after evm_revert
+ */
+async function getHead(provider) {
+  return ethers.BigNumber.from(await provider.send('eth_blockNumber', [])).toNumber();
+}
+
+class DroseraRelay {
+  /**
+   * @param {Object} options
+   * @param {string} options.strategy - simple, eventlog or advanced
+   * @param {Object} options.trap - Trap contract
+   * @param {Object} options.responder - Responder contract
+   * @param {Object} options.signer - Account configured as the responder's Drosera address
+   * @param {number} options.fromBlock - First block to evaluate (and oldest block sampled)
+   */
+  constructor({ strategy, trap, responder, signer, fromBlock }) {
+    const { config } = loadDroseraToml();
+    const section = (config.traps || {})[`fair_launch_${strategy}`];
+    if (!section) {
+      throw new Error(`drosera.toml has no [traps.fair_launch_${strategy}] section`);
+    }
+
+    this.strategy = strategy;
+    this.trap = trap;
+    this.responder = responder.connect(signer);
+    this.decoder = getDecoder(strategy);
+    this.sampleSize = section.block_sample_size;
+    this.cooldown = section.cooldown_period_blocks || 0;
+    this.fromBlock = fromBlock;
+    this.nextBlock = fromBlock;
+    this.cooldownUntil = -1;
+    this.responses = [];
+    this.errors = [];
+  }
+
+  /**
+   * Evaluate every block up to toBlock (default: the current head)
+   * @returns {Promise<Object[]>} Responses sent during this run
+   */
+  async run(toBlock) {
+    const head = toBlock !== undefined ? toBlock : await getHead(this.trap.provider);
+    const sent = [];
+
+    for (; this.nextBlock <= head; this.nextBlock++) {
+      const block = this.nextBlock;
+      if (block <= this.cooldownUntil) {
+        continue;
+      }
+
+      const samples = await collectSamples(this.trap, block, this.sampleSize, this.fromBlock);
+      const [triggered, payload] = await this.trap.shouldRespond(samples, { blockTag: block });
+      if (!triggered) {
+        continue;
+      }
+
+      const response = { block, payload, data: this.decoder.decodeResponseData(payload) };
+      try {
+        const receipt = await (await this.responder.handle(payload)).wait();
+        response.transactionHash = receipt.transactionHash;
+        this.responses.push(response);
+        sent.push(response);
+      } catch (error) {
+        this.errors.push({ block, data: response.data, reason: decodeRevertReason(error, this.responder.interface) });
+      }
+      this.cooldownUntil = block + this.cooldown;
+    }
+
+    return sent;
+  }
+}
+
+/**
+ * One relay per trap in a fixture, starting at fromBlock
+ * @returns {Object} { strategy: DroseraRelay }
+ */
+function createRelays(fixture, fromBlock) {
+  return Object.fromEntries(Object.entries(fixture.traps).map(([strategy, { trap, responder }]) => [
+    strategy,
+    new DroseraRelay({ strategy, trap, responder, signer: fixture.drosera, fromBlock })
+  ]));
+}
+
+/**
+ * Run relays one after another (each may send transactions)
+ */
+async function runRelays(relays) {
+  for (const relay of Object.values(relays)) {
+    await relay.run();
+  }
+  return relays;
+}
+
+/**
+ * Run relays over and over while a child process is alive, then once more
+ */
+async function followWhile(relays, child, intervalMs = 250) {
+  while (child.exitCode === null && child.signalCode === null) {
+    await runRelays(relays);
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  return runRelays(relays);
+}
+
+module.exports = {
+  getHead,
+  DroseraRelay,
+  createRelays,
+  runRelays,
+  followWhile
+};
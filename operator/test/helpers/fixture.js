@@ -0,0 +1,122 @@
+/**
+ * Demo launch deployed on a local node from contracts/out
+ *
+ * v2 traps take no constructor args: their token and pool are compiled in.
+ * The fixture deploys the traps first, then places DemoToken and DemoDEX code
+ * at the compiled-in addresses (anvil_setCode) so collect() reads the demo
+ * launch whatever FairLaunchConfig.sol currently points at.
+ *
+ *   Simple trap   -> FairLaunchResponder (also integrated into the token)
+ *   EventLog trap -> FairLaunchResponderAdvanced
+ *   Advanced trap -> FairLaunchResponderAdvanced
+ */
+
+const { ethers } = require('ethers');
+const { loadArtifact, strategyContracts } = require('../../config/abis');
+const { getFactory } = require('../../scripts/deploy');
+const { readTrapConfig } = require('../../utils/launch-config');
+const { ACCOUNTS } = require('./anvil');
+
+const INITIAL_SUPPLY = ethers.utils.parseEther('1000000');
+const INITIAL_LIQUIDITY = ethers.utils.parseEther('40000');
+
+const RESPONDER_CONTRACTS = {
+  simple: 'FairLaunchResponder',
+  eventlog: 'FairLaunchResponderAdvanced',
+  advanced: 'FairLaunchResponderAdvanced'
+};
+
+const REQUIRED_CONTRACTS = ['DemoToken', 'DemoDEX', ...new Set(Object.values(RESPONDER_CONTRACTS)), ...Object.values(strategyContracts)];
+
+/**
+ * Contracts without a compiled artifact (forge build not run)
+ */
+function missingArtifacts() {
+  return REQUIRED_CONTRACTS.filter(name => {
+    const artifact = loadArtifact(name);
+    const bytecode = artifact && artifact.bytecode && (artifact.bytecode.object || artifact.bytecode);
+    return typeof bytecode !== 'string' || bytecode.replace(/^0x/, '') === '';
+  });
+}
+
+async function deployContract(name, signer, ...args) {
+  const contract = await getFactory(name, signer).deploy(...args);
+  await contract.deployed();
+  return contract;
+}
+
+/**
+ * Copy deployed runtime code to another address and set its storage
+ * @param {Object} storage - { slot: 32-byte value }
+ */
+async function etchContract(provider, source, target, storage = {}) {
+  await provider.send('anvil_setCode', [target, await provider.getCode(source)]);
+  for (const [slot, value] of Object.entries(storage)) {
+    await provider.send('anvil_setStorageAt', [target, ethers.utils.hexZeroPad(ethers.utils.hexlify(Number(slot)), 32), value]);
+  }
+}
+
+/**
+ * Deploy the traps, demo launch and responders
+ * @returns {Promise<Object>} { deployer, drosera, token, dex, traps: { strategy: { trap, responder } }, launchBlock }
+ */
+async function deployFixture(provider) {
+  const deployer = new ethers.Wallet(ACCOUNTS.deployer, provider);
+  const drosera = new ethers.Wallet(ACCOUNTS.drosera, provider);
+
+  const traps = {};
+  for (const [strategy, contractName] of Object.entries(strategyContracts)) {
+    const trap = await deployContract(contractName, deployer);
+    traps[strategy] = { trap, config: await readTrapConfig(trap, strategy) };
+  }
+
+  const { token: tokenAddress, pool: poolAddress } = traps.simple.config;
+  for (const [strategy, { config }] of Object.entries(traps)) {
+    if (config.token.toLowerCase() !== tokenAddress.toLowerCase() || config.pool.toLowerCase() !== poolAddress.toLowerCase()) {
+      throw new Error(`The ${strategy} trap watches ${config.token} / ${config.pool}, not ${tokenAddress} / ${poolAddress}; run launch-config --write and forge build`);
+    }
+  }
+
+  // Compiled-in addresses get the demo code; name and symbol are copied, balances start empty
+  const demoToken = await deployContract('DemoToken', deployer, 'Demo Token', 'DEMO', 0);
+  const demoDex = await deployContract('DemoDEX', deployer, demoToken.address);
+  await etchContract(provider, demoToken.address, tokenAddress, {
+    0: await provider.getStorageAt(demoToken.address, 0),
+    1: await provider.getStorageAt(demoToken.address, 1)
+  });
+  await etchContract(provider, demoDex.address, poolAddress, {
+    0: ethers.utils.hexZeroPad(tokenAddress, 32)
+  });
+
+  const token = new ethers.Contract(tokenAddress, loadArtifact('DemoToken').abi, deployer);
+  const dex = new ethers.Contract(poolAddress, loadArtifact('DemoDEX').abi, deployer);
+
+  await (await token.mint(deployer.address, INITIAL_SUPPLY)).wait();
+  await (await token.approve(poolAddress, INITIAL_LIQUIDITY)).wait();
+  await (await dex.addLiquidity(INITIAL_LIQUIDITY)).wait();
+
+  for (const [strategy, entry] of Object.entries(traps)) {
+    entry.responder = await deployContract(RESPONDER_CONTRACTS[strategy], deployer, drosera.address, tokenAddress, poolAddress);
+  }
+
+  // The token checks isBlacklisted(buyer) / isPaused() on the basic responder before every buy
+  await (await token.integrateTrap(traps.simple.responder.address, poolAddress)).wait();
+
+  return {
+    deployer,
+    drosera,
+    token,
+    dex,
+    traps,
+    launchBlock: await provider.getBlockNumber()
+  };
+}
+
+module.exports = {
+  INITIAL_SUPPLY,
+  INITIAL_LIQUIDITY,
+  RESPONDER_CONTRACTS,
+  missingArtifacts,
+  etchContract,
+  deployFixture
+};
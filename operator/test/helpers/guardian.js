@@ -0,0 +1,66 @@
+/**
+ * Run the guardian CLI as a child process
+ *
+ * Commands run in a scratch directory so no .env is loaded: the environment
+ * passed in is all they see.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const GUARDIAN_BIN = path.join(__dirname, '..', '..', 'bin', 'guardian.js');
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Start `guardian <args>` without waiting for it
+ * @returns {ChildProcess} stdout / stderr are collected on child.output
+ */
+function spawnGuardian(args, { env, cwd }) {
+  const child = spawn(process.execPath, [GUARDIAN_BIN, ...args], { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+  child.output = { stdout: '', stderr: '' };
+  child.stdout.on('data', chunk => { child.output.stdout += chunk; });
+  child.stderr.on('data', chunk => { child.output.stderr += chunk; });
+  return child;
+}
+
+/**
+ * Wait for a child to exit, killing it after timeoutMs
+ * @returns {Promise<Object>} { code, signal, stdout, stderr }
+ */
+function waitForExit(child, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+    child.once('close', (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal, ...child.output });
+    });
+  });
+}
+
+/**
+ * Run `guardian <args> --json` and parse its result
+ * @param {Object} options - { env, cwd, timeout, whileRunning }; whileRunning(child) runs until the command exits
+ * @returns {Promise<Object>} { code, stdout, stderr, json }
+ */
+async function runGuardian(args, options) {
+  const child = spawnGuardian([...args, '--json'], options);
+  const exited = waitForExit(child, options.timeout);
+  if (options.whileRunning) {
+    await options.whileRunning(child);
+  }
+  const result = await exited;
+
+  let json = null;
+  try {
+    json = JSON.parse(result.stdout);
+  } catch (error) {
+    // Failed commands print nothing on stdout; callers assert on code / stderr
+  }
+  return { ...result, json };
+}
+
+module.exports = {
+  spawnGuardian,
+  waitForExit,
+  runGuardian
+};
@@ -0,0 +1,73 @@
+/**
+ * Joining stored incidents with their handle() events
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { joinIncidents } = require('../scripts/incident-explorer');
+
+const { BigNumber } = ethers;
+const VIOLATOR = '0x00000000000000000000000000000000000000a1';
+const RELATED = '0x00000000000000000000000000000000000000b2';
+
+function incident(overrides = {}) {
+  return {
+    violatorAddress: VIOLATOR,
+    detectionType: 5,
+    severity: BigNumber.from(80),
+    confidence: BigNumber.from(90),
+    accumulatedPercentBP: BigNumber.from(250),
+    blockNumber: BigNumber.from(100),
+    ...overrides
+  };
+}
+
+function incidentEvent(blockNumber, transactionHash, overrides = {}) {
+  return {
+    blockNumber,
+    transactionHash,
+    args: {
+      violator: ethers.utils.getAddress(VIOLATOR),
+      detectionType: 5,
+      severity: BigNumber.from(80),
+      blockNumber: BigNumber.from(100),
+      timestamp: BigNumber.from(1700000000),
+      ...overrides
+    }
+  };
+}
+
+describe('joinIncidents', () => {
+  it('pairs repeated identical incidents with their own events in order', () => {
+    const rows = joinIncidents(
+      [incident(), incident()],
+      [incidentEvent(102, '0x02'), incidentEvent(105, '0x05')],
+      []
+    );
+
+    assert.deepEqual(rows.map(row => [row.index, row.responseTx, row.responseDelayBlocks]), [[0, '0x02', 2], [1, '0x05', 5]]);
+    assert.equal(rows[0].detection, 'WASH_TRADING');
+    assert.equal(rows[0].responseTime, new Date(1700000000 * 1000).toISOString());
+  });
+
+  it('leaves the response empty when no event matches', () => {
+    const [row] = joinIncidents([incident({ severity: BigNumber.from(81) })], [incidentEvent(102, '0x02')], []);
+
+    assert.equal(row.responseTx, null);
+    assert.equal(row.responseBlock, null);
+    assert.equal(row.responseDelayBlocks, null);
+  });
+
+  it('takes related addresses from CoordinatedAttackDetected when the incident has none', () => {
+    const [row] = joinIncidents(
+      [incident({ detectionType: 3, confidence: undefined })],
+      [incidentEvent(101, '0x01', { detectionType: 3 })],
+      [{ transactionHash: '0x01', args: { relatedAddresses: [RELATED] } }]
+    );
+
+    assert.equal(row.coordinated, true);
+    assert.deepEqual(row.relatedAddresses, [RELATED]);
+    assert.equal(row.confidence, null);
+  });
+});
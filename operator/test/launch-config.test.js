@@ -0,0 +1,47 @@
+/**
+ * Creation-code probe that reads compiled constants
+ *
+ * Running the probe needs an EVM, so these check the assembled layout: jump
+ * targets, copy offsets and the embedded getter calls.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildConstantsProbe } = require('../utils/launch-config');
+
+const INITCODE = '0x6080604052348015600f57600080fd5b50';
+const SELECTORS = ['0x11223344', '0xaabbccdd'];
+
+function push2(value) {
+  return '61' + value.toString(16).padStart(4, '0');
+}
+
+describe('buildConstantsProbe', () => {
+  const probe = buildConstantsProbe(INITCODE, SELECTORS).slice(2);
+  const code = INITCODE.slice(2);
+  const probeSize = (probe.length - code.length) / 2;
+
+  it('appends the initcode and copies it from the end of the probe', () => {
+    assert.ok(probe.endsWith(code));
+    assert.ok(probe.startsWith(push2(code.length / 2) + '80' + push2(probeSize) + '6000' + '39'));
+  });
+
+  it('jumps to a JUMPDEST that reverts on a failed CREATE or call', () => {
+    const revertAt = probeSize - 5;
+    const jumps = probe.slice(0, probeSize * 2).split(push2(revertAt) + '57').length - 1;
+
+    assert.equal(probe.slice(revertAt * 2, probeSize * 2), '5b600080fd');
+    assert.equal(jumps, SELECTORS.length + 1);
+  });
+
+  it('calls each getter into its own return word', () => {
+    SELECTORS.forEach((selector, index) => {
+      assert.ok(probe.includes('63' + selector.slice(2) + '60e01b600052' + '6020' + push2(32 + 32 * index)));
+    });
+    assert.ok(probe.includes(push2(32 * SELECTORS.length) + '6020f3'));
+  });
+
+  it('rejects initcode larger than a PUSH2 operand', () => {
+    assert.throws(() => buildConstantsProbe('0x' + '00'.repeat(0x10000), SELECTORS), /Probe operand too large/);
+  });
+});
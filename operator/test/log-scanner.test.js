@@ -0,0 +1,112 @@
+/**
+ * Chunked log scanning with adaptive range splitting
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_CHUNK_SIZE, LogScanner, createScanner, isRangeTooLargeError } = require('../utils/log-scanner');
+
+/**
+ * fetchRange stub that returns one log per block and rejects ranges wider than maxRange
+ */
+function rangeCappedFetch(maxRange, error = new Error('query returned more than 10000 results')) {
+  const fetch = async (from, to) => {
+    fetch.calls.push([from, to]);
+    if (to - from + 1 > maxRange) {
+      throw error;
+    }
+    const logs = [];
+    for (let block = from; block <= to; block++) {
+      logs.push({ blockNumber: block });
+    }
+    return logs;
+  };
+  fetch.calls = [];
+  return fetch;
+}
+
+describe('isRangeTooLargeError', () => {
+  it('recognises provider range and result caps', () => {
+    assert.ok(isRangeTooLargeError(new Error('query returned more than 10000 results')));
+    assert.ok(isRangeTooLargeError({ message: 'bad response', error: { code: -32005, message: 'x' } }));
+    assert.ok(isRangeTooLargeError({ message: 'processing response error', body: 'block range is too wide' }));
+  });
+
+  it('ignores unrelated errors', () => {
+    assert.ok(!isRangeTooLargeError(new Error('connection refused')));
+    assert.ok(!isRangeTooLargeError(null));
+  });
+});
+
+describe('LogScanner', () => {
+  it('walks the range in chunks and returns logs in block order', async () => {
+    const fetch = rangeCappedFetch(Infinity);
+    const scanner = new LogScanner({ chunkSize: 4 });
+
+    const logs = await scanner.scan(fetch, 1, 10);
+
+    assert.deepEqual(logs.map(log => log.blockNumber), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.deepEqual(fetch.calls, [[1, 4], [5, 8], [9, 10]]);
+  });
+
+  it('halves the chunk until the provider accepts it', async () => {
+    const fetch = rangeCappedFetch(3);
+    const scanner = new LogScanner({ chunkSize: 16 });
+
+    const logs = await scanner.scan(fetch, 0, 5);
+
+    assert.equal(logs.length, 6);
+    assert.deepEqual(fetch.calls.slice(0, 3), [[0, 5], [0, 2], [3, 5]]);
+    assert.equal(scanner.chunkSize, 3);
+    assert.equal(scanner.splits, 1);
+  });
+
+  it('grows the chunk back after a run of successes, up to the configured size', async () => {
+    const fetch = rangeCappedFetch(Infinity);
+    const scanner = new LogScanner({ chunkSize: 8 });
+    scanner.chunkSize = 2;
+
+    await scanner.scan(fetch, 0, 9);
+    assert.equal(scanner.chunkSize, 4, 'doubled after five chunks');
+
+    for (let i = 0; i < 10; i++) {
+      await scanner.scan(fetch, 0, 3);
+    }
+    assert.equal(scanner.chunkSize, 8, 'capped at the configured size');
+  });
+
+  it('rethrows other errors and range errors on a single block', async () => {
+    const scanner = new LogScanner({ chunkSize: 4 });
+
+    await assert.rejects(scanner.scan(rangeCappedFetch(0, new Error('connection refused')), 0, 3), /connection refused/);
+    await assert.rejects(scanner.scan(rangeCappedFetch(0), 0, 3), /more than 10000 results/);
+  });
+
+  it('stops after the chunk that reaches the limit', async () => {
+    const fetch = rangeCappedFetch(Infinity);
+    const scanner = new LogScanner({ chunkSize: 3 });
+
+    const logs = await scanner.scan(fetch, 0, 20, { limit: 4 });
+
+    assert.equal(logs.length, 6);
+    assert.equal(fetch.calls.length, 2);
+  });
+});
+
+describe('createScanner', () => {
+  it('reads MONITOR_LOG_CHUNK_SIZE and falls back on invalid values', () => {
+    const saved = process.env.MONITOR_LOG_CHUNK_SIZE;
+    try {
+      process.env.MONITOR_LOG_CHUNK_SIZE = '500';
+      assert.equal(createScanner().maxChunkSize, 500);
+      process.env.MONITOR_LOG_CHUNK_SIZE = '0';
+      assert.equal(createScanner().maxChunkSize, DEFAULT_CHUNK_SIZE);
+    } finally {
+      if (saved === undefined) {
+        delete process.env.MONITOR_LOG_CHUNK_SIZE;
+      } else {
+        process.env.MONITOR_LOG_CHUNK_SIZE = saved;
+      }
+    }
+  });
+});
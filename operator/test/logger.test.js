@@ -0,0 +1,146 @@
+/**
+ * Logger output streams and file rotation
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger, FileSink } = require('../utils/logger');
+
+/**
+ * Run fn and return what it wrote to stdout and stderr
+ */
+function capture(fn) {
+  const written = { stdout: '', stderr: '' };
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+
+  for (const name of ['stdout', 'stderr']) {
+    process[name].write = chunk => {
+      written[name] += chunk;
+      return true;
+    };
+  }
+  try {
+    fn();
+  } finally {
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+  }
+
+  return written;
+}
+
+describe('Logger streams', () => {
+  it('writes to stdout by default', () => {
+    const logger = new Logger();
+    logger.configure({ level: 'info', format: 'pretty', file: '' });
+
+    const { stdout, stderr } = capture(() => logger.info('hello'));
+
+    assert.match(stdout, /hello/);
+    assert.equal(stderr, '');
+  });
+
+  it('moves every kind of output to stderr, child loggers included', () => {
+    const logger = new Logger();
+    logger.configure({ level: 'info', format: 'pretty', file: '', stream: 'stderr' });
+
+    const { stdout, stderr } = capture(() => {
+      logger.header('Title');
+      logger.child({ block: 1 }).warning('careful');
+      logger.table([{ a: 1 }]);
+      logger.separator();
+    });
+
+    assert.equal(stdout, '');
+    assert.match(stderr, /Title/);
+    assert.match(stderr, /careful/);
+    assert.match(stderr, /│ a /);
+  });
+
+  it('writes JSON records to the configured stream', () => {
+    const logger = new Logger();
+    logger.configure({ level: 'info', format: 'json', file: '', stream: 'stderr' });
+
+    const { stdout, stderr } = capture(() => logger.info('structured'));
+
+    assert.equal(stdout, '');
+    assert.equal(JSON.parse(stderr).msg, 'structured');
+  });
+
+  it('reads LOG_STREAM and ignores unknown values', () => {
+    const saved = process.env.LOG_STREAM;
+    try {
+      process.env.LOG_STREAM = 'stderr';
+      assert.equal(new Logger().getStream(), 'stderr');
+      process.env.LOG_STREAM = 'pipe';
+      assert.equal(new Logger().getStream(), 'stdout');
+    } finally {
+      if (saved === undefined) {
+        delete process.env.LOG_STREAM;
+      } else {
+        process.env.LOG_STREAM = saved;
+      }
+    }
+  });
+});
+
+describe('FileSink rotation', () => {
+  function readLines(file) {
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).n);
+  }
+
+  it('rotates before a write would pass maxSize and keeps maxFiles old files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-log-'));
+    try {
+      const file = path.join(dir, 'guardian.log');
+      const lineBytes = Buffer.byteLength(JSON.stringify({ n: 0 }) + '\n');
+      const sink = new FileSink(file, { maxSize: lineBytes * 2, maxFiles: 2 });
+
+      for (let n = 0; n < 7; n++) {
+        sink.write({ n });
+      }
+
+      assert.deepEqual(readLines(file), [6]);
+      assert.deepEqual(readLines(`${file}.1`), [4, 5]);
+      assert.deepEqual(readLines(`${file}.2`), [2, 3]);
+      assert.ok(!fs.existsSync(`${file}.3`), 'older files are dropped');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('continues from the size of an existing file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-log-'));
+    try {
+      const file = path.join(dir, 'guardian.log');
+      const lineBytes = Buffer.byteLength(JSON.stringify({ n: 0 }) + '\n');
+      fs.writeFileSync(file, JSON.stringify({ n: 0 }) + '\n');
+
+      new FileSink(file, { maxSize: lineBytes, maxFiles: 1 }).write({ n: 1 });
+
+      assert.deepEqual(readLines(file), [1]);
+      assert.deepEqual(readLines(`${file}.1`), [0]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('truncates instead of keeping old files when maxFiles is 0', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-log-'));
+    try {
+      const file = path.join(dir, 'guardian.log');
+      const sink = new FileSink(file, { maxSize: 1, maxFiles: 0 });
+
+      sink.write({ n: 1 });
+      sink.write({ n: 2 });
+
+      assert.deepEqual(readLines(file), [2]);
+      assert.deepEqual(fs.readdirSync(dir), ['guardian.log']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Monitor metrics rebuilt from event store records, and what /metrics exposes
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { MonitorMetrics, startMetricsServer } = require('../utils/metrics');
+const { getEndpoint } = require('../utils/rpc-provider');
+
+const LABELS = {
+  network: 'localhost',
+  trap: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  pool: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512'
+};
+const BUYER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const WHALE = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const SUPPLY = ethers.utils.parseEther('1000000');
+
+const tokens = amount => ethers.utils.parseEther(String(amount)).toString();
+
+// Records as they come back from the store: BigNumbers serialized as strings
+const RECORDS = [
+  { type: 'swap', buyer: BUYER, ethAmount: tokens(1), tokenAmount: tokens(1000) },
+  { type: 'swap', buyer: WHALE, ethAmount: tokens(10), tokenAmount: tokens(60000) },
+  { type: 'sell', seller: WHALE, ethAmount: tokens(2), tokenAmount: tokens(10000) },
+  { type: 'detection', detectionType: 4, detectionTypeName: 'LIQUIDITY_MANIPULATION' },
+  { type: 'detection', detectionType: 4, detectionTypeName: 'LIQUIDITY_MANIPULATION' },
+  { type: 'blacklist', address: WHALE, reason: 4 },
+  { type: 'snapshot', blockNumber: 12 }
+];
+
+async function values(metrics, name) {
+  const metric = await metrics.registry.getSingleMetric(`guardian_${name}`).get();
+  return metric.values;
+}
+
+async function value(metrics, name, labels = {}) {
+  const match = (await values(metrics, name)).find(entry =>
+    Object.entries(labels).every(([key, label]) => entry.labels[key] === label)
+  );
+  return match ? match.value : 0;
+}
+
+describe('MonitorMetrics.seed', () => {
+  it('counts stored swaps, sells and responder incidents', async () => {
+    const metrics = new MonitorMetrics(LABELS);
+    metrics.seed(RECORDS, SUPPLY);
+
+    assert.equal(await value(metrics, 'swaps_total', { side: 'buy' }), 2);
+    assert.equal(await value(metrics, 'swaps_total', { side: 'sell' }), 1);
+    assert.equal(await value(metrics, 'volume_eth_total', { side: 'buy' }), 11);
+    assert.equal(await value(metrics, 'volume_eth_total', { side: 'sell' }), 2);
+    assert.equal(await value(metrics, 'volume_tokens_total', { side: 'sell' }), 10000);
+    assert.equal(await value(metrics, 'detections_total', { detection_type: 'LIQUIDITY_MANIPULATION' }), 2);
+    assert.equal(await value(metrics, 'unique_buyers'), 2);
+  });
+
+  it('sets max wallet share from buys minus sells', async () => {
+    const metrics = new MonitorMetrics(LABELS);
+    metrics.seed(RECORDS, SUPPLY);
+
+    assert.equal(await value(metrics, 'max_wallet_share_percent'), 5);
+  });
+
+  it('resets counters so rolled-back records drop out', async () => {
+    const metrics = new MonitorMetrics(LABELS);
+    metrics.seed(RECORDS, SUPPLY);
+    metrics.recordDetection('SUPPLY_MANIPULATION');
+
+    // After a reorg only the first swap survives
+    metrics.seed(RECORDS.slice(0, 1));
+
+    assert.equal(await value(metrics, 'swaps_total', { side: 'buy' }), 1);
+    assert.equal(await value(metrics, 'swaps_total', { side: 'sell' }), 0);
+    assert.equal(await value(metrics, 'detections_total', { detection_type: 'SUPPLY_MANIPULATION' }), 0);
+    assert.equal(await value(metrics, 'unique_buyers'), 1);
+    assert.equal(await value(metrics, 'max_wallet_share_percent'), 0.1, 'keeps the last known supply');
+  });
+
+  it('keeps counting live events after seeding', async () => {
+    const metrics = new MonitorMetrics(LABELS);
+    metrics.seed(RECORDS, SUPPLY);
+
+    metrics.recordBuy({
+      buyer: BUYER,
+      ethAmount: ethers.utils.parseEther('20'),
+      tokenAmount: ethers.utils.parseEther('99000'),
+      gasPrice: ethers.utils.parseUnits('30', 'gwei')
+    }, SUPPLY);
+    metrics.recordDetection('EXCESSIVE_ACCUMULATION');
+
+    assert.equal(await value(metrics, 'swaps_total', { side: 'buy' }), 3);
+    assert.equal(await value(metrics, 'max_wallet_share_percent'), 10);
+    assert.equal(await value(metrics, 'detections_total', { detection_type: 'EXCESSIVE_ACCUMULATION' }), 1);
+  });
+});
+
+describe('metrics exposure', () => {
+  it('labels RPC endpoints by position, never by URL', async () => {
+    const endpoint = getEndpoint('https://eth-mainnet.example/v2/SECRET_KEY?apikey=SECRET_QUERY');
+    endpoint.recordSuccess(10);
+    endpoint.recordFailure(new Error('rate limited'), 10);
+
+    const text = await new MonitorMetrics(LABELS).metrics();
+    const rpcLines = text.split('\n').filter(line => line.startsWith('guardian_rpc_'));
+
+    assert.ok(rpcLines.some(line => /endpoint="rpc\d+"/.test(line)));
+    assert.doesNotMatch(text, /SECRET_KEY|SECRET_QUERY|eth-mainnet\.example/);
+    for (const line of rpcLines) {
+      assert.doesNotMatch(line, /[/?]/, line);
+    }
+  });
+
+  it('listens on localhost by default', async () => {
+    const server = await startMetricsServer(new MonitorMetrics(LABELS), 0);
+    try {
+      assert.equal(server.address().address, '127.0.0.1');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
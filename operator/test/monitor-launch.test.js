@@ -0,0 +1,165 @@
+/**
+ * Monitor range processing (collect() failures, liquidity removal sizes) and reorg alerts
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { processRange, detectReorg } = require('../scripts/monitor-launch');
+const { EventStore } = require('../utils/event-store');
+const { MonitorMetrics } = require('../utils/metrics');
+const { Logger } = require('../utils/logger');
+
+const LABELS = {
+  network: 'localhost',
+  trap: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  pool: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512'
+};
+const DEX = LABELS.pool;
+const PROVIDER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BUYER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const tokens = amount => ethers.utils.parseEther(String(amount));
+
+// Log in block 5, on the fork the provider stub reports
+function log(logIndex, args) {
+  return { blockNumber: 5, blockHash: '0x5', transactionHash: `0xtx${logIndex}`, logIndex, args };
+}
+
+// ethers errors as a JSON-RPC provider throws them
+function serverError(rpcError) {
+  return Object.assign(new Error('processing response error'), { code: ethers.errors.SERVER_ERROR, error: rpcError });
+}
+
+describe('processRange', () => {
+  let dir;
+  let context;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-monitor-'));
+    const log = new Logger();
+    log.configure({ level: 'silent' });
+
+    context = {
+      provider: { getBlock: async blockNumber => ({ hash: `0x${blockNumber}` }) },
+      // No events in the range: only collect() is exercised
+      dex: {
+        filters: { Swap: () => ({}), Sell: () => ({}), LiquidityRemoved: () => ({}) },
+        queryFilter: async () => []
+      },
+      responder: null,
+      store: new EventStore(dir).open(),
+      log,
+      metrics: new MonitorMetrics(LABELS),
+      decoder: null
+    };
+  });
+
+  afterEach(() => {
+    context.store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function collectFailures() {
+    const metric = await context.metrics.registry.getSingleMetric('guardian_collect_failures_total').get();
+    return metric.values[0].value;
+  }
+
+  it('rethrows RPC failures so the range is retried', async () => {
+    context.trap = { collect: async () => { throw Object.assign(new Error('timeout'), { code: ethers.errors.TIMEOUT }); } };
+
+    await assert.rejects(processRange(context, 5, 5), /timeout/);
+    assert.deepEqual(context.store.query(), []);
+    assert.equal(await collectFailures(), 1);
+  });
+
+  it('records a snapshot-error for blocks the RPC cannot collect', async () => {
+    context.trap = { collect: async () => { throw serverError({ code: -32000, message: 'missing trie node' }); } };
+
+    await processRange(context, 5, 6);
+
+    assert.deepEqual(context.store.query().map(record => [record.type, record.key, record.blockNumber]), [
+      ['snapshot-error', 'snapshot-error:5', 5],
+      ['snapshot-error', 'snapshot-error:6', 6]
+    ]);
+    assert.match(context.store.query()[0].error, /processing response error/);
+    assert.equal(await collectFailures(), 2);
+  });
+
+  it('sizes each liquidity removal against the reserve just before it', async () => {
+    // Block 5: remove 100, a buy takes 200, remove 350, a sell returns 50
+    const transfers = [
+      log(0, { from: DEX, to: PROVIDER, value: tokens(100) }),
+      log(2, { from: DEX, to: BUYER, value: tokens(200) }),
+      log(4, { from: DEX, to: PROVIDER, value: tokens(350) }),
+      log(6, { from: BUYER, to: DEX, value: tokens(50) })
+    ];
+    const removals = [log(1, { provider: PROVIDER, amount: tokens(100) }), log(5, { provider: PROVIDER, amount: tokens(350) })];
+
+    context.trap = { collect: async () => '0x' };
+    context.dex = {
+      address: DEX,
+      filters: { Swap: () => ({}), Sell: () => ({}), LiquidityRemoved: () => ({ removals: true }) },
+      queryFilter: async filter => (filter.removals ? removals : []),
+      getReserve: async ({ blockTag }) => {
+        assert.equal(blockTag, 4, 'reads the reserve before the block');
+        return tokens(1000);
+      }
+    };
+    context.token = {
+      filters: { Transfer: (from, to) => ({ from, to }) },
+      queryFilter: async filter => transfers.filter(({ args }) => (filter.from || args.from) === args.from && (filter.to || args.to) === args.to)
+    };
+
+    await processRange(context, 5, 5);
+
+    const recorded = context.store.query({ type: 'liquidity-removal' });
+    assert.deepEqual(recorded.map(record => record.percentOfPool), [10, 50]);
+  });
+
+  it('treats a rate-limited endpoint as transient', async () => {
+    context.trap = { collect: async () => { throw serverError({ code: 429, message: 'Too Many Requests' }); } };
+
+    await assert.rejects(processRange(context, 5, 5), /processing response error/);
+  });
+});
+
+describe('detectReorg', () => {
+  it('rolls back orphaned blocks and alerts with the removed record keys', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-monitor-'));
+    const store = new EventStore(dir).open();
+    const log = new Logger();
+    log.configure({ level: 'silent' });
+    const sent = [];
+
+    try {
+      store.append({ type: 'swap', key: '0xa:0', blockNumber: 9 });
+      store.append({ type: 'snapshot', key: 'snapshot:9', blockNumber: 9 });
+      store.append({ type: 'sell', key: '0xb:1', blockNumber: 10 });
+      store.setCursor(10, { 8: '0x08', 9: '0x09', 10: '0x10' });
+
+      // Blocks 9 and 10 were replaced on the canonical chain
+      const canonical = { 8: '0x08', 9: '0x9b', 10: '0x1b' };
+      const context = {
+        network: 'hoodi',
+        provider: { getBlock: async blockNumber => ({ hash: canonical[blockNumber] }) },
+        store,
+        log,
+        alerts: { isEnabled: () => true, notify: async alert => sent.push(alert) }
+      };
+
+      assert.equal(await detectReorg(context), 9);
+
+      assert.deepEqual(store.query({ type: 'reorg' }).map(record => record.removed), [['0xa:0', '0xb:1']]);
+      assert.equal(sent.length, 1);
+      assert.equal(sent[0].type, 'reorg');
+      assert.match(sent[0].text, /^2 block\(s\) from 9 were orphaned on .*\. Rolled back: 0xa:0, 0xb:1\.$/);
+    } finally {
+      store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
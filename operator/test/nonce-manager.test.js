@@ -0,0 +1,110 @@
+/**
+ * NonceManager hand-out and release, and same-block broadcasts
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { NonceManager, broadcastBurst } = require('../utils/web3-helper');
+
+// Signer stub: only the pending transaction count is read
+function signerAt(count) {
+  const signer = { reads: 0 };
+  signer.getTransactionCount = async () => {
+    signer.reads++;
+    return count;
+  };
+  return signer;
+}
+
+async function take(nonces, count) {
+  const taken = [];
+  for (let i = 0; i < count; i++) {
+    taken.push(await nonces.next());
+  }
+  return taken;
+}
+
+describe('NonceManager', () => {
+  it('counts up from the pending transaction count, read once', async () => {
+    const signer = signerAt(7);
+    const nonces = new NonceManager(signer);
+
+    assert.deepEqual(await Promise.all([nonces.next(), nonces.next(), nonces.next()]), [7, 8, 9]);
+    assert.equal(signer.reads, 1);
+  });
+
+  it('reuses the newest nonce when it is released', async () => {
+    const nonces = new NonceManager(signerAt(0));
+    await take(nonces, 3);
+
+    nonces.release(2);
+
+    assert.equal(await nonces.next(), 2);
+  });
+
+  it('fills a released gap before handing out new nonces', async () => {
+    const signer = signerAt(10);
+    const nonces = new NonceManager(signer);
+    await take(nonces, 4);
+
+    nonces.release(12);
+    nonces.release(11);
+
+    assert.deepEqual(await take(nonces, 3), [11, 12, 14]);
+    assert.equal(signer.reads, 1, 'a gap does not re-read the count');
+  });
+
+  it('closes gaps that end up below the newest nonce', async () => {
+    const nonces = new NonceManager(signerAt(0));
+    await take(nonces, 3);
+
+    nonces.release(1);
+    nonces.release(2);
+
+    assert.deepEqual(await take(nonces, 2), [1, 2]);
+    assert.equal(nonces.released.length, 0);
+  });
+
+  it('throws for a nonce it never handed out or one released twice', async () => {
+    const nonces = new NonceManager(signerAt(5));
+    assert.throws(() => nonces.release(5), /Nonce 5 was not handed out/);
+
+    await take(nonces, 3);
+    assert.throws(() => nonces.release(4), /not handed out/);
+    assert.throws(() => nonces.release(8), /not handed out/);
+
+    nonces.release(5);
+    assert.throws(() => nonces.release(5), /not handed out/);
+  });
+});
+
+describe('broadcastBurst', () => {
+  // Provider stub that records JSON-RPC calls and fails evm_mine when asked to
+  function localNode({ mineError = null } = {}) {
+    const provider = { calls: [] };
+    provider.send = async (method, params) => {
+      provider.calls.push([method, ...params]);
+      if (method === 'evm_mine' && mineError) {
+        throw mineError;
+      }
+    };
+    provider.sendTransaction = async signed => ({ hash: signed });
+    return provider;
+  }
+
+  it('mines a same-block burst with one evm_mine', async () => {
+    const provider = localNode();
+
+    const results = await broadcastBurst(provider, ['0x01', '0x02'], { sameBlock: true });
+
+    assert.deepEqual(results.map(result => result.tx.hash), ['0x01', '0x02']);
+    assert.deepEqual(provider.calls, [['evm_setAutomine', false], ['evm_mine'], ['evm_setAutomine', true]]);
+  });
+
+  it('turns automining back on when evm_mine fails', async () => {
+    const provider = localNode({ mineError: new Error('mine failed') });
+
+    await assert.rejects(broadcastBurst(provider, ['0x01'], { sameBlock: true }), /mine failed/);
+    assert.deepEqual(provider.calls.at(-1), ['evm_setAutomine', true]);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Report rendering
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { getReportFormat, toCsv, toJUnit } = require('../utils/report');
+
+describe('toCsv', () => {
+  it('writes a header from the first row and one line per row', () => {
+    const csv = toCsv([{ block: 1, severity: 80 }, { block: 2, severity: 95 }]);
+
+    assert.equal(csv, 'block,severity\n1,80\n2,95\n');
+  });
+
+  it('quotes separators, joins arrays and serialises BigNumbers', () => {
+    const csv = toCsv([{
+      note: 'said "hi", left',
+      related: ['0xa', '0xb'],
+      amount: ethers.BigNumber.from('1000000000000000000'),
+      missing: null
+    }]);
+
+    assert.equal(csv.split('\n')[1], '"said ""hi"", left",0xa 0xb,1000000000000000000,');
+  });
+
+  it('uses the given columns, even with no rows', () => {
+    assert.equal(toCsv([{ a: 1, b: 2 }], ['b']), 'b\n2\n');
+    assert.equal(toCsv([], ['a', 'b']), 'a,b\n');
+  });
+});
+
+describe('getReportFormat', () => {
+  it('defaults to table and rejects unknown formats', () => {
+    assert.equal(getReportFormat(undefined), 'table');
+    assert.equal(getReportFormat('CSV'), 'csv');
+    assert.throws(() => getReportFormat('xml'), /Unknown format 'xml'/);
+  });
+});
+
+describe('toJUnit', () => {
+  const xml = toJUnit('guardian suite', [
+    {
+      name: 'rapid',
+      time: 1.5,
+      cases: [
+        { name: 'detected', time: 0.25 },
+        { name: 'detections (advanced)', failure: 'expected <WASH_TRADING> got "none"' }
+      ]
+    },
+    { name: 'sybil', cases: [{ name: 'run', classname: 'scenario.sybil', error: 'timeout & revert' }] }
+  ]);
+
+  it('counts tests, failures and errors per suite and overall', () => {
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n/);
+    assert.match(xml, /<testsuites name="guardian suite" tests="3" failures="1" errors="1" time="1.500">/);
+    assert.match(xml, /<testsuite name="rapid" tests="2" failures="1" errors="0" time="1.500">/);
+    assert.match(xml, /<testsuite name="sybil" tests="1" failures="0" errors="1" time="0.000">/);
+  });
+
+  it('writes passing cases as empty elements and escapes messages', () => {
+    assert.match(xml, /<testcase name="detected" classname="rapid" time="0.250"\/>/);
+    assert.match(xml, /<failure message="expected &lt;WASH_TRADING&gt; got &quot;none&quot;"\/>/);
+    assert.match(xml, /<testcase name="run" classname="scenario.sybil" time="0.000">\n {6}<error message="timeout &amp; revert"\/>/);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Responder admin: argument parsing, expected state diff and revert decoding
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { ACTIONS, parseActionArgs, diffState } = require('../scripts/responder-admin');
+const { decodeRevertReason } = require('../utils/web3-helper');
+const { EXIT_CODES, toJSON } = require('../utils/cli');
+
+const OWNER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const ACCOUNT = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const PATTERN = '0x' + 'ab'.repeat(32);
+
+function usageError(pattern) {
+  return error => error.exitCode === EXIT_CODES.USAGE && pattern.test(error.message);
+}
+
+describe('parseActionArgs', () => {
+  it('checksums addresses, lowercases bytes32 and parses integers', () => {
+    assert.deepEqual(parseActionArgs('remove-from-blacklist', [ACCOUNT.toLowerCase()]), [ACCOUNT]);
+    assert.deepEqual(parseActionArgs('resolve-threat-pattern', [PATTERN.toUpperCase().replace('0X', '0x')]), [PATTERN]);
+
+    const [pause, blacklist, alert] = parseActionArgs('set-confidence-thresholds', ['90', '80', '50']);
+    assert.deepEqual([pause, blacklist, alert].map(Number), [90, 80, 50]);
+  });
+
+  it('rejects the wrong number of arguments with the action usage', () => {
+    assert.throws(() => parseActionArgs('unpause', ['extra']), usageError(/^Usage: responder unpause$/));
+    assert.throws(
+      () => parseActionArgs('update-protected-contracts', [ACCOUNT]),
+      usageError(/Usage: responder update-protected-contracts <newToken> <newPool>/)
+    );
+  });
+
+  it('rejects malformed values', () => {
+    assert.throws(() => parseActionArgs('transfer-ownership', ['0x1234']), usageError(/newOwner is not a valid address/));
+    assert.throws(() => parseActionArgs('resolve-threat-pattern', ['0xabcd']), usageError(/must be a 32-byte hex value/));
+    assert.throws(() => parseActionArgs('set-min-blocks-between-responses', ['-1']), usageError(/must be a non-negative integer/));
+    assert.throws(() => parseActionArgs('set-min-blocks-between-responses', ['1.5']), usageError(/must be a non-negative integer/));
+  });
+});
+
+describe('expected state', () => {
+  const paused = {
+    owner: OWNER,
+    isPaused: true,
+    pauseTimestamp: '1700000000',
+    pauseReason: 4,
+    pauseThreshold: '90',
+    blacklistThreshold: '80',
+    alertThreshold: '50'
+  };
+
+  const expectedChanges = (actionName, values, before, isAdvanced = true) => {
+    const args = parseActionArgs(actionName, values);
+    return diffState(before, { ...before, ...toJSON(ACTIONS[actionName].expect(args, isAdvanced)) });
+  };
+
+  it('unpause clears the pause reason on the Advanced responder only', () => {
+    assert.deepEqual(expectedChanges('unpause', [], paused), [
+      { field: 'isPaused', before: true, after: false },
+      { field: 'pauseTimestamp', before: '1700000000', after: '0' },
+      { field: 'pauseReason', before: 4, after: 0 }
+    ]);
+
+    const { pauseReason, ...basic } = paused;
+    assert.deepEqual(expectedChanges('unpause', [], basic, false).map(change => change.field), ['isPaused', 'pauseTimestamp']);
+  });
+
+  it('lists only the thresholds that change', () => {
+    assert.deepEqual(expectedChanges('set-confidence-thresholds', ['90', '70', '50'], paused), [
+      { field: 'blacklistThreshold', before: '80', after: '70' }
+    ]);
+  });
+
+  it('reads watched fields for per-address actions', () => {
+    const before = { ...paused, [`blacklisted[${ACCOUNT}]`]: true };
+
+    assert.deepEqual(Object.keys(ACTIONS['remove-from-blacklist'].watch([ACCOUNT])), [`blacklisted[${ACCOUNT}]`]);
+    assert.deepEqual(expectedChanges('remove-from-blacklist', [ACCOUNT], before), [
+      { field: `blacklisted[${ACCOUNT}]`, before: true, after: false }
+    ]);
+  });
+
+  it('expects no change when the responder is already in that state', () => {
+    assert.deepEqual(expectedChanges('transfer-ownership', [OWNER.toLowerCase()], paused), []);
+  });
+
+  it('compares values by their string form', () => {
+    assert.deepEqual(diffState({ count: ethers.BigNumber.from(5) }, { count: '5' }), []);
+  });
+});
+
+describe('decodeRevertReason', () => {
+  // Shape of an ethers v5 call exception: the node's JSON-RPC error sits in a nested body
+  function callException(data) {
+    return {
+      message: 'call revert exception',
+      reason: 'call revert exception',
+      data: '0x',
+      error: {
+        message: 'processing response error',
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, error: { code: 3, message: 'execution reverted', data } })
+      }
+    };
+  }
+
+  it('decodes Error(string)', () => {
+    const data = '0x08c379a0' + ethers.utils.defaultAbiCoder.encode(['string'], ['Only owner can call']).slice(2);
+
+    assert.equal(decodeRevertReason(callException(data)), 'Only owner can call');
+  });
+
+  it('decodes panics', () => {
+    const data = '0x4e487b71' + ethers.utils.defaultAbiCoder.encode(['uint256'], [0x11]).slice(2);
+
+    assert.equal(decodeRevertReason({ message: 'reverted', error: { error: { code: 3, data } } }), 'Panic(0x11)');
+  });
+
+  it('decodes custom errors the interface declares', () => {
+    const iface = new ethers.utils.Interface(['error NotOwner(address caller)']);
+    const data = iface.encodeErrorResult('NotOwner', [ACCOUNT]);
+
+    assert.equal(decodeRevertReason(callException(data), iface), `NotOwner(${ACCOUNT})`);
+    assert.equal(decodeRevertReason(callException(data)), `Unknown revert data ${data}`);
+  });
+
+  it('reports a revert without data', () => {
+    assert.equal(decodeRevertReason(callException('0x')), 'Reverted without a reason');
+    assert.equal(decodeRevertReason({ message: 'reverted', error: { data: '0x' } }), 'Reverted without a reason');
+  });
+
+  it('does not mistake ethers\' own empty data for an empty revert', () => {
+    const error = { message: 'missing revert data in call exception', reason: 'missing revert data', data: '0x' };
+
+    assert.equal(decodeRevertReason(error), 'missing revert data');
+  });
+
+  it('reports data shorter than a selector and malformed payloads', () => {
+    assert.equal(decodeRevertReason(callException('0x12')), 'Revert data shorter than a selector: 0x12');
+    assert.equal(decodeRevertReason(callException('0x08c379a0ff')), 'Unknown revert data 0x08c379a0ff');
+  });
+});
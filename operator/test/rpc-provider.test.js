@@ -0,0 +1,112 @@
+/**
+ * Multi-RPC provider against local JSON-RPC stubs
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ethers } = require('ethers');
+const { createProvider } = require('../utils/rpc-provider');
+const { getRpcUrls } = require('../config/networks');
+
+const CHAIN_ID = 31337;
+
+/**
+ * JSON-RPC endpoint that records the methods it is asked for
+ * @param {boolean} hang - accept requests but never answer them
+ */
+function startStub({ hang = false } = {}) {
+  const stub = { methods: [] };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      stub.methods.push(method);
+      if (hang) return;
+
+      const results = {
+        eth_chainId: ethers.utils.hexValue(CHAIN_ID),
+        net_version: String(CHAIN_ID),
+        eth_blockNumber: '0x10',
+        eth_sendRawTransaction: params && params[0] ? ethers.utils.keccak256(params[0]) : null
+      };
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result: results[method] }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      stub.url = `http://127.0.0.1:${server.address().port}`;
+      stub.close = () => {
+        server.closeAllConnections();
+        return new Promise(done => server.close(done));
+      };
+      resolve(stub);
+    });
+  });
+}
+
+describe('getRpcUrls', () => {
+  const saved = { RPC_URL: process.env.RPC_URL, RPC_FALLBACK_URLS: process.env.RPC_FALLBACK_URLS };
+
+  after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  it('uses only the primary unless RPC_FALLBACK_URLS is set', () => {
+    process.env.RPC_URL = 'https://primary.example';
+    delete process.env.RPC_FALLBACK_URLS;
+    assert.deepEqual(getRpcUrls('hoodi'), ['https://primary.example']);
+
+    process.env.RPC_FALLBACK_URLS = 'https://a.example, https://primary.example,https://b.example';
+    assert.deepEqual(getRpcUrls('hoodi'), ['https://primary.example', 'https://a.example', 'https://b.example']);
+  });
+});
+
+describe('createProvider with fallbacks', () => {
+  let primary;
+  let fallback;
+  let hung;
+
+  before(async () => {
+    primary = await startStub();
+    fallback = await startStub();
+    hung = await startStub({ hang: true });
+  });
+
+  after(async () => {
+    for (const stub of [primary, fallback, hung]) {
+      await stub.close();
+    }
+  });
+
+  it('detects the network from the primary without waiting on a hung fallback', async () => {
+    const provider = createProvider([primary.url, hung.url], { timeout: 60000, stallTimeout: 100, quorum: 1 });
+    const startedAt = Date.now();
+
+    const network = await provider.detectNetwork();
+
+    assert.equal(network.chainId, CHAIN_ID);
+    assert.ok(Date.now() - startedAt < 5000, 'did not wait for the hung endpoint');
+  });
+
+  it('sends signed transactions through the primary only', async () => {
+    const provider = createProvider([primary.url, fallback.url], { timeout: 5000, stallTimeout: 100, quorum: 1 });
+    const wallet = ethers.Wallet.createRandom();
+    const signed = await wallet.signTransaction({ to: wallet.address, value: 1, nonce: 0, gasLimit: 21000, gasPrice: 1, chainId: CHAIN_ID });
+
+    const response = await provider.sendTransaction(signed);
+
+    assert.equal(response.hash, ethers.utils.keccak256(signed));
+    assert.ok(primary.methods.includes('eth_sendRawTransaction'));
+    assert.ok(!fallback.methods.includes('eth_sendRawTransaction'), 'the fallback never sees the transaction');
+  });
+});
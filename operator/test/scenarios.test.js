@@ -0,0 +1,142 @@
+/**
+ * Scenario validation, round planning and expectation checks
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { listScenarios, loadScenario, normalizeScenario, buildRounds, checkExpectations } = require('../utils/scenarios');
+
+const FILE = '/scenarios/test.yaml';
+
+describe('normalizeScenario', () => {
+  it('fills in defaults and parses amounts', () => {
+    const scenario = normalizeScenario({ buys: [1, '2.5%'] }, FILE);
+
+    assert.equal(scenario.name, 'test');
+    assert.equal(scenario.funding, 'direct');
+    assert.equal(scenario.ordering, 'sequential');
+    assert.equal(scenario.hdAccount, null);
+    assert.deepEqual(scenario.expect, {});
+    assert.equal(scenario.wallets.length, 1);
+
+    const [eth, percent] = scenario.wallets[0].actions;
+    assert.ok(eth.amount.eth.eq(ethers.utils.parseEther('1')));
+    assert.deepEqual(percent.amount, { bp: 250, of: 'pool' });
+  });
+
+  it('lets wallets override the scenario actions and gas, and repeats them', () => {
+    const scenario = normalizeScenario({
+      actions: [{ buy: 1 }],
+      gasMultiplier: 2,
+      wallets: [{}, { actions: [{ buy: 1 }, { sell: '100%' }], repeat: 2, gasMultiplier: 0.5, deployer: true }]
+    }, FILE);
+
+    assert.deepEqual(scenario.wallets.map(wallet => wallet.actions.map(action => action.type)), [['buy'], ['buy', 'sell', 'buy', 'sell']]);
+    assert.deepEqual(scenario.wallets.map(wallet => wallet.gasMultiplier), [2, 0.5]);
+    assert.deepEqual(scenario.wallets.map(wallet => wallet.deployer), [false, true]);
+  });
+
+  it('normalizes expected detections and blacklist targets', () => {
+    const address = '0x00000000000000000000000000000000000000a1';
+    const { expect } = normalizeScenario({
+      wallets: 2,
+      buys: [1],
+      expect: { detected: true, detections: ['wash_trading'], blacklisted: [1, 'Pool', address], incidents: 2 }
+    }, FILE);
+
+    assert.deepEqual(expect.detections, { '*': ['WASH_TRADING'] });
+    assert.deepEqual(expect.blacklisted, [1, 'pool', ethers.utils.getAddress(address)]);
+    assert.deepEqual(expect.incidents, { min: 2, max: 2 });
+  });
+
+  it('rejects mistakes before anything is sent', () => {
+    const rejects = (raw, pattern) => assert.throws(() => normalizeScenario(raw, FILE), pattern);
+
+    rejects({ buys: [1], walets: 2 }, /test.yaml: unknown key walets in the scenario/);
+    rejects({ wallets: 2 }, /wallets\[0\] has no buys or actions/);
+    rejects({ buys: [1], actions: [{ buy: 1 }] }, /set either buys or actions, not both/);
+    rejects({ actions: [{ swap: 1 }] }, /unknown action swap/);
+    rejects({ buys: ['150%'] }, /percentage must be between 0 and 100/);
+    rejects({ buys: [1], ordering: 'random' }, /ordering must be one of/);
+    rejects({ buys: [1], expect: { blacklisted: [3] } }, /no wallet 3 in a scenario with 1 wallet/);
+    rejects({ buys: [1], expect: { blacklisted: ['parent'] } }, /parent needs funding: parent/);
+    rejects({ buys: [1], wallets: [{ deployer: true }, { deployer: true }] }, /only one wallet can be the deployer/);
+  });
+});
+
+describe('buildRounds', () => {
+  const scenario = ordering => normalizeScenario({
+    ordering,
+    wallets: [{ buys: [1, 1] }, { buys: [1] }]
+  }, FILE);
+  const plan = rounds => rounds.map(round => round.map(step => `${step.wallet}.${step.step}`));
+
+  it('runs wallets one after another when sequential', () => {
+    assert.deepEqual(plan(buildRounds(scenario('sequential'))), [['0.0'], ['0.1'], ['1.0']]);
+  });
+
+  it('alternates wallets when interleaved', () => {
+    assert.deepEqual(plan(buildRounds(scenario('interleaved'))), [['0.0'], ['1.0'], ['0.1']]);
+  });
+
+  it('groups the same step of every wallet when parallel', () => {
+    assert.deepEqual(plan(buildRounds(scenario('parallel'))), [['0.0', '1.0'], ['0.1']]);
+  });
+});
+
+describe('checkExpectations', () => {
+  const POOL = '0x00000000000000000000000000000000000000a1';
+  const BOT = '0x00000000000000000000000000000000000000b2';
+  const OTHER = '0x00000000000000000000000000000000000000c3';
+
+  const { expect } = normalizeScenario({
+    buys: [1],
+    expect: {
+      detected: true,
+      detections: { advanced: ['WASH_TRADING'] },
+      paused: false,
+      blacklisted: ['pool', 0],
+      incidents: { min: 1 },
+      incidentTypes: ['WASH_TRADING']
+    }
+  }, FILE);
+
+  const outcome = responder => ({
+    detected: true,
+    strategy: 'advanced',
+    detections: [{ name: 'WASH_TRADING' }, { name: 'WASH_TRADING' }],
+    responder: { paused: false, incidents: 2, incidentTypes: ['WASH_TRADING'], targets: { pool: POOL, 0: BOT }, ...responder }
+  });
+
+  it('passes when the trap and the responder match', () => {
+    const results = checkExpectations(expect, outcome({ blacklisted: [BOT, POOL] }));
+
+    assert.deepEqual(results.map(result => result.check), ['detected', 'detections (advanced)', 'paused', 'blacklisted', 'incidents', 'incidentTypes (advanced)']);
+    assert.ok(results.every(result => result.passed));
+  });
+
+  it('labels unexpected blacklist entries and fails on them', () => {
+    const blacklisted = checkExpectations(expect, outcome({ blacklisted: [POOL, OTHER] })).find(result => result.check === 'blacklisted');
+
+    assert.equal(blacklisted.passed, false);
+    assert.deepEqual(blacklisted.actual, ['pool', OTHER]);
+  });
+
+  it('skips detections the strategy does not cover', () => {
+    const results = checkExpectations(expect, { detected: true, strategy: 'simple', detections: [] });
+
+    assert.deepEqual(results.map(result => result.check), ['detected']);
+  });
+});
+
+describe('built-in scenarios', () => {
+  it('all load and validate', () => {
+    const names = listScenarios();
+
+    assert.ok(names.length > 0);
+    for (const name of names) {
+      assert.doesNotThrow(() => loadScenario(name), name);
+    }
+  });
+});
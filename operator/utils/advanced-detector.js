@@ -0,0 +1,513 @@
+/**
+ * Local JavaScript port of FairLaunchGuardianTrapAdvanced.shouldRespond()
+ * Mirrors the Solidity detectors so snapshots can be evaluated without an RPC call
+ *
+ * Keep in sync with contracts/src/v2/FairLaunchGuardianTrapAdvanced.sol.
+ * Parity is checked by contracts/test/v2/AdvancedDetectorParity.t.sol.
+ */
+
+const { ethers } = require('ethers');
+
+const { BigNumber } = ethers;
+const abiCoder = ethers.utils.defaultAbiCoder;
+
+// ==================== CONSTANTS ====================
+
+const BASIS_POINTS = 10000;
+const MAX_SWAPS_PER_BLOCK = 100;
+const MAX_HISTORY_SNAPSHOTS = 5;
+
+const EXCESSIVE_ACCUMULATION_BP = 100;
+const GAS_MANIPULATION_THRESHOLD_BP = 5000;
+const COORDINATED_WALLET_THRESHOLD = 3;
+const LIQUIDITY_DRAIN_THRESHOLD_BP = 1000;
+const SUPPLY_MANIPULATION_THRESHOLD_BP = 500;
+
+const DETECTION_TYPES = {
+  EXCESSIVE_ACCUMULATION: 0,
+  FRONT_RUNNING_GAS: 1,
+  RAPID_BUYING: 2,
+  COORDINATED_ATTACK: 3,
+  LIQUIDITY_MANIPULATION: 4,
+  WASH_TRADING: 5,
+  SYBIL_ATTACK: 6,
+  SUPPLY_MANIPULATION: 7
+};
+
+// ==================== ABI TYPES ====================
+
+const SWAP_DATA_TYPE =
+  'tuple(address wallet, bool isBuy, uint256 amountToken, uint256 amountETH, uint256 gasPrice, uint256 blockNumber, uint256 timestamp)';
+
+const COLLECT_OUTPUT_TYPE = ethers.utils.ParamType.from(
+  'tuple(uint256 blockNumber, uint256 timestamp, address tokenAddress, address liquidityPool, uint256 totalSupply, uint256 liquidityPoolBalance, uint256 poolReserveToken, uint256 poolReserveETH, ' +
+    SWAP_DATA_TYPE + '[] recentSwaps)'
+);
+
+const RESPONSE_DATA_TYPE = ethers.utils.ParamType.from(
+  'tuple(address violatorAddress, address[] relatedAddresses, uint256 accumulatedPercentBP, uint8 detectionType, uint256 blockNumber, uint256 severity, uint256 confidence, bytes32 patternSignature)'
+);
+
+// ==================== ENCODING ====================
+
+/**
+ * Decode a CollectOutput snapshot returned by collect() / buildCollectPayloadFromEvents()
+ */
+function decodeCollectOutput(data) {
+  const [output] = abiCoder.decode([COLLECT_OUTPUT_TYPE], data);
+
+  return {
+    blockNumber: output.blockNumber,
+    timestamp: output.timestamp,
+    tokenAddress: output.tokenAddress,
+    liquidityPool: output.liquidityPool,
+    totalSupply: output.totalSupply,
+    liquidityPoolBalance: output.liquidityPoolBalance,
+    poolReserveToken: output.poolReserveToken,
+    poolReserveETH: output.poolReserveETH,
+    recentSwaps: output.recentSwaps.map(swap => ({
+      wallet: swap.wallet,
+      isBuy: swap.isBuy,
+      amountToken: swap.amountToken,
+      amountETH: swap.amountETH,
+      gasPrice: swap.gasPrice,
+      blockNumber: swap.blockNumber,
+      timestamp: swap.timestamp
+    }))
+  };
+}
+
+/**
+ * Encode a CollectOutput object (useful for backtests and fixtures)
+ */
+function encodeCollectOutput(output) {
+  return abiCoder.encode([COLLECT_OUTPUT_TYPE], [output]);
+}
+
+/**
+ * Decode a ResponseData payload returned by shouldRespond()
+ */
+function decodeResponseData(payload) {
+  const [response] = abiCoder.decode([RESPONSE_DATA_TYPE], payload);
+
+  return {
+    violatorAddress: response.violatorAddress,
+    relatedAddresses: [...response.relatedAddresses],
+    accumulatedPercentBP: response.accumulatedPercentBP,
+    detectionType: response.detectionType,
+    blockNumber: response.blockNumber,
+    severity: response.severity,
+    confidence: response.confidence,
+    patternSignature: response.patternSignature
+  };
+}
+
+/**
+ * Encode a ResponseData object exactly as abi.encode(response) does on-chain
+ */
+function encodeResponseData(response) {
+  return abiCoder.encode([RESPONSE_DATA_TYPE], [response]);
+}
+
+// ==================== ITRAP PORT ====================
+
+/**
+ * Evaluate a historical window of encoded CollectOutput snapshots
+ * @param {string[]} data Encoded snapshots, newest first (same order as Drosera's bytes[])
+ * @returns {{ triggered: boolean, payload: string, response: object|null }}
+ */
+function shouldRespond(data) {
+  if (data.length < 1 || ethers.utils.hexDataLength(data[0]) === 0) {
+    return noResponse();
+  }
+
+  if (data.length < 2) {
+    return noResponse();
+  }
+
+  const current = decodeCollectOutput(data[0]);
+  const previous = decodeCollectOutput(data[1]);
+
+  if (current.totalSupply.isZero()) {
+    return noResponse();
+  }
+
+  const detectors = [
+    () => detectLiquidityDrain(current, previous),
+    () => detectSupplyManipulation(current, previous),
+    () => (current.recentSwaps.length > 0 ? detectGasManipulation(current) : null),
+    () => (current.recentSwaps.length > 0 ? detectCoordinatedAttack(current, data) : null),
+    () => (data.length >= 3 ? detectMultiBlockPatterns(data) : null),
+    () => (current.recentSwaps.length >= 2 ? detectWashTrading(current) : null)
+  ];
+
+  for (const detect of detectors) {
+    const response = detect();
+    if (response) {
+      return {
+        triggered: true,
+        payload: encodeResponseData(response),
+        response
+      };
+    }
+  }
+
+  return noResponse();
+}
+
+function noResponse() {
+  return { triggered: false, payload: '0x', response: null };
+}
+
+// ==================== DETECTION ALGORITHMS ====================
+
+/**
+ * Port of _detectLiquidityDrain()
+ */
+function detectLiquidityDrain(current, previous) {
+  if (previous.liquidityPoolBalance.isZero()) return null;
+  if (current.liquidityPoolBalance.gte(previous.liquidityPoolBalance)) return null;
+
+  const liquidityDrop = previous.liquidityPoolBalance.sub(current.liquidityPoolBalance);
+  const liquidityDropBP = liquidityDrop.mul(BASIS_POINTS).div(previous.liquidityPoolBalance);
+
+  if (liquidityDropBP.lte(LIQUIDITY_DRAIN_THRESHOLD_BP)) return null;
+
+  return {
+    violatorAddress: current.liquidityPool,
+    relatedAddresses: [],
+    accumulatedPercentBP: liquidityDropBP,
+    detectionType: DETECTION_TYPES.LIQUIDITY_MANIPULATION,
+    blockNumber: current.blockNumber,
+    severity: calculateSeverity(liquidityDropBP, LIQUIDITY_DRAIN_THRESHOLD_BP),
+    confidence: BigNumber.from(liquidityDropBP.gt(2000) ? 95 : 80),
+    patternSignature: patternSignature('LIQUIDITY_DRAIN', 'uint256', current.blockNumber)
+  };
+}
+
+/**
+ * Port of _detectSupplyManipulation()
+ */
+function detectSupplyManipulation(current, previous) {
+  if (previous.totalSupply.isZero() || current.totalSupply.eq(previous.totalSupply)) return null;
+
+  const supplyChange = current.totalSupply.gt(previous.totalSupply)
+    ? current.totalSupply.sub(previous.totalSupply)
+    : previous.totalSupply.sub(current.totalSupply);
+
+  const supplyChangeBP = supplyChange.mul(BASIS_POINTS).div(previous.totalSupply);
+
+  if (supplyChangeBP.lte(SUPPLY_MANIPULATION_THRESHOLD_BP)) return null;
+
+  return {
+    violatorAddress: current.tokenAddress,
+    relatedAddresses: [],
+    accumulatedPercentBP: supplyChangeBP,
+    detectionType: DETECTION_TYPES.SUPPLY_MANIPULATION,
+    blockNumber: current.blockNumber,
+    severity: calculateSeverity(supplyChangeBP, SUPPLY_MANIPULATION_THRESHOLD_BP),
+    confidence: BigNumber.from(80),
+    patternSignature: patternSignature('SUPPLY_MANIPULATION', 'uint256', current.blockNumber)
+  };
+}
+
+/**
+ * Port of _detectGasManipulation()
+ */
+function detectGasManipulation(current) {
+  if (current.recentSwaps.length < 2) return null;
+
+  let totalGas = BigNumber.from(0);
+  let maxGas = BigNumber.from(0);
+  let sampleCount = 0;
+  let maxGasWallet = ethers.constants.AddressZero;
+
+  const limit = Math.min(current.recentSwaps.length, MAX_SWAPS_PER_BLOCK);
+  for (let i = 0; i < limit; i++) {
+    const gas = current.recentSwaps[i].gasPrice;
+    if (gas.isZero()) continue;
+
+    totalGas = totalGas.add(gas);
+    sampleCount++;
+
+    if (gas.gt(maxGas)) {
+      maxGas = gas;
+      maxGasWallet = current.recentSwaps[i].wallet;
+    }
+  }
+
+  if (sampleCount < 2) return null;
+
+  const avgGas = totalGas.div(sampleCount);
+  if (avgGas.isZero() || maxGas.lte(avgGas)) return null;
+
+  const gasPremiumBP = maxGas.sub(avgGas).mul(BASIS_POINTS).div(avgGas);
+  if (gasPremiumBP.lte(GAS_MANIPULATION_THRESHOLD_BP)) return null;
+
+  return {
+    violatorAddress: maxGasWallet,
+    relatedAddresses: [],
+    accumulatedPercentBP: gasPremiumBP,
+    detectionType: DETECTION_TYPES.FRONT_RUNNING_GAS,
+    blockNumber: current.blockNumber,
+    severity: calculateSeverity(gasPremiumBP, GAS_MANIPULATION_THRESHOLD_BP),
+    confidence: BigNumber.from(85),
+    patternSignature: patternSignature('GAS_MANIPULATION', 'address', maxGasWallet)
+  };
+}
+
+/**
+ * Port of _detectCoordinatedAttack()
+ */
+function detectCoordinatedAttack(current, data) {
+  const profiles = buildWalletProfiles(data);
+  if (profiles.length < COORDINATED_WALLET_THRESHOLD) return null;
+
+  let anchorIndex = 0;
+  let anchorBuys = 0;
+  profiles.forEach((profile, i) => {
+    if (profile.buyCount > anchorBuys) {
+      anchorBuys = profile.buyCount;
+      anchorIndex = i;
+    }
+  });
+
+  if (anchorBuys < 2) return null;
+
+  const anchor = profiles[anchorIndex];
+  const clusterWallets = [];
+
+  for (const candidate of profiles) {
+    const gasDiff = absDiff(candidate.averageGasPrice, anchor.averageGasPrice);
+    const gasAligned = anchor.averageGasPrice.isZero() || candidate.averageGasPrice.isZero()
+      ? true
+      : gasDiff.mul(100).lte(anchor.averageGasPrice.mul(15));
+
+    const blockDiff = absDiff(candidate.firstSeenBlock, anchor.firstSeenBlock);
+
+    if (!gasAligned || blockDiff.gt(2)) continue;
+    if (clusterWallets.includes(candidate.wallet)) continue;
+
+    clusterWallets.push(candidate.wallet);
+  }
+
+  if (clusterWallets.length < COORDINATED_WALLET_THRESHOLD) return null;
+
+  let clusterVolume = BigNumber.from(0);
+  const swapLimit = Math.min(current.recentSwaps.length, MAX_SWAPS_PER_BLOCK);
+  for (let i = 0; i < swapLimit; i++) {
+    const swap = current.recentSwaps[i];
+    if (!swap.isBuy) continue;
+    if (clusterWallets.includes(swap.wallet)) {
+      clusterVolume = clusterVolume.add(swap.amountToken);
+    }
+  }
+
+  if (clusterVolume.isZero() || current.totalSupply.isZero()) return null;
+
+  const accumulatedBP = clusterVolume.mul(BASIS_POINTS).div(current.totalSupply);
+  if (accumulatedBP.lt(EXCESSIVE_ACCUMULATION_BP)) return null;
+
+  const relatedAddresses = clusterWallets.filter(wallet => wallet !== anchor.wallet);
+
+  let severity = 75;
+  if (accumulatedBP.gt(300)) severity += 10;
+  if (clusterWallets.length >= 5) severity += 10;
+  if (severity > 95) severity = 95;
+
+  let confidence = 80;
+  if (accumulatedBP.gt(300)) confidence += 5;
+  if (confidence > 95) confidence = 95;
+
+  return {
+    violatorAddress: anchor.wallet,
+    relatedAddresses,
+    accumulatedPercentBP: accumulatedBP,
+    detectionType: DETECTION_TYPES.COORDINATED_ATTACK,
+    blockNumber: anchor.firstSeenBlock,
+    severity: BigNumber.from(severity),
+    confidence: BigNumber.from(confidence),
+    patternSignature: patternSignature('COORDINATED', 'uint256', clusterWallets.length)
+  };
+}
+
+/**
+ * Port of _detectMultiBlockPatterns()
+ */
+function detectMultiBlockPatterns(data) {
+  if (data.length < 3) return null;
+
+  let consecutiveDecreases = 0;
+  const window = Math.min(data.length - 1, MAX_HISTORY_SNAPSHOTS);
+
+  for (let i = 0; i < window; i++) {
+    const newer = decodeCollectOutput(data[i]);
+    const older = decodeCollectOutput(data[i + 1]);
+
+    if (older.liquidityPoolBalance.isZero()) continue;
+
+    if (newer.liquidityPoolBalance.lt(older.liquidityPoolBalance)) {
+      const decrease = older.liquidityPoolBalance.sub(newer.liquidityPoolBalance);
+      const decreaseBP = decrease.mul(BASIS_POINTS).div(older.liquidityPoolBalance);
+
+      if (decreaseBP.gt(100)) {
+        consecutiveDecreases++;
+      }
+    } else {
+      break;
+    }
+  }
+
+  if (consecutiveDecreases < 3) return null;
+
+  const current = decodeCollectOutput(data[0]);
+
+  return {
+    violatorAddress: current.liquidityPool,
+    relatedAddresses: [],
+    accumulatedPercentBP: BigNumber.from(consecutiveDecreases * 100),
+    detectionType: DETECTION_TYPES.LIQUIDITY_MANIPULATION,
+    blockNumber: current.blockNumber,
+    severity: BigNumber.from(consecutiveDecreases >= 5 ? 95 : 80),
+    confidence: BigNumber.from(90),
+    patternSignature: patternSignature('MULTI_BLOCK_DRAIN', 'uint256', consecutiveDecreases)
+  };
+}
+
+/**
+ * Port of _detectWashTrading()
+ */
+function detectWashTrading(current) {
+  const limit = Math.min(current.recentSwaps.length, MAX_SWAPS_PER_BLOCK);
+
+  for (let i = 0; i < limit; i++) {
+    const first = current.recentSwaps[i];
+
+    for (let j = i + 1; j < limit; j++) {
+      const second = current.recentSwaps[j];
+
+      if (first.wallet === second.wallet && first.isBuy !== second.isBuy) {
+        return {
+          violatorAddress: first.wallet,
+          relatedAddresses: [first.wallet],
+          accumulatedPercentBP: BigNumber.from(0),
+          detectionType: DETECTION_TYPES.WASH_TRADING,
+          blockNumber: current.blockNumber,
+          severity: BigNumber.from(60),
+          confidence: BigNumber.from(70),
+          patternSignature: patternSignature('WASH_TRADE', 'address', first.wallet)
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Port of _buildWalletProfiles() - buy-side profiles across the clamped window
+ */
+function buildWalletProfiles(data) {
+  const snapshots = Math.min(data.length, MAX_HISTORY_SNAPSHOTS);
+  const profiles = [];
+
+  for (let i = 0; i < snapshots; i++) {
+    const sample = decodeCollectOutput(data[i]);
+    const limit = Math.min(sample.recentSwaps.length, MAX_SWAPS_PER_BLOCK);
+
+    for (let j = 0; j < limit; j++) {
+      const swap = sample.recentSwaps[j];
+      if (!swap.isBuy) continue;
+
+      let profile = profiles.find(p => p.wallet === swap.wallet);
+      if (!profile) {
+        if (profiles.length === MAX_SWAPS_PER_BLOCK) continue;
+
+        profile = {
+          wallet: swap.wallet,
+          totalBought: BigNumber.from(0),
+          buyCount: 0,
+          averageGasPrice: BigNumber.from(0),
+          firstSeenBlock: swap.blockNumber,
+          lastSeenBlock: swap.blockNumber
+        };
+        profiles.push(profile);
+      }
+
+      const previousCount = profile.buyCount;
+      profile.totalBought = profile.totalBought.add(swap.amountToken);
+      profile.buyCount = previousCount + 1;
+
+      if (!swap.gasPrice.isZero()) {
+        profile.averageGasPrice = profile.averageGasPrice.isZero()
+          ? swap.gasPrice
+          : profile.averageGasPrice.mul(previousCount).add(swap.gasPrice).div(previousCount + 1);
+      }
+
+      if (swap.blockNumber.lt(profile.firstSeenBlock)) profile.firstSeenBlock = swap.blockNumber;
+      if (swap.blockNumber.gt(profile.lastSeenBlock)) profile.lastSeenBlock = swap.blockNumber;
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Port of _calculateSeverity() - scaled excess over threshold, capped at 100
+ */
+function calculateSeverity(actual, threshold) {
+  if (actual.lte(threshold)) return BigNumber.from(0);
+
+  const severity = actual.sub(threshold).mul(100).div(threshold);
+  return severity.gt(100) ? BigNumber.from(100) : severity;
+}
+
+/**
+ * keccak256(abi.encodePacked(label, value))
+ */
+function patternSignature(label, valueType, value) {
+  return ethers.utils.solidityKeccak256(['string', valueType], [label, value]);
+}
+
+function absDiff(a, b) {
+  return a.gt(b) ? a.sub(b) : b.sub(a);
+}
+
+/**
+ * Get detection type name from its numeric code
+ */
+function getDetectionTypeName(type) {
+  const name = Object.keys(DETECTION_TYPES).find(key => DETECTION_TYPES[key] === Number(type));
+  return name || 'UNKNOWN';
+}
+
+// Run if called directly: `node utils/advanced-detector.js <abi-encoded bytes[]>`
+// Prints abi.encode(bool, bytes) so forge tests can compare via vm.ffi
+if (require.main === module) {
+  const [window] = abiCoder.decode(['bytes[]'], process.argv[2]);
+  const { triggered, payload } = shouldRespond(window);
+  process.stdout.write(abiCoder.encode(['bool', 'bytes'], [triggered, payload]));
+}
+
+module.exports = {
+  BASIS_POINTS,
+  MAX_SWAPS_PER_BLOCK,
+  MAX_HISTORY_SNAPSHOTS,
+  DETECTION_TYPES,
+  COLLECT_OUTPUT_TYPE,
+  RESPONSE_DATA_TYPE,
+  decodeCollectOutput,
+  encodeCollectOutput,
+  decodeResponseData,
+  encodeResponseData,
+  shouldRespond,
+  detectLiquidityDrain,
+  detectSupplyManipulation,
+  detectGasManipulation,
+  detectCoordinatedAttack,
+  detectMultiBlockPatterns,
+  detectWashTrading,
+  getDetectionTypeName
+};
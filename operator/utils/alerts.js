@@ -0,0 +1,378 @@
+/**
+ * Alert sinks for monitor detections
+ *
+ * Sinks are enabled from .env:
+ * - ALERT_WEBHOOK_URL: generic JSON webhook (the alert object plus rendered text)
+ * - ALERT_SLACK_WEBHOOK_URL: Slack incoming webhook
+ * - ALERT_TELEGRAM_BOT_TOKEN + ALERT_TELEGRAM_CHAT_ID: Telegram Bot API sendMessage
+ * - ALERT_SMTP_HOST + ALERT_EMAIL_TO: email over SMTP
+ *
+ * Messages are rendered from per-type templates ({{field}} placeholders) that
+ * ALERT_TEMPLATES can override with a JSON file. Delivery failures are logged
+ * and never stop the monitor.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { getNetwork, getExplorerLink } = require('../config/networks');
+const logger = require('./logger');
+const { toJSON } = require('./cli');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_TELEGRAM_API_URL = 'https://api.telegram.org';
+
+// Record types from the monitor's responder events and reorgs that raise an alert
+const ALERT_TYPES = ['detection', 'blacklist', 'coordinated-attack', 'emergency-pause', 'reorg'];
+
+const SEVERITIES = {
+  detection: 'warning',
+  blacklist: 'critical',
+  'coordinated-attack': 'critical',
+  'emergency-pause': 'critical',
+  reorg: 'warning'
+};
+
+const DEFAULT_TEMPLATES = {
+  detection: {
+    title: '🚨 Suspicious activity: {{detectionTypeName}}',
+    text: 'Responder {{responder}} recorded {{detectionTypeName}} by {{address}} at block {{blockNumber}} on {{networkName}} (severity {{severity}}, {{accumulatedPercent}}% drain/change).'
+  },
+  blacklist: {
+    title: '❌ Address blacklisted',
+    text: 'Address {{address}} was blacklisted for {{reasonName}} at block {{blockNumber}} on {{networkName}}.'
+  },
+  'coordinated-attack': {
+    title: '👥 Coordinated attack detected',
+    text: 'Responder {{responder}} linked {{address}} to {{relatedCount}} related address(es) at block {{blockNumber}} on {{networkName}} (severity {{severity}}).'
+  },
+  'emergency-pause': {
+    title: '🛑 Emergency pause triggered',
+    text: 'Responder {{responder}} paused {{target}} at block {{blockNumber}} on {{networkName}}.'
+  },
+  reorg: {
+    title: '🔀 Chain reorganization',
+    text: '{{depth}} block(s) from {{forkBlock}} were orphaned on {{networkName}}. Rolled back: {{removedKeys}}.'
+  }
+};
+
+/**
+ * Replace {{field}} placeholders with values (missing fields render empty)
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+    const value = values[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Default templates merged with the JSON file in ALERT_TEMPLATES, if set
+ */
+function loadTemplates(templatesPath = process.env.ALERT_TEMPLATES) {
+  if (!templatesPath) {
+    return DEFAULT_TEMPLATES;
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(templatesPath, 'utf8'));
+  const templates = { ...DEFAULT_TEMPLATES };
+  for (const [type, template] of Object.entries(overrides)) {
+    templates[type] = { ...templates[type], ...template };
+  }
+  return templates;
+}
+
+/**
+ * Build an alert from a monitor store record
+ * @param {Object} record - Store record (detection, blacklist, coordinated-attack, emergency-pause or reorg)
+ * @param {Object} options
+ * @param {string} options.network - Network name from config/networks.js
+ * @param {Object} options.fields - Extra template values (e.g. detectionTypeName)
+ */
+function createAlert(record, { network, fields = {}, templates = loadTemplates() }) {
+  const template = templates[record.type];
+  if (!template) {
+    throw new Error(`No alert template for record type '${record.type}'`);
+  }
+
+  const values = {
+    ...toJSON(record),
+    ...fields,
+    network,
+    networkName: getNetwork(network).name
+  };
+
+  const address = record.address || record.target;
+  // Reorg records have no block of their own (rollbacks would remove them); link the fork block
+  const blockNumber = record.blockNumber !== undefined ? record.blockNumber : record.forkBlock;
+  const links = {
+    transaction: getExplorerLink(network, 'tx', record.transactionHash),
+    address: getExplorerLink(network, 'address', address),
+    block: getExplorerLink(network, 'block', blockNumber)
+  };
+
+  return {
+    type: record.type,
+    severity: SEVERITIES[record.type] || 'info',
+    title: renderTemplate(template.title, values),
+    text: renderTemplate(template.text, values),
+    network,
+    blockNumber,
+    transactionHash: record.transactionHash,
+    address: address || null,
+    links,
+    details: values,
+    time: new Date().toISOString()
+  };
+}
+
+/**
+ * Explorer links as [label, url] pairs, skipping missing ones
+ */
+function linkList(alert) {
+  const labels = { transaction: 'Transaction', address: 'Address', block: 'Block' };
+  return Object.entries(alert.links)
+    .filter(([, url]) => url)
+    .map(([kind, url]) => [labels[kind], url]);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * POST a JSON body, resolving with the response body on 2xx
+ */
+function postJson(url, body, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const payload = JSON.stringify(body);
+
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      },
+      timeout
+    }, response => {
+      let data = '';
+      response.on('data', chunk => { data += chunk; });
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve(data);
+        } else {
+          reject(new Error(`HTTP ${response.statusCode} from ${target.host}: ${data.slice(0, 200)}`));
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeout} ms posting to ${target.host}`)));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+/**
+ * Generic JSON webhook: the alert as-is
+ */
+class WebhookSink {
+  constructor(url) {
+    this.name = 'webhook';
+    this.url = url;
+  }
+
+  format(alert) {
+    return alert;
+  }
+
+  send(alert) {
+    return postJson(this.url, this.format(alert));
+  }
+}
+
+/**
+ * Slack incoming webhook (Block Kit with a plain-text fallback)
+ */
+class SlackSink {
+  constructor(webhookUrl) {
+    this.name = 'slack';
+    this.url = webhookUrl;
+  }
+
+  format(alert) {
+    const links = linkList(alert).map(([label, url]) => `<${url}|${label}>`).join(' · ');
+
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: alert.title } },
+      { type: 'section', text: { type: 'mrkdwn', text: alert.text } }
+    ];
+    if (links) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: links }] });
+    }
+
+    return { text: `${alert.title}\n${alert.text}`, blocks };
+  }
+
+  send(alert) {
+    return postJson(this.url, this.format(alert));
+  }
+}
+
+/**
+ * Telegram Bot API sendMessage (HTML parse mode)
+ */
+class TelegramSink {
+  constructor(botToken, chatId, apiUrl = DEFAULT_TELEGRAM_API_URL) {
+    this.name = 'telegram';
+    this.url = `${apiUrl.replace(/\/$/, '')}/bot${botToken}/sendMessage`;
+    this.chatId = chatId;
+  }
+
+  format(alert) {
+    const links = linkList(alert).map(([label, url]) => `<a href="${escapeHtml(url)}">${label}</a>`).join(' | ');
+
+    return {
+      chat_id: this.chatId,
+      text: [`<b>${escapeHtml(alert.title)}</b>`, escapeHtml(alert.text), links].filter(Boolean).join('\n\n'),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    };
+  }
+
+  send(alert) {
+    return postJson(this.url, this.format(alert));
+  }
+}
+
+/**
+ * Email over SMTP
+ */
+class EmailSink {
+  /**
+   * @param {Object} transport - nodemailer SMTP options (host, port, secure, auth)
+   * @param {Object} message - { from, to }
+   */
+  constructor(transport, { from, to }) {
+    this.name = 'email';
+    this.transport = transport;
+    this.from = from;
+    this.to = to;
+    this.transporter = null;
+  }
+
+  format(alert) {
+    const links = linkList(alert);
+
+    return {
+      from: this.from,
+      to: this.to,
+      subject: `[Fair Launch Guardian] ${alert.title}`,
+      text: [alert.text, ...links.map(([label, url]) => `${label}: ${url}`)].join('\n'),
+      html: [
+        `<h3>${escapeHtml(alert.title)}</h3>`,
+        `<p>${escapeHtml(alert.text)}</p>`,
+        ...links.map(([label, url]) => `<p><a href="${escapeHtml(url)}">${label}</a></p>`)
+      ].join('\n')
+    };
+  }
+
+  send(alert) {
+    if (!this.transporter) {
+      // Required lazily so installs without email alerts never load it
+      const nodemailer = require('nodemailer');
+      this.transporter = nodemailer.createTransport(this.transport);
+    }
+    return this.transporter.sendMail(this.format(alert));
+  }
+}
+
+/**
+ * Fans an alert out to every configured sink
+ */
+class AlertManager {
+  constructor(sinks = [], log = logger) {
+    this.sinks = sinks;
+    this.log = log;
+  }
+
+  isEnabled() {
+    return this.sinks.length > 0;
+  }
+
+  /**
+   * Send to all sinks; failures are logged, not thrown
+   * @returns {Promise<Array>} { sink, ok, error? } per sink
+   */
+  async notify(alert) {
+    const results = await Promise.allSettled(this.sinks.map(sink => sink.send(alert)));
+
+    return results.map((result, index) => {
+      const sink = this.sinks[index].name;
+      if (result.status === 'rejected') {
+        this.log.warning(`Alert to ${sink} failed:`, result.reason.message);
+        return { sink, ok: false, error: result.reason.message };
+      }
+      this.log.debug(`Alert sent to ${sink}`);
+      return { sink, ok: true };
+    });
+  }
+}
+
+/**
+ * Build sinks from ALERT_* environment variables
+ */
+function createSinks(env = process.env) {
+  const sinks = [];
+
+  if (env.ALERT_WEBHOOK_URL) {
+    sinks.push(new WebhookSink(env.ALERT_WEBHOOK_URL));
+  }
+
+  if (env.ALERT_SLACK_WEBHOOK_URL) {
+    sinks.push(new SlackSink(env.ALERT_SLACK_WEBHOOK_URL));
+  }
+
+  if (env.ALERT_TELEGRAM_BOT_TOKEN && env.ALERT_TELEGRAM_CHAT_ID) {
+    sinks.push(new TelegramSink(env.ALERT_TELEGRAM_BOT_TOKEN, env.ALERT_TELEGRAM_CHAT_ID, env.ALERT_TELEGRAM_API_URL));
+  }
+
+  if (env.ALERT_SMTP_HOST && env.ALERT_EMAIL_TO) {
+    const port = parseInt(env.ALERT_SMTP_PORT || '587', 10);
+    sinks.push(new EmailSink({
+      host: env.ALERT_SMTP_HOST,
+      port,
+      secure: env.ALERT_SMTP_SECURE ? env.ALERT_SMTP_SECURE === 'true' : port === 465,
+      auth: env.ALERT_SMTP_USER ? { user: env.ALERT_SMTP_USER, pass: env.ALERT_SMTP_PASS } : undefined
+    }, {
+      from: env.ALERT_EMAIL_FROM || env.ALERT_SMTP_USER,
+      to: env.ALERT_EMAIL_TO
+    }));
+  }
+
+  return sinks;
+}
+
+/**
+ * Alert manager for the sinks configured in .env
+ */
+function createAlertManager(log = logger, env = process.env) {
+  return new AlertManager(createSinks(env), log);
+}
+
+module.exports = {
+  ALERT_TYPES,
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  loadTemplates,
+  createAlert,
+  postJson,
+  WebhookSink,
+  SlackSink,
+  TelegramSink,
+  EmailSink,
+  AlertManager,
+  createSinks,
+  createAlertManager
+};
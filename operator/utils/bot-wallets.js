@@ -0,0 +1,119 @@
+/**
+ * Deterministic bot wallets for attack scenarios
+ *
+ * Bots are derived from BOT_MNEMONIC (when unset, from a mnemonic derived from
+ * PRIVATE_KEY) under one BIP-44 account per scenario:
+ *
+ *   m/44'/60'/<account>'/0/<wallet index>   bot wallets
+ *   m/44'/60'/<account>'/1/0                parent wallet (funding: parent)
+ *
+ * The account is the scenario's `hdAccount`, or is derived from its name, so a
+ * scenario always runs with the same addresses and `guardian sweep` can find
+ * them again to return what is left on them.
+ */
+
+const { ethers } = require('ethers');
+const { MAX_HD_ACCOUNT } = require('./scenarios');
+const { sendParallel } = require('./web3-helper');
+const { EXIT_CODES, CliError } = require('./cli');
+
+const TRANSFER_GAS = 21000;
+
+// Domain separator for the fallback mnemonic, so it never equals a mnemonic the key was made from
+const FALLBACK_SALT = 'fair-launch-guardian/bot-wallets';
+
+/**
+ * BOT_MNEMONIC, or a mnemonic derived from PRIVATE_KEY
+ */
+function getBotMnemonic() {
+  const configured = (process.env.BOT_MNEMONIC || '').trim();
+  if (configured) {
+    if (!ethers.utils.isValidMnemonic(configured)) {
+      throw new CliError('BOT_MNEMONIC is not a valid BIP-39 mnemonic', EXIT_CODES.CONFIG);
+    }
+    return configured;
+  }
+
+  const privateKey = process.env.PRIVATE_KEY;
+  if (!privateKey) {
+    throw new CliError('Set BOT_MNEMONIC or PRIVATE_KEY to derive bot wallets', EXIT_CODES.CONFIG);
+  }
+  const key = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+  const entropy = ethers.utils.keccak256(ethers.utils.concat([ethers.utils.toUtf8Bytes(FALLBACK_SALT), key]));
+  return ethers.utils.entropyToMnemonic(ethers.utils.hexDataSlice(entropy, 0, 16));
+}
+
+/**
+ * HD account of a scenario: `hdAccount` from the file, else a hash of its name
+ */
+function getScenarioAccount(scenario) {
+  if (scenario.hdAccount !== null && scenario.hdAccount !== undefined) {
+    return scenario.hdAccount;
+  }
+  return parseInt(ethers.utils.id(scenario.name).slice(2, 10), 16) & MAX_HD_ACCOUNT;
+}
+
+function botPath(account, index) {
+  return `m/44'/60'/${account}'/0/${index}`;
+}
+
+function parentPath(account) {
+  return `m/44'/60'/${account}'/1/0`;
+}
+
+/**
+ * Bot and parent wallets of a scenario; deployer wallets are left to the caller
+ * @returns {Object} { account, bots: [{ index, path, wallet }], parent: { path, wallet } }
+ */
+function deriveScenarioWallets(scenario, provider, mnemonic = getBotMnemonic()) {
+  const root = ethers.utils.HDNode.fromMnemonic(mnemonic);
+  const account = getScenarioAccount(scenario);
+  const derive = path => new ethers.Wallet(root.derivePath(path).privateKey, provider);
+
+  return {
+    account,
+    bots: scenario.wallets.filter(wallet => !wallet.deployer).map(({ index }) => ({
+      index,
+      path: botPath(account, index),
+      wallet: derive(botPath(account, index))
+    })),
+    parent: { path: parentPath(account), wallet: derive(parentPath(account)) }
+  };
+}
+
+/**
+ * What each target still needs to hold `value`
+ * @param {Object[]} targets - { address, value }
+ * @returns {Promise<Object[]>} { address, value } transfers, only for targets holding less
+ */
+async function planTopUps(provider, targets) {
+  const balances = await Promise.all(targets.map(({ address }) => provider.getBalance(address)));
+  return targets
+    .map(({ address, value }, index) => ({ address, value: value.sub(balances[index]) }))
+    .filter(({ value }) => value.gt(0));
+}
+
+/**
+ * Send ETH transfers back to back with consecutive nonces, then wait for all of them
+ * @param {Object[]} transfers - { address, value }
+ * @returns {Promise<Object[]>} Receipts
+ */
+async function sendTransfers(funder, transfers, gasPrice) {
+  const results = await sendParallel(funder, transfers.map(({ address, value }) => ({ to: address, value, gasPrice, gasLimit: TRANSFER_GAS })));
+  const failed = results.find(result => result.error);
+  if (failed) {
+    throw failed.error;
+  }
+  return results.map(result => result.receipt);
+}
+
+module.exports = {
+  TRANSFER_GAS,
+  getBotMnemonic,
+  getScenarioAccount,
+  botPath,
+  parentPath,
+  deriveScenarioWallets,
+  planTopUps,
+  sendTransfers
+};
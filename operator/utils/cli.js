@@ -0,0 +1,185 @@
+/**
+ * Shared helpers for the guardian CLI
+ * Argument parsing, global flag overrides, exit codes and JSON output
+ */
+
+const { ethers } = require('ethers');
+const readline = require('readline');
+
+// Exit codes shared by every command so CI can tell failures apart
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1, // Unexpected runtime failure
+  USAGE: 2, // Unknown command, scenario or bad flag value
+  CONFIG: 3, // Required address / key missing from flags and .env
+  NETWORK: 4 // RPC unreachable or timed out
+};
+
+// Global flags -> environment variables they override
+const GLOBAL_FLAGS = {
+  network: { env: ['NETWORK'], description: 'Network name from config/networks.js' },
+  rpc: { env: ['RPC_URL'], description: 'RPC URL (overrides the network default)' },
+  trap: { env: ['TRAP_ADDRESS'], address: true, description: 'Trap contract address' },
+  responder: { env: ['RESPONDER_ADDRESS'], address: true, description: 'Responder contract address' },
+  pool: { env: ['LIQUIDITY_POOL', 'DEX_ADDRESS'], address: true, description: 'Liquidity pool / DEX address' },
+  token: { env: ['TOKEN_ADDRESS'], address: true, description: 'Token address' },
+  strategy: { env: ['STRATEGY'], description: 'Trap strategy: simple, eventlog, advanced' },
+  'log-format': { env: ['LOG_FORMAT'], description: 'Log output: pretty or json (JSON lines)' },
+  'log-level': { env: ['LOG_LEVEL'], description: 'Minimum log level: debug, info, warn, error' },
+  'log-file': { env: ['LOG_FILE'], description: 'Also write JSON log records to this file' }
+};
+
+// Flags that take no value
+const BOOLEAN_FLAGS = ['json', 'help', 'debug'];
+
+// Environment variables set from flags in this process (they win over deployment manifests)
+const flagEnv = new Set();
+
+// ethers error codes that mean the RPC could not be reached
+const NETWORK_ERROR_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'];
+
+/**
+ * Error carrying the exit code the CLI should terminate with
+ */
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Parse argv into positional arguments and --flags
+ * Supports --flag value, --flag=value and boolean flags
+ * @param {string[]} booleanFlags - Flags that take no value
+ */
+function parseArgs(argv, booleanFlags = BOOLEAN_FLAGS) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+    if (booleanFlags.includes(name)) {
+      flags[name] = inlineValue === undefined ? true : inlineValue !== 'false';
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value.startsWith('--')) {
+      throw new CliError(`Flag --${name} requires a value`, EXIT_CODES.USAGE);
+    }
+    flags[name] = value;
+  }
+
+  return { positional, flags };
+}
+
+/**
+ * Apply global flags on top of .env so every script picks them up
+ */
+function applyGlobalFlags(flags) {
+  for (const [name, flag] of Object.entries(GLOBAL_FLAGS)) {
+    const value = flags[name];
+    if (value === undefined) continue;
+
+    if (flag.address && !ethers.utils.isAddress(value)) {
+      throw new CliError(`--${name} is not a valid address: ${value}`, EXIT_CODES.USAGE);
+    }
+
+    for (const envName of flag.env) {
+      process.env[envName] = value;
+      flagEnv.add(envName);
+    }
+  }
+
+  if (flags.debug) {
+    process.env.DEBUG = 'true';
+  }
+}
+
+/**
+ * Whether an environment variable was set by a command line flag
+ */
+function isSetByFlag(envName) {
+  return flagEnv.has(envName);
+}
+
+/**
+ * Ask a yes/no question on the terminal
+ */
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => {
+    rl.question(`${question} (y/N) `, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Map an error to the exit code the process should use
+ */
+function exitCodeFor(error) {
+  if (error && error.exitCode !== undefined) {
+    return error.exitCode;
+  }
+  if (error && NETWORK_ERROR_CODES.includes(error.code)) {
+    return EXIT_CODES.NETWORK;
+  }
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Convert a result into plain JSON values (BigNumbers become decimal strings)
+ */
+function toJSON(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJSON);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJSON(item)]));
+  }
+  return value;
+}
+
+/**
+ * Whether a report written with --format / --output puts its data on stdout
+ */
+function writesToStdout(format, output) {
+  return !output && ['json', 'csv'].includes(String(format).toLowerCase());
+}
+
+/**
+ * Print a command result as JSON on stdout
+ */
+function printJson(value) {
+  process.stdout.write(JSON.stringify(toJSON(value), null, 2) + '\n');
+}
+
+module.exports = {
+  EXIT_CODES,
+  GLOBAL_FLAGS,
+  BOOLEAN_FLAGS,
+  CliError,
+  parseArgs,
+  applyGlobalFlags,
+  isSetByFlag,
+  confirm,
+  exitCodeFor,
+  toJSON,
+  writesToStdout,
+  printJson
+};
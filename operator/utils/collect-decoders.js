@@ -0,0 +1,340 @@
+/**
+ * Strategy-aware decoders for v2 trap payloads
+ * Decodes CollectOutput / ResponseData for the Simple, EventLog and Advanced traps
+ *
+ * Select a decoder with the STRATEGY env var (simple/eventlog/advanced) or let
+ * detectStrategy() find the layout that round-trips the encoded bytes exactly.
+ */
+
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { formatAddress } = require('./web3-helper');
+const advanced = require('./advanced-detector');
+
+const abiCoder = ethers.utils.defaultAbiCoder;
+
+// ==================== ABI TYPES ====================
+
+const SIMPLE_COLLECT_OUTPUT_TYPE = ethers.utils.ParamType.from(
+  'tuple(uint256 blockNumber, uint256 timestamp, uint256 totalSupply, uint256 poolBalance)'
+);
+
+const SIMPLE_RESPONSE_DATA_TYPE = ethers.utils.ParamType.from(
+  'tuple(address violatorAddress, uint256 accumulatedPercentBP, uint8 detectionType, uint256 blockNumber, uint256 severity, uint256 confidence)'
+);
+
+const EVENTLOG_COLLECT_OUTPUT_TYPE = ethers.utils.ParamType.from(
+  'tuple(uint256 blockNumber, uint256 timestamp, uint256 totalSupply, uint256 poolBalance, uint256 reserve0, uint256 reserve1, ' +
+    'tuple(address wallet, bool isBuy, uint256 tokenAmount, uint256 ethAmount, uint256 blockNumber, uint256 timestamp)[] swaps, ' +
+    'uint256 totalBuyVolume, uint256 totalSellVolume)'
+);
+
+// EventLog and Advanced traps share the same ResponseData layout
+const EVENTLOG_RESPONSE_DATA_TYPE = advanced.RESPONSE_DATA_TYPE;
+
+// ==================== DETECTION TYPES ====================
+
+// Each trap numbers its detections independently (e.g. 3 is SUPPLY_MANIPULATION in Simple)
+const SIMPLE_DETECTION_TYPES = {
+  3: 'SUPPLY_MANIPULATION',
+  4: 'LIQUIDITY_MANIPULATION'
+};
+
+const EVENTLOG_DETECTION_TYPES = {
+  0: 'EXCESSIVE_ACCUMULATION',
+  1: 'FRONT_RUNNING_GAS',
+  3: 'COORDINATED_ATTACK',
+  4: 'LIQUIDITY_MANIPULATION'
+};
+
+const ADVANCED_DETECTION_TYPES = Object.keys(advanced.DETECTION_TYPES).reduce((types, name) => {
+  types[advanced.DETECTION_TYPES[name]] = name;
+  return types;
+}, {});
+
+// ==================== HELPERS ====================
+
+function decodeTuple(type, data) {
+  const [decoded] = abiCoder.decode([type], data);
+  return decoded;
+}
+
+function formatTokens(amount) {
+  return ethers.utils.formatEther(amount);
+}
+
+function formatGwei(amount) {
+  return ethers.utils.formatUnits(amount, 'gwei') + ' gwei';
+}
+
+function printSwapTable(rows) {
+  if (rows.length === 0) {
+    logger.info('No swaps in this snapshot');
+    return;
+  }
+  logger.table(rows);
+}
+
+function responseRows(response, detectionTypes) {
+  const rows = {
+    'Violator': response.violatorAddress,
+    'Detection': `${detectionTypes[response.detectionType] || 'UNKNOWN'} (${response.detectionType})`,
+    'Accumulated': (response.accumulatedPercentBP.toNumber() / 100).toFixed(2) + '%',
+    'Block': response.blockNumber.toString(),
+    'Severity': response.severity.toString(),
+    'Confidence': response.confidence.toString()
+  };
+
+  if (response.relatedAddresses) {
+    rows['Related Addresses'] = response.relatedAddresses.length;
+  }
+  if (response.patternSignature) {
+    rows['Pattern'] = response.patternSignature;
+  }
+
+  return rows;
+}
+
+// ==================== DECODERS ====================
+
+const simple = {
+  strategy: 'simple',
+  name: 'FairLaunchGuardianTrapSimple',
+  collectOutputType: SIMPLE_COLLECT_OUTPUT_TYPE,
+  responseDataType: SIMPLE_RESPONSE_DATA_TYPE,
+  detectionTypes: SIMPLE_DETECTION_TYPES,
+
+  decodeCollectOutput(data) {
+    const output = decodeTuple(SIMPLE_COLLECT_OUTPUT_TYPE, data);
+    return {
+      blockNumber: output.blockNumber,
+      timestamp: output.timestamp,
+      totalSupply: output.totalSupply,
+      poolBalance: output.poolBalance
+    };
+  },
+
+  decodeResponseData(payload) {
+    const response = decodeTuple(SIMPLE_RESPONSE_DATA_TYPE, payload);
+    return {
+      violatorAddress: response.violatorAddress,
+      accumulatedPercentBP: response.accumulatedPercentBP,
+      detectionType: response.detectionType,
+      blockNumber: response.blockNumber,
+      severity: response.severity,
+      confidence: response.confidence
+    };
+  },
+
+  summarize(output) {
+    return `supply ${formatTokens(output.totalSupply)}, pool ${formatTokens(output.poolBalance)}`;
+  },
+
+  printCollectOutput(output) {
+    logger.table({
+      'Block Number': output.blockNumber.toString(),
+      'Timestamp': output.timestamp.toString(),
+      'Total Supply': formatTokens(output.totalSupply),
+      'Pool Balance': formatTokens(output.poolBalance)
+    });
+  },
+
+  printResponseData(response) {
+    logger.table(responseRows(response, SIMPLE_DETECTION_TYPES));
+  }
+};
+
+const eventlog = {
+  strategy: 'eventlog',
+  name: 'FairLaunchGuardianTrapEventLog',
+  collectOutputType: EVENTLOG_COLLECT_OUTPUT_TYPE,
+  responseDataType: EVENTLOG_RESPONSE_DATA_TYPE,
+  detectionTypes: EVENTLOG_DETECTION_TYPES,
+
+  decodeCollectOutput(data) {
+    const output = decodeTuple(EVENTLOG_COLLECT_OUTPUT_TYPE, data);
+    return {
+      blockNumber: output.blockNumber,
+      timestamp: output.timestamp,
+      totalSupply: output.totalSupply,
+      poolBalance: output.poolBalance,
+      reserve0: output.reserve0,
+      reserve1: output.reserve1,
+      swaps: output.swaps.map(swap => ({
+        wallet: swap.wallet,
+        isBuy: swap.isBuy,
+        tokenAmount: swap.tokenAmount,
+        ethAmount: swap.ethAmount,
+        blockNumber: swap.blockNumber,
+        timestamp: swap.timestamp
+      })),
+      totalBuyVolume: output.totalBuyVolume,
+      totalSellVolume: output.totalSellVolume
+    };
+  },
+
+  decodeResponseData(payload) {
+    return advanced.decodeResponseData(payload);
+  },
+
+  summarize(output) {
+    return `${output.swaps.length} swaps, buy ${formatTokens(output.totalBuyVolume)} / sell ${formatTokens(output.totalSellVolume)}`;
+  },
+
+  printCollectOutput(output) {
+    logger.table({
+      'Block Number': output.blockNumber.toString(),
+      'Timestamp': output.timestamp.toString(),
+      'Total Supply': formatTokens(output.totalSupply),
+      'Pool Balance': formatTokens(output.poolBalance),
+      'Reserve0': formatTokens(output.reserve0),
+      'Reserve1': formatTokens(output.reserve1),
+      'Swaps': output.swaps.length,
+      'Buy Volume': formatTokens(output.totalBuyVolume),
+      'Sell Volume': formatTokens(output.totalSellVolume)
+    });
+
+    printSwapTable(output.swaps.map(swap => ({
+      wallet: formatAddress(swap.wallet),
+      side: swap.isBuy ? 'BUY' : 'SELL',
+      tokens: formatTokens(swap.tokenAmount),
+      eth: formatTokens(swap.ethAmount),
+      block: swap.blockNumber.toString()
+    })));
+  },
+
+  printResponseData(response) {
+    logger.table(responseRows(response, EVENTLOG_DETECTION_TYPES));
+  }
+};
+
+const advancedDecoder = {
+  strategy: 'advanced',
+  name: 'FairLaunchGuardianTrapAdvanced',
+  collectOutputType: advanced.COLLECT_OUTPUT_TYPE,
+  responseDataType: advanced.RESPONSE_DATA_TYPE,
+  detectionTypes: ADVANCED_DETECTION_TYPES,
+
+  decodeCollectOutput(data) {
+    return advanced.decodeCollectOutput(data);
+  },
+
+  decodeResponseData(payload) {
+    return advanced.decodeResponseData(payload);
+  },
+
+  summarize(output) {
+    const buys = output.recentSwaps.filter(swap => swap.isBuy).length;
+    return `${output.recentSwaps.length} swaps (${buys} buys), pool ${formatTokens(output.liquidityPoolBalance)}`;
+  },
+
+  printCollectOutput(output) {
+    logger.table({
+      'Block Number': output.blockNumber.toString(),
+      'Timestamp': output.timestamp.toString(),
+      'Token': output.tokenAddress,
+      'Pool': output.liquidityPool,
+      'Total Supply': formatTokens(output.totalSupply),
+      'Pool Balance': formatTokens(output.liquidityPoolBalance),
+      'Reserve (Token)': formatTokens(output.poolReserveToken),
+      'Reserve (ETH)': formatTokens(output.poolReserveETH),
+      'Recent Swaps': output.recentSwaps.length
+    });
+
+    printSwapTable(output.recentSwaps.map(swap => ({
+      wallet: formatAddress(swap.wallet),
+      side: swap.isBuy ? 'BUY' : 'SELL',
+      tokens: formatTokens(swap.amountToken),
+      eth: formatTokens(swap.amountETH),
+      gas: formatGwei(swap.gasPrice),
+      block: swap.blockNumber.toString()
+    })));
+  },
+
+  printResponseData(response) {
+    logger.table(responseRows(response, ADVANCED_DETECTION_TYPES));
+    if (response.relatedAddresses.length > 0) {
+      logger.info('Related addresses:');
+      response.relatedAddresses.forEach((address, index) => {
+        logger.info(`  ${index + 1}. ${address}`);
+      });
+    }
+  }
+};
+
+const decoders = {
+  simple,
+  eventlog,
+  advanced: advancedDecoder
+};
+
+// Most specific layouts first so detection prefers the richest match
+const DETECTION_ORDER = ['advanced', 'eventlog', 'simple'];
+
+// ==================== REGISTRY ====================
+
+/**
+ * Get decoder for a strategy name
+ */
+function getDecoder(strategy) {
+  const decoder = decoders[(strategy || '').toLowerCase()];
+  if (!decoder) {
+    throw new Error(`Unknown strategy '${strategy}'. Available: ${Object.keys(decoders).join(', ')}`);
+  }
+  return decoder;
+}
+
+/**
+ * Check whether data is exactly the ABI encoding of the given tuple type
+ */
+function matchesLayout(type, data) {
+  try {
+    const decoded = abiCoder.decode([type], data);
+    return abiCoder.encode([type], decoded).toLowerCase() === ethers.utils.hexlify(data).toLowerCase();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Detect which trap produced an encoded CollectOutput
+ * @returns {string|null} Strategy name, or null if no layout matches
+ */
+function detectStrategy(data) {
+  return DETECTION_ORDER.find(strategy => matchesLayout(decoders[strategy].collectOutputType, data)) || null;
+}
+
+/**
+ * Resolve the decoder for collected data
+ * Uses the requested strategy when it matches, otherwise falls back to auto-detection
+ */
+function resolveDecoder(data, strategy = process.env.STRATEGY) {
+  if (strategy && strategy.toLowerCase() !== 'auto') {
+    const decoder = getDecoder(strategy);
+    if (matchesLayout(decoder.collectOutputType, data)) {
+      return decoder;
+    }
+    logger.warning(`Data does not match the '${decoder.strategy}' layout, trying auto-detection`);
+  }
+
+  const detected = detectStrategy(data);
+  if (!detected) {
+    throw new Error('Data does not match any known CollectOutput layout');
+  }
+  return decoders[detected];
+}
+
+/**
+ * Get all registered strategy names
+ */
+function getAvailableStrategies() {
+  return Object.keys(decoders);
+}
+
+module.exports = {
+  decoders,
+  getDecoder,
+  detectStrategy,
+  resolveDecoder,
+  getAvailableStrategies
+};
@@ -0,0 +1,165 @@
+/**
+ * Per-network deployment manifests
+ *
+ * deployments/<network>.json records what was deployed where:
+ * {
+ *   "network": "hoodi",
+ *   "chainId": 560048,
+ *   "updatedAt": "2025-01-01T00:00:00.000Z",
+ *   "contracts": {
+ *     "token": { "address": "0x.." },
+ *     "pool": { "address": "0x.." },
+ *     "responder": { "contract": "FairLaunchResponder", "address": "0x..", "transactionHash": "0x..",
+ *                    "blockNumber": 123, "deployer": "0x..", "constructorArgs": ["0x..", "0x..", "0x.."] },
+ *     "trap": { "contract": "FairLaunchGuardianTrapEventLog", "strategy": "eventlog", ... }
+ *   }
+ * }
+ *
+ * Scripts read addresses from the environment; applyManifest() fills it from
+ * the manifest so the manifest wins over .env and command line flags win over both.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EXIT_CODES, CliError, isSetByFlag } = require('./cli');
+const logger = require('./logger');
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, '..', '..', 'deployments');
+
+// Manifest contract -> environment variables the scripts read its address from
+const CONTRACT_ENV = {
+  token: ['TOKEN_ADDRESS'],
+  pool: ['LIQUIDITY_POOL', 'DEX_ADDRESS'],
+  trap: ['TRAP_ADDRESS'],
+  responder: ['RESPONDER_ADDRESS']
+};
+
+/**
+ * Directory holding the manifests (DEPLOYMENTS_DIR overrides the repo default)
+ */
+function getDeploymentsDir() {
+  return process.env.DEPLOYMENTS_DIR ? path.resolve(process.env.DEPLOYMENTS_DIR) : DEFAULT_DEPLOYMENTS_DIR;
+}
+
+/**
+ * Path of the manifest for a network
+ */
+function getManifestPath(networkName = process.env.NETWORK || 'hoodi') {
+  return path.join(getDeploymentsDir(), `${networkName}.json`);
+}
+
+/**
+ * Load a manifest from a network name or a file path
+ * @returns {Object|null} null when it does not exist
+ */
+function loadManifest(networkOrPath = process.env.NETWORK || 'hoodi') {
+  const manifestPath = networkOrPath.endsWith('.json') ? path.resolve(networkOrPath) : getManifestPath(networkOrPath);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new CliError(`Invalid deployment manifest ${manifestPath}: ${error.message}`, EXIT_CODES.CONFIG);
+  }
+}
+
+/**
+ * Merge contract entries into a network's manifest and write it
+ * @param {string} networkName
+ * @param {number} chainId
+ * @param {Object} contracts - { token, pool, responder, trap } entries to add or replace
+ * @returns {Object} { path, manifest }
+ */
+function recordDeployment(networkName, chainId, contracts) {
+  const manifestPath = getManifestPath(networkName);
+  const previous = loadManifest(networkName);
+
+  if (previous && previous.chainId !== undefined && previous.chainId !== chainId) {
+    throw new CliError(
+      `${manifestPath} is for chain ${previous.chainId}, not ${chainId}; move it away or set DEPLOYMENTS_DIR`,
+      EXIT_CODES.CONFIG
+    );
+  }
+
+  const manifest = {
+    network: networkName,
+    chainId,
+    updatedAt: new Date().toISOString(),
+    contracts: { ...(previous ? previous.contracts : {}), ...contracts }
+  };
+
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  return { path: manifestPath, manifest };
+}
+
+/**
+ * Environment values a manifest provides, per contract
+ */
+function manifestEnv(manifest) {
+  const contracts = manifest.contracts || {};
+  const env = {};
+
+  for (const [name, envNames] of Object.entries(CONTRACT_ENV)) {
+    if (contracts[name] && contracts[name].address) {
+      env[name] = Object.fromEntries(envNames.map(envName => [envName, contracts[name].address]));
+    }
+  }
+
+  if (env.responder && contracts.responder.contract) {
+    env.responder.ADVANCED_RESPONDER = String(contracts.responder.contract === 'FairLaunchResponderAdvanced');
+  }
+  if (env.responder && contracts.responder.blockNumber !== undefined) {
+    env.responder.RESPONDER_DEPLOY_BLOCK = String(contracts.responder.blockNumber);
+  }
+  if (env.trap && contracts.trap.strategy) {
+    env.trap.STRATEGY = contracts.trap.strategy;
+  }
+
+  return env;
+}
+
+/**
+ * Load the network's manifest into process.env
+ * Values from the manifest replace .env values (with a warning when an address
+ * differs). A contract whose address was given as a flag is skipped entirely,
+ * so e.g. --responder does not pick up the manifest responder's deploy block.
+ * @returns {Object|null} The manifest, null when the network has none
+ */
+function applyManifest(networkName = process.env.NETWORK || 'hoodi') {
+  const manifest = loadManifest(networkName);
+  if (!manifest) {
+    return null;
+  }
+
+  for (const [name, values] of Object.entries(manifestEnv(manifest))) {
+    if (CONTRACT_ENV[name].some(isSetByFlag)) {
+      continue;
+    }
+
+    const [addressEnv] = CONTRACT_ENV[name];
+    const current = process.env[addressEnv];
+    if (current && current.toLowerCase() !== values[addressEnv].toLowerCase()) {
+      logger.warning(`${addressEnv} in .env (${current}) differs from ${getManifestPath(networkName)}; using ${values[addressEnv]}`);
+    }
+
+    for (const [envName, value] of Object.entries(values)) {
+      if (!isSetByFlag(envName)) {
+        process.env[envName] = value;
+      }
+    }
+  }
+
+  return manifest;
+}
+
+module.exports = {
+  CONTRACT_ENV,
+  getDeploymentsDir,
+  getManifestPath,
+  loadManifest,
+  recordDeployment,
+  applyManifest
+};
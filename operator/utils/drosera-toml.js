@@ -0,0 +1,380 @@
+/**
+ * drosera.toml parsing, validation and generation
+ *
+ * Checks that only need the files (trap artifacts, block_sample_size against
+ * the trap's history limits) are separate from the ones that need an RPC
+ * (chain ID, response contract code), so the command can report both.
+ * Generation edits the file as text so comments and hand-tuned keys survive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TOML = require('@iarna/toml');
+const { ethers } = require('ethers');
+const { ARTIFACTS_DIR, strategyContracts } = require('../config/abis');
+const { MAX_HISTORY_SNAPSHOTS } = require('./advanced-detector');
+const { EXIT_CODES, CliError } = require('./cli');
+
+const DEFAULT_TOML_PATH = path.join(__dirname, '..', '..', 'drosera.toml');
+const CONTRACTS_DIR = path.dirname(ARTIFACTS_DIR); // Trap paths are relative to the forge project
+const SOURCES_DIR = path.join(CONTRACTS_DIR, 'src', 'v2');
+
+const DEFAULT_RESPONSE_FUNCTION = 'handle(bytes)';
+
+/**
+ * How many block samples each trap's shouldRespond() can use
+ * - required: below this shouldRespond() always returns false
+ * - full: every detection (including multi-block ones) runs
+ * - max: snapshots actually read; extra samples are collected for nothing
+ */
+const TRAP_PROFILES = {
+  FairLaunchGuardianTrap: { required: 2, full: 3, max: () => 6 },
+  FairLaunchGuardianTrapSimple: {
+    strategy: 'simple',
+    required: 2,
+    full: 3,
+    max: () => 6,
+    defaults: { block_sample_size: 3, cooldown_period_blocks: 20, max_number_of_operators: 3 }
+  },
+  FairLaunchGuardianTrapEventLog: {
+    strategy: 'eventlog',
+    required: 1,
+    full: 2,
+    max: () => 2,
+    defaults: { block_sample_size: 2, cooldown_period_blocks: 20, max_number_of_operators: 3 }
+  },
+  FairLaunchGuardianTrapAdvanced: {
+    strategy: 'advanced',
+    required: 2,
+    full: 3,
+    // Multi-block analysis compares data[0] with up to MAX_HISTORY_SNAPSHOTS older samples
+    max: source => readUintConstant(source, 'MAX_HISTORY_SNAPSHOTS', MAX_HISTORY_SNAPSHOTS) + 1,
+    defaults: { block_sample_size: 6, cooldown_period_blocks: 15, max_number_of_operators: 5 }
+  }
+};
+
+// ==================== PARSING ====================
+
+/**
+ * Read and parse a drosera.toml
+ * @returns {Object} { path, text, config }
+ */
+function loadDroseraToml(filePath = process.env.DROSERA_TOML || DEFAULT_TOML_PATH) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new CliError(`drosera.toml not found: ${resolved}`, EXIT_CODES.CONFIG);
+  }
+
+  const text = fs.readFileSync(resolved, 'utf8');
+  try {
+    return { path: resolved, text, config: TOML.parse(text) };
+  } catch (error) {
+    throw new CliError(`Invalid TOML in ${resolved}: ${error.message.split('\n')[0]}`, EXIT_CODES.CONFIG);
+  }
+}
+
+/**
+ * Read `uint256 ... constant NAME = value` from a Solidity source
+ */
+function readUintConstant(source, name, fallback) {
+  const match = source && source.match(new RegExp(`constant\\s+${name}\\s*=\\s*([\\d_]+)`));
+  return match ? parseInt(match[1].replace(/_/g, ''), 10) : fallback;
+}
+
+function readTrapSource(contractName) {
+  const sourcePath = path.join(SOURCES_DIR, `${contractName}.sol`);
+  return fs.existsSync(sourcePath) ? fs.readFileSync(sourcePath, 'utf8') : null;
+}
+
+/**
+ * Contract name from a forge artifact path (out/X.sol/X.json -> X)
+ */
+function contractNameFromPath(artifactPath) {
+  return path.basename(artifactPath, '.json');
+}
+
+// ==================== VALIDATION ====================
+
+function result(section, check, status, message) {
+  return { section, check, status, message };
+}
+
+/**
+ * Checks that only need the repository
+ * @returns {Object[]} { section, check, status: ok|warn|error, message }
+ */
+function validateStatic(config) {
+  const results = [];
+
+  for (const key of ['ethereum_rpc', 'drosera_rpc', 'eth_chain_id', 'drosera_address']) {
+    if (config[key] === undefined) {
+      results.push(result('global', key, 'error', `Missing ${key}`));
+    }
+  }
+  if (config.drosera_address !== undefined && !ethers.utils.isAddress(String(config.drosera_address))) {
+    results.push(result('global', 'drosera_address', 'error', `Not an address: ${config.drosera_address}`));
+  }
+
+  const traps = config.traps || {};
+  if (Object.keys(traps).length === 0) {
+    results.push(result('global', 'traps', 'error', 'No [traps.*] sections'));
+  }
+
+  for (const [name, trap] of Object.entries(traps)) {
+    const section = `traps.${name}`;
+
+    for (const key of ['path', 'response_contract', 'response_function', 'block_sample_size']) {
+      if (trap[key] === undefined) {
+        results.push(result(section, key, 'error', `Missing ${key}`));
+      }
+    }
+
+    if (trap.path !== undefined) {
+      results.push(...validateArtifact(section, trap.path));
+    }
+    if (trap.block_sample_size !== undefined && trap.path !== undefined) {
+      results.push(validateSampleSize(section, contractNameFromPath(trap.path), trap.block_sample_size));
+    }
+    if (trap.response_contract !== undefined && !ethers.utils.isAddress(String(trap.response_contract))) {
+      results.push(result(section, 'response_contract', 'error', `Not an address: ${trap.response_contract}`));
+    }
+    if (trap.response_function !== undefined) {
+      try {
+        ethers.utils.FunctionFragment.from(trap.response_function);
+      } catch (error) {
+        results.push(result(section, 'response_function', 'error', `Not a function signature: ${trap.response_function}`));
+      }
+    }
+    if (trap.min_number_of_operators > trap.max_number_of_operators) {
+      results.push(result(section, 'operators', 'error', 'min_number_of_operators is above max_number_of_operators'));
+    }
+  }
+
+  return results;
+}
+
+function validateArtifact(section, artifactPath) {
+  const resolved = path.resolve(CONTRACTS_DIR, artifactPath);
+  if (!fs.existsSync(resolved)) {
+    return [result(section, 'path', 'error', `${path.relative(process.cwd(), resolved)} not found (run 'forge build' in contracts/)`)];
+  }
+
+  const artifact = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const functions = (artifact.abi || []).filter(item => item.type === 'function').map(item => item.name);
+  const missing = ['collect', 'shouldRespond'].filter(name => !functions.includes(name));
+  if (missing.length > 0) {
+    return [result(section, 'path', 'error', `${contractNameFromPath(artifactPath)} is not a trap (no ${missing.join(', ')})`)];
+  }
+  return [result(section, 'path', 'ok', artifactPath)];
+}
+
+function validateSampleSize(section, contractName, size) {
+  const profile = TRAP_PROFILES[contractName];
+  if (!Number.isInteger(size) || size < 1) {
+    return result(section, 'block_sample_size', 'error', `Must be a positive integer: ${size}`);
+  }
+  if (!profile) {
+    return result(section, 'block_sample_size', 'warn', `No history limits known for ${contractName}`);
+  }
+
+  const max = profile.max(readTrapSource(contractName));
+  if (size < profile.required) {
+    return result(section, 'block_sample_size', 'error', `${size} < ${profile.required}: ${contractName}.shouldRespond() never fires`);
+  }
+  if (size < profile.full) {
+    return result(section, 'block_sample_size', 'warn', `${size} < ${profile.full}: multi-block detections of ${contractName} are disabled`);
+  }
+  if (size > max) {
+    return result(section, 'block_sample_size', 'warn', `${size} > ${max}: ${contractName} only reads ${max} samples, the rest are collected for nothing`);
+  }
+  return result(section, 'block_sample_size', 'ok', `${size} (multi-block from ${profile.full}, reads up to ${max})`);
+}
+
+/**
+ * Checks against the chain: chain ID and response contracts
+ * @param {ethers.providers.Provider} provider
+ * @param {number} expectedChainId - chainId of the selected network in config/networks.js
+ */
+async function validateOnChain(config, provider, expectedChainId) {
+  const results = [];
+
+  const { chainId } = await provider.getNetwork();
+  if (config.eth_chain_id !== undefined) {
+    results.push(Number(config.eth_chain_id) === chainId
+      ? result('global', 'eth_chain_id', 'ok', `${chainId} matches the RPC`)
+      : result('global', 'eth_chain_id', 'error', `eth_chain_id is ${config.eth_chain_id} but the RPC is on chain ${chainId}`));
+  }
+  if (expectedChainId !== undefined && expectedChainId !== chainId) {
+    results.push(result('global', 'networks.js', 'warn', `config/networks.js expects chainId ${expectedChainId} for this network, the RPC reports ${chainId}`));
+  }
+
+  const codeCache = new Map();
+  for (const [name, trap] of Object.entries(config.traps || {})) {
+    const section = `traps.${name}`;
+    const address = String(trap.response_contract || '');
+    if (!ethers.utils.isAddress(address)) {
+      continue;
+    }
+
+    if (!codeCache.has(address.toLowerCase())) {
+      codeCache.set(address.toLowerCase(), await provider.getCode(address));
+    }
+    const code = codeCache.get(address.toLowerCase());
+
+    if (code === '0x') {
+      results.push(result(section, 'response_contract', 'error', `No contract code at ${address} on chain ${chainId}`));
+      continue;
+    }
+    results.push(result(section, 'response_contract', 'ok', `${address} has code`));
+
+    if (trap.response_function !== undefined) {
+      results.push(validateResponseFunction(section, code, trap.response_function));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Look for the function selector in the contract's dispatcher (PUSH4 <selector>)
+ */
+function validateResponseFunction(section, code, signature) {
+  let selector;
+  try {
+    selector = ethers.utils.Interface.getSighash(ethers.utils.FunctionFragment.from(signature));
+  } catch (error) {
+    return result(section, 'response_function', 'error', `Not a function signature: ${signature}`);
+  }
+
+  return code.toLowerCase().includes(`63${selector.slice(2)}`)
+    ? result(section, 'response_function', 'ok', `${signature} (${selector}) found in bytecode`)
+    : result(section, 'response_function', 'error', `${signature} (${selector}) not found in the response contract bytecode`);
+}
+
+// ==================== GENERATION ====================
+
+/**
+ * Trap section values for a deployment manifest
+ * @returns {Object} { name, values, contract }
+ */
+function trapSectionFromManifest(manifest) {
+  const contracts = manifest.contracts || {};
+  const { trap, responder } = contracts;
+
+  if (!trap || !trap.contract) {
+    throw new CliError('Deployment manifest has no contracts.trap entry', EXIT_CODES.CONFIG);
+  }
+  if (!responder || !ethers.utils.isAddress(responder.address || '')) {
+    throw new CliError('Deployment manifest has no contracts.responder address', EXIT_CODES.CONFIG);
+  }
+
+  const profile = TRAP_PROFILES[trap.contract] || {};
+  const strategy = trap.strategy || profile.strategy ||
+    Object.keys(strategyContracts).find(key => strategyContracts[key] === trap.contract);
+  if (!strategy) {
+    throw new CliError(`Unknown trap contract '${trap.contract}' in deployment manifest`, EXIT_CODES.CONFIG);
+  }
+
+  const defaults = profile.defaults || { block_sample_size: 3, cooldown_period_blocks: 20, max_number_of_operators: 3 };
+
+  return {
+    name: `fair_launch_${strategy}`,
+    contract: trap.contract,
+    values: {
+      path: `out/${trap.contract}.sol/${trap.contract}.json`,
+      response_contract: ethers.utils.getAddress(responder.address),
+      response_function: DEFAULT_RESPONSE_FUNCTION,
+      block_sample_size: defaults.block_sample_size,
+      cooldown_period_blocks: defaults.cooldown_period_blocks,
+      min_number_of_operators: 1,
+      max_number_of_operators: defaults.max_number_of_operators,
+      private_trap: true,
+      whitelist: []
+    }
+  };
+}
+
+// Keys the generator owns; everything else in an existing section is left as tuned by hand
+const GENERATED_KEYS = ['path', 'response_contract', 'response_function'];
+
+function tomlValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(tomlValue).join(', ')}]`;
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Render a [traps.<name>] section
+ */
+function renderTrapSection(name, values) {
+  const lines = [`[traps.${name}]`];
+  for (const [key, value] of Object.entries(values)) {
+    lines.push(`${key} = ${tomlValue(value)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+const HEADER_PATTERN = /^\s*\[/;
+const KEY_PATTERN = /^\s*([A-Za-z0-9_-]+)\s*=/;
+
+/**
+ * Insert or update a trap section in drosera.toml text
+ * An existing section keeps its other keys and comments; only GENERATED_KEYS are rewritten.
+ * @returns {Object} { text, created }
+ */
+function upsertTrapSection(text, name, values) {
+  const lines = text.split('\n');
+  const header = `[traps.${name}]`;
+  const start = lines.findIndex(line => line.trim() === header);
+
+  if (start === -1) {
+    // Append after the last key of the last trap section
+    const lastHeader = lines.reduce((last, line, index) => (/^\s*\[traps\./.test(line) ? index : last), -1);
+    let insertAt = lines.length;
+    if (lastHeader !== -1) {
+      insertAt = lastHeader + 1;
+      for (let i = lastHeader + 1; i < lines.length && !HEADER_PATTERN.test(lines[i]) && !/^#\s*=+/.test(lines[i]); i++) {
+        if (KEY_PATTERN.test(lines[i])) insertAt = i + 1;
+      }
+    }
+    lines.splice(insertAt, 0, '', ...renderTrapSection(name, values).trimEnd().split('\n'));
+    return { text: lines.join('\n'), created: true };
+  }
+
+  let end = start + 1;
+  while (end < lines.length && !HEADER_PATTERN.test(lines[end])) end++;
+
+  const seen = new Set();
+  for (let i = start + 1; i < end; i++) {
+    const match = lines[i].match(KEY_PATTERN);
+    if (match && GENERATED_KEYS.includes(match[1])) {
+      lines[i] = `${match[1]} = ${tomlValue(values[match[1]])}`;
+      seen.add(match[1]);
+    }
+  }
+  const missing = GENERATED_KEYS.filter(key => !seen.has(key)).map(key => `${key} = ${tomlValue(values[key])}`);
+  lines.splice(start + 1, 0, ...missing);
+
+  return { text: lines.join('\n'), created: false };
+}
+
+/**
+ * Set the top-level eth_chain_id
+ */
+function setChainId(text, chainId) {
+  const pattern = /^(eth_chain_id\s*=\s*)\d+/m;
+  return pattern.test(text) ? text.replace(pattern, `$1${chainId}`) : `eth_chain_id = ${chainId}\n${text}`;
+}
+
+module.exports = {
+  DEFAULT_TOML_PATH,
+  TRAP_PROFILES,
+  loadDroseraToml,
+  validateStatic,
+  validateOnChain,
+  trapSectionFromManifest,
+  renderTrapSection,
+  upsertTrapSection,
+  setChainId
+};
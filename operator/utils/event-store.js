@@ -0,0 +1,227 @@
+/**
+ * Append-only JSONL store for monitor output
+ *
+ * Each monitored deployment gets its own directory with:
+ * - events.jsonl: one record per line (swaps, collect() snapshots, trap events)
+ * - cursor.json: last fully processed block, so a restart resumes without gaps,
+ *   plus the hashes of recent blocks so a reorg can be detected and rolled back
+ *
+ * Every record has a unique key (txHash:logIndex for logs, snapshot:<block> for
+ * snapshots). Records already in the file are skipped, so re-processing blocks
+ * after a crash between writing events and advancing the cursor is harmless.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toJSON } = require('./cli');
+
+const EVENTS_FILE = 'events.jsonl';
+const CURSOR_FILE = 'cursor.json';
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+const BLOCK_HASH_WINDOW = 256; // Recent block hashes kept for reorg detection
+
+class EventStore {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    this.eventsPath = path.join(this.dir, EVENTS_FILE);
+    this.cursorPath = path.join(this.dir, CURSOR_FILE);
+    this.keys = new Set();
+    this.cursor = null;
+    this.blockHashes = {};
+    this.fd = null;
+  }
+
+  /**
+   * Load existing keys and cursor, then open the events file for appending
+   */
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    for (const record of this._readRecords({ repair: true })) {
+      this.keys.add(record.key);
+    }
+
+    if (fs.existsSync(this.cursorPath)) {
+      const cursor = JSON.parse(fs.readFileSync(this.cursorPath, 'utf8'));
+      this.cursor = cursor.lastProcessedBlock;
+      this.blockHashes = cursor.blockHashes || {};
+    }
+
+    this.fd = fs.openSync(this.eventsPath, 'a');
+    return this;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /**
+   * Append a record unless one with the same key is already stored
+   * @returns {boolean} true if the record was written
+   */
+  append(record) {
+    if (!record.type || !record.key) {
+      throw new Error('Store records need a type and a key');
+    }
+    if (this.keys.has(record.key)) {
+      return false;
+    }
+
+    const line = JSON.stringify({ ...toJSON(record), recordedAt: new Date().toISOString() }) + '\n';
+    fs.writeSync(this.fd, line);
+    this.keys.add(record.key);
+    return true;
+  }
+
+  has(key) {
+    return this.keys.has(key);
+  }
+
+  /**
+   * Last fully processed block, or null for a fresh store
+   */
+  getCursor() {
+    return this.cursor;
+  }
+
+  /**
+   * Hash recorded for a processed block, or null if it is outside the window
+   */
+  getBlockHash(blockNumber) {
+    return this.blockHashes[blockNumber] || null;
+  }
+
+  /**
+   * Recorded block numbers, newest first
+   */
+  getRecordedBlocks() {
+    return Object.keys(this.blockHashes).map(Number).sort((a, b) => b - a);
+  }
+
+  /**
+   * Advance the cursor - call only after every record up to `blockNumber` is appended
+   * @param {Object} blockHashes - { blockNumber: hash } for the blocks just processed
+   */
+  setCursor(blockNumber, blockHashes = {}) {
+    fs.fsyncSync(this.fd);
+
+    const hashes = { ...this.blockHashes, ...blockHashes };
+    for (const recorded of Object.keys(hashes)) {
+      if (Number(recorded) <= blockNumber - BLOCK_HASH_WINDOW || Number(recorded) > blockNumber) {
+        delete hashes[recorded];
+      }
+    }
+
+    this._writeCursor(blockNumber, hashes);
+  }
+
+  /**
+   * Drop every record from `fromBlock` onwards and move the cursor back before it
+   * Records without a blockNumber (e.g. reorg markers) are kept.
+   * @returns {Array} The removed records
+   */
+  rollback(fromBlock) {
+    const records = this._readRecords();
+    const kept = records.filter(record => record.blockNumber === undefined || record.blockNumber < fromBlock);
+    const removed = records.filter(record => !kept.includes(record));
+
+    this.close();
+    const tmpPath = `${this.eventsPath}.tmp`;
+    fs.writeFileSync(tmpPath, kept.map(record => JSON.stringify(record) + '\n').join(''));
+    fs.renameSync(tmpPath, this.eventsPath);
+    this.fd = fs.openSync(this.eventsPath, 'a');
+
+    this.keys = new Set(kept.map(record => record.key));
+
+    const hashes = { ...this.blockHashes };
+    for (const recorded of Object.keys(hashes)) {
+      if (Number(recorded) >= fromBlock) {
+        delete hashes[recorded];
+      }
+    }
+    this._writeCursor(fromBlock - 1, hashes);
+
+    return removed;
+  }
+
+  _writeCursor(blockNumber, blockHashes) {
+    const tmpPath = `${this.cursorPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      lastProcessedBlock: blockNumber,
+      blockHashes,
+      updatedAt: new Date().toISOString()
+    }, null, 2));
+    fs.renameSync(tmpPath, this.cursorPath);
+
+    this.cursor = blockNumber;
+    this.blockHashes = blockHashes;
+  }
+
+  /**
+   * Read stored records, optionally filtered by type and block range
+   */
+  query({ type, fromBlock, toBlock } = {}) {
+    return this._readRecords().filter(record =>
+      (type === undefined || record.type === type) &&
+      (fromBlock === undefined || record.blockNumber >= fromBlock) &&
+      (toBlock === undefined || record.blockNumber <= toBlock)
+    );
+  }
+
+  /**
+   * Parse events.jsonl; with repair, drop a partial last line left by a crash
+   */
+  _readRecords({ repair = false } = {}) {
+    if (!fs.existsSync(this.eventsPath)) {
+      return [];
+    }
+
+    const content = fs.readFileSync(this.eventsPath, 'utf8');
+    const records = [];
+    let validLength = 0;
+
+    for (const line of content.split('\n')) {
+      if (line.trim() === '') {
+        validLength += line.length + 1;
+        continue;
+      }
+      try {
+        records.push(JSON.parse(line));
+        validLength += line.length + 1;
+      } catch (error) {
+        break;
+      }
+    }
+
+    if (repair && Buffer.byteLength(content.slice(0, validLength)) < Buffer.byteLength(content)) {
+      fs.truncateSync(this.eventsPath, Buffer.byteLength(content.slice(0, validLength)));
+    }
+
+    return records;
+  }
+}
+
+/**
+ * Directory for one deployment's store: <MONITOR_DATA_DIR>/<network>-<trap>
+ */
+function getStoreDir(network, trapAddress, dataDir = process.env.MONITOR_DATA_DIR || DEFAULT_DATA_DIR) {
+  return path.join(dataDir, `${network}-${trapAddress.toLowerCase()}`);
+}
+
+/**
+ * Open the store for a deployment
+ */
+function openEventStore(network, trapAddress, dataDir) {
+  return new EventStore(getStoreDir(network, trapAddress, dataDir)).open();
+}
+
+module.exports = {
+  BLOCK_HASH_WINDOW,
+  EventStore,
+  getStoreDir,
+  openEventStore
+};
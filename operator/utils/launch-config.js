@@ -0,0 +1,276 @@
+/**
+ * Launch constants compiled into the traps
+ *
+ * Drosera traps take no constructor args, so the token, pair, token ordering
+ * and launch block are Solidity constants. This module reads them from the
+ * chain, rewrites them in FairLaunchConfig.sol and the trap sources, and reads
+ * them back from compiled artifacts.
+ *
+ * Compiled values are read without deploying anything: an eth_call runs a
+ * small creation-code probe that CREATEs the trap from its artifact bytecode,
+ * calls each constant's getter and returns the results.
+ */
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { uniswapV2PairAbi, loadArtifact } = require('../config/abis');
+const { createScanner } = require('./log-scanner');
+const { findDeploymentBlock } = require('./responder-history');
+const { EXIT_CODES, CliError } = require('./cli');
+
+const CONTRACTS_DIR = path.join(__dirname, '..', '..', 'contracts');
+
+const CONSTANT_TYPES = {
+  TOKEN_ADDRESS: 'address',
+  LIQUIDITY_POOL: 'address',
+  TOKEN_IS_TOKEN0: 'bool',
+  LAUNCH_BLOCK: 'uint256'
+};
+
+// Sources carrying launch constants; `compiled` ones expose them as public getters
+const CONSTANT_SOURCES = [
+  {
+    contract: 'FairLaunchConfig',
+    file: 'src/v2/FairLaunchConfig.sol',
+    constants: ['TOKEN_ADDRESS', 'LIQUIDITY_POOL', 'TOKEN_IS_TOKEN0', 'LAUNCH_BLOCK'],
+    compiled: false
+  },
+  {
+    contract: 'FairLaunchGuardianTrapSimple',
+    file: 'src/v2/FairLaunchGuardianTrapSimple.sol',
+    constants: ['TOKEN_ADDRESS', 'LIQUIDITY_POOL'],
+    compiled: true
+  },
+  {
+    contract: 'FairLaunchGuardianTrapEventLog',
+    file: 'src/v2/FairLaunchGuardianTrapEventLog.sol',
+    constants: ['TOKEN_ADDRESS', 'LIQUIDITY_POOL', 'TOKEN_IS_TOKEN0'],
+    compiled: true
+  },
+  {
+    contract: 'FairLaunchGuardianTrapAdvanced',
+    file: 'src/v2/FairLaunchGuardianTrapAdvanced.sol',
+    constants: ['TOKEN_ADDRESS', 'LIQUIDITY_POOL', 'TOKEN_IS_TOKEN0', 'LAUNCH_BLOCK'],
+    compiled: true
+  }
+];
+
+// ==================== CHAIN ====================
+
+/**
+ * Check the pair holds the token and work out its ordering
+ * @returns {Promise<Object>} { token0, token1, tokenIsToken0, quoteToken }
+ */
+async function readPair(provider, tokenAddress, pairAddress) {
+  const pair = new ethers.Contract(pairAddress, uniswapV2PairAbi, provider);
+
+  let token0;
+  let token1;
+  try {
+    [token0, token1] = await Promise.all([pair.token0(), pair.token1()]);
+  } catch (error) {
+    throw new CliError(`${pairAddress} does not look like a Uniswap V2 pair (token0() / token1() failed)`, EXIT_CODES.CONFIG);
+  }
+
+  const token = tokenAddress.toLowerCase();
+  if (token !== token0.toLowerCase() && token !== token1.toLowerCase()) {
+    throw new CliError(`Token ${tokenAddress} is not in pair ${pairAddress} (${token0} / ${token1})`, EXIT_CODES.CONFIG);
+  }
+
+  const tokenIsToken0 = token === token0.toLowerCase();
+  return { token0, token1, tokenIsToken0, quoteToken: tokenIsToken0 ? token1 : token0 };
+}
+
+/**
+ * Block of the pair's first Mint event (the initial liquidity add)
+ * @param {number} fromBlock - Where to start scanning (default: the pair's deployment block)
+ * @returns {Promise<Object|null>} { blockNumber, transactionHash } or null when liquidity was never added
+ */
+async function findLaunchBlock(provider, pairAddress, { fromBlock, toBlock } = {}) {
+  const pair = new ethers.Contract(pairAddress, uniswapV2PairAbi, provider);
+  const end = toBlock !== undefined ? toBlock : await provider.getBlockNumber();
+
+  let start = fromBlock;
+  if (start === undefined) {
+    try {
+      start = await findDeploymentBlock(provider, pairAddress, end);
+    } catch (error) {
+      throw new CliError(
+        `Could not find the deployment block of ${pairAddress} (${error.message}); pass --from-block or --launch-block`,
+        EXIT_CODES.CONFIG
+      );
+    }
+  }
+
+  const scanner = createScanner();
+  const [mint] = await scanner.scan((from, to) => pair.queryFilter(pair.filters.Mint(), from, to), start || 0, end, { limit: 1 });
+
+  return mint ? { blockNumber: mint.blockNumber, transactionHash: mint.transactionHash } : null;
+}
+
+/**
+ * Read back the token / pool a deployed trap was compiled with
+ * @returns {Promise<Object>} { token, pool, tokenIsToken0? }
+ */
+async function readTrapConfig(trap, strategy) {
+  if (strategy === 'advanced') {
+    return { token: await trap.getTokenAddress(), pool: await trap.getLiquidityPool() };
+  }
+
+  const config = await trap.getConfig();
+  return strategy === 'eventlog'
+    ? { token: config[0], pool: config[1], tokenIsToken0: config[2] }
+    : { token: config[0], pool: config[1] };
+}
+
+// ==================== SOURCES ====================
+
+function declarationPattern(name) {
+  return new RegExp(`^(\\s*(?:address|bool|uint256)\\s+(?:public|internal)\\s+constant\\s+${name}\\s*=\\s*)([^;]+);(.*)$`, 'm');
+}
+
+/**
+ * Solidity literal for a constant value (addresses must be checksummed)
+ */
+function formatConstant(name, value) {
+  switch (CONSTANT_TYPES[name]) {
+    case 'address':
+      return ethers.utils.getAddress(value);
+    case 'bool':
+      return value ? 'true' : 'false';
+    default:
+      return ethers.BigNumber.from(value).toString();
+  }
+}
+
+/**
+ * Current literal of each constant in a source
+ * @returns {Object} { NAME: literal }, a name is missing when the source does not declare it
+ */
+function readSourceConstants(source, names) {
+  const values = {};
+  for (const name of names) {
+    const match = source.match(declarationPattern(name));
+    if (match) {
+      values[name] = match[2].trim();
+    }
+  }
+  return values;
+}
+
+/**
+ * Rewrite constant values in a source
+ * A trailing comment is replaced by `comments[NAME]` (it usually describes the old value).
+ * @returns {string} The updated source
+ */
+function renderConstants(source, values, comments = {}) {
+  let updated = source;
+
+  for (const [name, value] of Object.entries(values)) {
+    const pattern = declarationPattern(name);
+    if (!pattern.test(updated)) {
+      throw new CliError(`No ${name} constant to update`, EXIT_CODES.ERROR);
+    }
+    updated = updated.replace(pattern, (line, declaration, oldValue, rest) => {
+      const comment = rest.trim() && comments[name] ? ` // ${comments[name]}` : rest;
+      return `${declaration}${formatConstant(name, value)};${comment}`;
+    });
+  }
+
+  return updated;
+}
+
+function getSourcePath(entry) {
+  return path.join(CONTRACTS_DIR, entry.file);
+}
+
+// ==================== COMPILED ARTIFACTS ====================
+
+function push2(value) {
+  if (value > 0xffff) {
+    throw new Error(`Probe operand too large: ${value}`);
+  }
+  return '61' + value.toString(16).padStart(4, '0');
+}
+
+/**
+ * Creation code that deploys `initcode` and returns the 32-byte results of the given getters
+ *
+ *   CODECOPY initcode -> CREATE -> (revert if it failed)
+ *   for each selector: MSTORE selector, STATICCALL -> memory[32 + 32 * i] (revert if it failed)
+ *   RETURN memory[32 .. 32 + 32 * n]
+ */
+function buildConstantsProbe(initcode, selectors) {
+  const code = initcode.replace(/^0x/, '');
+
+  const assemble = (probeSize, revertAt) => {
+    let probe = push2(code.length / 2) + '80' + push2(probeSize) + '6000' + '39' // CODECOPY(0, probeSize, n)
+      + '6000' + '6000' + 'f0' // CREATE(0, 0, n)
+      + '80' + '15' + push2(revertAt) + '57'; // JUMPI revert if the address is 0
+
+    selectors.forEach((selector, index) => {
+      probe += '63' + selector.replace(/^0x/, '') + '60e0' + '1b' + '6000' + '52' // MSTORE(0, selector << 224)
+        + '6020' + push2(32 + 32 * index) + '6004' + '6000' + '84' + '5a' + 'fa' // STATICCALL(gas, trap, 0, 4, out, 32)
+        + '15' + push2(revertAt) + '57'; // JUMPI revert if the call failed
+    });
+
+    return probe
+      + push2(32 * selectors.length) + '6020' + 'f3' // RETURN(32, 32 * n)
+      + '5b' + '6000' + '80' + 'fd'; // revert: JUMPDEST, REVERT(0, 0)
+  };
+
+  // Operands are fixed width, so a first pass gives the probe size
+  const probeSize = assemble(0, 0).length / 2;
+  return '0x' + assemble(probeSize, probeSize - 5) + code;
+}
+
+/**
+ * Read constant getters from a compiled contract without deploying it
+ * @returns {Promise<Object>} { NAME: value }
+ */
+async function readCompiledConstants(provider, contractName, names) {
+  const artifact = loadArtifact(contractName);
+  const bytecode = artifact && artifact.bytecode && (artifact.bytecode.object || artifact.bytecode);
+  if (typeof bytecode !== 'string' || bytecode.replace(/^0x/, '') === '') {
+    throw new CliError(`No bytecode for ${contractName}. Run 'forge build' in contracts/`, EXIT_CODES.CONFIG);
+  }
+
+  const iface = new ethers.utils.Interface(names.map(name => `function ${name}() view returns (${CONSTANT_TYPES[name]})`));
+  const selectors = names.map(name => iface.getSighash(name));
+
+  let result;
+  try {
+    result = await provider.call({ data: buildConstantsProbe(bytecode, selectors) });
+  } catch (error) {
+    throw new CliError(`Could not read the compiled constants of ${contractName}: ${error.reason || error.message}`, EXIT_CODES.ERROR);
+  }
+
+  const values = {};
+  names.forEach((name, index) => {
+    const word = ethers.utils.hexDataSlice(result, 32 * index, 32 * (index + 1));
+    [values[name]] = iface.decodeFunctionResult(name, word);
+  });
+  return values;
+}
+
+/**
+ * Whether a compiled / source value equals the expected one
+ */
+function sameConstant(name, actual, expected) {
+  return formatConstant(name, actual).toLowerCase() === formatConstant(name, expected).toLowerCase();
+}
+
+module.exports = {
+  CONTRACTS_DIR,
+  CONSTANT_SOURCES,
+  readPair,
+  findLaunchBlock,
+  readTrapConfig,
+  formatConstant,
+  readSourceConstants,
+  renderConstants,
+  getSourcePath,
+  buildConstantsProbe,
+  readCompiledConstants,
+  sameConstant
+};
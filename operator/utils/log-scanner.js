@@ -0,0 +1,101 @@
+/**
+ * Chunked eth_getLogs with adaptive range splitting
+ *
+ * RPC providers cap getLogs by block range or by result count and reject the
+ * whole request once the cap is hit. The scanner walks a range in chunks,
+ * halves the chunk whenever the provider says it is too large, and grows it
+ * back after a run of successful requests.
+ */
+
+const DEFAULT_CHUNK_SIZE = 2000;
+const GROW_AFTER_SUCCESSES = 5; // Successful chunks before the chunk size is doubled again
+
+// Provider messages meaning "ask for fewer blocks" (Geth, Erigon, Alchemy, Infura, QuickNode, publicnode...)
+const RANGE_TOO_LARGE_PATTERNS = [
+  /more than \d+ (results|logs)/i,
+  /too many (results|logs)/i,
+  /response size (exceeded|is larger|should not)/i,
+  /block range (is )?too (large|wide)/i,
+  /exceed(s|ed)? (the )?max(imum)? (block )?range/i,
+  /range (is )?too large/i,
+  /limit exceeded/i,
+  /query timeout exceeded/i
+];
+
+/**
+ * Check whether an error means the requested block range should be smaller
+ */
+function isRangeTooLargeError(error) {
+  const nested = error && error.error;
+  const messages = [
+    error && error.message,
+    error && error.reason,
+    error && error.body,
+    nested && nested.message
+  ].filter(Boolean).join(' ');
+
+  return (nested && nested.code === -32005) || RANGE_TOO_LARGE_PATTERNS.some(pattern => pattern.test(messages));
+}
+
+class LogScanner {
+  /**
+   * @param {Object} options
+   * @param {number} options.chunkSize - Largest range requested at once
+   */
+  constructor({ chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+    this.maxChunkSize = chunkSize;
+    this.chunkSize = chunkSize; // Current size, remembered between scans
+    this.splits = 0;
+    this.successes = 0;
+  }
+
+  /**
+   * Fetch logs for [fromBlock, toBlock]
+   * @param {Function} fetchRange - (fromBlock, toBlock) => Promise<Array>, e.g. contract.queryFilter
+   * @param {Object} options
+   * @param {number} options.limit - Stop after the chunk in which this many logs have been found
+   * @returns {Promise<Array>} Logs from every chunk, in block order
+   */
+  async scan(fetchRange, fromBlock, toBlock, { limit = Infinity } = {}) {
+    const logs = [];
+    let start = fromBlock;
+
+    while (start <= toBlock && logs.length < limit) {
+      const end = Math.min(toBlock, start + this.chunkSize - 1);
+
+      try {
+        logs.push(...await fetchRange(start, end));
+        start = end + 1;
+
+        if (++this.successes >= GROW_AFTER_SUCCESSES) {
+          this.chunkSize = Math.min(this.maxChunkSize, this.chunkSize * 2);
+          this.successes = 0;
+        }
+      } catch (error) {
+        if (end === start || !isRangeTooLargeError(error)) {
+          throw error;
+        }
+        this.chunkSize = Math.max(1, Math.floor((end - start + 1) / 2));
+        this.successes = 0;
+        this.splits++;
+      }
+    }
+
+    return logs;
+  }
+}
+
+/**
+ * Scanner whose largest chunk is MONITOR_LOG_CHUNK_SIZE (DEFAULT_CHUNK_SIZE when unset or invalid)
+ */
+function createScanner() {
+  const chunkSize = parseInt(process.env.MONITOR_LOG_CHUNK_SIZE, 10);
+  return new LogScanner({ chunkSize: Number.isNaN(chunkSize) || chunkSize < 1 ? DEFAULT_CHUNK_SIZE : chunkSize });
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  LogScanner,
+  createScanner,
+  isRangeTooLargeError
+};
@@ -1,15 +1,168 @@
 /**
- * Simple colored logger for console output
+ * Colored logger for console output with an optional structured mode
  * Uses chalk for colors
+ *
+ * Environment:
+ * - LOG_LEVEL: debug, info, warn, error, silent (default info, or debug when DEBUG=true)
+ * - LOG_FORMAT: pretty (default) or json - one JSON record per line
+ * - LOG_STREAM: stdout (default) or stderr, e.g. to keep stdout for a command's data
+ * - LOG_FILE: also append JSON records to this file, rotated by size
+ * - LOG_FILE_MAX_SIZE / LOG_FILE_MAX_FILES: rotation limits (bytes / rotated files kept)
  */
 
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
 const chalk = require('chalk');
+const { toJSON } = require('./cli');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+const LEVEL_ALIASES = {
+  warning: 'warn'
+};
+
+const STREAMS = ['stdout', 'stderr'];
+
+// Console writing everything to stderr, for LOG_STREAM=stderr
+const stderrConsole = new console.Console({ stdout: process.stderr, stderr: process.stderr });
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+const DEFAULT_MAX_FILES = 5;
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Append-only JSON-lines file with size-based rotation
+ * app.log -> app.log.1 -> app.log.2 ... up to maxFiles rotated files
+ */
+class FileSink {
+  constructor(filePath, { maxSize = DEFAULT_MAX_FILE_SIZE, maxFiles = DEFAULT_MAX_FILES } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+    this.size = null;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  /**
+   * Write one record as a JSON line
+   */
+  write(record) {
+    const line = JSON.stringify(record) + '\n';
+    const bytes = Buffer.byteLength(line);
+
+    this._rotateIfNeeded(bytes);
+    fs.appendFileSync(this.filePath, line);
+    this.size += bytes;
+  }
+
+  /**
+   * Shift rotated files up by one and start a fresh file when the next write would overflow
+   */
+  _rotateIfNeeded(incomingBytes) {
+    if (this.size === null) {
+      this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+    }
+
+    if (this.size === 0 || this.size + incomingBytes <= this.maxSize) {
+      return;
+    }
+
+    if (this.maxFiles > 0) {
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        const from = `${this.filePath}.${i}`;
+        if (fs.existsSync(from)) {
+          fs.renameSync(from, `${this.filePath}.${i + 1}`);
+        }
+      }
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      fs.unlinkSync(this.filePath);
+    }
+
+    this.size = 0;
+  }
+}
 
 class Logger {
-  constructor(prefix = '') {
+  /**
+   * @param {string} prefix - Shown before messages in pretty mode
+   * @param {object} context - Fields added to every structured record (network, trap, block...)
+   * @param {object} shared - Settings and sinks shared with child loggers
+   */
+  constructor(prefix = '', context = {}, shared = null) {
     this.prefix = prefix;
+    this.context = context;
+    this.shared = shared || { level: null, format: null, stream: null, sinks: null };
+  }
+
+  /**
+   * Create a logger that adds context fields to every record
+   */
+  child(context = {}, prefix = this.prefix) {
+    return new Logger(prefix, { ...this.context, ...context }, this.shared);
   }
 
+  /**
+   * Override level, format, stream or file sink (otherwise read from the environment)
+   */
+  configure({ level, format, stream, file, maxSize, maxFiles } = {}) {
+    if (level !== undefined) this.shared.level = level;
+    if (format !== undefined) this.shared.format = format;
+    if (stream !== undefined) this.shared.stream = stream;
+    if (file !== undefined) {
+      this.shared.sinks = file ? [new FileSink(file, { maxSize, maxFiles })] : [];
+    }
+  }
+
+  /**
+   * Add an extra sink - any object with a write(record) method
+   */
+  addSink(sink) {
+    this._sinks().push(sink);
+  }
+
+  /**
+   * Current minimum level name
+   */
+  getLevel() {
+    const level = (this.shared.level || process.env.LOG_LEVEL || (process.env.DEBUG === 'true' ? 'debug' : 'info')).toLowerCase();
+    const name = LEVEL_ALIASES[level] || level;
+    return LEVELS[name] !== undefined ? name : 'info';
+  }
+
+  /**
+   * Whether records are printed as JSON lines
+   */
+  isJson() {
+    return (this.shared.format || process.env.LOG_FORMAT || 'pretty').toLowerCase() === 'json';
+  }
+
+  /**
+   * Stream console output goes to: stdout or stderr
+   */
+  getStream() {
+    const stream = (this.shared.stream || process.env.LOG_STREAM || 'stdout').toLowerCase();
+    return STREAMS.includes(stream) ? stream : 'stdout';
+  }
+
+  /**
+   * Check if a level would be written
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.getLevel()];
+  }
+
+  // ==================== INTERNALS ====================
+
   /**
    * Format message with optional prefix
    */
@@ -20,80 +173,175 @@ class Logger {
     return message;
   }
 
+  /**
+   * Console for the configured stream
+   */
+  _console() {
+    return this.getStream() === 'stderr' ? stderrConsole : console;
+  }
+
+  /**
+   * File sinks, created from LOG_FILE on first use
+   */
+  _sinks() {
+    if (this.shared.sinks === null) {
+      this.shared.sinks = [];
+      if (process.env.LOG_FILE) {
+        this.shared.sinks.push(new FileSink(process.env.LOG_FILE, {
+          maxSize: parseInt(process.env.LOG_FILE_MAX_SIZE || DEFAULT_MAX_FILE_SIZE, 10),
+          maxFiles: parseInt(process.env.LOG_FILE_MAX_FILES || DEFAULT_MAX_FILES, 10)
+        }));
+      }
+    }
+    return this.shared.sinks;
+  }
+
+  /**
+   * Build a structured record
+   */
+  _record(level, message, args = [], fields = {}) {
+    const record = {
+      time: new Date().toISOString(),
+      level
+    };
+
+    if (this.prefix) {
+      record.logger = this.prefix;
+    }
+
+    if (message !== undefined) {
+      const text = util.format(message, ...args.map(toJSON));
+      record.msg = text.replace(ANSI_PATTERN, '').trim();
+    }
+
+    return { ...record, ...toJSON(this.context), ...toJSON(fields) };
+  }
+
+  /**
+   * Send a record to the sinks and the console
+   * @param {Function} pretty - Prints the human-readable version
+   */
+  _emit(level, message, args, fields, pretty) {
+    if (!this.isEnabled(level)) return;
+
+    const sinks = this._sinks();
+    const json = this.isJson();
+
+    if (sinks.length > 0 || json) {
+      const record = this._record(level, message, args, fields);
+      for (const sink of sinks) {
+        sink.write(record);
+      }
+      if (json) {
+        this._console().log(JSON.stringify(record));
+        return;
+      }
+    }
+
+    pretty();
+  }
+
+  /**
+   * Console-only output with no structured equivalent (separators, blank lines)
+   */
+  _decoration(print) {
+    if (this.isEnabled('info') && !this.isJson()) {
+      print();
+    }
+  }
+
+  // ==================== LOG METHODS ====================
+
   /**
    * Info message (blue)
    */
   info(message, ...args) {
-    console.log(chalk.blue('ℹ'), this._formatMessage(message), ...args);
+    this._emit('info', message, args, {}, () => {
+      this._console().log(chalk.blue('ℹ'), this._formatMessage(message), ...args);
+    });
   }
 
   /**
    * Success message (green)
    */
   success(message, ...args) {
-    console.log(chalk.green('✓'), this._formatMessage(message), ...args);
+    this._emit('info', message, args, { status: 'success' }, () => {
+      this._console().log(chalk.green('✓'), this._formatMessage(message), ...args);
+    });
   }
 
   /**
    * Warning message (yellow)
    */
   warning(message, ...args) {
-    console.log(chalk.yellow('⚠'), this._formatMessage(message), ...args);
+    this._emit('warn', message, args, {}, () => {
+      this._console().log(chalk.yellow('⚠'), this._formatMessage(message), ...args);
+    });
   }
 
   /**
    * Error message (red)
    */
   error(message, ...args) {
-    console.log(chalk.red('✗'), this._formatMessage(message), ...args);
+    this._emit('error', message, args, {}, () => {
+      this._console().log(chalk.red('✗'), this._formatMessage(message), ...args);
+    });
   }
 
   /**
-   * Debug message (gray) - only shows if DEBUG=true
+   * Debug message (gray) - only shows at LOG_LEVEL=debug or DEBUG=true
    */
   debug(message, ...args) {
-    if (process.env.DEBUG === 'true') {
-      console.log(chalk.gray('→'), this._formatMessage(message), ...args);
-    }
+    this._emit('debug', message, args, {}, () => {
+      this._console().log(chalk.gray('→'), this._formatMessage(message), ...args);
+    });
   }
 
   /**
    * Header with separator
    */
   header(message) {
-    console.log('');
-    console.log(chalk.bold.cyan('═'.repeat(60)));
-    console.log(chalk.bold.cyan(`  ${message}`));
-    console.log(chalk.bold.cyan('═'.repeat(60)));
-    console.log('');
+    this._emit('info', message, [], { type: 'header' }, () => {
+      this._console().log('');
+      this._console().log(chalk.bold.cyan('═'.repeat(60)));
+      this._console().log(chalk.bold.cyan(`  ${message}`));
+      this._console().log(chalk.bold.cyan('═'.repeat(60)));
+      this._console().log('');
+    });
   }
 
   /**
    * Simple separator line
    */
   separator() {
-    console.log(chalk.gray('─'.repeat(60)));
+    this._decoration(() => this._console().log(chalk.gray('─'.repeat(60))));
   }
 
   /**
    * Table output
    */
   table(data) {
-    console.table(data);
+    this._emit('info', undefined, [], { type: 'table', data }, () => {
+      this._console().table(data);
+    });
   }
 
   /**
    * JSON output (formatted)
    */
   json(data) {
-    console.log(JSON.stringify(data, null, 2));
+    this._emit('info', undefined, [], { type: 'json', data }, () => {
+      this._console().log(JSON.stringify(data, null, 2));
+    });
   }
 
   /**
    * Custom colored message
    */
   custom(color, symbol, message, ...args) {
-    console.log(chalk[color](symbol), this._formatMessage(message), ...args);
+    this._emit('info', message, args, {}, () => {
+      this._console().log(chalk[color](symbol), this._formatMessage(message), ...args);
+    });
   }
 
   /**
@@ -101,15 +349,17 @@ class Logger {
    */
   progress(message, current, total) {
     const percentage = Math.floor((current / total) * 100);
-    const bar = '█'.repeat(Math.floor(percentage / 5)) + '░'.repeat(20 - Math.floor(percentage / 5));
-    console.log(chalk.cyan(`${message} [${bar}] ${percentage}%`));
+    this._emit('info', message, [], { type: 'progress', current, total, percent: percentage }, () => {
+      const bar = '█'.repeat(Math.floor(percentage / 5)) + '░'.repeat(20 - Math.floor(percentage / 5));
+      this._console().log(chalk.cyan(`${message} [${bar}] ${percentage}%`));
+    });
   }
 
   /**
    * Blank line
    */
   blank() {
-    console.log('');
+    this._decoration(() => this._console().log(''));
   }
 }
 
@@ -118,4 +368,6 @@ const defaultLogger = new Logger();
 
 // Export both class and instance
 module.exports = defaultLogger;
-module.exports.Logger = Logger;
\ No newline at end of file
+module.exports.Logger = Logger;
+module.exports.FileSink = FileSink;
+module.exports.LEVELS = LEVELS;
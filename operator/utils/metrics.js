@@ -0,0 +1,305 @@
+/**
+ * Prometheus metrics for the launch monitor
+ *
+ * Every metric carries network, trap and pool labels so several monitors can
+ * be scraped into the same Prometheus. Served as text on /metrics by
+ * startMetricsServer() when METRICS_PORT (or --metrics-port) is set.
+ */
+
+const http = require('http');
+const client = require('prom-client');
+const { ethers } = require('ethers');
+const { getEndpointStats } = require('./rpc-provider');
+
+const PREFIX = 'guardian_';
+const SWAPS_PER_BLOCK_BUCKETS = [0, 1, 2, 3, 5, 10, 20, 50];
+const COLLECT_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const GAS_PRICE_PERCENTILES = [0.5, 0.9, 0.99];
+const DEFAULT_HOST = '127.0.0.1';
+
+/**
+ * Metric label for the nth RPC endpoint in use (in getRpcUrls() order)
+ */
+function endpointLabel(index) {
+  return `rpc${index}`;
+}
+
+class MonitorMetrics {
+  /**
+   * @param {Object} labels - { network, trap, pool }
+   * @param {client.Registry} registry
+   */
+  constructor({ network, trap, pool }, registry = new client.Registry()) {
+    this.registry = registry;
+    this.registry.setDefaultLabels({ network, trap: trap.toLowerCase(), pool: pool.toLowerCase() });
+
+    // Wallet balances built from swaps, for max wallet share
+    this.holdings = new Map();
+    this.buyers = new Set();
+    this.totalSupply = null;
+
+    const registers = [this.registry];
+
+    this.blockSwaps = new client.Histogram({
+      name: `${PREFIX}block_swaps`,
+      help: 'Swaps per processed block',
+      buckets: SWAPS_PER_BLOCK_BUCKETS,
+      registers
+    });
+    this.swaps = new client.Counter({
+      name: `${PREFIX}swaps_total`,
+      help: 'Swaps seen on the pool',
+      labelNames: ['side'],
+      registers
+    });
+    this.volumeEth = new client.Counter({
+      name: `${PREFIX}volume_eth_total`,
+      help: 'ETH paid into the pool by buys',
+      labelNames: ['side'],
+      registers
+    });
+    this.volumeTokens = new client.Counter({
+      name: `${PREFIX}volume_tokens_total`,
+      help: 'Tokens moved through the pool',
+      labelNames: ['side'],
+      registers
+    });
+    this.uniqueBuyers = new client.Gauge({
+      name: `${PREFIX}unique_buyers`,
+      help: 'Distinct addresses that bought since launch',
+      registers
+    });
+    this.maxWalletShare = new client.Gauge({
+      name: `${PREFIX}max_wallet_share_percent`,
+      help: 'Largest share of total supply bought by one address (buys minus sells)',
+      registers
+    });
+    this.gasPrice = new client.Summary({
+      name: `${PREFIX}swap_gas_price_gwei`,
+      help: 'Gas price of swaps, over a sliding 10 minute window',
+      percentiles: GAS_PRICE_PERCENTILES,
+      maxAgeSeconds: 600,
+      ageBuckets: 5,
+      registers
+    });
+    this.detections = new client.Counter({
+      name: `${PREFIX}detections_total`,
+      help: 'Responder incidents by detection type',
+      labelNames: ['detection_type'],
+      registers
+    });
+    this.collectDuration = new client.Histogram({
+      name: `${PREFIX}collect_duration_seconds`,
+      help: 'Latency of trap collect() calls',
+      buckets: COLLECT_DURATION_BUCKETS,
+      registers
+    });
+    this.collectFailures = new client.Counter({
+      name: `${PREFIX}collect_failures_total`,
+      help: 'Failed trap collect() calls',
+      registers
+    });
+    this.headLag = new client.Gauge({
+      name: `${PREFIX}head_lag_blocks`,
+      help: 'Blocks between the chain head and the last processed block',
+      registers
+    });
+    this.lastProcessedBlock = new client.Gauge({
+      name: `${PREFIX}last_processed_block`,
+      help: 'Last block the monitor fully processed',
+      registers
+    });
+
+    // RPC counters are read from the shared endpoint stats at scrape time. URLs
+    // often embed API keys, so endpoints are labelled by position (rpc0 = primary)
+    this.rpcRequests = new client.Counter({
+      name: `${PREFIX}rpc_requests_total`,
+      help: 'JSON-RPC requests per endpoint',
+      labelNames: ['endpoint'],
+      registers,
+      collect() {
+        this.reset();
+        getEndpointStats().forEach((stats, index) => {
+          this.inc({ endpoint: endpointLabel(index) }, stats.requests);
+        });
+      }
+    });
+    this.rpcErrors = new client.Counter({
+      name: `${PREFIX}rpc_errors_total`,
+      help: 'Failed JSON-RPC requests per endpoint',
+      labelNames: ['endpoint'],
+      registers,
+      collect() {
+        this.reset();
+        getEndpointStats().forEach((stats, index) => {
+          this.inc({ endpoint: endpointLabel(index) }, stats.failures);
+        });
+      }
+    });
+  }
+
+  /**
+   * Rebuild the store-derived metrics from stored records (after a restart or a reorg)
+   * Swap, volume and detection counters restart from the store, so records
+   * rolled back by a reorg no longer count.
+   * @param {Object[]} records - Event store records
+   * @param {BigNumber} totalSupply - Token supply for max wallet share (default: the last one seen)
+   */
+  seed(records, totalSupply) {
+    this.holdings.clear();
+    this.buyers.clear();
+    for (const counter of [this.swaps, this.volumeEth, this.volumeTokens, this.detections]) {
+      counter.reset();
+    }
+
+    for (const record of records) {
+      if (record.type === 'swap') {
+        this._countBuy({
+          buyer: record.buyer,
+          ethAmount: ethers.BigNumber.from(record.ethAmount),
+          tokenAmount: ethers.BigNumber.from(record.tokenAmount)
+        });
+      } else if (record.type === 'sell') {
+        this._countSell({
+          seller: record.seller,
+          ethAmount: ethers.BigNumber.from(record.ethAmount || 0),
+          tokenAmount: ethers.BigNumber.from(record.tokenAmount)
+        });
+      } else if (record.type === 'detection') {
+        this.recordDetection(record.detectionTypeName);
+      }
+    }
+
+    this.uniqueBuyers.set(this.buyers.size);
+    this._updateMaxWalletShare(totalSupply);
+  }
+
+  observeBlock(swapCount) {
+    this.blockSwaps.observe(swapCount);
+  }
+
+  recordBuy({ buyer, ethAmount, tokenAmount, gasPrice }, totalSupply) {
+    this._countBuy({ buyer, ethAmount, tokenAmount });
+    this.gasPrice.observe(Number(ethers.utils.formatUnits(gasPrice, 'gwei')));
+
+    this.uniqueBuyers.set(this.buyers.size);
+    this._updateMaxWalletShare(totalSupply);
+  }
+
+  recordSell({ seller, ethAmount, tokenAmount }, totalSupply) {
+    this._countSell({ seller, ethAmount, tokenAmount });
+    this._updateMaxWalletShare(totalSupply);
+  }
+
+  /**
+   * A responder LaunchGuardianIncident
+   */
+  recordDetection(detectionTypeName = 'UNKNOWN') {
+    this.detections.inc({ detection_type: detectionTypeName });
+  }
+
+  recordCollect(durationSeconds, ok) {
+    this.collectDuration.observe(durationSeconds);
+    if (!ok) {
+      this.collectFailures.inc();
+    }
+  }
+
+  setProgress(headBlock, lastProcessedBlock) {
+    this.lastProcessedBlock.set(lastProcessedBlock);
+    this.headLag.set(Math.max(0, headBlock - lastProcessedBlock));
+  }
+
+  /**
+   * Prometheus text exposition
+   */
+  metrics() {
+    return this.registry.metrics();
+  }
+
+  _countBuy({ buyer, ethAmount, tokenAmount }) {
+    this.swaps.inc({ side: 'buy' });
+    this.volumeEth.inc({ side: 'buy' }, Number(ethers.utils.formatEther(ethAmount)));
+    this.volumeTokens.inc({ side: 'buy' }, Number(ethers.utils.formatEther(tokenAmount)));
+    this.buyers.add(buyer.toLowerCase());
+    this._addHolding(buyer, tokenAmount);
+  }
+
+  _countSell({ seller, ethAmount, tokenAmount }) {
+    this.swaps.inc({ side: 'sell' });
+    this.volumeEth.inc({ side: 'sell' }, Number(ethers.utils.formatEther(ethAmount)));
+    this.volumeTokens.inc({ side: 'sell' }, Number(ethers.utils.formatEther(tokenAmount)));
+    this._addHolding(seller, tokenAmount.mul(-1));
+  }
+
+  _addHolding(address, amount) {
+    const key = address.toLowerCase();
+    const current = this.holdings.get(key) || ethers.constants.Zero;
+    this.holdings.set(key, current.add(amount));
+  }
+
+  _updateMaxWalletShare(totalSupply) {
+    if (totalSupply) {
+      this.totalSupply = ethers.BigNumber.from(totalSupply);
+    }
+    if (!this.totalSupply || this.totalSupply.isZero()) {
+      return;
+    }
+
+    let max = ethers.constants.Zero;
+    for (const amount of this.holdings.values()) {
+      if (amount.gt(max)) max = amount;
+    }
+    this.maxWalletShare.set(max.mul(10000).div(this.totalSupply).toNumber() / 100);
+  }
+}
+
+/**
+ * Serve /metrics for a MonitorMetrics instance
+ * Listens on localhost unless a host (METRICS_HOST) is given
+ * @returns {Promise<http.Server>}
+ */
+function startMetricsServer(metrics, port, host = DEFAULT_HOST) {
+  const server = http.createServer(async (request, response) => {
+    if (request.url === '/metrics') {
+      try {
+        const body = await metrics.metrics();
+        response.writeHead(200, { 'Content-Type': metrics.registry.contentType });
+        response.end(body);
+      } catch (error) {
+        response.writeHead(500, { 'Content-Type': 'text/plain' });
+        response.end(error.message);
+      }
+      return;
+    }
+
+    response.writeHead(request.url === '/health' ? 200 : 404, { 'Content-Type': 'text/plain' });
+    response.end(request.url === '/health' ? 'ok' : 'not found');
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+/**
+ * Metrics port from --metrics-port / METRICS_PORT, or null when disabled
+ */
+function getMetricsPort(value = process.env.METRICS_PORT) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const port = parseInt(value, 10);
+  if (Number.isNaN(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid metrics port: ${value}`);
+  }
+  return port;
+}
+
+module.exports = {
+  MonitorMetrics,
+  endpointLabel,
+  startMetricsServer,
+  getMetricsPort
+};
@@ -0,0 +1,143 @@
+/**
+ * Table / JSON / CSV output for report commands
+ *
+ * Reports are arrays of flat rows. Table output goes through the logger; JSON
+ * and CSV are written to --output or, without it, to stdout (the CLI moves
+ * human-readable output to stderr in that case). Test results (guardian suite)
+ * can also be rendered as JUnit XML for CI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { EXIT_CODES, CliError, toJSON } = require('./cli');
+
+const REPORT_FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * Validate a --format value (default table)
+ */
+function getReportFormat(value) {
+  const format = (value || 'table').toLowerCase();
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new CliError(`Unknown format '${value}'. Available: ${REPORT_FORMATS.join(', ')}`, EXIT_CODES.USAGE);
+  }
+  return format;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV (RFC 4180 quoting, arrays joined with spaces)
+ * @param {Object[]} rows
+ * @param {string[]} columns - Defaults to the keys of the first row
+ */
+function toCsv(rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) {
+  const lines = [columns.map(csvValue).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvValue(toJSON(row[column]))).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render test results as JUnit XML
+ * @param {string} name - Name of the <testsuites> element
+ * @param {Object[]} suites - { name, time, cases: [{ name, classname, time, failure, error }] };
+ *   time in seconds, failure / error are messages (a case with neither passed)
+ */
+function toJUnit(name, suites) {
+  const count = (cases, key) => cases.filter(testCase => testCase[key]).length;
+  const all = suites.flatMap(suite => suite.cases);
+  const seconds = time => (time || 0).toFixed(3);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xmlEscape(name)}" tests="${all.length}" failures="${count(all, 'failure')}" errors="${count(all, 'error')}" ` +
+      `time="${seconds(suites.reduce((total, suite) => total + (suite.time || 0), 0))}">`
+  ];
+
+  for (const suite of suites) {
+    lines.push(`  <testsuite name="${xmlEscape(suite.name)}" tests="${suite.cases.length}" failures="${count(suite.cases, 'failure')}" ` +
+      `errors="${count(suite.cases, 'error')}" time="${seconds(suite.time)}">`);
+
+    for (const testCase of suite.cases) {
+      const attributes = `name="${xmlEscape(testCase.name)}" classname="${xmlEscape(testCase.classname || suite.name)}" time="${seconds(testCase.time)}"`;
+      if (testCase.failure) {
+        lines.push(`    <testcase ${attributes}>`, `      <failure message="${xmlEscape(testCase.failure)}"/>`, '    </testcase>');
+      } else if (testCase.error) {
+        lines.push(`    <testcase ${attributes}>`, `      <error message="${xmlEscape(testCase.error)}"/>`, '    </testcase>');
+      } else {
+        lines.push(`    <testcase ${attributes}/>`);
+      }
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write a report body to a file, creating its directory
+ */
+function writeFile(output, body) {
+  fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+  fs.writeFileSync(output, body);
+}
+
+/**
+ * Write a report
+ * @param {Object[]} rows
+ * @param {Object} options
+ * @param {string} options.format - table, json or csv
+ * @param {string} options.output - File for json / csv output (stdout when omitted)
+ * @param {string[]} options.columns - CSV columns
+ * @param {Function} options.tableRow - Row mapper for the (narrower) table view
+ */
+function writeReport(rows, { format = 'table', output, columns, tableRow = row => row } = {}) {
+  format = getReportFormat(format);
+
+  if (format === 'table') {
+    if (rows.length > 0) {
+      logger.table(rows.map(tableRow));
+    }
+    return;
+  }
+
+  const body = format === 'csv'
+    ? toCsv(rows, columns)
+    : JSON.stringify(toJSON(rows), null, 2) + '\n';
+
+  if (!output) {
+    process.stdout.write(body);
+    return;
+  }
+
+  writeFile(output, body);
+  logger.success(`Wrote ${rows.length} row(s) to ${output}`);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  getReportFormat,
+  toCsv,
+  toJUnit,
+  writeFile,
+  writeReport
+};
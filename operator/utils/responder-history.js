@@ -0,0 +1,170 @@
+/**
+ * Responder event history
+ *
+ * The responders keep little enumerable state, so reports rebuild their history
+ * from events. Logs are scanned from the responder's deployment block, which is
+ * taken from --from-block, RESPONDER_DEPLOY_BLOCK or found by binary search
+ * over eth_getCode (needs an archive-capable RPC).
+ */
+
+const { ethers } = require('ethers');
+const { createScanner } = require('./log-scanner');
+const { EXIT_CODES, CliError } = require('./cli');
+const { DETECTION_TYPES, getDetectionTypeName } = require('./advanced-detector');
+const { strategyContracts } = require('../config/abis');
+const { getDecoder } = require('./collect-decoders');
+
+const INCIDENT_BATCH_SIZE = 10; // getIncident() calls in flight at once
+
+/**
+ * First block at which `address` has code
+ * @returns {Promise<number|null>} null when there is no code at the head
+ */
+async function findDeploymentBlock(provider, address, toBlock) {
+  const head = toBlock !== undefined ? toBlock : await provider.getBlockNumber();
+  if (await provider.getCode(address, head) === '0x') {
+    return null;
+  }
+
+  let low = 0;
+  let high = head;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (await provider.getCode(address, middle) === '0x') {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Block to start scanning responder events from
+ * @param {string|number} fromBlock - Explicit --from-block value
+ */
+async function resolveHistoryStart(provider, address, fromBlock) {
+  // RESPONDER_DEPLOY_BLOCK describes RESPONDER_ADDRESS only, not other responders being compared
+  const configured = process.env.RESPONDER_ADDRESS;
+  if (fromBlock === undefined && configured && configured.toLowerCase() === address.toLowerCase()) {
+    fromBlock = process.env.RESPONDER_DEPLOY_BLOCK;
+  }
+
+  if (fromBlock !== undefined && fromBlock !== '') {
+    const block = parseInt(fromBlock, 10);
+    if (Number.isNaN(block) || block < 0) {
+      throw new CliError(`Invalid start block: ${fromBlock}`, EXIT_CODES.USAGE);
+    }
+    return block;
+  }
+
+  let deploymentBlock;
+  try {
+    deploymentBlock = await findDeploymentBlock(provider, address);
+  } catch (error) {
+    throw new CliError(
+      `Could not find the deployment block of ${address} (${error.message}); pass --from-block or set RESPONDER_DEPLOY_BLOCK`,
+      EXIT_CODES.CONFIG
+    );
+  }
+
+  if (deploymentBlock === null) {
+    throw new CliError(`No contract code at ${address}`, EXIT_CODES.CONFIG);
+  }
+  return deploymentBlock;
+}
+
+/**
+ * Tell FairLaunchResponderAdvanced from FairLaunchResponder by probing an Advanced-only view
+ * @returns {Promise<boolean>} true for the Advanced responder
+ */
+async function isAdvancedResponder(provider, address) {
+  const probe = new ethers.Contract(address, ['function getConfidenceThresholds() external view returns (uint256, uint256, uint256)'], provider);
+  try {
+    await probe.getConfidenceThresholds();
+    return true;
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch responder events over a block range
+ * @param {ethers.Contract} responder
+ * @param {string[]} eventNames - Events to fetch; names missing from the ABI are skipped
+ * @returns {Promise<Object>} { [eventName]: logs in block order }
+ */
+async function scanResponderEvents(responder, eventNames, fromBlock, toBlock, scanner = createScanner()) {
+  const events = {};
+
+  for (const name of eventNames) {
+    events[name] = responder.filters[name]
+      ? await scanner.scan((from, to) => responder.queryFilter(responder.filters[name](), from, to), fromBlock, toBlock)
+      : [];
+  }
+
+  return events;
+}
+
+/**
+ * Read stored incidents 0..total-1 with getIncident(index)
+ */
+async function readIncidents(responder, total) {
+  const incidents = [];
+
+  for (let start = 0; start < total; start += INCIDENT_BATCH_SIZE) {
+    const indexes = [];
+    for (let index = start; index < Math.min(total, start + INCIDENT_BATCH_SIZE); index++) {
+      indexes.push(index);
+    }
+    incidents.push(...await Promise.all(indexes.map(index => responder.getIncident(index))));
+  }
+
+  return incidents;
+}
+
+/**
+ * Name of an incident's detection type: the codes are per trap, so a STRATEGY
+ * naming a v2 trap uses its table, anything else the Advanced trap's
+ */
+function getIncidentTypeName(type, strategy = process.env.STRATEGY) {
+  const key = (strategy || '').toLowerCase();
+  return strategyContracts[key]
+    ? getDecoder(key).detectionTypes[Number(type)] || `TYPE_${type}`
+    : getDetectionTypeName(type);
+}
+
+/**
+ * Parse a detection type given by name (WASH_TRADING, wash-trading) or number
+ * @returns {number}
+ */
+function parseDetectionType(value) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text) && getDetectionTypeName(text) !== 'UNKNOWN') {
+    return Number(text);
+  }
+
+  const name = text.toUpperCase().replace(/-/g, '_');
+  if (name in DETECTION_TYPES) {
+    return DETECTION_TYPES[name];
+  }
+
+  throw new CliError(
+    `Unknown detection type '${value}'. Available: ${Object.entries(DETECTION_TYPES).map(([typeName, code]) => `${code}=${typeName}`).join(', ')}`,
+    EXIT_CODES.USAGE
+  );
+}
+
+module.exports = {
+  findDeploymentBlock,
+  resolveHistoryStart,
+  isAdvancedResponder,
+  scanResponderEvents,
+  readIncidents,
+  parseDetectionType,
+  getDetectionTypeName,
+  getIncidentTypeName
+};
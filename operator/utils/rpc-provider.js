@@ -0,0 +1,283 @@
+/**
+ * Multi-RPC provider with per-endpoint health scoring
+ *
+ * Wraps every RPC URL in a tracked StaticJsonRpcProvider that records latency
+ * and failures, and combines them with ethers' FallbackProvider. Endpoints are
+ * ordered by health score for reads, and an endpoint that keeps failing is
+ * skipped for a cooldown period so the fallback moves on immediately instead of
+ * stalling. Transactions are only sent through the first (primary) URL.
+ *
+ * Environment:
+ * - RPC_TIMEOUT: per-request timeout in ms (default 10000)
+ * - RPC_STALL_TIMEOUT: ms before the next endpoint is tried in parallel (default 2000)
+ * - RPC_QUORUM: endpoints that must agree on a result (default 1 = plain failover)
+ */
+
+const { ethers } = require('ethers');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_STALL_TIMEOUT_MS = 2000;
+const DEFAULT_QUORUM = 1;
+
+// Latency at which the latency factor of the health score drops to 0.5
+const REFERENCE_LATENCY_MS = 500;
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+// Circuit breaker: skip an endpoint after this many failures in a row
+const FAILURE_THRESHOLD = 3;
+const BASE_COOLDOWN_MS = 15000;
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+
+// JSON-RPC error codes that mean the endpoint refused to serve us
+const RATE_LIMIT_CODES = [-32005, -32029, 429];
+const RATE_LIMIT_PATTERN = /rate.?limit|too many requests|limit exceeded|capacity/i;
+
+/**
+ * Whether an error from send() is the endpoint's fault (as opposed to a valid
+ * JSON-RPC error answer such as a reverted eth_call)
+ */
+function isEndpointFailure(error) {
+  const rpcError = error && error.error;
+  if (error && error.code === ethers.errors.SERVER_ERROR && rpcError && typeof rpcError.code === 'number') {
+    return RATE_LIMIT_CODES.includes(rpcError.code) || RATE_LIMIT_PATTERN.test(rpcError.message || '');
+  }
+  return true;
+}
+
+/**
+ * Health statistics for one RPC URL
+ */
+class RpcEndpoint {
+  constructor(url, { timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    this.url = url;
+    this.timeout = timeout;
+
+    this.requests = 0;
+    this.failures = 0;
+    this.consecutiveFailures = 0;
+    this.avgLatencyMs = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.skipUntil = 0;
+  }
+
+  recordSuccess(latencyMs) {
+    this.requests++;
+    this.consecutiveFailures = 0;
+    this.skipUntil = 0;
+    this._recordLatency(latencyMs);
+  }
+
+  recordFailure(error, latencyMs) {
+    this.requests++;
+    this.failures++;
+    this.consecutiveFailures++;
+    this.lastError = error.reason || error.message;
+    this.lastFailureAt = Date.now();
+    this._recordLatency(latencyMs);
+
+    if (this.consecutiveFailures >= FAILURE_THRESHOLD) {
+      const backoff = BASE_COOLDOWN_MS * Math.pow(2, this.consecutiveFailures - FAILURE_THRESHOLD);
+      this.skipUntil = Date.now() + Math.min(backoff, MAX_COOLDOWN_MS);
+    }
+  }
+
+  /**
+   * True while the endpoint is cooling down after repeated failures
+   */
+  isSkipped() {
+    return Date.now() < this.skipUntil;
+  }
+
+  /**
+   * Share of requests that succeeded (1 when nothing was sent yet)
+   */
+  successRate() {
+    return this.requests === 0 ? 1 : (this.requests - this.failures) / this.requests;
+  }
+
+  /**
+   * Health score in [0, 1] combining success rate and latency
+   */
+  score() {
+    if (this.isSkipped()) return 0;
+
+    // Smoothed so a single early failure does not sink an endpoint
+    const reliability = (this.requests - this.failures + 1) / (this.requests + 2);
+    const latency = this.avgLatencyMs === null ? 1 : 1 / (1 + this.avgLatencyMs / REFERENCE_LATENCY_MS);
+    return reliability * latency;
+  }
+
+  stats() {
+    return {
+      url: this.url,
+      requests: this.requests,
+      failures: this.failures,
+      successRate: this.successRate(),
+      avgLatencyMs: this.avgLatencyMs === null ? null : Math.round(this.avgLatencyMs),
+      score: Number(this.score().toFixed(3)),
+      skipped: this.isSkipped(),
+      lastError: this.lastError
+    };
+  }
+
+  _recordLatency(latencyMs) {
+    this.avgLatencyMs = this.avgLatencyMs === null
+      ? latencyMs
+      : this.avgLatencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING;
+  }
+}
+
+/**
+ * StaticJsonRpcProvider that reports every request to its RpcEndpoint
+ */
+class TrackedJsonRpcProvider extends ethers.providers.StaticJsonRpcProvider {
+  constructor(endpoint, network) {
+    // throttleLimit 1: fail fast on 429 and let the fallback try another endpoint
+    super({ url: endpoint.url, timeout: endpoint.timeout, throttleLimit: 1 }, network);
+    this.endpoint = endpoint;
+  }
+
+  async send(method, params) {
+    if (this.endpoint.isSkipped()) {
+      ethers.logger.throwError(`RPC endpoint cooling down after repeated failures: ${this.endpoint.url}`, ethers.errors.SERVER_ERROR, {
+        url: this.endpoint.url,
+        method
+      });
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await super.send(method, params);
+      this.endpoint.recordSuccess(Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      if (isEndpointFailure(error)) {
+        this.endpoint.recordFailure(error, Date.now() - startedAt);
+      } else {
+        this.endpoint.recordSuccess(Date.now() - startedAt);
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * FallbackProvider that reads from every endpoint but writes through the primary
+ */
+class HealthAwareFallbackProvider extends ethers.providers.FallbackProvider {
+  /**
+   * @param {TrackedJsonRpcProvider} primary - The only provider transactions are sent through
+   */
+  constructor(providerConfigs, quorum, primary) {
+    super(providerConfigs, quorum);
+    this.primary = primary || providerConfigs[0].provider;
+  }
+
+  /**
+   * Network of the primary, or of the first fallback to answer when it is down
+   * (the stock version waits for every endpoint to answer eth_chainId)
+   */
+  async detectNetwork() {
+    try {
+      return await this.primary.getNetwork();
+    } catch (error) {
+      const fallbacks = this.providerConfigs.map(config => config.provider).filter(provider => provider !== this.primary);
+      try {
+        return await Promise.any(fallbacks.map(provider => provider.getNetwork()));
+      } catch {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Signed transactions go to the primary only; the stock version broadcasts
+   * them to every endpoint
+   */
+  perform(method, params) {
+    if (method === 'sendTransaction') {
+      return this.primary.perform(method, params);
+    }
+    return super.perform(method, params);
+  }
+
+  /**
+   * Health stats for every endpoint behind this provider
+   */
+  getEndpointStats() {
+    return this.providerConfigs.map(config => config.provider.endpoint.stats());
+  }
+}
+
+// Endpoints are shared per URL so health survives across getProvider() calls
+const endpoints = new Map();
+
+/**
+ * Get (or create) the tracked endpoint for a URL
+ */
+function getEndpoint(url, options = {}) {
+  if (!endpoints.has(url)) {
+    endpoints.set(url, new RpcEndpoint(url, options));
+  }
+  return endpoints.get(url);
+}
+
+/**
+ * Read provider options from the environment
+ */
+function getRpcOptions() {
+  return {
+    timeout: parseInt(process.env.RPC_TIMEOUT || DEFAULT_TIMEOUT_MS, 10),
+    stallTimeout: parseInt(process.env.RPC_STALL_TIMEOUT || DEFAULT_STALL_TIMEOUT_MS, 10),
+    quorum: parseInt(process.env.RPC_QUORUM || DEFAULT_QUORUM, 10)
+  };
+}
+
+/**
+ * Create a provider for a list of RPC URLs, primary first
+ * A single URL gets a plain tracked provider, several get a health-ordered FallbackProvider
+ */
+function createProvider(urls, options = getRpcOptions()) {
+  if (!urls || urls.length === 0) {
+    throw new Error('No RPC URLs given');
+  }
+
+  const tracked = urls.map(url => getEndpoint(url, options));
+
+  if (tracked.length === 1) {
+    return new TrackedJsonRpcProvider(tracked[0]);
+  }
+
+  // Healthiest endpoints get the lowest priority number, i.e. are asked first
+  const ranked = [...tracked].sort((a, b) => b.score() - a.score());
+  const configs = ranked.map((endpoint, index) => ({
+    provider: new TrackedJsonRpcProvider(endpoint),
+    priority: index + 1,
+    weight: 1,
+    stallTimeout: options.stallTimeout
+  }));
+  const primary = configs.find(config => config.provider.endpoint === tracked[0]).provider;
+
+  const quorum = Math.min(Math.max(options.quorum || DEFAULT_QUORUM, 1), configs.length);
+  return new HealthAwareFallbackProvider(configs, quorum, primary);
+}
+
+/**
+ * Health stats of every endpoint used in this process
+ */
+function getEndpointStats() {
+  return [...endpoints.values()].map(endpoint => endpoint.stats());
+}
+
+module.exports = {
+  RpcEndpoint,
+  TrackedJsonRpcProvider,
+  HealthAwareFallbackProvider,
+  createProvider,
+  getEndpoint,
+  getEndpointStats,
+  getRpcOptions,
+  isEndpointFailure
+};
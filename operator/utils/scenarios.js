@@ -0,0 +1,692 @@
+/**
+ * Declarative attack scenarios
+ *
+ * A scenario file (JSON or YAML, see operator/scenarios/) describes the bot
+ * wallets, what each one does, at which gas price, in which order and how many
+ * blocks apart, plus the detections the trap is expected to raise:
+ *
+ *   name: rapid
+ *   wallets: 1              # count, or a list of per-wallet overrides
+ *   buys: [1, 1, 1]         # ETH per buy, or "2.5%" of the pool's token reserve
+ *   gasMultiplier: 1        # x the network gas price
+ *   funding: direct         # direct | parent (one intermediate wallet funds every bot)
+ *   hdAccount: 7            # BIP-44 account of the bot wallets (default: from the name)
+ *   blockSpacing: 0         # blocks between rounds
+ *   ordering: sequential    # sequential | interleaved | parallel
+ *   expect:
+ *     detected: true
+ *     detections:           # per strategy; a plain list applies to any trap
+ *       advanced: [LIQUIDITY_MANIPULATION]
+ *
+ * Expectations on the responder are polled after the attack until they hold or
+ * the run's timeout passes, since Drosera operators respond a few blocks later:
+ *
+ *   expect:
+ *     paused: true                  # responder.isPaused()
+ *     blacklisted: [pool, 0]        # exactly these: wallet indices, pool, token, deployer,
+ *                                   # parent or quoted addresses
+ *     incidents: { min: 1 }         # incidents recorded during the run (a number, or min / max)
+ *     incidentTypes: [LIQUIDITY_MANIPULATION]   # like detections
+ *
+ * `buys` is shorthand for a list of buy actions. `actions` takes any of:
+ *
+ *   actions:
+ *     - buy: "5%"           # ETH, or % of the pool's token reserve
+ *     - sell: "100%"        # tokens, or % of the wallet's token balance at that point
+ *     - withdraw: "30%"     # remove liquidity: tokens, or % of the pool's token reserve
+ *     - mint: "10%"         # tokens, or % of the token supply
+ *     - burn: "10%"
+ *   repeat: 3               # run the action list this many times
+ *
+ * A wallet with `deployer: true` acts with the operator's own key instead of a
+ * fresh bot: withdrawals need the account that added the liquidity.
+ * Pool and supply percentages are taken when the scenario starts.
+ *
+ * Files are validated up front so a typo fails before any ETH is spent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const { strategyContracts } = require('../config/abis');
+const { EXIT_CODES, CliError } = require('./cli');
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios');
+const SCENARIO_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+const ORDERINGS = ['sequential', 'interleaved', 'parallel'];
+const FUNDINGS = ['direct', 'parent'];
+const MAX_WALLETS = 50;
+const MAX_REPEAT = 20;
+const MAX_HD_ACCOUNT = 0x7fffffff; // Hardened BIP-32 indices stop at 2^31
+const BASIS_POINTS = 10000;
+
+// What each action sends, its amount unit and what a percentage is of
+const ACTIONS = {
+  buy: { contract: 'dex', method: 'swap', unit: 'ETH', percentOf: 'pool' },
+  sell: { contract: 'dex', method: 'sell', unit: 'tokens', percentOf: 'balance' },
+  withdraw: { contract: 'dex', method: 'removeLiquidity', unit: 'tokens', percentOf: 'pool' },
+  mint: { contract: 'token', method: 'mint', unit: 'tokens', percentOf: 'supply' },
+  burn: { contract: 'token', method: 'burn', unit: 'tokens', percentOf: 'supply' }
+};
+
+const SCENARIO_KEYS = [
+  'name', 'description', 'wallets', 'buys', 'actions', 'repeat', 'gasMultiplier', 'funding', 'hdAccount', 'blockSpacing', 'ordering',
+  'expect'
+];
+const WALLET_KEYS = ['buys', 'actions', 'repeat', 'gasMultiplier', 'deployer'];
+const EXPECT_KEYS = ['detected', 'blocked', 'detections', 'paused', 'blacklisted', 'incidents', 'incidentTypes'];
+const RESPONDER_EXPECTATIONS = ['paused', 'blacklisted', 'incidents', 'incidentTypes'];
+const BLACKLIST_TARGETS = ['pool', 'token', 'deployer', 'parent'];
+
+// ==================== LOADING ====================
+
+/**
+ * Built-in scenario names (files in operator/scenarios/)
+ */
+function listScenarios(dir = SCENARIOS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(file => SCENARIO_EXTENSIONS.includes(path.extname(file)))
+    .map(file => path.basename(file, path.extname(file)))
+    .sort();
+}
+
+/**
+ * Resolve a scenario name or file path
+ */
+function resolveScenarioPath(ref) {
+  if (fs.existsSync(ref) && fs.statSync(ref).isFile()) {
+    return path.resolve(ref);
+  }
+
+  for (const extension of SCENARIO_EXTENSIONS) {
+    const candidate = path.join(SCENARIOS_DIR, `${ref}${extension}`);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  throw new CliError(`Unknown scenario '${ref}'. Available: ${listScenarios().join(', ')} (or a path to a .yaml/.json file)`, EXIT_CODES.USAGE);
+}
+
+/**
+ * Load and validate a scenario by name or path
+ * @returns {Object} Normalized scenario (see normalizeScenario)
+ */
+function loadScenario(ref) {
+  if (!ref) {
+    throw new CliError(`No scenario given. Available: ${listScenarios().join(', ')}`, EXIT_CODES.USAGE);
+  }
+
+  const file = resolveScenarioPath(ref);
+  const text = fs.readFileSync(file, 'utf8');
+
+  let raw;
+  try {
+    raw = path.extname(file) === '.json' ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new CliError(`Invalid scenario file ${file}: ${error.message.split('\n')[0]}`, EXIT_CODES.CONFIG);
+  }
+
+  return normalizeScenario(raw, file);
+}
+
+// ==================== VALIDATION ====================
+
+function fail(file, message) {
+  throw new CliError(`${path.basename(file)}: ${message}`, EXIT_CODES.CONFIG);
+}
+
+function checkKeys(file, where, value, allowed) {
+  const unknown = Object.keys(value).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    fail(file, `unknown key${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} in ${where} (allowed: ${allowed.join(', ')})`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * An action amount: in the action's unit (ETH for buys, tokens otherwise), or "<n>%"
+ * @returns {Object} { eth }, { tokens } or { bp, of }
+ */
+function parseAmount(file, where, action, value) {
+  const text = String(value).trim();
+  const { unit, percentOf } = ACTIONS[action];
+
+  if (text.endsWith('%')) {
+    const percent = Number(text.slice(0, -1));
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+      fail(file, `${where}: ${percentOf} percentage must be between 0 and 100, got '${text}'`);
+    }
+    return { bp: Math.round(percent * BASIS_POINTS / 100), of: percentOf };
+  }
+
+  let parsed;
+  try {
+    parsed = ethers.utils.parseEther(text);
+  } catch (error) {
+    fail(file, `${where}: '${text}' is not a${unit === 'ETH' ? 'n ETH' : ' token'} amount or ${percentOf} percentage`);
+  }
+  if (parsed.lte(0)) {
+    fail(file, `${where}: ${action} amount must be positive`);
+  }
+  return unit === 'ETH' ? { eth: parsed } : { tokens: parsed };
+}
+
+function parseBuys(file, where, value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    fail(file, `${where} must be a non-empty list of buy amounts`);
+  }
+  return value.map((amount, index) => ({ type: 'buy', amount: parseAmount(file, `${where}[${index}]`, 'buy', amount) }));
+}
+
+/**
+ * A list of single-key mappings, e.g. [{ buy: 1 }, { sell: "100%" }]
+ */
+function parseActions(file, where, value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    fail(file, `${where} must be a non-empty list of actions`);
+  }
+  return value.map((entry, index) => {
+    const at = `${where}[${index}]`;
+    if (!isPlainObject(entry) || Object.keys(entry).length !== 1) {
+      fail(file, `${at} must be a single action, e.g. { buy: 1 } (actions: ${Object.keys(ACTIONS).join(', ')})`);
+    }
+    const [type] = Object.keys(entry);
+    if (!ACTIONS[type]) {
+      fail(file, `${at}: unknown action ${type} (actions: ${Object.keys(ACTIONS).join(', ')})`);
+    }
+    return { type, amount: parseAmount(file, `${at}.${type}`, type, entry[type]) };
+  });
+}
+
+function parseRepeat(file, where, value) {
+  if (!Number.isInteger(value) || value < 1 || value > MAX_REPEAT) {
+    fail(file, `${where} must be an integer between 1 and ${MAX_REPEAT}, got '${value}'`);
+  }
+  return value;
+}
+
+/**
+ * Actions of a scenario or wallet: `buys` or `actions`, times `repeat`
+ * @returns {Object[]|null} null when neither is set
+ */
+function parseSteps(file, where, spec) {
+  if (spec.buys !== undefined && spec.actions !== undefined) {
+    fail(file, `${where}: set either buys or actions, not both`);
+  }
+
+  const prefix = where === 'the scenario' ? '' : `${where}.`;
+  let actions = null;
+  if (spec.buys !== undefined) {
+    actions = parseBuys(file, `${prefix}buys`, spec.buys);
+  } else if (spec.actions !== undefined) {
+    actions = parseActions(file, `${prefix}actions`, spec.actions);
+  }
+
+  if (spec.repeat === undefined) {
+    return actions;
+  }
+  const repeat = parseRepeat(file, `${prefix}repeat`, spec.repeat);
+  if (!actions) {
+    fail(file, `${prefix}repeat needs buys or actions next to it`);
+  }
+  return Array.from({ length: repeat }, () => actions).flat();
+}
+
+function parseGasMultiplier(file, where, value) {
+  const multiplier = Number(value);
+  if (!Number.isFinite(multiplier) || multiplier <= 0) {
+    fail(file, `${where} must be a positive number, got '${value}'`);
+  }
+  return multiplier;
+}
+
+/**
+ * Expected detection type names, by strategy ('*' applies to any trap)
+ */
+function parseDetections(file, key, value) {
+  const where = `expect.${key}`;
+  const checkNames = (at, names) => {
+    if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+      fail(file, `${at} must be a list of detection type names`);
+    }
+    return names.map(name => name.toUpperCase());
+  };
+
+  if (Array.isArray(value)) {
+    return { '*': checkNames(where, value) };
+  }
+  if (!isPlainObject(value)) {
+    fail(file, `${where} must be a list, or lists keyed by strategy`);
+  }
+
+  checkKeys(file, where, value, Object.keys(strategyContracts));
+  return Object.fromEntries(Object.entries(value).map(([strategy, names]) => [
+    strategy,
+    checkNames(`${where}.${strategy}`, names)
+  ]));
+}
+
+/**
+ * Addresses expected on the blacklist: wallet indices, BLACKLIST_TARGETS or addresses
+ */
+function parseBlacklisted(file, value, { walletCount, funding }) {
+  if (!Array.isArray(value)) {
+    fail(file, `expect.blacklisted must be a list of wallet indices, ${BLACKLIST_TARGETS.join(', ')} or addresses`);
+  }
+
+  return value.map((entry, index) => {
+    const at = `expect.blacklisted[${index}]`;
+    if (typeof entry === 'number') {
+      if (!Number.isInteger(entry) || entry < 0 || entry >= walletCount) {
+        fail(file, `${at}: no wallet ${entry} in a scenario with ${walletCount} wallet(s) (quote addresses)`);
+      }
+      return entry;
+    }
+
+    const text = String(entry).trim();
+    if (BLACKLIST_TARGETS.includes(text.toLowerCase())) {
+      if (text.toLowerCase() === 'parent' && funding !== 'parent') {
+        fail(file, `${at}: parent needs funding: parent`);
+      }
+      return text.toLowerCase();
+    }
+    if (ethers.utils.isAddress(text)) {
+      return ethers.utils.getAddress(text);
+    }
+    fail(file, `${at}: '${text}' is not a wallet index, ${BLACKLIST_TARGETS.join(', ')} or an address`);
+  });
+}
+
+/**
+ * Number of incidents, exact or { min, max }
+ * @returns {Object} { min, max }, either may be null
+ */
+function parseIncidents(file, value) {
+  const checkCount = (where, count) => {
+    if (!Number.isInteger(count) || count < 0) {
+      fail(file, `${where} must be a non-negative integer, got '${count}'`);
+    }
+    return count;
+  };
+
+  if (typeof value === 'number') {
+    const count = checkCount('expect.incidents', value);
+    return { min: count, max: count };
+  }
+  if (!isPlainObject(value)) {
+    fail(file, 'expect.incidents must be a number or { min, max }');
+  }
+  checkKeys(file, 'expect.incidents', value, ['min', 'max']);
+
+  const range = {
+    min: value.min === undefined ? null : checkCount('expect.incidents.min', value.min),
+    max: value.max === undefined ? null : checkCount('expect.incidents.max', value.max)
+  };
+  if (range.min === null && range.max === null) {
+    fail(file, 'expect.incidents needs min or max');
+  }
+  if (range.min !== null && range.max !== null && range.min > range.max) {
+    fail(file, 'expect.incidents.min is above expect.incidents.max');
+  }
+  return range;
+}
+
+/**
+ * @param {Object} context - { walletCount, funding } of the scenario, to check blacklist targets
+ */
+function parseExpect(file, value, context) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (!isPlainObject(value)) {
+    fail(file, 'expect must be a mapping');
+  }
+  checkKeys(file, 'expect', value, EXPECT_KEYS);
+
+  const expect = {};
+  for (const key of ['detected', 'blocked']) {
+    if (value[key] !== undefined) {
+      if (typeof value[key] !== 'boolean') {
+        fail(file, `expect.${key} must be true or false`);
+      }
+      expect[key] = value[key];
+    }
+  }
+  if (value.paused !== undefined) {
+    if (typeof value.paused !== 'boolean') {
+      fail(file, 'expect.paused must be true or false');
+    }
+    expect.paused = value.paused;
+  }
+  for (const key of ['detections', 'incidentTypes']) {
+    if (value[key] !== undefined) {
+      expect[key] = parseDetections(file, key, value[key]);
+    }
+  }
+  if (value.blacklisted !== undefined) {
+    expect.blacklisted = parseBlacklisted(file, value.blacklisted, context);
+  }
+  if (value.incidents !== undefined) {
+    expect.incidents = parseIncidents(file, value.incidents);
+  }
+  return expect;
+}
+
+/**
+ * Validate a parsed scenario file and fill in defaults
+ * @returns {Object} { name, description, file, wallets: [{ index, actions, gasMultiplier, deployer }], funding, hdAccount, blockSpacing, ordering, expect }
+ */
+function normalizeScenario(raw, file) {
+  if (!isPlainObject(raw)) {
+    fail(file, 'a scenario must be a mapping');
+  }
+  checkKeys(file, 'the scenario', raw, SCENARIO_KEYS);
+
+  const defaults = {
+    actions: parseSteps(file, 'the scenario', raw),
+    gasMultiplier: raw.gasMultiplier !== undefined ? parseGasMultiplier(file, 'gasMultiplier', raw.gasMultiplier) : 1
+  };
+
+  let walletSpecs;
+  if (Array.isArray(raw.wallets)) {
+    walletSpecs = raw.wallets.map((spec, index) => {
+      if (!isPlainObject(spec)) {
+        fail(file, `wallets[${index}] must be a mapping`);
+      }
+      checkKeys(file, `wallets[${index}]`, spec, WALLET_KEYS);
+      return spec;
+    });
+  } else {
+    const count = raw.wallets === undefined ? 1 : raw.wallets;
+    if (!Number.isInteger(count) || count < 1) {
+      fail(file, `wallets must be a positive integer or a list, got '${raw.wallets}'`);
+    }
+    walletSpecs = Array.from({ length: count }, () => ({}));
+  }
+
+  if (walletSpecs.length === 0 || walletSpecs.length > MAX_WALLETS) {
+    fail(file, `wallets must be between 1 and ${MAX_WALLETS}`);
+  }
+
+  const wallets = walletSpecs.map((spec, index) => {
+    const actions = parseSteps(file, `wallets[${index}]`, spec) || defaults.actions;
+    if (!actions) {
+      fail(file, `wallets[${index}] has no buys or actions (set them for the scenario or the wallet)`);
+    }
+    if (spec.deployer !== undefined && typeof spec.deployer !== 'boolean') {
+      fail(file, `wallets[${index}].deployer must be true or false`);
+    }
+    return {
+      index,
+      actions,
+      gasMultiplier: spec.gasMultiplier !== undefined
+        ? parseGasMultiplier(file, `wallets[${index}].gasMultiplier`, spec.gasMultiplier)
+        : defaults.gasMultiplier,
+      deployer: spec.deployer === true
+    };
+  });
+
+  if (wallets.filter(wallet => wallet.deployer).length > 1) {
+    fail(file, 'only one wallet can be the deployer');
+  }
+
+  const funding = raw.funding === undefined ? 'direct' : raw.funding;
+  if (!FUNDINGS.includes(funding)) {
+    fail(file, `funding must be one of ${FUNDINGS.join(', ')}, got '${raw.funding}'`);
+  }
+
+  const hdAccount = raw.hdAccount === undefined ? null : raw.hdAccount;
+  if (hdAccount !== null && (!Number.isInteger(hdAccount) || hdAccount < 0 || hdAccount > MAX_HD_ACCOUNT)) {
+    fail(file, `hdAccount must be an integer between 0 and ${MAX_HD_ACCOUNT}, got '${raw.hdAccount}'`);
+  }
+
+  const blockSpacing = raw.blockSpacing === undefined ? 0 : raw.blockSpacing;
+  if (!Number.isInteger(blockSpacing) || blockSpacing < 0) {
+    fail(file, `blockSpacing must be a non-negative integer, got '${raw.blockSpacing}'`);
+  }
+
+  const ordering = raw.ordering === undefined ? 'sequential' : raw.ordering;
+  if (!ORDERINGS.includes(ordering)) {
+    fail(file, `ordering must be one of ${ORDERINGS.join(', ')}, got '${raw.ordering}'`);
+  }
+
+  return {
+    name: raw.name !== undefined ? String(raw.name) : path.basename(file, path.extname(file)),
+    description: raw.description !== undefined ? String(raw.description) : '',
+    file,
+    wallets,
+    funding,
+    hdAccount,
+    blockSpacing,
+    ordering,
+    expect: parseExpect(file, raw.expect, { walletCount: wallets.length, funding })
+  };
+}
+
+// ==================== EXECUTION PLAN ====================
+
+/**
+ * Group actions into rounds; actions in a round are sent together, rounds are blockSpacing blocks apart
+ * - sequential: one action per round, wallet by wallet
+ * - interleaved: one action per round, the first action of every wallet, then the second, ...
+ * - parallel: round i holds action i of every wallet
+ * A round is pre-signed and broadcast in one burst; on localhost it is mined as one block
+ * @returns {Object[][]} Rounds of { wallet, step, action, amount, gasMultiplier, deployer }
+ */
+function buildRounds(scenario) {
+  const steps = scenario.wallets.map(wallet => wallet.actions.map(({ type, amount }, step) => ({
+    wallet: wallet.index,
+    step,
+    action: type,
+    amount,
+    gasMultiplier: wallet.gasMultiplier,
+    deployer: wallet.deployer
+  })));
+  const depth = Math.max(...steps.map(walletSteps => walletSteps.length));
+  const byStep = Array.from({ length: depth }, (unused, step) => steps.map(walletSteps => walletSteps[step]).filter(Boolean));
+
+  switch (scenario.ordering) {
+    case 'parallel':
+      return byStep;
+    case 'interleaved':
+      return byStep.flat().map(step => [step]);
+    default:
+      return steps.flat().map(step => [step]);
+  }
+}
+
+/**
+ * Value of an action amount: ETH for buys, tokens otherwise
+ * @param {Object} state - { reserve, price, supply } at scenario start (for percentages), { balance } of the wallet for sells
+ */
+function resolveAmount(action, amount, state) {
+  if (amount.eth || amount.tokens) {
+    return amount.eth || amount.tokens;
+  }
+
+  const base = { pool: state.reserve, supply: state.supply, balance: state.balance }[amount.of];
+  const tokens = base.mul(amount.bp).div(BASIS_POINTS);
+  return ACTIONS[action].unit === 'ETH' ? tokens.mul(state.price).div(ethers.constants.WeiPerEther) : tokens;
+}
+
+/**
+ * Human-readable action, e.g. "buy 1.0 ETH" or "sell 100% of balance"
+ */
+function formatAction(action, amount) {
+  if (amount.eth || amount.tokens) {
+    return `${action} ${ethers.utils.formatEther(amount.eth || amount.tokens)} ${ACTIONS[action].unit}`;
+  }
+  return `${action} ${amount.bp / 100}% of ${amount.of}`;
+}
+
+/**
+ * Contract functions a scenario calls, e.g. { dex: ['swap', 'sell'], token: [] }
+ */
+function requiredMethods(scenario) {
+  const methods = { dex: new Set(), token: new Set() };
+  for (const wallet of scenario.wallets) {
+    for (const { type } of wallet.actions) {
+      methods[ACTIONS[type].contract].add(ACTIONS[type].method);
+    }
+  }
+  return { dex: [...methods.dex], token: [...methods.token] };
+}
+
+/**
+ * Gas price scaled by a (possibly fractional) multiplier
+ */
+function scaleGasPrice(gasPrice, multiplier) {
+  return gasPrice.mul(Math.round(multiplier * 100)).div(100);
+}
+
+// ==================== EXPECTATIONS ====================
+
+/**
+ * Expected detection names for a strategy, or null when the list does not cover it
+ */
+function namesFor(byStrategy, strategy) {
+  return byStrategy[strategy] || byStrategy['*'] || null;
+}
+
+/**
+ * Distinct names, both sides sorted
+ */
+function compareNames(check, expected, names) {
+  const actual = [...new Set(names)].sort();
+  const wanted = [...new Set(expected)].sort();
+  return {
+    check,
+    expected: wanted,
+    actual,
+    passed: wanted.length === actual.length && wanted.every((name, index) => name === actual[index])
+  };
+}
+
+function formatRange({ min, max }) {
+  if (min === max) {
+    return String(min);
+  }
+  if (max === null) {
+    return `>= ${min}`;
+  }
+  return min === null ? `<= ${max}` : `${min}-${max}`;
+}
+
+/**
+ * Does any expectation need the responder's state after the run?
+ */
+function hasResponderExpectations(expect) {
+  return RESPONDER_EXPECTATIONS.some(key => expect[key] !== undefined);
+}
+
+/**
+ * Compare the responder's state with the scenario's expectations
+ * @param {Object} responder - { paused, incidents, incidentTypes: [name], blacklisted: [address], targets: { label: address } }
+ *   incidents / incidentTypes cover incidents recorded since the run started; targets resolves blacklist labels
+ * @returns {Object[]} { check, expected, actual, passed }
+ */
+function checkResponderExpectations(expect, responder, strategy) {
+  const results = [];
+
+  if (expect.paused !== undefined) {
+    results.push({ check: 'paused', expected: expect.paused, actual: responder.paused, passed: expect.paused === responder.paused });
+  }
+
+  if (expect.blacklisted) {
+    const resolve = target => typeof target === 'string' && target.startsWith('0x') ? target : responder.targets[target];
+    const labels = new Map();
+    const targets = Object.entries(responder.targets).map(([label, address]) => [/^\d+$/.test(label) ? Number(label) : label, address]);
+    for (const [label, address] of [...expect.blacklisted.map(target => [target, resolve(target)]), ...targets]) {
+      if (address && !labels.has(address)) {
+        labels.set(address, label);
+      }
+    }
+
+    const wanted = new Set(expect.blacklisted.map(resolve));
+    const listed = new Set(responder.blacklisted);
+    results.push({
+      check: 'blacklisted',
+      expected: expect.blacklisted,
+      actual: responder.blacklisted.map(address => labels.has(address) ? labels.get(address) : address),
+      passed: wanted.size === listed.size && [...wanted].every(address => listed.has(address))
+    });
+  }
+
+  if (expect.incidents) {
+    const { min, max } = expect.incidents;
+    results.push({
+      check: 'incidents',
+      expected: formatRange(expect.incidents),
+      actual: responder.incidents,
+      passed: (min === null || responder.incidents >= min) && (max === null || responder.incidents <= max)
+    });
+  }
+
+  if (expect.incidentTypes) {
+    const expected = namesFor(expect.incidentTypes, strategy);
+    if (expected) {
+      results.push(compareNames(`incidentTypes${strategy ? ` (${strategy})` : ''}`, expected, responder.incidentTypes));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Compare a run with the scenario's expectations
+ * @param {Object} outcome - { detected, blocked, strategy, detections: [{ name }], responder } (see checkResponderExpectations)
+ * @returns {Object[]} { check, expected, actual, passed }, checks the trap strategy cannot answer are left out
+ */
+function checkExpectations(expect, outcome) {
+  const results = [];
+
+  for (const key of ['detected', 'blocked']) {
+    if (expect[key] !== undefined) {
+      results.push({ check: key, expected: expect[key], actual: outcome[key], passed: expect[key] === outcome[key] });
+    }
+  }
+
+  if (expect.detections && outcome.detections) {
+    const expected = namesFor(expect.detections, outcome.strategy);
+    if (expected) {
+      results.push(compareNames(`detections (${outcome.strategy})`, expected, outcome.detections.map(detection => detection.name)));
+    }
+  }
+
+  if (outcome.responder) {
+    results.push(...checkResponderExpectations(expect, outcome.responder, outcome.strategy));
+  }
+
+  return results;
+}
+
+module.exports = {
+  SCENARIOS_DIR,
+  ORDERINGS,
+  FUNDINGS,
+  ACTIONS,
+  BLACKLIST_TARGETS,
+  MAX_WALLETS,
+  MAX_HD_ACCOUNT,
+  listScenarios,
+  resolveScenarioPath,
+  loadScenario,
+  normalizeScenario,
+  buildRounds,
+  resolveAmount,
+  formatAction,
+  requiredMethods,
+  scaleGasPrice,
+  hasResponderExpectations,
+  checkResponderExpectations,
+  checkExpectations
+};
@@ -0,0 +1,67 @@
+/**
+ * Evaluate a trap's shouldRespond() over past blocks the way Drosera samples it
+ *
+ * For block N an operator passes collect() from the last block_sample_size
+ * blocks, newest first. Replaying a block range shows which blocks would have
+ * triggered a response without waiting for the operators to act.
+ */
+
+const { loadDroseraToml } = require('./drosera-toml');
+
+const DEFAULT_SAMPLE_SIZE = 3;
+
+/**
+ * block_sample_size of [traps.fair_launch_<strategy>] in drosera.toml
+ */
+function getSampleSize(strategy, tomlPath) {
+  try {
+    const { config } = loadDroseraToml(tomlPath);
+    const section = (config.traps || {})[`fair_launch_${strategy}`];
+    return section && section.block_sample_size ? section.block_sample_size : DEFAULT_SAMPLE_SIZE;
+  } catch (error) {
+    return DEFAULT_SAMPLE_SIZE;
+  }
+}
+
+/**
+ * collect() output for `block` and the sampleSize - 1 blocks before it, newest first
+ * @param {number} oldestBlock - Do not sample below this block (e.g. the trap's deployment)
+ */
+function collectSamples(trap, block, sampleSize, oldestBlock = 0) {
+  const blocks = [];
+  for (let sample = block; sample > block - sampleSize && sample >= oldestBlock; sample--) {
+    blocks.push(sample);
+  }
+  return Promise.all(blocks.map(blockTag => trap.collect({ blockTag })));
+}
+
+/**
+ * Blocks in [fromBlock, toBlock] where shouldRespond() returns true
+ * @param {Object} decoder - Strategy decoder from collect-decoders
+ * @returns {Promise<Object[]>} { block, name, response } per triggering block
+ */
+async function replayTrap(trap, decoder, fromBlock, toBlock, { sampleSize = DEFAULT_SAMPLE_SIZE, oldestBlock = 0 } = {}) {
+  const detections = [];
+
+  for (let block = fromBlock; block <= toBlock; block++) {
+    const samples = await collectSamples(trap, block, sampleSize, oldestBlock);
+    const [triggered, payload] = await trap.shouldRespond(samples, { blockTag: block });
+    if (triggered) {
+      const response = decoder.decodeResponseData(payload);
+      detections.push({
+        block,
+        name: decoder.detectionTypes[response.detectionType] || `TYPE_${response.detectionType}`,
+        response
+      });
+    }
+  }
+
+  return detections;
+}
+
+module.exports = {
+  DEFAULT_SAMPLE_SIZE,
+  getSampleSize,
+  collectSamples,
+  replayTrap
+};
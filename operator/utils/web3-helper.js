@@ -3,26 +3,29 @@
  */
 
 const { ethers } = require('ethers');
-const { getNetwork } = require('../config/networks');
+const { getRpcUrls } = require('../config/networks');
+const { createProvider } = require('./rpc-provider');
+const logger = require('./logger');
 require('dotenv').config();
 
 /**
  * Get provider for specified network
+ * Uses the network's RPC URL (RPC_URL / --rpc replaces it) plus any RPC_FALLBACK_URLS with health-based failover
  */
-function getProvider(networkName = 'hoodi') {
-  const network = getNetwork(networkName);
+function getProvider(networkName = process.env.NETWORK || 'hoodi') {
+  const rpcUrls = getRpcUrls(networkName);
   
-  if (!network.rpcUrl) {
+  if (rpcUrls.length === 0) {
     throw new Error(`No RPC URL configured for network: ${networkName}`);
   }
 
-  return new ethers.providers.JsonRpcProvider(network.rpcUrl);
+  return createProvider(rpcUrls);
 }
 
 /**
  * Get signer from private key
  */
-function getSigner(networkName = 'hoodi') {
+function getSigner(networkName = process.env.NETWORK || 'hoodi') {
   const provider = getProvider(networkName);
   const privateKey = process.env.PRIVATE_KEY;
 
@@ -70,13 +73,13 @@ function formatAddress(address) {
  * Wait for transaction confirmation
  */
 async function waitForTx(tx, confirmations = 1) {
-  console.log(`Transaction sent: ${tx.hash}`);
-  console.log('Waiting for confirmation...');
+  logger.info(`Transaction sent: ${tx.hash}`);
+  logger.info('Waiting for confirmation...');
   
   const receipt = await tx.wait(confirmations);
   
-  console.log(`✓ Confirmed in block: ${receipt.blockNumber}`);
-  console.log(`  Gas used: ${formatNumber(receipt.gasUsed.toString())}`);
+  logger.success(`Confirmed in block: ${receipt.blockNumber}`);
+  logger.info(`  Gas used: ${formatNumber(receipt.gasUsed.toString())}`);
   
   return receipt;
 }
@@ -169,13 +172,254 @@ async function retry(fn, maxAttempts = 3, delay = 1000) {
       if (attempt === maxAttempts) {
         throw error;
       }
-      console.log(`Attempt ${attempt} failed, retrying in ${delay}ms...`);
+      logger.warning(`Attempt ${attempt} failed, retrying in ${delay}ms...`);
       await sleep(delay);
       delay *= 2; // Exponential backoff
     }
   }
 }
 
+/**
+ * Consecutive nonces for one signer, so its transactions can be sent without
+ * waiting for each other to be mined
+ *
+ * Counting starts at the pending transaction count. A nonce whose transaction
+ * was never broadcast has to be released, or every later one stays queued;
+ * released nonces are handed out again (lowest first) before new ones.
+ */
+class NonceManager {
+  constructor(signer) {
+    this.signer = signer;
+    this.start = null;
+    this.nonce = null;
+    this.loading = null;
+    this.released = [];
+  }
+
+  async next() {
+    if (this.nonce === null) {
+      this.loading = this.loading || this.signer.getTransactionCount('pending');
+      const count = await this.loading;
+      if (this.nonce === null) {
+        this.start = count;
+        this.nonce = count;
+      }
+    }
+    if (this.released.length > 0) {
+      return this.released.shift();
+    }
+    return this.nonce++;
+  }
+
+  /**
+   * Give back an unused nonce so the next call to next() fills the gap
+   * @throws {Error} when the nonce was not handed out by this manager or is already released
+   */
+  release(nonce) {
+    if (this.nonce === null || nonce < this.start || nonce >= this.nonce || this.released.includes(nonce)) {
+      throw new Error(`Nonce ${nonce} was not handed out by this manager (next is ${this.nonce})`);
+    }
+
+    if (nonce === this.nonce - 1) {
+      this.nonce--;
+      // Released nonces just below the new top are no longer gaps
+      while (this.released.length > 0 && this.released[this.released.length - 1] === this.nonce - 1) {
+        this.released.pop();
+        this.nonce--;
+      }
+    } else {
+      this.released.push(nonce);
+      this.released.sort((x, y) => x - y);
+    }
+  }
+
+  reset() {
+    this.start = null;
+    this.nonce = null;
+    this.loading = null;
+    this.released = [];
+  }
+}
+
+/**
+ * Send transactions from one signer back to back, then wait for all of them
+ * @param {Object[]} requests - Transaction requests, nonces are assigned in this order
+ * @param {Object} options
+ * @param {NonceManager} options.nonces - Manager shared with other sends from the signer
+ * @returns {Promise<Object[]>} { tx, receipt, error } per request
+ */
+async function sendParallel(signer, requests, { nonces = new NonceManager(signer), confirmations = 1 } = {}) {
+  const sent = [];
+  for (const request of requests) {
+    const nonce = await nonces.next();
+    try {
+      sent.push({ tx: await signer.sendTransaction({ ...request, nonce }) });
+    } catch (error) {
+      nonces.release(nonce);
+      sent.push({ error });
+    }
+  }
+
+  return Promise.all(sent.map(async ({ tx, error }) => {
+    if (!tx) {
+      return { error };
+    }
+    try {
+      return { tx, receipt: await tx.wait(confirmations) };
+    } catch (waitError) {
+      return { tx, error: waitError };
+    }
+  }));
+}
+
+/**
+ * Populate and sign transactions to broadcast later in one burst
+ * Nonces count up per signer in entry order; gas limits are estimated against the current state
+ * @param {Object[]} entries - { signer, request }
+ * @returns {Promise<Object[]>} { signed, error } per entry, signed is the raw transaction
+ */
+async function signTransactions(entries) {
+  const managers = new Map();
+  const nonces = [];
+  for (const { signer } of entries) {
+    const address = await signer.getAddress();
+    if (!managers.has(address)) {
+      managers.set(address, new NonceManager(signer));
+    }
+    nonces.push(await managers.get(address).next());
+  }
+
+  return Promise.all(entries.map(async ({ signer, request }, index) => {
+    try {
+      return { signed: await signer.signTransaction(await signer.populateTransaction({ ...request, nonce: nonces[index] })) };
+    } catch (error) {
+      managers.get(await signer.getAddress()).release(nonces[index]);
+      return { error };
+    }
+  }));
+}
+
+/**
+ * Broadcast signed transactions all at once
+ * With sameBlock, automining is paused on a local node (anvil) and one evm_mine includes them all
+ * @returns {Promise<Object[]>} { tx, error } per transaction
+ */
+async function broadcastBurst(provider, signedTransactions, { sameBlock = false } = {}) {
+  if (sameBlock) {
+    await provider.send('evm_setAutomine', [false]);
+  }
+  try {
+    return await Promise.all(signedTransactions.map(signed => provider.sendTransaction(signed).then(tx => ({ tx }), error => ({ error }))));
+  } finally {
+    if (sameBlock) {
+      // Automining must come back even if the mine fails, or every later transaction hangs
+      try {
+        await provider.send('evm_mine', []);
+      } finally {
+        await provider.send('evm_setAutomine', [true]);
+      }
+    }
+  }
+}
+
+// Selectors of the built-in Solidity revert payloads
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+/**
+ * Find revert data in an ethers error (the JSON-RPC error is nested a few levels deep)
+ * ethers sets an empty '0x' on the outer error when it could not read the data itself,
+ * so only a node's own error (nested, or in a response body) counts as "reverted without data"
+ * @returns {string|null} Revert data, '0x' for an empty revert, or null when none was found
+ */
+function findRevertData(error) {
+  const isHex = value => typeof value === 'string' && /^0x[0-9a-f]*$/i.test(value);
+  let empty = false;
+  let current = error;
+
+  for (let depth = 0; current && depth < 5; depth++) {
+    const candidates = [current.data && current.data.data];
+    if (depth > 0) {
+      candidates.push(current.data);
+    } else if (isHex(current.data) && current.data.length > 2) {
+      return current.data;
+    }
+    if (typeof current.body === 'string') {
+      try {
+        const body = JSON.parse(current.body);
+        candidates.push(body.error && body.error.data);
+      } catch (parseError) {
+        // Not JSON
+      }
+    }
+
+    for (const candidate of candidates.filter(isHex)) {
+      if (candidate.length > 2) {
+        return candidate;
+      }
+      empty = true;
+    }
+    current = current.error;
+  }
+
+  return empty ? '0x' : null;
+}
+
+/**
+ * Decode an ABI payload, or null when it does not fit the types
+ */
+function tryDecode(types, data) {
+  try {
+    return ethers.utils.defaultAbiCoder.decode(types, data);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Human-readable reason for a reverted call
+ * Decodes require() messages, panics and custom errors (when `iface` declares them)
+ */
+function decodeRevertReason(error, iface) {
+  const data = findRevertData(error);
+
+  if (data === '0x') {
+    return 'Reverted without a reason';
+  }
+  if (data && data.length < 10) {
+    return `Revert data shorter than a selector: ${data}`;
+  }
+
+  if (data) {
+    const selector = data.slice(0, 10).toLowerCase();
+    const payload = '0x' + data.slice(10);
+
+    if (selector === ERROR_STRING_SELECTOR) {
+      const decoded = tryDecode(['string'], payload);
+      if (decoded) {
+        return decoded[0];
+      }
+    }
+    if (selector === PANIC_SELECTOR) {
+      const decoded = tryDecode(['uint256'], payload);
+      if (decoded) {
+        return `Panic(0x${decoded[0].toHexString().slice(2).padStart(2, '0')})`;
+      }
+    }
+    if (iface) {
+      try {
+        const parsed = iface.parseError(data);
+        return `${parsed.name}(${parsed.args.map(String).join(', ')})`;
+      } catch (parseError) {
+        // Not declared in the ABI
+      }
+    }
+    return `Unknown revert data ${data}`;
+  }
+
+  return error.reason || error.message;
+}
+
 module.exports = {
   getProvider,
   getSigner,
@@ -194,5 +438,10 @@ module.exports = {
   estimateGas,
   getContract,
   sleep,
-  retry
+  retry,
+  NonceManager,
+  sendParallel,
+  signTransactions,
+  broadcastBurst,
+  decodeRevertReason
 };
\ No newline at end of file